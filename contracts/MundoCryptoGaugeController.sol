@@ -0,0 +1,359 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./interfaces/IMundoCryptoTokenLock.sol";
+
+/* @title  MundoCryptoGaugeController
+ * @notice MundoCryptoGaugeController lets the lockers of the MundoCryptoTokenLock direct the emissions
+ *         with their voting power. The governance registers gauges (pools or programs), and every locker
+ *         splits their voting power across them in basis points, up to all of it.
+ *
+ *         The time is split in weekly epochs, like the rewards. The weight of a gauge in an epoch is the
+ *         sum of the voting power allocated to it for that epoch. Votes cast during an epoch count for the
+ *         next one, so the weights of the current and past epochs are fixed and can be used to split the
+ *         emissions.
+ *
+ *         The voting power of every vote cast during an epoch is read at the same timestamp, just before
+ *         the epoch started. Positions transferred or delegated after it count for their previous holder
+ *         until the next epoch, so the same voting power is never counted twice, and the weights of an
+ *         epoch add up to at most the total voting power at its snapshot.
+ *
+ *         The allocations of a locker are kept, but they only count for the epoch they were applied to.
+ *         They are renewed when the locker votes again, or when anyone pokes them, e.g. a keeper during
+ *         every epoch, which also follows the expiries and decay of the locks.
+ *
+ **/
+contract MundoCryptoGaugeController is AccessControl {
+    /// @dev using EnumerableSet library to track the gauges and the votes of every account.
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /// @dev Role allowed to register and disable gauges.
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+
+    /// @dev Duration of an epoch.
+    uint256 public constant EPOCH_DURATION = 7 days;
+
+    /// @dev Shares allocating all the voting power of an account, in basis points.
+    uint256 public constant MAX_SHARES = 10000;
+
+    /// @dev Maximum number of gauges an account can vote for, to bound the cost of a poke.
+    uint256 public constant MAX_GAUGES_PER_ACCOUNT = 16;
+
+    /// @dev Precision of the relative weights.
+    uint256 private constant PRECISION = 1e18;
+
+    /// @dev The lock to read the voting power from.
+    IMundoCryptoTokenLock public immutable lock;
+
+    /// @dev Start time of the first epoch.
+    uint256 public immutable startTime;
+
+    /// @dev Revert when a gauge is registered twice, or votes go to a gauge which is not registered or disabled.
+    error InvalidGauge();
+    /// @dev Revert when an account allocates more than all of its voting power.
+    error VotingPowerExceeded();
+    /// @dev Revert when an account votes for more than MAX_GAUGES_PER_ACCOUNT gauges.
+    error TooManyGauges();
+    /// @dev Revert when the arrays of a vote have different lengths.
+    error LengthMismatch();
+    /// @dev Revert when votes are cast before the start time, as there is no snapshot to read them at.
+    error VotingNotStarted();
+
+    /// @dev Tracks the registered gauges.
+    EnumerableSet.AddressSet private gauges;
+
+    /// @dev Tracks the gauges which are disabled.
+    mapping(address => bool) private disabledGauges;
+
+    /// @dev Tracks the weight of every gauge in every epoch.
+    mapping(uint256 => mapping(address => uint256)) private gaugeWeights;
+
+    /// @dev Tracks the total weight of all the gauges in every epoch.
+    mapping(uint256 => uint256) private totalWeights;
+
+    /// @dev Tracks the gauges every account votes for.
+    mapping(address => EnumerableSet.AddressSet) private accountGauges;
+
+    /// @dev Tracks the shares of the voting power every account allocates to a gauge.
+    mapping(address => mapping(address => uint256)) private accountShares;
+
+    /// @dev Tracks the sum of the shares every account allocates.
+    mapping(address => uint256) private accountSharesUsed;
+
+    /// @dev Tracks the voting power the allocations of every account are applied to.
+    mapping(address => uint256) private accountVotingPower;
+
+    /// @dev Tracks the epoch the allocations of every account are applied to, zero if there is none.
+    mapping(address => uint256) private accountEpoch;
+
+    /// @dev Emit an event when a gauge is registered.
+    /// @param gauge    The gauge registered.
+    event GaugeAdded(address indexed gauge);
+    /// @dev Emit an event when a gauge is disabled.
+    /// @param gauge    The gauge disabled.
+    event GaugeDisabled(address indexed gauge);
+    /// @dev Emit an event when an account changes its share of a gauge.
+    /// @param account  The account which voted.
+    /// @param gauge    The gauge voted for.
+    /// @param share    The share of the voting power of the account, in basis points.
+    event GaugeVoted(
+        address indexed account,
+        address indexed gauge,
+        uint256 share
+    );
+    /// @dev Emit an event when the allocations of an account are applied to its voting power.
+    /// @param account      The account of the allocations.
+    /// @param votingPower  The voting power the allocations are applied to.
+    /// @param epoch        The epoch the allocations count for.
+    event VotesUpdated(
+        address indexed account,
+        uint256 votingPower,
+        uint256 epoch
+    );
+
+    /// @dev Set the lock, the start of the first epoch and the admin.
+    /// @param _lock        The lock to read the voting power from.
+    /// @param _startTime   The start time of the first epoch.
+    /// @param _admin       The account which registers the gauges, e.g. the timelock.
+    constructor(
+        IMundoCryptoTokenLock _lock,
+        uint256 _startTime,
+        address _admin
+    ) {
+        lock = _lock;
+        startTime = _startTime;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(GOVERNANCE_ROLE, _admin);
+    }
+
+    /// @dev Allows the governance to register a gauge.
+    /// @param gauge    The gauge to register.
+    function addGauge(address gauge) external onlyRole(GOVERNANCE_ROLE) {
+        // revert if the gauge is the zero address or registered already.
+        if (gauge == address(0) || !gauges.add(gauge)) revert InvalidGauge();
+
+        emit GaugeAdded(gauge);
+    }
+
+    /// @dev Allows the governance to disable a gauge. Its weight drops to zero from the next epoch,
+    ///      and the accounts can only remove their votes for it.
+    /// @param gauge    The gauge to disable.
+    function disableGauge(address gauge) external onlyRole(GOVERNANCE_ROLE) {
+        // revert if the gauge is not registered or disabled already.
+        if (!gauges.contains(gauge) || disabledGauges[gauge])
+            revert InvalidGauge();
+
+        disabledGauges[gauge] = true;
+
+        uint256 epoch = currentEpoch() + 1;
+        totalWeights[epoch] -= gaugeWeights[epoch][gauge];
+        delete gaugeWeights[epoch][gauge];
+
+        emit GaugeDisabled(gauge);
+    }
+
+    /// @dev Allows the user to change their shares of gauges. The shares of the other gauges are kept,
+    ///      and all the shares are applied to their voting power at the snapshot of the next epoch.
+    /// @param _gauges  The gauges to vote for.
+    /// @param _shares  The new shares of the voting power for the gauges, in basis points, zero to remove.
+    function vote(
+        address[] calldata _gauges,
+        uint256[] calldata _shares
+    ) external {
+        // revert if the arrays do not describe the same votes.
+        if (_gauges.length != _shares.length) revert LengthMismatch();
+
+        // remove the weights of the old allocations from the next epoch.
+        _removeVotes(msg.sender);
+
+        EnumerableSet.AddressSet storage s_gauges = accountGauges[msg.sender];
+        uint256 sharesUsed = accountSharesUsed[msg.sender];
+        for (uint256 i = 0; i < _gauges.length; i++) {
+            address gauge = _gauges[i];
+            uint256 share = _shares[i];
+
+            // revert if the gauge is not registered, or disabled and the vote is not removed.
+            if (
+                !gauges.contains(gauge) || (share != 0 && disabledGauges[gauge])
+            ) revert InvalidGauge();
+
+            sharesUsed = sharesUsed - accountShares[msg.sender][gauge] + share;
+            accountShares[msg.sender][gauge] = share;
+            if (share == 0) s_gauges.remove(gauge);
+            else s_gauges.add(gauge);
+
+            emit GaugeVoted(msg.sender, gauge, share);
+        }
+
+        // revert if the user allocates more than all of their voting power, or to too many gauges.
+        if (sharesUsed > MAX_SHARES) revert VotingPowerExceeded();
+        if (s_gauges.length() > MAX_GAUGES_PER_ACCOUNT) revert TooManyGauges();
+
+        accountSharesUsed[msg.sender] = sharesUsed;
+
+        // add the weights of the new allocations.
+        _applyVotingPower(msg.sender);
+    }
+
+    /// @dev Renew the allocations of accounts for the next epoch, at their voting power at its snapshot.
+    /// @param _accounts    The accounts to poke.
+    function poke(address[] calldata _accounts) external {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            _removeVotes(_accounts[i]);
+            _applyVotingPower(_accounts[i]);
+        }
+    }
+
+    /// @dev Fetch the registered gauges, including the disabled ones.
+    /// @return The registered gauges.
+    function getGauges() external view returns (address[] memory) {
+        return gauges.values();
+    }
+
+    /// @dev Fetch whether a gauge is registered and not disabled.
+    /// @param _gauge   The gauge to fetch the data for.
+    /// @return Whether votes can go to the gauge.
+    function isActiveGauge(address _gauge) external view returns (bool) {
+        return gauges.contains(_gauge) && !disabledGauges[_gauge];
+    }
+
+    /// @dev Fetch the weight of a gauge in an epoch. The weight of the next epoch is not fixed yet.
+    /// @param _gauge   The gauge to fetch the weight for.
+    /// @param _epoch   The epoch to fetch the weight at.
+    /// @return The voting power allocated to the gauge in the epoch.
+    function getGaugeWeight(
+        address _gauge,
+        uint256 _epoch
+    ) external view returns (uint256) {
+        return gaugeWeights[_epoch][_gauge];
+    }
+
+    /// @dev Fetch the total weight of all the gauges in an epoch.
+    /// @param _epoch   The epoch to fetch the weight at.
+    /// @return The voting power allocated to all the gauges in the epoch.
+    function getTotalWeight(uint256 _epoch) external view returns (uint256) {
+        return totalWeights[_epoch];
+    }
+
+    /// @dev Fetch the share of a gauge in the total weight of an epoch.
+    /// @param _gauge   The gauge to fetch the relative weight for.
+    /// @param _epoch   The epoch to fetch the relative weight at.
+    /// @return The weight of the gauge divided by the total weight, scaled by 1e18.
+    function getRelativeWeight(
+        address _gauge,
+        uint256 _epoch
+    ) external view returns (uint256) {
+        uint256 totalWeight = totalWeights[_epoch];
+        if (totalWeight == 0) return 0;
+
+        return (gaugeWeights[_epoch][_gauge] * PRECISION) / totalWeight;
+    }
+
+    /// @dev Fetch the votes of an account.
+    /// @param _account The account to fetch the votes for.
+    /// @return m_gauges    The gauges the account votes for.
+    /// @return m_shares    The shares of the voting power of the account for the gauges, in basis points.
+    /// @return votingPower The voting power the shares were last applied to.
+    /// @return epoch       The epoch the shares were last applied to, zero if they never were.
+    function getAccountVotes(
+        address _account
+    )
+        external
+        view
+        returns (
+            address[] memory m_gauges,
+            uint256[] memory m_shares,
+            uint256 votingPower,
+            uint256 epoch
+        )
+    {
+        m_gauges = accountGauges[_account].values();
+        m_shares = new uint256[](m_gauges.length);
+        for (uint256 i = 0; i < m_gauges.length; i++) {
+            m_shares[i] = accountShares[_account][m_gauges[i]];
+        }
+        votingPower = accountVotingPower[_account];
+        epoch = accountEpoch[_account];
+    }
+
+    /// @dev Fetch the time the voting power of the votes for an epoch is read at.
+    /// @param _epoch   The epoch to fetch the snapshot time for.
+    /// @return The snapshot time of the epoch, zero for the first epoch which has no votes.
+    function getSnapshotTime(uint256 _epoch) external view returns (uint256) {
+        if (_epoch == 0) return 0;
+
+        return _snapshotTime(_epoch);
+    }
+
+    /// @dev Fetch the current epoch, which is the first epoch until the start time.
+    /// @return The current epoch.
+    function currentEpoch() public view returns (uint256) {
+        if (block.timestamp < startTime) return 0;
+
+        return (block.timestamp - startTime) / EPOCH_DURATION;
+    }
+
+    /// @dev Read the voting power of an account at the snapshot of the next epoch and add the weights of
+    ///      its allocations to the next epoch.
+    /// @param account  The account of the allocations.
+    function _applyVotingPower(address account) private {
+        // revert if there is no snapshot before the start time.
+        if (block.timestamp < startTime) revert VotingNotStarted();
+
+        uint256 epoch = currentEpoch() + 1;
+        uint256 votingPower = lock.getPastVotingPower(
+            account,
+            _snapshotTime(epoch)
+        );
+        accountVotingPower[account] = votingPower;
+        accountEpoch[account] = epoch;
+
+        _updateWeights(account, epoch, true);
+
+        emit VotesUpdated(account, votingPower, epoch);
+    }
+
+    /// @dev Remove the weights of the allocations of an account if they were applied to the next epoch.
+    /// @param account  The account of the allocations.
+    function _removeVotes(address account) private {
+        uint256 epoch = currentEpoch() + 1;
+        if (accountEpoch[account] == epoch)
+            _updateWeights(account, epoch, false);
+    }
+
+    /// @dev Add or remove the weights of the allocations of an account in an epoch.
+    ///      The disabled gauges are skipped, as their weight was removed when they were disabled.
+    /// @param account  The account of the allocations.
+    /// @param epoch    The epoch of the weights.
+    /// @param add      Whether the weights are added or removed.
+    function _updateWeights(address account, uint256 epoch, bool add) private {
+        EnumerableSet.AddressSet storage s_gauges = accountGauges[account];
+        uint256 votingPower = accountVotingPower[account];
+        if (votingPower == 0) return;
+
+        uint256 totalWeight;
+        for (uint256 i = 0; i < s_gauges.length(); i++) {
+            address gauge = s_gauges.at(i);
+            if (disabledGauges[gauge]) continue;
+
+            uint256 weight = (votingPower * accountShares[account][gauge]) /
+                MAX_SHARES;
+            if (add) gaugeWeights[epoch][gauge] += weight;
+            else gaugeWeights[epoch][gauge] -= weight;
+            totalWeight += weight;
+        }
+        if (add) totalWeights[epoch] += totalWeight;
+        else totalWeights[epoch] -= totalWeight;
+    }
+
+    /// @dev Fetch the time the voting power is read at for the votes of an epoch, just before the
+    ///      previous epoch started, so it is in the past during the whole voting.
+    /// @param epoch    The epoch of the votes.
+    /// @return The snapshot time of the epoch.
+    function _snapshotTime(uint256 epoch) private view returns (uint256) {
+        return startTime + (epoch - 1) * EPOCH_DURATION - 1;
+    }
+}
@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";
+import "./governance/GovernorLockVotes.sol";
+import "./governance/GovernorLockVotesQuorumFraction.sol";
+
+/* @title  MundoCryptoGovernor
+ * @notice MundoCryptoGovernor is the DAO of MundoCrypto. The voting weight of an account is its voting
+ *         power in the MundoCryptoTokenLock at the snapshot of the proposal, so locking tokens after a
+ *         proposal is created does not change its outcome.
+ *
+ *         Accounts can vote for, against or abstain. Proposals that reach the quorum and have more votes
+ *         for than against are queued in the MundoCryptoTimelock, which executes them after its delay.
+ *
+ **/
+contract MundoCryptoGovernor is
+    Governor,
+    GovernorSettings,
+    GovernorCountingSimple,
+    GovernorLockVotes,
+    GovernorLockVotesQuorumFraction,
+    GovernorTimelockControl
+{
+    /// @dev defining constants for the initial governance settings.
+    uint256 private constant INITIAL_VOTING_DELAY = 1 days;
+    uint256 private constant INITIAL_VOTING_PERIOD = 7 days;
+    uint256 private constant INITIAL_PROPOSAL_THRESHOLD = 0;
+    uint256 private constant INITIAL_QUORUM_NUMERATOR = 4;
+
+    /// @dev Set the lock contract to read the voting power from and the timelock which executes the proposals.
+    /// @param _lock     The lock contract to read the voting power from.
+    /// @param _timelock The timelock which executes the proposals.
+    constructor(
+        IMundoCryptoTokenLock _lock,
+        TimelockController _timelock
+    )
+        Governor("MundoCryptoGovernor")
+        GovernorSettings(
+            INITIAL_VOTING_DELAY,
+            INITIAL_VOTING_PERIOD,
+            INITIAL_PROPOSAL_THRESHOLD
+        )
+        GovernorLockVotes(_lock)
+        GovernorLockVotesQuorumFraction(INITIAL_QUORUM_NUMERATOR)
+        GovernorTimelockControl(_timelock)
+    {}
+
+    // The following functions are overrides required by Solidity.
+
+    function votingDelay()
+        public
+        view
+        override(IGovernor, GovernorSettings)
+        returns (uint256)
+    {
+        return super.votingDelay();
+    }
+
+    function votingPeriod()
+        public
+        view
+        override(IGovernor, GovernorSettings)
+        returns (uint256)
+    {
+        return super.votingPeriod();
+    }
+
+    function quorum(
+        uint256 timepoint
+    )
+        public
+        view
+        override(IGovernor, GovernorLockVotesQuorumFraction)
+        returns (uint256)
+    {
+        return super.quorum(timepoint);
+    }
+
+    function state(
+        uint256 proposalId
+    )
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (ProposalState)
+    {
+        return super.state(proposalId);
+    }
+
+    function proposalThreshold()
+        public
+        view
+        override(Governor, GovernorSettings)
+        returns (uint256)
+    {
+        return super.proposalThreshold();
+    }
+
+    function _execute(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) {
+        super._execute(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint256) {
+        return super._cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    function _executor()
+        internal
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (address)
+    {
+        return super._executor();
+    }
+
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(Governor, GovernorTimelockControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
@@ -0,0 +1,326 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./interfaces/IMundoCryptoTokenLock.sol";
+import "./MundoCryptoTokenLock.sol";
+
+/* @title  MundoCryptoLockManager
+ * @notice MundoCryptoLockManager counts the locks of several whitelisted tokens toward the governance,
+ *         e.g. wMCT, the wMCT/ETH LP token or a partner token.
+ *
+ *         Every token is locked in its own MundoCryptoTokenLock, which keeps the accounting of the
+ *         token separate: its positions, tiers, penalties and voting power history. The governance
+ *         whitelists the lock of a token with a weight, and the manager aggregates the voting power
+ *         of an account across the locks, each scaled by the weight of its token.
+ *
+ *         The weights are checkpointed, so changing the weight of a token does not change the voting
+ *         power at past timestamps. A token is delisted by setting its weight to zero.
+ *
+ *         The manager exposes the views of the lock, so the governor and the rewards can read the
+ *         voting power from it instead of a single lock.
+ *
+ **/
+contract MundoCryptoLockManager is AccessControl, IMundoCryptoTokenLock {
+    /// @dev using Checkpoints library to checkpoint the weights.
+    using Checkpoints for Checkpoints.Trace224;
+
+    /// @dev Role allowed to whitelist tokens and set their weights.
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+
+    /// @dev Weight counting the voting power of a lock once.
+    uint256 public constant WEIGHT_PRECISION = 10000;
+
+    /// @dev Revert with an error when the input param is zero valued.
+    error ZeroValuedParam();
+    /// @dev Revert when the lock of a token is whitelisted twice.
+    error TokenAlreadyListed();
+    /// @dev Revert when the weight of a token which is not whitelisted is set.
+    error TokenNotListed();
+    /// @dev Revert when the voting power is fetched at a timepoint which is not in the past.
+    error FutureLookup();
+
+    /// @dev Tracks the whitelisted tokens in the order they were added.
+    IERC20[] private tokens;
+
+    /// @dev Tracks the lock of every whitelisted token.
+    mapping(IERC20 => MundoCryptoTokenLock) private locks;
+
+    /// @dev Tracks the weight history of every whitelisted token.
+    mapping(IERC20 => Checkpoints.Trace224) private weights;
+
+    /// @dev Emit an event when the lock of a token is whitelisted.
+    /// @param token    The token locked in the lock.
+    /// @param lock     The lock of the token.
+    /// @param weight   The weight of the token.
+    event TokenAdded(
+        IERC20 indexed token,
+        MundoCryptoTokenLock indexed lock,
+        uint256 weight
+    );
+    /// @dev Emit an event when the weight of a token changes.
+    /// @param token        The token of the weight.
+    /// @param oldWeight    The previous weight of the token.
+    /// @param newWeight    The new weight of the token.
+    event WeightUpdated(
+        IERC20 indexed token,
+        uint256 oldWeight,
+        uint256 newWeight
+    );
+
+    /// @dev Set the account administrating the manager.
+    /// @param _admin   The account allowed to whitelist tokens and set their weights, e.g. the timelock.
+    constructor(address _admin) {
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(GOVERNANCE_ROLE, _admin);
+    }
+
+    /// @dev Allows the governance to whitelist the lock of a token.
+    /// @param lock     The lock of the token.
+    /// @param weight   The weight of the token, WEIGHT_PRECISION counts its voting power once.
+    function addToken(
+        MundoCryptoTokenLock lock,
+        uint256 weight
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        // revert if the token would not count toward the governance.
+        if (weight == 0) revert ZeroValuedParam();
+
+        IERC20 token = lock.lockingToken();
+
+        // revert if the token is whitelisted already.
+        if (address(locks[token]) != address(0)) revert TokenAlreadyListed();
+
+        tokens.push(token);
+        locks[token] = lock;
+        _pushWeight(token, weight);
+
+        emit TokenAdded(token, lock, weight);
+    }
+
+    /// @dev Allows the governance to change the weight of a whitelisted token, zero to delist it.
+    /// @param token    The token of the weight.
+    /// @param weight   The new weight of the token.
+    function setWeight(
+        IERC20 token,
+        uint256 weight
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        // revert if the token is not whitelisted.
+        if (address(locks[token]) == address(0)) revert TokenNotListed();
+
+        emit WeightUpdated(token, weights[token].latest(), weight);
+
+        _pushWeight(token, weight);
+    }
+
+    /// @dev Fetch the whitelisted tokens.
+    /// @return The whitelisted tokens in the order they were added.
+    function getTokens() external view returns (IERC20[] memory) {
+        return tokens;
+    }
+
+    /// @dev Fetch the lock of a token.
+    /// @param token    The token to fetch the lock for.
+    /// @return The lock of the token, the zero address if it is not whitelisted.
+    function getLock(
+        IERC20 token
+    ) external view returns (MundoCryptoTokenLock) {
+        return locks[token];
+    }
+
+    /// @dev Fetch the current weight of a token.
+    /// @param token    The token to fetch the weight for.
+    /// @return The weight of the token.
+    function getWeight(IERC20 token) external view returns (uint256) {
+        return weights[token].latest();
+    }
+
+    /// @dev Fetch the weight of a token at a timestamp.
+    /// @param token        The token to fetch the weight for.
+    /// @param _timepoint   The timestamp to fetch the weight at.
+    /// @return The weight of the token at the timepoint.
+    function getPastWeight(
+        IERC20 token,
+        uint256 _timepoint
+    ) external view returns (uint256) {
+        return _weightAt(token, _timepoint);
+    }
+
+    /// @dev Fetch the voting power of an account across the locks of all the tokens.
+    /// @param _account The account to fetch the data for.
+    /// @return votingPower The weighted voting power of the account.
+    function getVotingPower(
+        address _account
+    ) external view override returns (uint256 votingPower) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            IERC20 token = tokens[i];
+            votingPower +=
+                locks[token].getVotingPower(_account) *
+                weights[token].latest();
+        }
+        return votingPower / WEIGHT_PRECISION;
+    }
+
+    /// @dev Fetch the unweighted voting power of an account in the lock of every token.
+    /// @param _account The account to fetch the data for.
+    /// @return m_votingPowers The voting power of the account in every lock, in the order of the tokens.
+    function getVotingPowerByToken(
+        address _account
+    ) external view returns (uint256[] memory m_votingPowers) {
+        m_votingPowers = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            m_votingPowers[i] = locks[tokens[i]].getVotingPower(_account);
+        }
+    }
+
+    /// @dev Fetch the total voting power of all the accounts across the locks of all the tokens.
+    /// @return votingPower The weighted total voting power.
+    function totalVotingPower() external view returns (uint256 votingPower) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            IERC20 token = tokens[i];
+            votingPower +=
+                locks[token].totalVotingPower() *
+                weights[token].latest();
+        }
+        return votingPower / WEIGHT_PRECISION;
+    }
+
+    /// @dev Fetch the voting power of an account across the locks at a past timestamp.
+    /// @param _account     The account to fetch the data for.
+    /// @param _timepoint   The timestamp to fetch the voting power at, must be in the past.
+    /// @return votingPower The weighted voting power of the account at the timepoint.
+    function getPastVotingPower(
+        address _account,
+        uint256 _timepoint
+    ) external view override returns (uint256 votingPower) {
+        if (_timepoint >= block.timestamp) revert FutureLookup();
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            IERC20 token = tokens[i];
+            uint256 weight = _weightAt(token, _timepoint);
+            // a token whitelisted after the timepoint has no weight at it.
+            if (weight != 0)
+                votingPower +=
+                    locks[token].getPastVotingPower(_account, _timepoint) *
+                    weight;
+        }
+        return votingPower / WEIGHT_PRECISION;
+    }
+
+    /// @dev Fetch the voting power of the positions of an account across the locks at a past timestamp,
+    ///      whether they are delegated or not.
+    /// @param _account     The account to fetch the data for.
+    /// @param _timepoint   The timestamp to fetch the voting power at, must be in the past.
+    /// @return votingPower The weighted voting power of the positions of the account at the timepoint.
+    function getPastOwnVotingPower(
+        address _account,
+        uint256 _timepoint
+    ) external view override returns (uint256 votingPower) {
+        if (_timepoint >= block.timestamp) revert FutureLookup();
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            IERC20 token = tokens[i];
+            uint256 weight = _weightAt(token, _timepoint);
+            if (weight != 0)
+                votingPower +=
+                    locks[token].getPastOwnVotingPower(_account, _timepoint) *
+                    weight;
+        }
+        return votingPower / WEIGHT_PRECISION;
+    }
+
+    /// @dev Fetch the first timestamp after a timepoint at which the weighted voting power of the positions
+    ///      of an account changes other than by its decay, in one of the locks or by a change of weight.
+    /// @param _account     The account to fetch the data for.
+    /// @param _timepoint   The timestamp to start from.
+    /// @return next The first timestamp of a change after the timepoint, zero if there is none.
+    function getNextOwnChange(
+        address _account,
+        uint256 _timepoint
+    ) external view override returns (uint256 next) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            IERC20 token = tokens[i];
+            next = _earliest(
+                next,
+                locks[token].getNextOwnChange(_account, _timepoint)
+            );
+            next = _earliest(next, _nextWeightChange(token, _timepoint));
+        }
+    }
+
+    /// @dev Fetch the total voting power of all the accounts across the locks at a past timestamp.
+    /// @param _timepoint   The timestamp to fetch the total voting power at, must be in the past.
+    /// @return votingPower The weighted total voting power at the timepoint.
+    function getPastTotalVotingPower(
+        uint256 _timepoint
+    ) external view override returns (uint256 votingPower) {
+        if (_timepoint >= block.timestamp) revert FutureLookup();
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            IERC20 token = tokens[i];
+            uint256 weight = _weightAt(token, _timepoint);
+            if (weight != 0)
+                votingPower +=
+                    locks[token].getPastTotalVotingPower(_timepoint) *
+                    weight;
+        }
+        return votingPower / WEIGHT_PRECISION;
+    }
+
+    /// @dev Checkpoint the weight of a token from now on.
+    /// @param token    The token of the weight.
+    /// @param weight   The new weight of the token.
+    function _pushWeight(IERC20 token, uint256 weight) private {
+        weights[token].push(
+            SafeCast.toUint32(block.timestamp),
+            SafeCast.toUint224(weight)
+        );
+    }
+
+    /// @dev Fetch the first timestamp after a timepoint at which the weight of a token changes.
+    /// @param token        The token of the weight.
+    /// @param _timepoint   The timestamp to start from.
+    /// @return The first timestamp of a change after the timepoint, zero if there is none.
+    function _nextWeightChange(
+        IERC20 token,
+        uint256 _timepoint
+    ) private view returns (uint256) {
+        Checkpoints.Checkpoint224[] storage s_checkpoints = weights[token]
+            ._checkpoints;
+
+        // find the first checkpoint after the timepoint.
+        uint256 low = 0;
+        uint256 high = s_checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (s_checkpoints[mid]._key > _timepoint) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return high < s_checkpoints.length ? s_checkpoints[high]._key : 0;
+    }
+
+    /// @dev Fetch the earlier of two timestamps, where zero stands for none.
+    /// @param a    The first timestamp.
+    /// @param b    The second timestamp.
+    /// @return The earlier timestamp, zero if both are zero.
+    function _earliest(uint256 a, uint256 b) private pure returns (uint256) {
+        return a == 0 || (b != 0 && b < a) ? b : a;
+    }
+
+    /// @dev Fetch the weight of a token at a timestamp.
+    /// @param token        The token to fetch the weight for.
+    /// @param _timepoint   The timestamp to fetch the weight at.
+    /// @return The weight of the token at the timepoint.
+    function _weightAt(
+        IERC20 token,
+        uint256 _timepoint
+    ) private view returns (uint256) {
+        return weights[token].upperLookupRecent(SafeCast.toUint32(_timepoint));
+    }
+}
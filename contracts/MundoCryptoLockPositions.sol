@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./MundoCryptoTokenLock.sol";
+
+/* @title  MundoCryptoLockPositions
+ * @notice MundoCryptoLockPositions represents the positions of the MundoCryptoTokenLock as ERC-721 tokens,
+ *         the id of a token is the id of its position. It is deployed by the lock, which mints a token
+ *         when a position is created and burns it when the position is withdrawn or merged.
+ *
+ *         The lock keeps the owner of every position. When a token is transferred, the lock moves the
+ *         position with its voting power and withdrawal rights to the new holder.
+ *
+ *         The metadata of the tokens is built on-chain from the positions and their tiers.
+ *
+ **/
+contract MundoCryptoLockPositions is ERC721 {
+    using Strings for uint256;
+
+    /// @dev The lock of the positions.
+    MundoCryptoTokenLock public immutable lock;
+
+    /// @dev Revert when an account other than the lock mints or burns a token.
+    error NotLock();
+
+    modifier onlyLock() {
+        if (msg.sender != address(lock)) revert NotLock();
+        _;
+    }
+
+    /// @dev Set the lock, which is the deployer.
+    constructor() ERC721("MundoCrypto Lock Position", "MCLP") {
+        lock = MundoCryptoTokenLock(msg.sender);
+    }
+
+    /// @dev Allows the lock to mint the token of a new position.
+    /// @param to           The owner of the position.
+    /// @param positionId   The id of the position.
+    function mint(address to, uint256 positionId) external onlyLock {
+        _mint(to, positionId);
+    }
+
+    /// @dev Allows the lock to burn the token of a closed position.
+    /// @param positionId   The id of the position.
+    function burn(uint256 positionId) external onlyLock {
+        _burn(positionId);
+    }
+
+    /// @dev Build the metadata of a position as a base64 encoded JSON.
+    /// @param positionId   The id of the position.
+    /// @return The data URI of the metadata.
+    function tokenURI(
+        uint256 positionId
+    ) public view override returns (string memory) {
+        _requireMinted(positionId);
+
+        MundoCryptoTokenLock.LockPosition memory m_position = lock.getPosition(
+            positionId
+        );
+        MundoCryptoTokenLock.Tier memory m_tier = lock.getTier(
+            m_position.period
+        );
+
+        bytes memory attributes = abi.encodePacked(
+            '[{"trait_type":"Amount","value":"',
+            m_position.amount.toString(),
+            '"},{"trait_type":"Tier","value":',
+            m_position.period.toString(),
+            '},{"trait_type":"Lock Time","value":',
+            m_tier.lockTime.toString(),
+            '},{"trait_type":"Multiplier","value":',
+            m_tier.multiplier.toString(),
+            '},{"display_type":"date","trait_type":"Unlock Time","value":',
+            m_position.unlockTime.toString(),
+            "}]"
+        );
+
+        return
+            string(
+                abi.encodePacked(
+                    "data:application/json;base64,",
+                    Base64.encode(
+                        abi.encodePacked(
+                            '{"name":"MundoCrypto Lock Position #',
+                            positionId.toString(),
+                            '","description":"wMCT locked in the MundoCrypto token lock.","attributes":',
+                            attributes,
+                            "}"
+                        )
+                    )
+                )
+            );
+    }
+
+    /// @dev Move the position to the new holder when its token is transferred.
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal override {
+        super._afterTokenTransfer(from, to, firstTokenId, batchSize);
+
+        // the lock mints and burns the tokens itself.
+        if (from != address(0) && to != address(0))
+            lock.transferPosition(from, to, firstTokenId);
+    }
+}
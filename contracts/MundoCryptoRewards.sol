@@ -0,0 +1,340 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./interfaces/IMundoCryptoTokenLock.sol";
+
+/* @title  MundoCryptoRewards
+ * @notice MundoCryptoRewards distributes reward tokens to the lockers of the MundoCryptoTokenLock in
+ *         proportion to their voting power.
+ *
+ *         The time is split in weekly epochs. Distributors (an admin or the treasury) deposit rewards for
+ *         the current or a future epoch. The rewards of an epoch accrue per unit of voting power at the
+ *         start of the epoch, and can be claimed once the epoch has ended.
+ *
+ *         The reward per voting power of the ended epochs is summed in an accumulator, and an account
+ *         earns its voting power times the growth of the accumulator. The voting power of a locker changes
+ *         without any transaction when their locks expire, so it is read from the checkpoints of the lock
+ *         instead of being settled on the transactions of the locker, which stays exact across locks,
+ *         withdrawals and expiries. The lock tells when the voting power of an account changes next, and
+ *         the rewards of all the epochs until then are claimed at once while it is constant.
+ *
+ *         The rewards follow the voting power of the positions of an account whether it delegated them or
+ *         not, so delegating the votes keeps the rewards with the locker.
+ *
+ *         A claim takes at most MAX_CLAIM_STEPS steps, each covering the epochs until the next change of
+ *         the voting power of the account, or a single epoch while it decays. It is repeated for the
+ *         older rewards, which keeps its gas bounded by the activity of the account.
+ *
+ **/
+contract MundoCryptoRewards is ReentrancyGuard, AccessControl {
+    /// @dev using SafeERC20 library to handle token transfer.
+    using SafeERC20 for IERC20;
+    /// @dev using Checkpoints library to checkpoint the accumulator.
+    using Checkpoints for Checkpoints.Trace224;
+
+    /// @dev Role allowed to deposit rewards.
+    bytes32 public constant DISTRIBUTOR_ROLE = keccak256("DISTRIBUTOR_ROLE");
+
+    /// @dev Duration of an epoch.
+    uint256 public constant EPOCH_DURATION = 7 days;
+
+    /// @dev Maximum number of steps of a claim, to bound its gas.
+    uint256 public constant MAX_CLAIM_STEPS = 52;
+
+    /// @dev Precision of the reward per voting power.
+    uint256 private constant PRECISION = 1e18;
+
+    /// @dev The lock to read the voting power from.
+    IMundoCryptoTokenLock public immutable lock;
+
+    /// @dev Token distributed as rewards.
+    IERC20 public immutable rewardToken;
+
+    /// @dev Start time of the first epoch.
+    uint256 public immutable startTime;
+
+    /// @dev Revert with an error when the input param is zero valued.
+    error ZeroValuedParam();
+    /// @dev Revert when rewards are deposited for an epoch which has ended already.
+    error InvalidEpoch();
+    /// @dev Revert when the rewards of an epoch are used before the epoch has ended.
+    error EpochNotEnded();
+    /// @dev Revert when the rewards of an epoch with voting power are rolled over.
+    error EpochHasVotingPower();
+
+    /// @dev Tracks the rewards deposited for every epoch.
+    mapping(uint256 => uint256) private epochRewards;
+
+    /// @dev Tracks the sum of the rewards per voting power of the epochs before every epoch, checkpointed
+    ///      after every epoch with rewards up to the first epoch which is not accumulated yet.
+    Checkpoints.Trace224 private cumulativeRewardPerVotingPower;
+
+    /// @dev Tracks the first epoch whose rewards are not accumulated yet.
+    uint256 private accumulatedEpoch;
+
+    /// @dev Tracks the first epoch not claimed yet by every account.
+    mapping(address => uint256) private nextClaimEpoch;
+
+    /// @dev Emit an event when rewards are deposited for an epoch.
+    /// @param distributor  The account which deposited the rewards.
+    /// @param epoch        The epoch of the rewards.
+    /// @param amount       The amount of reward tokens deposited.
+    event RewardsDeposited(
+        address indexed distributor,
+        uint256 indexed epoch,
+        uint256 amount
+    );
+    /// @dev Emit an event when an account claims its rewards.
+    /// @param account      The account which claimed the rewards.
+    /// @param amount       The amount of reward tokens claimed.
+    /// @param toEpoch      The first epoch which is not claimed yet.
+    event RewardsClaimed(
+        address indexed account,
+        uint256 amount,
+        uint256 toEpoch
+    );
+    /// @dev Emit an event when the rewards of an epoch without voting power are moved to another epoch.
+    /// @param fromEpoch    The epoch without voting power.
+    /// @param toEpoch      The epoch receiving the rewards.
+    /// @param amount       The amount of reward tokens moved.
+    event RewardsRolledOver(
+        uint256 indexed fromEpoch,
+        uint256 indexed toEpoch,
+        uint256 amount
+    );
+
+    /// @dev Set the lock, the reward token, the start of the first epoch and the admin.
+    /// @param _lock        The lock to read the voting power from.
+    /// @param _rewardToken The token distributed as rewards.
+    /// @param _startTime   The start time of the first epoch.
+    /// @param _admin       The account which manages the distributors.
+    constructor(
+        IMundoCryptoTokenLock _lock,
+        IERC20 _rewardToken,
+        uint256 _startTime,
+        address _admin
+    ) {
+        lock = _lock;
+        rewardToken = _rewardToken;
+        startTime = _startTime;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(DISTRIBUTOR_ROLE, _admin);
+    }
+
+    /// @dev Allows the distributors to deposit rewards for the current or a future epoch.
+    /// @param epoch    The epoch of the rewards.
+    /// @param amount   The amount of reward tokens to deposit.
+    function depositRewards(
+        uint256 epoch,
+        uint256 amount
+    ) external onlyRole(DISTRIBUTOR_ROLE) {
+        // revert if the distributor tries to deposit zero tokens.
+        if (amount == 0) revert ZeroValuedParam();
+
+        // revert if the epoch has ended already, as its rewards may be claimed.
+        if (epoch < currentEpoch()) revert InvalidEpoch();
+
+        _accumulate();
+        epochRewards[epoch] += amount;
+
+        // Emit an event indicating rewards were deposited.
+        emit RewardsDeposited(msg.sender, epoch, amount);
+
+        // Transfer the tokens from the distributor to the contract.
+        rewardToken.safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /// @dev Allows the user to claim their rewards of the ended epochs, in at most MAX_CLAIM_STEPS steps.
+    ///      The claim is repeated until the first epoch not claimed yet is the current epoch.
+    /// @return amount The amount of reward tokens claimed.
+    function claimRewards() external nonReentrant returns (uint256 amount) {
+        _accumulate();
+
+        uint256 toEpoch;
+        (amount, toEpoch) = _earned(msg.sender, MAX_CLAIM_STEPS);
+
+        nextClaimEpoch[msg.sender] = toEpoch;
+
+        // Emit an event indicating rewards were claimed.
+        emit RewardsClaimed(msg.sender, amount, toEpoch);
+
+        // Transfer the tokens from the contract to the user.
+        if (amount != 0) rewardToken.safeTransfer(msg.sender, amount);
+    }
+
+    /// @dev Move the rewards of an ended epoch without voting power to the current epoch.
+    /// @param epoch    The ended epoch without voting power.
+    function rolloverRewards(uint256 epoch) external {
+        // revert if the epoch has not ended or there is voting power to distribute the rewards to.
+        if (_epochStart(epoch + 1) > block.timestamp) revert EpochNotEnded();
+        if (lock.getPastTotalVotingPower(_epochStart(epoch)) != 0)
+            revert EpochHasVotingPower();
+
+        uint256 amount = epochRewards[epoch];
+        uint256 toEpoch = currentEpoch();
+
+        delete epochRewards[epoch];
+        epochRewards[toEpoch] += amount;
+
+        // Emit an event indicating rewards were rolled over.
+        emit RewardsRolledOver(epoch, toEpoch, amount);
+    }
+
+    /// @dev Fetch the rewards of the ended epochs not claimed yet by an account.
+    /// @param _account The account to fetch the rewards for.
+    /// @return amount The amount of reward tokens earned.
+    function earned(address _account) external view returns (uint256 amount) {
+        (amount, ) = _earned(_account, type(uint256).max);
+    }
+
+    /// @dev Fetch the rewards deposited for an epoch.
+    /// @param _epoch   The epoch to fetch the rewards for.
+    /// @return The amount of reward tokens deposited.
+    function getEpochRewards(uint256 _epoch) external view returns (uint256) {
+        return epochRewards[_epoch];
+    }
+
+    /// @dev Fetch the first epoch which is not claimed yet by an account.
+    /// @param _account The account to fetch the epoch for.
+    /// @return The first epoch not claimed yet.
+    function getNextClaimEpoch(
+        address _account
+    ) external view returns (uint256) {
+        return nextClaimEpoch[_account];
+    }
+
+    /// @dev Fetch the rewards of an ended epoch per unit of voting power.
+    /// @param _epoch   The epoch to fetch the reward per voting power for.
+    /// @return The reward per voting power, scaled by 1e18.
+    function rewardPerVotingPower(
+        uint256 _epoch
+    ) public view returns (uint256) {
+        if (_epochStart(_epoch + 1) > block.timestamp) revert EpochNotEnded();
+
+        uint256 rewards = epochRewards[_epoch];
+        if (rewards == 0) return 0;
+
+        uint256 totalVotingPower = lock.getPastTotalVotingPower(
+            _epochStart(_epoch)
+        );
+        if (totalVotingPower == 0) return 0;
+
+        return (rewards * PRECISION) / totalVotingPower;
+    }
+
+    /// @dev Fetch the current epoch, which is the first epoch until the start time.
+    /// @return The current epoch.
+    function currentEpoch() public view returns (uint256) {
+        if (block.timestamp < startTime) return 0;
+
+        return (block.timestamp - startTime) / EPOCH_DURATION;
+    }
+
+    /// @dev Accumulate the reward per voting power of the epochs which ended since the last time.
+    function _accumulate() private {
+        uint256 toEpoch = currentEpoch();
+        uint256 cumulative = cumulativeRewardPerVotingPower.latest();
+
+        for (uint256 epoch = accumulatedEpoch; epoch < toEpoch; ) {
+            uint256 m_rewardPerVotingPower = rewardPerVotingPower(epoch);
+            unchecked {
+                ++epoch;
+            }
+
+            // the epochs without rewards keep the sum, so they are not checkpointed.
+            if (m_rewardPerVotingPower != 0) {
+                cumulative += m_rewardPerVotingPower;
+                cumulativeRewardPerVotingPower.push(
+                    SafeCast.toUint32(epoch),
+                    SafeCast.toUint224(cumulative)
+                );
+            }
+        }
+
+        accumulatedEpoch = toEpoch;
+    }
+
+    /// @dev Fetch the sum of the rewards per voting power of the epochs before an epoch, adding the ended
+    ///      epochs which are not accumulated yet.
+    /// @param epoch    The epoch to fetch the sum for, which must not be after the current epoch.
+    /// @return cumulative The sum of the rewards per voting power, scaled by 1e18.
+    function _cumulativeAt(
+        uint256 epoch
+    ) private view returns (uint256 cumulative) {
+        uint256 m_accumulatedEpoch = accumulatedEpoch;
+        if (epoch <= m_accumulatedEpoch)
+            return
+                cumulativeRewardPerVotingPower.upperLookupRecent(
+                    SafeCast.toUint32(epoch)
+                );
+
+        cumulative = cumulativeRewardPerVotingPower.latest();
+        for (uint256 i = m_accumulatedEpoch; i < epoch; ) {
+            cumulative += rewardPerVotingPower(i);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /// @dev Sum the rewards of an account from its first epoch not claimed yet, in at most `maxSteps` steps.
+    ///      Every step covers the epochs until the next change of the voting power of the account, or a
+    ///      single epoch while it decays, so the epochs before its first lock are skipped at once.
+    /// @param account      The account to sum the rewards for.
+    /// @param maxSteps     The maximum number of steps.
+    /// @return amount The amount of reward tokens earned.
+    /// @return epoch  The first epoch which is not summed.
+    function _earned(
+        address account,
+        uint256 maxSteps
+    ) private view returns (uint256 amount, uint256 epoch) {
+        epoch = nextClaimEpoch[account];
+        uint256 toEpoch = currentEpoch();
+
+        for (uint256 step = 0; step < maxSteps && epoch < toEpoch; step++) {
+            uint256 start = _epochStart(epoch);
+            uint256 votingPower = lock.getPastOwnVotingPower(account, start);
+
+            // the voting power only decays until the next change, it is constant if it ends where it starts.
+            uint256 next = lock.getNextOwnChange(account, start);
+            uint256 end = next == 0
+                ? toEpoch
+                : Math.min(toEpoch, _firstEpochFrom(next));
+            if (
+                votingPower != 0 &&
+                end - epoch > 1 &&
+                lock.getPastOwnVotingPower(account, _epochStart(end - 1)) !=
+                votingPower
+            ) end = epoch + 1;
+
+            amount += votingPower * (_cumulativeAt(end) - _cumulativeAt(epoch));
+            epoch = end;
+        }
+
+        amount /= PRECISION;
+    }
+
+    /// @dev Fetch the first epoch which starts at or after a timestamp.
+    /// @param timepoint    The timestamp to fetch the epoch for.
+    /// @return The first epoch starting at or after the timestamp.
+    function _firstEpochFrom(uint256 timepoint) private view returns (uint256) {
+        if (timepoint <= startTime) return 0;
+
+        return (timepoint - startTime + EPOCH_DURATION - 1) / EPOCH_DURATION;
+    }
+
+    /// @dev Fetch the start time of an epoch.
+    /// @param epoch    The epoch to fetch the start time for.
+    /// @return The start time of the epoch.
+    function _epochStart(uint256 epoch) private view returns (uint256) {
+        return startTime + epoch * EPOCH_DURATION;
+    }
+}
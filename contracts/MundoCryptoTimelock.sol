@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/* @title  MundoCryptoTimelock
+ * @notice MundoCryptoTimelock executes the proposals of the MundoCryptoGovernor after a delay,
+ *         giving the users time to exit before a proposal they disagree with is executed.
+ *
+ *         The governor should be the only proposer and canceller. Setting the zero address as
+ *         executor allows anyone to execute a proposal once its delay is over.
+ *
+ **/
+contract MundoCryptoTimelock is TimelockController {
+    /// @dev Set the delay and the roles of the timelock.
+    /// @param _minDelay    The minimum delay of an operation, in seconds.
+    /// @param _proposers   The accounts allowed to schedule and cancel operations.
+    /// @param _executors   The accounts allowed to execute operations.
+    /// @param _admin       The optional admin for the initial setup, the zero address to disable it.
+    constructor(
+        uint256 _minDelay,
+        address[] memory _proposers,
+        address[] memory _executors,
+        address _admin
+    ) TimelockController(_minDelay, _proposers, _executors, _admin) {}
+}
@@ -3,29 +3,133 @@ pragma solidity 0.8.10;
 
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/IMundoCryptoLockSuccessor.sol";
+import "./libraries/VotingPowerHistory.sol";
+import "./MundoCryptoLockPositions.sol";
 
 /* @title  MundoCryptoTokenLock
  * @notice MundoCryptoTokenLock allows the users to lock their wMCT tokens to increase their voting power
- *         for the governance. Users can lock their tokens for three different locking periods.
+ *         for the governance. Users can lock their tokens for the locking periods (tiers) of the registry.
+ *
+ *         Every tier has a lock time and a voting power multiplier. The registry starts with three tiers:
  *
  *         Locking for six months will increase their voting power of locked tokens by 2.
  *         Locking for one year will increase their voting power of locked tokens by 4.
  *         Locking for two years will increase their voting power of locked tokens by 10.
  *
+ *         A locked position can be withdrawn early for a penalty, which is 50% of its amount at the lock
+ *         time and shrinks linearly to zero at the unlock time. The penalty goes to the treasury, or when
+ *         no treasury is set, it is spread to the remaining positions pro-rata to their amounts and paid
+ *         out when they are withdrawn.
+ *
+ *         Tokens can be locked in a single transaction with an EIP-2612 permit, or by a relayer with an
+ *         EIP-712 signature of the user. Granters, e.g. the treasury, can lock their tokens in positions of
+ *         other accounts, which cannot be withdrawn early or transferred before an optional cliff.
+ *
+ *         A lock credits the tokens the contract actually receives, so with a token which charges a fee
+ *         on transfer the position holds the amount after the fee. Rebasing tokens are not supported:
+ *         a positive rebase is not passed on to the positions and can be rescued by the governance,
+ *         while a negative rebase leaves the last positions short.
+ *
+ *         The governance can add tiers and disable them. The terms of a tier never change, so the
+ *         existing locks keep the terms they were created with, even when their tier is disabled.
+ *
+ *         Every lock is a separate position with its own amount, start and unlock time, which can be
+ *         withdrawn on its own once it is unlocked. While a position is locked, it can be moved to a
+ *         longer period or topped up with more tokens.
+ *
+ *         Every position is an ERC-721 token of the MundoCryptoLockPositions contract deployed by the lock.
+ *         Its voting power and withdrawal rights follow the holder of the token. Positions of the same
+ *         period can be merged into one, or split in two.
+ *
+ *         In the linear decay mode, the voting power of locked tokens decreases linearly with the time
+ *         left until their unlock time, from the multiplier above down to zero, so there is no cliff
+ *         at the end of the lock.
+ *
+ *         The voting power of every account and the total voting power are checkpointed, so the
+ *         voting power at a past timestamp can be fetched, e.g. at the snapshot of a proposal.
+ *
+ *         Lockers can delegate the voting power of all their positions to a delegate, directly or with an
+ *         EIP-712 signature. Delegation is not transitive: a delegate votes with the power delegated to
+ *         it, while its own power goes to its own delegate.
+ *
+ *         A guardian can pause new locks, top-ups and extensions, while the positions can still be
+ *         withdrawn. If the lock or the token is compromised, the governance can turn on the emergency
+ *         mode, which stops new locks for good and lets every position be withdrawn at once, without
+ *         penalty or cliff. The governance can also rescue other tokens sent to the lock by mistake, and
+ *         the locked token above what the positions are owed.
+ *
+ *         To move to a new lock, the governance approves a successor contract. Lockers can then migrate
+ *         their live positions to it, with their tokens and terms, and keep their unlock times.
+ *
  **/
-contract MundoCryptoTokenLock is ReentrancyGuard {
+contract MundoCryptoTokenLock is
+    ReentrancyGuard,
+    Pausable,
+    AccessControl,
+    EIP712
+{
     /// @dev using SafeERC20 library to handle token transfer.
     using SafeERC20 for IERC20;
+    /// @dev using VotingPowerHistory library to checkpoint the voting power.
+    using VotingPowerHistory for VotingPowerHistory.History;
+    /// @dev using EnumerableSet library to track the positions of every account.
+    using EnumerableSet for EnumerableSet.UintSet;
 
     /// @dev Token used for locking.
     IERC20 public immutable lockingToken;
 
-    /// @dev defining constants for locking periods.
+    /// @dev Whether the voting power decays linearly until the unlock time.
+    bool public immutable linearDecay;
+
+    /// @dev The ERC-721 token of the positions.
+    MundoCryptoLockPositions public immutable positionToken;
+
+    /// @dev Role allowed to manage the tiers.
+    bytes32 public constant GOVERNANCE_ROLE = keccak256("GOVERNANCE_ROLE");
+
+    /// @dev Role allowed to pause the locks.
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @dev Role allowed to lock tokens in positions of other accounts.
+    bytes32 public constant GRANTER_ROLE = keccak256("GRANTER_ROLE");
+
+    /// @dev defining constants for the initial locking periods.
     uint256 private constant LOCK_TIME_SIX_MONTHS = 182 * 1 days;
     uint256 private constant LOCK_TIME_ONE_YEARS = 365 * 1 days;
     uint256 private constant LOCK_TIME_TWO_YEARS = 730 * 1 days;
 
+    /// @dev Type hash of the signed locks submitted by a relayer.
+    bytes32 public constant LOCK_TOKENS_TYPEHASH =
+        keccak256(
+            "LockTokens(address account,uint256 amount,uint256 period,uint256 nonce,uint256 deadline)"
+        );
+
+    /// @dev Type hash of the signed delegations.
+    bytes32 public constant DELEGATION_TYPEHASH =
+        keccak256("Delegation(address delegatee,uint256 nonce,uint256 expiry)");
+
+    /// @dev Penalty of an early withdrawal at the lock time, in basis points of the amount.
+    uint256 public constant MAX_EARLY_WITHDRAW_PENALTY = 5_000;
+    uint256 private constant BASIS_POINTS = 10_000;
+
+    /// @dev Precision of the penalty shares per locked token.
+    uint256 private constant SHARE_PRECISION = 1e18;
+
+    /// @dev defining constants for voting power multipliers of the initial locking periods.
+    uint256 private constant MULTIPLIER_SIX_MONTHS = 2;
+    uint256 private constant MULTIPLIER_ONE_YEARS = 4;
+    uint256 private constant MULTIPLIER_TWO_YEARS = 10;
+
     /// @dev Revert with an error when user tries to deposit more tokens than their balance.
     error InsufficientBalance();
     /// @dev Revert with an error when user tries to withdraw tokens before lock period.
@@ -34,8 +138,40 @@ contract MundoCryptoTokenLock is ReentrancyGuard {
     error ZeroValuedParam();
     /// @dev Revert with an error when invalid period is given as input.
     error InvalidPeriod();
-    /// @dev Revert when user tries to lock more tokens but the period is completed.
-    error LockedPeriodCompleted();
+    /// @dev Revert when user tries to lock tokens for a disabled tier.
+    error TierNotActive();
+    /// @dev Revert when a tier is added with a zero lock time or multiplier.
+    error InvalidTier();
+    /// @dev Revert when user tries to withdraw but has no locked tokens.
+    error NothingToWithdraw();
+    /// @dev Revert when user tries to use a position they do not own.
+    error NotPositionOwner();
+    /// @dev Revert when user tries to update a position which is already unlocked.
+    error LockExpired();
+    /// @dev Revert when a signature is used after its deadline.
+    error ExpiredSignature();
+    /// @dev Revert when a signature is not signed by the account.
+    error InvalidSignature();
+    /// @dev Revert when the voting power is fetched at a timepoint which is not in the past.
+    error FutureLookup();
+    /// @dev Revert when the arrays of a batch have different lengths.
+    error LengthMismatch();
+    /// @dev Revert when an account other than the position token moves a position.
+    error NotPositionToken();
+    /// @dev Revert when a position is merged with itself or with a position of another period.
+    error InvalidMerge();
+    /// @dev Revert when a position is split without leaving tokens in both parts.
+    error InvalidSplit();
+    /// @dev Revert when tokens are locked in the emergency mode, or it is turned on twice.
+    error EmergencyModeActive();
+    /// @dev Revert when the governance tries to rescue the locked token owed to the positions.
+    error InvalidRescue();
+    /// @dev Revert when user tries to migrate before the governance approved a successor.
+    error NoSuccessor();
+    /// @dev Revert when a position is granted with a cliff after its unlock time.
+    error InvalidCliff();
+    /// @dev Revert when a position would hold less than the minimum lock amount.
+    error AmountTooSmall();
 
     /**
      * @dev A LockingData specifies the amount locked and the
@@ -49,172 +185,1492 @@ contract MundoCryptoTokenLock is ReentrancyGuard {
         uint256 unlockTime;
     }
 
-    /// @dev Tracks the user locking data for different period.
-    mapping(address => mapping(uint256 => LockingData)) private userLockingData;
+    /**
+     * @dev A LockPosition specifies a single lock of an account.
+     *
+     *      id          : is the id of the position.
+     *      owner       : is the account which owns the locked tokens.
+     *      period      : is the lock period of the position.
+     *      amount      : is the amount of tokens locked.
+     *      startTime   : is the time at which the tokens were locked.
+     *      unlockTime  : is the unlock time of the tokens.
+     */
+    struct LockPosition {
+        uint256 id;
+        address owner;
+        uint256 period;
+        uint256 amount;
+        uint256 startTime;
+        uint256 unlockTime;
+    }
+
+    /**
+     * @dev A Tier specifies the terms of a locking period.
+     *
+     *      lockTime    : is the time for which the tokens are locked.
+     *      multiplier  : is the voting power multiplier of the locked tokens.
+     *      active      : is whether tokens can be locked for the tier.
+     */
+    struct Tier {
+        uint256 lockTime;
+        uint256 multiplier;
+        bool active;
+    }
+
+    /// @dev The tiers, the period of a lock is the index of its tier.
+    Tier[] private tiers;
+
+    /// @dev The id of the next position, ids start at 1.
+    uint256 private nextPositionId = 1;
+
+    /// @dev Tracks the positions by id.
+    mapping(uint256 => LockPosition) private positions;
+
+    /// @dev Tracks the ids of the positions of every account.
+    mapping(address => EnumerableSet.UintSet) private userPositionIds;
+
+    /// @dev The total amount of tokens locked in the positions.
+    uint256 public totalLocked;
+
+    /// @dev Tracks the total amount of tokens locked in the positions of every period.
+    mapping(uint256 => uint256) public totalLockedByPeriod;
+
+    /// @dev The account receiving the early withdrawal penalties, they are redistributed when it is zero.
+    address public treasury;
+
+    /// @dev The minimum amount of tokens of a position, so positions cannot be dust pushed on other accounts.
+    uint256 public minLockAmount;
+
+    /// @dev The sum of the redistributed penalties per locked token, scaled by SHARE_PRECISION.
+    uint256 private penaltyPerToken;
+
+    /// @dev Tracks the penalty per token already accounted for every position, scaled by the amount.
+    mapping(uint256 => uint256) private penaltyDebt;
+
+    /// @dev The redistributed penalties which are not paid out to the positions yet.
+    uint256 private unpaidPenalties;
+
+    /// @dev Tracks the nonce of the next signed lock of every account.
+    mapping(address => uint256) public nonces;
+
+    /// @dev Tracks the time before which the granted positions cannot be withdrawn early or transferred.
+    mapping(uint256 => uint256) public positionCliff;
+
+    /// @dev Tracks the delegate of every account, zero if the account votes itself.
+    mapping(address => address) private delegatees;
+
+    /// @dev The contract approved by the governance to receive the migrated positions, zero if there is none.
+    address public successor;
+
+    /// @dev Whether the emergency mode is on, the positions can then be withdrawn without penalty or cliff.
+    bool public emergencyMode;
+
+    /// @dev Tracks the voting power history of every delegate, accounts are their own delegate by default.
+    mapping(address => VotingPowerHistory.History) private votingPowerHistory;
+
+    /// @dev Tracks the total voting power history of all the accounts.
+    VotingPowerHistory.History private totalVotingPowerHistory;
+
+    /// @dev Tracks the voting power history of the positions of every account, regardless of its delegate.
+    mapping(address => VotingPowerHistory.History)
+        private ownVotingPowerHistory;
 
     /// @dev Emit an event when the user locks the token for certain period.
     /// @param account      The user account whose tokens are locked.
+    /// @param positionId   The id of the position created for the lock.
     /// @param amount       The amount of tokens to be locked.
     /// @param lockPeriod   The lock period for which the tokens the locked.
+    /// @param unlockTime   The unlock time of the tokens.
     event TokensLocked(
         address indexed account,
+        uint256 indexed positionId,
         uint256 amount,
-        uint256 lockPeriod
+        uint256 lockPeriod,
+        uint256 unlockTime
     );
     /// @dev Emit an event when tokens are withdrawn after the locking period ends.
     /// @param account      The user account whose tokens are locked.
+    /// @param positionId   The id of the position which is withdrawn.
     /// @param amount       The amount of tokens that are locked.
     /// @param lockPeriod   The lock period for which the tokens were locked.
     /// @param currentTime  Current timestamp.
     event TokensWithdrawn(
         address indexed account,
+        uint256 indexed positionId,
         uint256 amount,
         uint256 lockPeriod,
         uint256 currentTime
     );
 
-    /// @dev Set the ERC20 token which will be locked.
-    /// @param _token The ERC20 token which will be locked.
-    constructor(address _token) {
-        // assign the token to the immutable variable.
+    /// @dev Emit an event when the user moves a position to a longer lock period.
+    /// @param account      The user account whose tokens are locked.
+    /// @param positionId   The id of the position which is extended.
+    /// @param oldPeriod    The lock period the tokens were locked for.
+    /// @param newPeriod    The lock period the tokens are now locked for.
+    /// @param unlockTime   The new unlock time of the tokens.
+    event LockExtended(
+        address indexed account,
+        uint256 indexed positionId,
+        uint256 oldPeriod,
+        uint256 newPeriod,
+        uint256 unlockTime
+    );
+    /// @dev Emit an event when the user locks more tokens in a position.
+    /// @param account      The user account whose tokens are locked.
+    /// @param positionId   The id of the position which is increased.
+    /// @param amount       The amount of tokens added to the position.
+    /// @param totalAmount  The amount of tokens locked in the position.
+    /// @param unlockTime   The unlock time of the tokens.
+    event LockAmountIncreased(
+        address indexed account,
+        uint256 indexed positionId,
+        uint256 amount,
+        uint256 totalAmount,
+        uint256 unlockTime
+    );
+    /// @dev Emit an event when a position is transferred with its token.
+    /// @param from         The previous owner of the position.
+    /// @param to           The new owner of the position.
+    /// @param positionId   The id of the position.
+    event PositionTransferred(
+        address indexed from,
+        address indexed to,
+        uint256 indexed positionId
+    );
+    /// @dev Emit an event when the user merges a position into another one.
+    /// @param account      The user account whose tokens are locked.
+    /// @param fromId       The id of the position which is merged and closed.
+    /// @param toId         The id of the position which receives the tokens.
+    /// @param totalAmount  The amount of tokens locked in the merged position.
+    /// @param unlockTime   The unlock time of the merged position.
+    event PositionsMerged(
+        address indexed account,
+        uint256 indexed fromId,
+        uint256 indexed toId,
+        uint256 totalAmount,
+        uint256 unlockTime
+    );
+    /// @dev Emit an event when the user splits a position in two.
+    /// @param account          The user account whose tokens are locked.
+    /// @param positionId       The id of the position which is split.
+    /// @param newPositionId    The id of the position created with the split tokens.
+    /// @param amount           The amount of tokens moved to the new position.
+    event PositionSplit(
+        address indexed account,
+        uint256 indexed positionId,
+        uint256 indexed newPositionId,
+        uint256 amount
+    );
+
+    /// @dev Emit an event when an account changes its delegate.
+    /// @param delegator    The account whose voting power is delegated.
+    /// @param fromDelegate The previous delegate.
+    /// @param toDelegate   The new delegate.
+    event DelegateChanged(
+        address indexed delegator,
+        address indexed fromDelegate,
+        address indexed toDelegate
+    );
+    /// @dev Emit an event when the voting power of a delegate changes with a transaction.
+    /// @param delegate         The delegate.
+    /// @param previousBalance  The voting power of the delegate before the change.
+    /// @param newBalance       The voting power of the delegate after the change.
+    event DelegateVotesChanged(
+        address indexed delegate,
+        uint256 previousBalance,
+        uint256 newBalance
+    );
+
+    /// @dev Emit an event when the user withdraws a position before its unlock time.
+    /// @param account      The user account whose tokens were locked.
+    /// @param positionId   The id of the position which is withdrawn.
+    /// @param penalty      The amount of tokens charged as penalty.
+    /// @param treasury     The treasury receiving the penalty, zero if it is redistributed.
+    event EarlyWithdrawPenalty(
+        address indexed account,
+        uint256 indexed positionId,
+        uint256 penalty,
+        address treasury
+    );
+    /// @dev Emit an event when tokens are locked for a beneficiary by another account.
+    /// @param granter      The account which funded the lock.
+    /// @param beneficiary  The account owning the position.
+    /// @param positionId   The id of the position created for the lock.
+    /// @param cliff        The time before which the position cannot be withdrawn early, zero if there is none.
+    event LockGranted(
+        address indexed granter,
+        address indexed beneficiary,
+        uint256 indexed positionId,
+        uint256 cliff
+    );
+    /// @dev Emit an event when the treasury is updated.
+    /// @param oldTreasury  The previous treasury.
+    /// @param newTreasury  The new treasury, zero to redistribute the penalties.
+    event TreasuryUpdated(address oldTreasury, address newTreasury);
+    /// @dev Emit an event when the minimum lock amount is updated.
+    /// @param oldAmount    The previous minimum amount.
+    /// @param newAmount    The new minimum amount.
+    event MinLockAmountUpdated(uint256 oldAmount, uint256 newAmount);
+    /// @dev Emit an event when the successor is updated.
+    /// @param oldSuccessor The previous successor.
+    /// @param newSuccessor The new successor, zero to stop the migrations.
+    event SuccessorUpdated(address oldSuccessor, address newSuccessor);
+    /// @dev Emit an event when a position is migrated to the successor.
+    /// @param account      The user account whose tokens were locked.
+    /// @param positionId   The id of the migrated position.
+    /// @param successor    The successor receiving the position.
+    /// @param amount       The amount of tokens transferred, including the redistributed penalties.
+    event PositionMigrated(
+        address indexed account,
+        uint256 indexed positionId,
+        address indexed successor,
+        uint256 amount
+    );
+    /// @dev Emit an event when a tier is added.
+    /// @param period       The period of the tier.
+    /// @param lockTime     The time for which the tokens are locked.
+    /// @param multiplier   The voting power multiplier of the locked tokens.
+    event TierAdded(
+        uint256 indexed period,
+        uint256 lockTime,
+        uint256 multiplier
+    );
+    /// @dev Emit an event when a tier is disabled.
+    /// @param period       The period of the tier.
+    event TierDisabled(uint256 indexed period);
+    /// @dev Emit an event when the governance turns on the emergency mode.
+    /// @param account      The account which turned on the emergency mode.
+    event EmergencyModeEnabled(address indexed account);
+    /// @dev Emit an event when tokens sent to the lock by mistake are rescued.
+    /// @param token        The rescued token.
+    /// @param to           The account receiving the tokens.
+    /// @param amount       The amount of tokens rescued.
+    event TokensRescued(
+        address indexed token,
+        address indexed to,
+        uint256 amount
+    );
+
+    /// @dev Set the ERC20 token which will be locked, the voting power mode, the admin and the initial tiers.
+    /// @param _token       The ERC20 token which will be locked.
+    /// @param _linearDecay Whether the voting power decays linearly until the unlock time.
+    /// @param _admin       The account which manages the tiers and the roles, and pauses the locks.
+    constructor(
+        address _token,
+        bool _linearDecay,
+        address _admin
+    ) EIP712("MundoCryptoTokenLock", "1") {
+        // assign the token and the mode to the immutable variables.
         lockingToken = IERC20(_token);
+        linearDecay = _linearDecay;
+        positionToken = new MundoCryptoLockPositions();
+
+        // a position holds at least one whole token by default, the decimals are optional in ERC20.
+        try IERC20Metadata(_token).decimals() returns (uint8 decimals) {
+            minLockAmount = 10 ** decimals;
+        } catch {
+            minLockAmount = 1e18;
+        }
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(GOVERNANCE_ROLE, _admin);
+        _grantRole(GUARDIAN_ROLE, _admin);
+        _grantRole(GRANTER_ROLE, _admin);
+
+        _addTier(LOCK_TIME_SIX_MONTHS, MULTIPLIER_SIX_MONTHS);
+        _addTier(LOCK_TIME_ONE_YEARS, MULTIPLIER_ONE_YEARS);
+        _addTier(LOCK_TIME_TWO_YEARS, MULTIPLIER_TWO_YEARS);
+    }
+
+    /// @dev Allows the governance to add a tier, its period is the number of tiers before it.
+    /// @param lockTime     The time for which the tokens are locked.
+    /// @param multiplier   The voting power multiplier of the locked tokens.
+    /// @return period The period of the tier.
+    function addTier(
+        uint256 lockTime,
+        uint256 multiplier
+    ) external onlyRole(GOVERNANCE_ROLE) returns (uint256 period) {
+        return _addTier(lockTime, multiplier);
+    }
+
+    /// @dev Allows the governance to disable a tier. The existing locks of the tier are not affected.
+    /// @param period   The period of the tier.
+    function disableTier(uint256 period) external onlyRole(GOVERNANCE_ROLE) {
+        // revert if the tier does not exist or is disabled already.
+        if (period >= tiers.length) revert InvalidPeriod();
+        if (!tiers[period].active) revert TierNotActive();
+
+        tiers[period].active = false;
+
+        emit TierDisabled(period);
+    }
+
+    /// @dev Allows the governance to set the treasury receiving the early withdrawal penalties.
+    /// @param _treasury    The treasury, zero to redistribute the penalties to the remaining positions.
+    function setTreasury(address _treasury) external onlyRole(GOVERNANCE_ROLE) {
+        emit TreasuryUpdated(treasury, _treasury);
+
+        treasury = _treasury;
+    }
+
+    /// @dev Allows the governance to set the minimum amount of tokens of a position.
+    /// @param _minLockAmount   The minimum amount, zero to allow any amount.
+    function setMinLockAmount(
+        uint256 _minLockAmount
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        emit MinLockAmountUpdated(minLockAmount, _minLockAmount);
+
+        minLockAmount = _minLockAmount;
+    }
+
+    /// @dev Allows the governance to approve the successor receiving the migrated positions.
+    /// @param _successor   The successor, zero to stop the migrations.
+    function setSuccessor(
+        address _successor
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        emit SuccessorUpdated(successor, _successor);
+
+        successor = _successor;
+    }
+
+    /// @dev Allows the guardian to pause new locks, top-ups and extensions.
+    function pause() external onlyRole(GUARDIAN_ROLE) {
+        _pause();
+    }
+
+    /// @dev Allows the guardian to resume the locks.
+    function unpause() external onlyRole(GUARDIAN_ROLE) {
+        _unpause();
+    }
+
+    /// @dev Allows the governance to turn on the emergency mode, which cannot be turned off.
+    ///      New locks stop and every position can be withdrawn at once without penalty or cliff.
+    function enableEmergencyMode() external onlyRole(GOVERNANCE_ROLE) {
+        // revert if the emergency mode is on already.
+        if (emergencyMode) revert EmergencyModeActive();
+
+        emergencyMode = true;
+
+        emit EmergencyModeEnabled(msg.sender);
+    }
+
+    /// @dev Allows the governance to rescue tokens sent to the lock by mistake, or the locked token above
+    ///      the locked amounts and the unpaid penalties, e.g. after a positive rebase.
+    /// @param token    The token to rescue.
+    /// @param to       The account receiving the tokens.
+    /// @param amount   The amount of tokens to rescue.
+    function rescueTokens(
+        IERC20 token,
+        address to,
+        uint256 amount
+    ) external onlyRole(GOVERNANCE_ROLE) {
+        // revert if the governance tries to take the locked tokens or the penalties owed to the positions.
+        if (
+            token == lockingToken &&
+            amount + totalLocked + unpaidPenalties >
+            token.balanceOf(address(this))
+        ) revert InvalidRescue();
+
+        token.safeTransfer(to, amount);
+
+        emit TokensRescued(address(token), to, amount);
     }
 
     /// @dev Allows the user to lock their tokens for a particular time period.
+    ///      Every lock creates a new position with its own unlock time.
     /// @param amount   The amount of tokens to lock.
     /// @param period   The lock period for which the tokens are to be locked.
-    function lockTokens(uint256 amount, uint256 period) external {
+    /// @return positionId The id of the position created for the lock.
+    function lockTokens(
+        uint256 amount,
+        uint256 period
+    ) external returns (uint256 positionId) {
+        return _lockTokens(msg.sender, msg.sender, amount, period);
+    }
+
+    /// @dev Allows the user to approve and lock their tokens in a single transaction with an EIP-2612 permit.
+    /// @param amount   The amount of tokens to lock.
+    /// @param period   The lock period for which the tokens are to be locked.
+    /// @param deadline The deadline of the permit.
+    /// @param v        The recovery id of the permit signature.
+    /// @param r        The r value of the permit signature.
+    /// @param s        The s value of the permit signature.
+    /// @return positionId The id of the position created for the lock.
+    function lockTokensWithPermit(
+        uint256 amount,
+        uint256 period,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 positionId) {
+        // the permit may have been submitted by someone else already, the transfer fails without allowance.
+        try
+            IERC20Permit(address(lockingToken)).permit(
+                msg.sender,
+                address(this),
+                amount,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+
+        return _lockTokens(msg.sender, msg.sender, amount, period);
+    }
+
+    /// @dev Allows a relayer to lock the tokens of an account with an EIP-712 signature of the account.
+    ///      The account must have approved the tokens, e.g. with a permit submitted by the relayer.
+    /// @param account  The account whose tokens are locked.
+    /// @param amount   The amount of tokens to lock.
+    /// @param period   The lock period for which the tokens are to be locked.
+    /// @param deadline The deadline of the signature.
+    /// @param v        The recovery id of the signature.
+    /// @param r        The r value of the signature.
+    /// @param s        The s value of the signature.
+    /// @return positionId The id of the position created for the lock.
+    function lockTokensFor(
+        address account,
+        uint256 amount,
+        uint256 period,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 positionId) {
+        // revert if the signature is used after its deadline.
+        if (block.timestamp > deadline) revert ExpiredSignature();
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                LOCK_TOKENS_TYPEHASH,
+                account,
+                amount,
+                period,
+                nonces[account]++,
+                deadline
+            )
+        );
+
+        // revert if the signature is not signed by the account.
+        if (ECDSA.recover(_hashTypedDataV4(structHash), v, r, s) != account)
+            revert InvalidSignature();
+
+        return _lockTokens(account, account, amount, period);
+    }
+
+    /// @dev Allows the granters to lock their tokens in a new position of a beneficiary.
+    /// @param beneficiary  The account owning the position.
+    /// @param amount       The amount of tokens to lock.
+    /// @param period       The lock period for which the tokens are to be locked.
+    /// @return positionId The id of the position created for the lock.
+    function grantLock(
+        address beneficiary,
+        uint256 amount,
+        uint256 period
+    ) external onlyRole(GRANTER_ROLE) returns (uint256 positionId) {
+        return _grantLock(beneficiary, amount, period, 0);
+    }
+
+    /// @dev Allows the granters to lock their tokens in new positions of many beneficiaries, e.g. for team
+    ///      and investor allocations. A granted position cannot be withdrawn early or transferred before
+    ///      its cliff, which is at the latest its unlock time.
+    /// @param beneficiaries    The accounts owning the positions.
+    /// @param amounts          The amounts of tokens to lock.
+    /// @param periods          The lock periods for which the tokens are to be locked.
+    /// @param cliffs           The cliffs of the positions, zero or empty for none.
+    /// @return positionIds The ids of the positions created for the locks.
+    function grantLockBatch(
+        address[] calldata beneficiaries,
+        uint256[] calldata amounts,
+        uint256[] calldata periods,
+        uint256[] calldata cliffs
+    ) external onlyRole(GRANTER_ROLE) returns (uint256[] memory positionIds) {
+        uint256 length = beneficiaries.length;
+
+        // revert if the arrays do not describe the same locks.
+        if (
+            amounts.length != length ||
+            periods.length != length ||
+            (cliffs.length != 0 && cliffs.length != length)
+        ) revert LengthMismatch();
+
+        positionIds = new uint256[](length);
+        for (uint256 i = 0; i < length; i++) {
+            positionIds[i] = _grantLock(
+                beneficiaries[i],
+                amounts[i],
+                periods[i],
+                cliffs.length == 0 ? 0 : cliffs[i]
+            );
+        }
+    }
+
+    /// @dev Allows the user to move a locked position to a longer lock period.
+    ///      The unlock time restarts from now with the lock time of the new period.
+    /// @param positionId   The id of the position to extend.
+    /// @param newPeriod    The longer lock period for which the tokens are to be locked.
+    function extendLock(uint256 positionId, uint256 newPeriod) external {
+        LockPosition storage s_position = _livePosition(positionId);
+
+        // revert if the locks are stopped, or user tries to move the tokens to an invalid, disabled or shorter lock period.
+        _checkLockable(newPeriod);
+        if (_lockTime(newPeriod) <= _lockTime(s_position.period))
+            revert InvalidPeriod();
+
+        // remove the voting power of the position until its old unlock time.
+        _removeVotingPower(s_position);
+
+        uint256 oldPeriod = s_position.period;
+        uint256 unlockTime;
+        unchecked {
+            unlockTime = block.timestamp + _lockTime(newPeriod);
+        }
+
+        s_position.period = newPeriod;
+        s_position.startTime = block.timestamp;
+        s_position.unlockTime = unlockTime;
+
+        // move the tokens of the position to the total of the new period.
+        totalLockedByPeriod[oldPeriod] -= s_position.amount;
+        totalLockedByPeriod[newPeriod] += s_position.amount;
+
+        // checkpoint the voting power added until the new unlock time.
+        _addVotingPower(s_position);
+
+        // Emit an event indicating the lock was extended.
+        emit LockExtended(
+            msg.sender,
+            positionId,
+            oldPeriod,
+            newPeriod,
+            unlockTime
+        );
+    }
+
+    /// @dev Allows the user to lock more tokens in a locked position.
+    /// @param positionId       The id of the position to increase.
+    /// @param amount           The amount of tokens to add to the position.
+    /// @param resetUnlockTime  Whether the unlock time restarts from now with the lock time of the period.
+    function increaseLockAmount(
+        uint256 positionId,
+        uint256 amount,
+        bool resetUnlockTime
+    ) external {
         // revert if user tries to lock zero tokens.
         if (amount == 0) revert ZeroValuedParam();
 
-        // revert if user tries to lock tokens for invalid lock period.
-        if (period > 3) revert InvalidPeriod();
+        LockPosition storage s_position = _livePosition(positionId);
+
+        // revert if the locks are stopped or the tier of the position is disabled.
+        _checkLockable(s_position.period);
 
         // revert if user tires to lock more tokens than their balance.
         if (amount > lockingToken.balanceOf(msg.sender))
             revert InsufficientBalance();
 
-        LockingData storage s_lockingData = userLockingData[msg.sender][period];
-
-        // if locking for the first time in a period, set the unlock time.
-        // else just update the amount and keep the unlock period as it is.
-        if (s_lockingData.amount == 0) {
-            if (period == 0) {
-                unchecked {
-                    s_lockingData.unlockTime =
-                        block.timestamp +
-                        LOCK_TIME_SIX_MONTHS;
-                }
-            }
-            if (period == 1) {
-                unchecked {
-                    s_lockingData.unlockTime =
-                        block.timestamp +
-                        LOCK_TIME_ONE_YEARS;
-                }
-            }
-            if (period == 2) {
-                unchecked {
-                    s_lockingData.unlockTime =
-                        block.timestamp +
-                        LOCK_TIME_TWO_YEARS;
-                }
+        // credit the tokens which arrived, a fee-on-transfer token delivers less than the amount.
+        amount = _pullTokens(msg.sender, amount);
+
+        // remove the voting power of the position with its old amount.
+        _removeVotingPower(s_position);
+
+        s_position.amount += amount;
+        totalLocked += amount;
+        totalLockedByPeriod[s_position.period] += amount;
+        penaltyDebt[positionId] += amount * penaltyPerToken;
+        if (resetUnlockTime) {
+            s_position.startTime = block.timestamp;
+            unchecked {
+                s_position.unlockTime =
+                    block.timestamp +
+                    _lockTime(s_position.period);
             }
-            // if user tries to lock tokens after the period ends, revert.
-        } else {
-            if (block.timestamp > s_lockingData.unlockTime)
-                revert LockedPeriodCompleted();
         }
 
-        // update the locking amount.
-        s_lockingData.amount += amount;
+        // checkpoint the voting power of the position with its new amount.
+        _addVotingPower(s_position);
 
-        // Emit an event indicating tokens were locked.
-        emit TokensLocked(msg.sender, amount, period);
+        // Emit an event indicating tokens were added to the position.
+        emit LockAmountIncreased(
+            msg.sender,
+            positionId,
+            amount,
+            s_position.amount,
+            s_position.unlockTime
+        );
+    }
+
+    /// @dev Allows the user to merge a locked position into another locked position of the same period.
+    ///      The merged position keeps the later unlock time and cliff of the two.
+    /// @param fromId   The id of the position which is merged and closed.
+    /// @param toId     The id of the position which receives the tokens.
+    function mergePositions(uint256 fromId, uint256 toId) external {
+        LockPosition storage s_from = _livePosition(fromId);
+        LockPosition storage s_to = _livePosition(toId);
 
-        // Transfer the tokens from user to the contract.
-        lockingToken.transferFrom(msg.sender, address(this), amount);
+        // revert if the positions are the same or have different periods.
+        if (fromId == toId || s_from.period != s_to.period)
+            revert InvalidMerge();
+
+        // remove the voting power of both positions until their unlock times.
+        _removeVotingPower(s_from);
+        _removeVotingPower(s_to);
+
+        s_to.amount += s_from.amount;
+        if (s_from.unlockTime > s_to.unlockTime) {
+            s_to.startTime = s_from.startTime;
+            s_to.unlockTime = s_from.unlockTime;
+        }
+        if (positionCliff[fromId] > positionCliff[toId])
+            positionCliff[toId] = positionCliff[fromId];
+
+        // the merged position keeps the penalties shared with both positions.
+        penaltyDebt[toId] += penaltyDebt[fromId];
+
+        delete positions[fromId];
+        delete penaltyDebt[fromId];
+        delete positionCliff[fromId];
+        userPositionIds[msg.sender].remove(fromId);
+        positionToken.burn(fromId);
+
+        // checkpoint the voting power of the merged position.
+        _addVotingPower(s_to);
+
+        // Emit an event indicating the positions were merged.
+        emit PositionsMerged(
+            msg.sender,
+            fromId,
+            toId,
+            s_to.amount,
+            s_to.unlockTime
+        );
+    }
+
+    /// @dev Allows the user to split a locked position in two positions with the same terms.
+    /// @param positionId   The id of the position to split.
+    /// @param amount       The amount of tokens moved to the new position.
+    /// @return newPositionId The id of the position created with the split tokens.
+    function splitPosition(
+        uint256 positionId,
+        uint256 amount
+    ) external returns (uint256 newPositionId) {
+        LockPosition storage s_position = _livePosition(positionId);
+
+        // revert if either part would be empty, or hold less than the minimum amount.
+        if (amount == 0 || amount >= s_position.amount) revert InvalidSplit();
+        _checkAmount(amount);
+        _checkAmount(s_position.amount - amount);
+
+        // remove the voting power of the position with its old amount.
+        _removeVotingPower(s_position);
+
+        newPositionId = nextPositionId++;
+
+        // move the shared penalties pro-rata, rounding in favour of the remaining position.
+        uint256 debt = Math.ceilDiv(
+            penaltyDebt[positionId] * amount,
+            s_position.amount
+        );
+        penaltyDebt[positionId] -= debt;
+        penaltyDebt[newPositionId] = debt;
+
+        s_position.amount -= amount;
+        LockPosition memory m_position = LockPosition(
+            newPositionId,
+            msg.sender,
+            s_position.period,
+            amount,
+            s_position.startTime,
+            s_position.unlockTime
+        );
+        positions[newPositionId] = m_position;
+        positionCliff[newPositionId] = positionCliff[positionId];
+        userPositionIds[msg.sender].add(newPositionId);
+        positionToken.mint(msg.sender, newPositionId);
+
+        // checkpoint the voting power of both positions.
+        _addVotingPower(s_position);
+        _addVotingPower(m_position);
+
+        // Emit an event indicating the position was split.
+        emit PositionSplit(msg.sender, positionId, newPositionId, amount);
     }
 
-    /// @dev Allows the user to withdraw their locked tokens after the lock period ends.
+    /// @dev Move a position with its voting power and withdrawal rights when its token is transferred.
+    ///      A granted position cannot be transferred before its cliff.
+    /// @param from         The previous owner of the position.
+    /// @param to           The new owner of the position.
+    /// @param positionId   The id of the position.
+    function transferPosition(
+        address from,
+        address to,
+        uint256 positionId
+    ) external {
+        // revert if the call does not come from a transfer of the token.
+        if (msg.sender != address(positionToken)) revert NotPositionToken();
+
+        // revert if the position is granted with a cliff which has not ended.
+        if (positionCliff[positionId] > block.timestamp) revert TooEarly();
+
+        LockPosition storage s_position = positions[positionId];
+
+        // revert if the position holds less than the minimum amount, as it was locked before the minimum was raised.
+        _checkAmount(s_position.amount);
+
+        // move the voting power of the position until its unlock time.
+        _removeVotingPower(s_position);
+        s_position.owner = to;
+        _addVotingPower(s_position);
+
+        userPositionIds[from].remove(positionId);
+        userPositionIds[to].add(positionId);
+
+        // Emit an event indicating the position was transferred.
+        emit PositionTransferred(from, to, positionId);
+    }
+
+    /// @dev Allows the user to withdraw all their unlocked positions of a particular period, or all of them in the emergency mode.
     /// @param period   The lock period for which the tokens were locked.
     function withdrawTokens(uint256 period) external nonReentrant {
-        // revert if user tries to lock tokens for invalid lock period.
-        if (period > 3) revert InvalidPeriod();
+        // revert if user tries to withdraw tokens for invalid lock period.
+        if (period >= tiers.length) revert InvalidPeriod();
+
+        uint256[] memory positionIds = userPositionIds[msg.sender].values();
 
-        LockingData memory m_lockingData = userLockingData[msg.sender][period];
+        uint256 amount;
+        bool locked;
+        for (uint256 i = 0; i < positionIds.length; i++) {
+            LockPosition storage s_position = positions[positionIds[i]];
+            if (s_position.period != period) continue;
 
-        // Store the vars to use them later.
-        uint256 unlockTime = m_lockingData.unlockTime;
-        uint256 amount = m_lockingData.amount;
+            // keep the positions which are not unlocked yet, unless the emergency mode is on.
+            if (s_position.unlockTime > block.timestamp && !emergencyMode) {
+                locked = true;
+                continue;
+            }
 
-        // delete the user locking data.
-        delete userLockingData[msg.sender][period];
+            amount += _closePosition(positionIds[i]);
+        }
 
         // if the user tries to withdraw tokens before the period ends, revert.
-        if (unlockTime > block.timestamp) revert TooEarly();
+        if (amount == 0) {
+            if (locked) revert TooEarly();
+            revert NothingToWithdraw();
+        }
 
-        // Emit an event indicating tokens were withdrawn.
-        emit TokensWithdrawn(msg.sender, amount, period, block.timestamp);
+        // Transfer the tokens from the contract to the user.
+        lockingToken.safeTransfer(msg.sender, amount);
+    }
+
+    /// @dev Allows the user to withdraw a position after its lock period ends, or at any time in the emergency mode.
+    /// @param positionId   The id of the position to withdraw.
+    function withdrawPosition(uint256 positionId) external nonReentrant {
+        LockPosition storage s_position = positions[positionId];
+
+        // revert if the user does not own the position.
+        if (s_position.owner != msg.sender) revert NotPositionOwner();
+
+        // if the user tries to withdraw tokens before the period ends, revert.
+        if (s_position.unlockTime > block.timestamp && !emergencyMode)
+            revert TooEarly();
+
+        uint256 amount = _closePosition(positionId);
 
         // Transfer the tokens from the contract to the user.
-        lockingToken.transfer(msg.sender, amount);
+        lockingToken.safeTransfer(msg.sender, amount);
+    }
+
+    /// @dev Allows the user to withdraw a position before its unlock time, for a penalty.
+    ///      The position is paid out with its share of the redistributed penalties, minus its penalty.
+    /// @param positionId   The id of the position to withdraw.
+    function earlyWithdraw(uint256 positionId) external nonReentrant {
+        LockPosition storage s_position = _livePosition(positionId);
+
+        // revert if the position is granted with a cliff which has not ended.
+        if (_cliffActive(positionId)) revert TooEarly();
+
+        uint256 penalty = earlyWithdrawPenalty(positionId);
+        uint256 amount = _closePosition(positionId);
+
+        // spread the penalty to the remaining positions, it is waived if there are none.
+        address m_treasury = treasury;
+        if (m_treasury == address(0)) {
+            if (totalLocked == 0) penalty = 0;
+            else {
+                penaltyPerToken += (penalty * SHARE_PRECISION) / totalLocked;
+                unpaidPenalties += penalty;
+            }
+        }
+
+        // Emit an event indicating the penalty was charged.
+        emit EarlyWithdrawPenalty(msg.sender, positionId, penalty, m_treasury);
+
+        // Transfer the tokens from the contract to the user and the treasury.
+        lockingToken.safeTransfer(msg.sender, amount - penalty);
+        if (m_treasury != address(0) && penalty != 0)
+            lockingToken.safeTransfer(m_treasury, penalty);
+    }
+
+    /// @dev Allows the user to move locked positions to the successor, which keeps their unlock times.
+    ///      The positions are closed here and their tokens, with their share of the redistributed
+    ///      penalties, are transferred to the successor before it is called.
+    /// @param positionIds  The ids of the positions to migrate.
+    function migrate(uint256[] calldata positionIds) external nonReentrant {
+        address m_successor = successor;
+
+        // revert if the governance has not approved a successor.
+        if (m_successor == address(0)) revert NoSuccessor();
+        if (positionIds.length == 0) revert NothingToWithdraw();
+
+        IMundoCryptoLockSuccessor.MigratedPosition[]
+            memory m_migrated = new IMundoCryptoLockSuccessor.MigratedPosition[](
+                positionIds.length
+            );
+        uint256 amount;
+        for (uint256 i = 0; i < positionIds.length; i++) {
+            uint256 positionId = positionIds[i];
+            LockPosition storage s_position = _livePosition(positionId);
+            IMundoCryptoLockSuccessor.MigratedPosition
+                memory m_position = m_migrated[i];
+
+            m_position.id = positionId;
+            m_position.period = s_position.period;
+            m_position.startTime = s_position.startTime;
+            m_position.unlockTime = s_position.unlockTime;
+            m_position.cliff = positionCliff[positionId];
+            m_position.amount = _closePosition(positionId);
+            amount += m_position.amount;
+
+            // Emit an event indicating the position was migrated.
+            emit PositionMigrated(
+                msg.sender,
+                positionId,
+                m_successor,
+                m_position.amount
+            );
+        }
+
+        // Transfer the tokens from the contract to the successor, then hand over the positions.
+        lockingToken.safeTransfer(m_successor, amount);
+        IMundoCryptoLockSuccessor(m_successor).receiveMigration(
+            msg.sender,
+            m_migrated
+        );
+    }
+
+    /// @dev Allows the user to delegate the voting power of all their positions, zero to vote themselves.
+    /// @param delegatee    The account receiving the voting power.
+    function delegate(address delegatee) external {
+        _delegate(msg.sender, delegatee);
+    }
+
+    /// @dev Allows a relayer to delegate the voting power of an account with an EIP-712 signature of the account.
+    /// @param delegatee    The account receiving the voting power.
+    /// @param nonce        The nonce of the account, shared with the signed locks.
+    /// @param expiry       The deadline of the signature.
+    /// @param v            The recovery id of the signature.
+    /// @param r            The r value of the signature.
+    /// @param s            The s value of the signature.
+    function delegateBySig(
+        address delegatee,
+        uint256 nonce,
+        uint256 expiry,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        // revert if the signature is used after its deadline.
+        if (block.timestamp > expiry) revert ExpiredSignature();
+
+        address account = ECDSA.recover(
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(DELEGATION_TYPEHASH, delegatee, nonce, expiry)
+                )
+            ),
+            v,
+            r,
+            s
+        );
+
+        // revert if the signature is replayed or signed for another nonce.
+        if (nonce != nonces[account]++) revert InvalidSignature();
+
+        _delegate(account, delegatee);
+    }
+
+    /// @dev Write the checkpoints of the locks that expired for an account and for the total, at most
+    ///      `_maxSteps` timepoints of every history. Lookups are exact without it, this keeps them cheap
+    ///      and settles a history with too many due changes over several transactions, before the next
+    ///      lock or withdrawal has to settle it at once.
+    /// @param _account  The account to checkpoint.
+    /// @param _maxSteps The maximum number of timepoints to settle in every history.
+    function checkpoint(address _account, uint256 _maxSteps) external {
+        votingPowerHistory[_account].settle(_maxSteps);
+        ownVotingPowerHistory[_account].settle(_maxSteps);
+        totalVotingPowerHistory.settle(_maxSteps);
     }
 
     /// @dev External view function to fetch user locking data for a particular account and period.
+    ///      It sums the amounts of the positions of the period, the unlock time is the latest one.
     /// @param _account The account to fetch the data for.
     /// @param _period  The locking period to fetch the data for.
-    /// @return LockingData The locking data of the user and period.
+    /// @return m_lockingData The locking data of the user and period.
     function fetchUserLockData(
         address _account,
         uint256 _period
-    ) external view returns (LockingData memory) {
-        return userLockingData[_account][_period];
+    ) external view returns (LockingData memory m_lockingData) {
+        EnumerableSet.UintSet storage s_positionIds = userPositionIds[_account];
+
+        for (uint256 i = 0; i < s_positionIds.length(); i++) {
+            LockPosition storage s_position = positions[s_positionIds.at(i)];
+            if (s_position.period != _period) continue;
+
+            m_lockingData.amount += s_position.amount;
+            if (s_position.unlockTime > m_lockingData.unlockTime)
+                m_lockingData.unlockTime = s_position.unlockTime;
+        }
+    }
+
+    /// @dev External view function to fetch the locking data of an account for all the periods at once.
+    /// @param _account The account to fetch the data for.
+    /// @return m_lockingData The locking data of the account, indexed by period.
+    function fetchAllUserLockData(
+        address _account
+    ) external view returns (LockingData[] memory m_lockingData) {
+        EnumerableSet.UintSet storage s_positionIds = userPositionIds[_account];
+
+        m_lockingData = new LockingData[](tiers.length);
+        for (uint256 i = 0; i < s_positionIds.length(); i++) {
+            LockPosition storage s_position = positions[s_positionIds.at(i)];
+            LockingData memory m_data = m_lockingData[s_position.period];
+
+            m_data.amount += s_position.amount;
+            if (s_position.unlockTime > m_data.unlockTime)
+                m_data.unlockTime = s_position.unlockTime;
+        }
+    }
+
+    /// @dev Fetch the penalty charged if a position is withdrawn now.
+    /// @param _positionId  The id of the position.
+    /// @return The penalty, zero if the position is unlocked or in the emergency mode.
+    function earlyWithdrawPenalty(
+        uint256 _positionId
+    ) public view returns (uint256) {
+        LockPosition storage s_position = positions[_positionId];
+        if (s_position.unlockTime <= block.timestamp || emergencyMode) return 0;
+
+        return
+            (s_position.amount *
+                MAX_EARLY_WITHDRAW_PENALTY *
+                (s_position.unlockTime - block.timestamp)) /
+            (BASIS_POINTS * (s_position.unlockTime - s_position.startTime));
+    }
+
+    /// @dev Fetch the redistributed penalties earned by a position, paid out when it is withdrawn.
+    /// @param _positionId  The id of the position.
+    /// @return The penalties earned by the position.
+    function pendingPenaltyShare(
+        uint256 _positionId
+    ) public view returns (uint256) {
+        return
+            (positions[_positionId].amount *
+                penaltyPerToken -
+                penaltyDebt[_positionId]) / SHARE_PRECISION;
+    }
+
+    /// @dev Fetch the domain separator of the EIP-712 signatures.
+    /// @return The domain separator.
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /// @dev External view function to fetch a tier.
+    /// @param _period  The period of the tier.
+    /// @return The tier.
+    function getTier(uint256 _period) external view returns (Tier memory) {
+        if (_period >= tiers.length) revert InvalidPeriod();
+
+        return tiers[_period];
+    }
+
+    /// @dev External view function to fetch all the tiers, including the disabled ones.
+    /// @return The tiers ordered by period.
+    function getTiers() external view returns (Tier[] memory) {
+        return tiers;
+    }
+
+    /// @dev External view function to fetch a position.
+    /// @param _positionId  The id of the position.
+    /// @return The position, with a zero owner if it does not exist or was withdrawn.
+    function getPosition(
+        uint256 _positionId
+    ) external view returns (LockPosition memory) {
+        return positions[_positionId];
+    }
+
+    /// @dev External view function to fetch all the positions of an account.
+    /// @param _account The account to fetch the positions for.
+    /// @return m_positions The positions of the account which are not withdrawn yet.
+    function getPositions(
+        address _account
+    ) external view returns (LockPosition[] memory m_positions) {
+        EnumerableSet.UintSet storage s_positionIds = userPositionIds[_account];
+
+        m_positions = new LockPosition[](s_positionIds.length());
+        for (uint256 i = 0; i < m_positions.length; i++) {
+            m_positions[i] = positions[s_positionIds.at(i)];
+        }
+    }
+
+    /// @dev Fetch the delegate of an account.
+    /// @param _account The account to fetch the delegate for.
+    /// @return The delegate, which is the account itself if it did not delegate.
+    function delegates(address _account) public view returns (address) {
+        address delegatee = delegatees[_account];
+
+        return delegatee == address(0) ? _account : delegatee;
     }
 
     /// @dev Fetch the voting power of an account based on the tokens locked for certain periods.
+    ///      It is the voting power delegated to the account, including its own if it did not delegate.
     /// @param _account The account to fetch the data for.
     /// @return votingPower The total voting of the particular account.
     function getVotingPower(
         address _account
     ) external view returns (uint256 votingPower) {
-        LockingData memory m_lockingDataPeriodOne = userLockingData[_account][
-            0
-        ];
-        LockingData memory m_lockingDataPeriodTwo = userLockingData[_account][
-            1
+        return votingPowerHistory[_account].getAtTimepoint(block.timestamp);
+    }
+
+    /// @dev Fetch the voting power of many accounts at once.
+    /// @param _accounts    The accounts to fetch the data for.
+    /// @return m_votingPowers The voting power of every account, in the same order.
+    function getVotingPowerBatch(
+        address[] calldata _accounts
+    ) external view returns (uint256[] memory m_votingPowers) {
+        m_votingPowers = new uint256[](_accounts.length);
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            m_votingPowers[i] = votingPowerHistory[_accounts[i]].getAtTimepoint(
+                block.timestamp
+            );
+        }
+    }
+
+    /// @dev Fetch the total voting power of all the accounts.
+    /// @return The total voting power of all the accounts.
+    function totalVotingPower() external view returns (uint256) {
+        return totalVotingPowerHistory.getAtTimepoint(block.timestamp);
+    }
+
+    /// @dev Fetch the voting power of an account at a past timestamp, including the voting power delegated to it.
+    /// @param _account     The account to fetch the data for.
+    /// @param _timepoint   The timestamp to fetch the voting power at, must be in the past.
+    /// @return The voting power of the account at the timepoint.
+    function getPastVotingPower(
+        address _account,
+        uint256 _timepoint
+    ) external view returns (uint256) {
+        if (_timepoint >= block.timestamp) revert FutureLookup();
+
+        return votingPowerHistory[_account].getAtTimepoint(_timepoint);
+    }
+
+    /// @dev Fetch the voting power of the positions of an account at a past timestamp, whether they are delegated or not.
+    /// @param _account     The account to fetch the data for.
+    /// @param _timepoint   The timestamp to fetch the voting power at, must be in the past.
+    /// @return The voting power of the positions of the account at the timepoint.
+    function getPastOwnVotingPower(
+        address _account,
+        uint256 _timepoint
+    ) external view returns (uint256) {
+        if (_timepoint >= block.timestamp) revert FutureLookup();
+
+        return ownVotingPowerHistory[_account].getAtTimepoint(_timepoint);
+    }
+
+    /// @dev Fetch the first timestamp after a timepoint at which the voting power of the positions of an
+    ///      account changes other than by its decay, e.g. a lock, a withdrawal or an expiry.
+    /// @param _account     The account to fetch the data for.
+    /// @param _timepoint   The timestamp to start from.
+    /// @return The first timestamp of a change after the timepoint, zero if there is none.
+    function getNextOwnChange(
+        address _account,
+        uint256 _timepoint
+    ) external view returns (uint256) {
+        return ownVotingPowerHistory[_account].getNextTimepoint(_timepoint);
+    }
+
+    /// @dev Fetch the total voting power of all the accounts at a past timestamp.
+    /// @param _timepoint   The timestamp to fetch the total voting power at, must be in the past.
+    /// @return The total voting power at the timepoint.
+    function getPastTotalVotingPower(
+        uint256 _timepoint
+    ) external view returns (uint256) {
+        if (_timepoint >= block.timestamp) revert FutureLookup();
+
+        return totalVotingPowerHistory.getAtTimepoint(_timepoint);
+    }
+
+    /// @dev Lock the tokens of the caller in a new position of a beneficiary, with an optional cliff.
+    /// @param beneficiary  The account owning the position.
+    /// @param amount       The amount of tokens to lock.
+    /// @param period       The lock period for which the tokens are to be locked.
+    /// @param cliff        The time before which the position cannot be withdrawn early, zero if there is none.
+    /// @return positionId The id of the position created for the lock.
+    function _grantLock(
+        address beneficiary,
+        uint256 amount,
+        uint256 period,
+        uint256 cliff
+    ) private returns (uint256 positionId) {
+        positionId = _lockTokens(msg.sender, beneficiary, amount, period);
+
+        // revert if the cliff is after the unlock time, the position could then never be merged.
+        if (cliff > positions[positionId].unlockTime) revert InvalidCliff();
+        if (cliff != 0) positionCliff[positionId] = cliff;
+
+        // Emit an event indicating tokens were locked for the beneficiary.
+        emit LockGranted(msg.sender, beneficiary, positionId, cliff);
+    }
+
+    /// @dev Lock tokens for a particular time period in a new position of an account.
+    /// @param payer    The account whose tokens are locked.
+    /// @param account  The account owning the position.
+    /// @param amount   The amount of tokens to lock.
+    /// @param period   The lock period for which the tokens are to be locked.
+    /// @return positionId The id of the position created for the lock.
+    function _lockTokens(
+        address payer,
+        address account,
+        uint256 amount,
+        uint256 period
+    ) private returns (uint256 positionId) {
+        // revert if user tries to lock zero tokens.
+        if (amount == 0) revert ZeroValuedParam();
+
+        // revert if the locks are stopped, or user tries to lock tokens for invalid or disabled lock period.
+        _checkLockable(period);
+
+        // revert if user tires to lock more tokens than their balance.
+        if (amount > lockingToken.balanceOf(payer))
+            revert InsufficientBalance();
+
+        // credit the tokens which arrived, a fee-on-transfer token delivers less than the amount.
+        amount = _pullTokens(payer, amount);
+        _checkAmount(amount);
+
+        positionId = nextPositionId++;
+
+        uint256 unlockTime;
+        unchecked {
+            unlockTime = block.timestamp + _lockTime(period);
+        }
+
+        LockPosition memory m_position = LockPosition(
+            positionId,
+            account,
+            period,
+            amount,
+            block.timestamp,
+            unlockTime
+        );
+        positions[positionId] = m_position;
+        userPositionIds[account].add(positionId);
+        positionToken.mint(account, positionId);
+
+        // the position only shares the penalties charged from now on.
+        totalLocked += amount;
+        totalLockedByPeriod[period] += amount;
+        penaltyDebt[positionId] = amount * penaltyPerToken;
+
+        // checkpoint the voting power added until the unlock time.
+        _addVotingPower(m_position);
+
+        // Emit an event indicating tokens were locked.
+        emit TokensLocked(account, positionId, amount, period, unlockTime);
+    }
+
+    /// @dev Transfer tokens from an account to the contract and return the amount received.
+    ///      The guard stops a token hook from locking again before the balance delta is measured.
+    /// @param from     The account whose tokens are transferred.
+    /// @param amount   The amount of tokens to transfer.
+    /// @return received The increase of the balance of the contract.
+    function _pullTokens(
+        address from,
+        uint256 amount
+    ) private nonReentrant returns (uint256 received) {
+        uint256 balance = lockingToken.balanceOf(address(this));
+        lockingToken.safeTransferFrom(from, address(this), amount);
+        received = lockingToken.balanceOf(address(this)) - balance;
+
+        // revert if the transfer fees leave nothing to lock.
+        if (received == 0) revert ZeroValuedParam();
+    }
+
+    /// @dev Revert if a position would hold less than the minimum lock amount.
+    /// @param amount   The amount of tokens of the position.
+    function _checkAmount(uint256 amount) private view {
+        if (amount < minLockAmount) revert AmountTooSmall();
+    }
+
+    /// @dev Add an active tier.
+    /// @param lockTime     The time for which the tokens are locked.
+    /// @param multiplier   The voting power multiplier of the locked tokens.
+    /// @return period The period of the tier.
+    function _addTier(
+        uint256 lockTime,
+        uint256 multiplier
+    ) private returns (uint256 period) {
+        // revert if the tier would lock the tokens without voting power or unlock time.
+        if (lockTime == 0 || multiplier == 0) revert InvalidTier();
+
+        period = tiers.length;
+        tiers.push(Tier(lockTime, multiplier, true));
+
+        emit TierAdded(period, lockTime, multiplier);
+    }
+
+    /// @dev Revert if the locks are paused or in the emergency mode, or tokens cannot be locked for a period.
+    /// @param period   The period to check.
+    function _checkLockable(uint256 period) private view {
+        _requireNotPaused();
+        if (emergencyMode) revert EmergencyModeActive();
+        if (period >= tiers.length) revert InvalidPeriod();
+        if (!tiers[period].active) revert TierNotActive();
+    }
+
+    /// @dev Whether a granted position is still before its cliff, the cliffs end in the emergency mode.
+    /// @param positionId   The id of the position.
+    /// @return Whether the position cannot be withdrawn yet.
+    function _cliffActive(uint256 positionId) private view returns (bool) {
+        return !emergencyMode && positionCliff[positionId] > block.timestamp;
+    }
+
+    /// @dev Fetch a position of the caller which is still locked.
+    /// @param positionId   The id of the position.
+    /// @return s_position  The position.
+    function _livePosition(
+        uint256 positionId
+    ) private view returns (LockPosition storage s_position) {
+        s_position = positions[positionId];
+
+        // revert if the user does not own the position.
+        if (s_position.owner != msg.sender) revert NotPositionOwner();
+
+        // revert if the position is unlocked already.
+        if (s_position.unlockTime <= block.timestamp) revert LockExpired();
+    }
+
+    /// @dev Move the voting power of all the positions of an account to a new delegate.
+    /// @param account      The account whose voting power is delegated.
+    /// @param delegatee    The new delegate, zero for the account itself.
+    function _delegate(address account, address delegatee) private {
+        address fromDelegate = delegates(account);
+        address toDelegate = delegatee == address(0) ? account : delegatee;
+
+        delegatees[account] = delegatee;
+
+        // Emit an event indicating the delegate was changed.
+        emit DelegateChanged(account, fromDelegate, toDelegate);
+
+        if (fromDelegate == toDelegate) return;
+
+        VotingPowerHistory.History storage s_from = votingPowerHistory[
+            fromDelegate
         ];
-        LockingData memory m_lockingDataPeriodThree = userLockingData[_account][
-            2
+        VotingPowerHistory.History storage s_to = votingPowerHistory[
+            toDelegate
         ];
+        uint256 fromBalance = s_from.getAtTimepoint(block.timestamp);
+        uint256 toBalance = s_to.getAtTimepoint(block.timestamp);
 
-        // define the voting weights of different periods.
-        uint256 periodOnePower;
-        uint256 periodTwoPower;
-        uint256 periodThreePower;
+        // move the voting power of every position until its unlock time, the total does not change.
+        uint256[] memory positionIds = userPositionIds[account].values();
+        for (uint256 i = 0; i < positionIds.length; i++) {
+            LockPosition storage s_position = positions[positionIds[i]];
+            (uint256 votingPower, uint256 slope) = _votingPowerOf(
+                s_position.amount,
+                s_position.period
+            );
 
-        // if the lock period is still ongoing, calculate the power, else is zero.
-        if (m_lockingDataPeriodOne.unlockTime > block.timestamp) {
-            unchecked {
-                periodOnePower = m_lockingDataPeriodOne.amount * 2;
-            }
+            _updateHistory(
+                s_from,
+                votingPower,
+                slope,
+                s_position.unlockTime,
+                false
+            );
+            _updateHistory(
+                s_to,
+                votingPower,
+                slope,
+                s_position.unlockTime,
+                true
+            );
         }
 
-        if (m_lockingDataPeriodTwo.unlockTime > block.timestamp) {
-            unchecked {
-                periodTwoPower = m_lockingDataPeriodTwo.amount * 4;
-            }
-        }
+        // Emit events indicating the voting power of the delegates changed.
+        emit DelegateVotesChanged(
+            fromDelegate,
+            fromBalance,
+            s_from.getAtTimepoint(block.timestamp)
+        );
+        emit DelegateVotesChanged(
+            toDelegate,
+            toBalance,
+            s_to.getAtTimepoint(block.timestamp)
+        );
+    }
 
-        if (m_lockingDataPeriodThree.unlockTime > block.timestamp) {
-            unchecked {
-                periodThreePower = m_lockingDataPeriodThree.amount * 10;
-            }
-        }
+    /// @dev Checkpoint the voting power of a position for the delegate of its owner, until its unlock time.
+    /// @param m_position   The position to add the voting power of.
+    function _addVotingPower(LockPosition memory m_position) private {
+        _updateVotingPower(m_position, true);
+    }
 
-        // sum of all the voting powers to get the final voting power.
-        unchecked {
-            votingPower = periodOnePower + periodTwoPower + periodThreePower;
+    /// @dev Checkpoint the removal of the voting power of a position, from now until its unlock time.
+    /// @param m_position   The position to remove the voting power of.
+    function _removeVotingPower(LockPosition memory m_position) private {
+        _updateVotingPower(m_position, false);
+    }
+
+    /// @dev Add or remove the voting power of a position for the delegate of its owner, the owner and the total.
+    /// @param m_position   The position to update the voting power of.
+    /// @param add          Whether the voting power is added or removed.
+    function _updateVotingPower(
+        LockPosition memory m_position,
+        bool add
+    ) private {
+        (uint256 votingPower, uint256 slope) = _votingPowerOf(
+            m_position.amount,
+            m_position.period
+        );
+        address delegatee = delegates(m_position.owner);
+        VotingPowerHistory.History storage s_history = votingPowerHistory[
+            delegatee
+        ];
+        VotingPowerHistory.History storage s_own = ownVotingPowerHistory[
+            m_position.owner
+        ];
+        uint256 previousBalance = s_history.getAtTimepoint(block.timestamp);
+
+        _updateHistory(
+            s_history,
+            votingPower,
+            slope,
+            m_position.unlockTime,
+            add
+        );
+        _updateHistory(s_own, votingPower, slope, m_position.unlockTime, add);
+        _updateHistory(
+            totalVotingPowerHistory,
+            votingPower,
+            slope,
+            m_position.unlockTime,
+            add
+        );
+
+        // Emit an event indicating the voting power of the delegate changed.
+        emit DelegateVotesChanged(
+            delegatee,
+            previousBalance,
+            s_history.getAtTimepoint(block.timestamp)
+        );
+    }
+
+    /// @dev Add or remove voting power from a history until its expiry.
+    ///      The library calls are made in one place, which keeps the lock under the contract size limit.
+    /// @param s_history    The history to update.
+    /// @param votingPower  The constant voting power.
+    /// @param slope        The slope of the decaying voting power.
+    /// @param expiry       The timestamp at which the voting power expires.
+    /// @param add          Whether the voting power is added or removed.
+    function _updateHistory(
+        VotingPowerHistory.History storage s_history,
+        uint256 votingPower,
+        uint256 slope,
+        uint256 expiry,
+        bool add
+    ) private {
+        if (add) s_history.increase(votingPower, slope, expiry);
+        else s_history.decrease(votingPower, slope, expiry);
+    }
+
+    /// @dev Delete a position of the caller, checkpoint the voting power and emit an event.
+    ///      The voting power of a position closed before its unlock time is removed until then.
+    /// @param positionId   The id of the position to close.
+    /// @return amount      The amount of tokens of the position, with its share of the penalties.
+    function _closePosition(
+        uint256 positionId
+    ) private returns (uint256 amount) {
+        LockPosition memory m_position = positions[positionId];
+        uint256 penaltyShare = pendingPenaltyShare(positionId);
+        amount = m_position.amount + penaltyShare;
+
+        // the shares are rounded down, so they never add up to more than the redistributed penalties.
+        unpaidPenalties -= penaltyShare;
+
+        // remove the voting power of the position until its unlock time.
+        if (m_position.unlockTime > block.timestamp)
+            _removeVotingPower(m_position);
+
+        // delete the position.
+        delete positions[positionId];
+        delete penaltyDebt[positionId];
+        delete positionCliff[positionId];
+        userPositionIds[msg.sender].remove(positionId);
+        positionToken.burn(positionId);
+        totalLocked -= m_position.amount;
+        totalLockedByPeriod[m_position.period] -= m_position.amount;
+
+        // checkpoint the voting power of the locks that expired.
+        votingPowerHistory[delegates(msg.sender)].settle();
+        totalVotingPowerHistory.settle();
+
+        // Emit an event indicating tokens were withdrawn.
+        emit TokensWithdrawn(
+            msg.sender,
+            positionId,
+            m_position.amount,
+            m_position.period,
+            block.timestamp
+        );
+    }
+
+    /// @dev Compute the voting power of tokens locked for a particular period.
+    ///      In the linear decay mode, it is the slope which brings the voting power from
+    ///      amount * multiplier down to zero over the lock time, else it is constant.
+    /// @param amount   The amount of tokens locked.
+    /// @param period   The lock period for which the tokens are locked.
+    /// @return votingPower The constant voting power.
+    /// @return slope       The slope of the decaying voting power.
+    function _votingPowerOf(
+        uint256 amount,
+        uint256 period
+    ) private view returns (uint256 votingPower, uint256 slope) {
+        votingPower = amount * _multiplier(period);
+
+        if (linearDecay) {
+            slope =
+                (votingPower * VotingPowerHistory.PRECISION) /
+                _lockTime(period);
+            votingPower = 0;
         }
     }
+
+    /// @dev Fetch the lock time of a locking period.
+    /// @param period   The locking period to fetch the lock time for.
+    /// @return The lock time of the period.
+    function _lockTime(uint256 period) private view returns (uint256) {
+        return tiers[period].lockTime;
+    }
+
+    /// @dev Fetch the voting power multiplier of a locking period.
+    /// @param period   The locking period to fetch the multiplier for.
+    /// @return The voting power multiplier of the period.
+    function _multiplier(uint256 period) private view returns (uint256) {
+        return tiers[period].multiplier;
+    }
 }
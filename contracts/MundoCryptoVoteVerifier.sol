@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./interfaces/IMundoCryptoTokenLock.sol";
+
+/* @title  MundoCryptoVoteVerifier
+ * @notice MundoCryptoVoteVerifier makes the gas-free polls verifiable against the locked voting power.
+ *
+ *         The vote aggregator collects EIP-712 signed votes off-chain, weights every vote with the voting
+ *         power of the voter in the MundoCryptoTokenLock at the snapshot block of the poll, and publishes
+ *         the tally with the Merkle root of the (voter, weight, choice) votes here.
+ *
+ *         Anyone can then check that a vote is included in the result with its proof, and that its weight
+ *         is the voting power the lock checkpointed for the voter at the time of the snapshot block.
+ *         A result is published once and never changes.
+ *
+ **/
+contract MundoCryptoVoteVerifier is AccessControl {
+    /// @dev Role allowed to publish the results of the polls.
+    bytes32 public constant PUBLISHER_ROLE = keccak256("PUBLISHER_ROLE");
+
+    /// @dev The lock to read the voting power from.
+    IMundoCryptoTokenLock public immutable lock;
+
+    /// @dev Revert with an error when the input param is zero valued.
+    error ZeroValuedParam();
+    /// @dev Revert when the result of a poll is published twice.
+    error ResultAlreadyPublished();
+    /// @dev Revert when a vote is verified before the result of its poll is published.
+    error ResultNotPublished();
+    /// @dev Revert when the snapshot of a result is not in the past.
+    error FutureLookup();
+
+    /// @dev Result of a poll.
+    struct Result {
+        uint256 snapshotBlock;
+        uint256 snapshotTime;
+        bytes32 merkleRoot;
+        uint256[] tally;
+    }
+
+    /// @dev Tracks the result of every poll by proposal id.
+    mapping(uint256 => Result) private results;
+
+    /// @dev Emit an event when the result of a poll is published.
+    /// @param proposalId       The id of the proposal of the poll.
+    /// @param snapshotBlock    The block the votes are weighted at.
+    /// @param merkleRoot       The Merkle root of the (voter, weight, choice) votes.
+    /// @param tally            The sum of the weights of the votes for every choice.
+    event ResultPublished(
+        uint256 indexed proposalId,
+        uint256 snapshotBlock,
+        bytes32 merkleRoot,
+        uint256[] tally
+    );
+
+    /// @dev Set the lock and the admin.
+    /// @param _lock    The lock to read the voting power from.
+    /// @param _admin   The account which manages the publishers.
+    constructor(IMundoCryptoTokenLock _lock, address _admin) {
+        lock = _lock;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(PUBLISHER_ROLE, _admin);
+    }
+
+    /// @dev Allows the publishers to publish the result of a poll.
+    /// @param proposalId       The id of the proposal of the poll.
+    /// @param snapshotBlock    The block the votes are weighted at.
+    /// @param snapshotTime     The timestamp of the snapshot block.
+    /// @param merkleRoot       The Merkle root of the (voter, weight, choice) votes.
+    /// @param tally            The sum of the weights of the votes for every choice.
+    function publishResult(
+        uint256 proposalId,
+        uint256 snapshotBlock,
+        uint256 snapshotTime,
+        bytes32 merkleRoot,
+        uint256[] calldata tally
+    ) external onlyRole(PUBLISHER_ROLE) {
+        // revert if the result has no votes, or is published already.
+        if (merkleRoot == bytes32(0)) revert ZeroValuedParam();
+        if (results[proposalId].merkleRoot != bytes32(0))
+            revert ResultAlreadyPublished();
+
+        // revert if the voting power at the snapshot cannot be read from the lock.
+        if (snapshotTime >= block.timestamp) revert FutureLookup();
+
+        results[proposalId] = Result(
+            snapshotBlock,
+            snapshotTime,
+            merkleRoot,
+            tally
+        );
+
+        emit ResultPublished(proposalId, snapshotBlock, merkleRoot, tally);
+    }
+
+    /// @dev Check that a vote is included in the result of its poll with the voting power of the voter.
+    /// @param proposalId   The id of the proposal of the poll.
+    /// @param voter        The account which cast the vote.
+    /// @param weight       The weight of the vote.
+    /// @param choice       The choice of the vote.
+    /// @param proof        The Merkle proof of the vote.
+    /// @return Whether the vote is included and its weight is the voting power of the voter at the snapshot.
+    function verifyVote(
+        uint256 proposalId,
+        address voter,
+        uint256 weight,
+        uint256 choice,
+        bytes32[] calldata proof
+    ) external view returns (bool) {
+        Result storage s_result = results[proposalId];
+
+        // revert if the result is not published.
+        if (s_result.merkleRoot == bytes32(0)) revert ResultNotPublished();
+
+        // the leaves are hashed twice, as in the standard Merkle trees of OpenZeppelin.
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(voter, weight, choice)))
+        );
+
+        return
+            MerkleProof.verifyCalldata(proof, s_result.merkleRoot, leaf) &&
+            lock.getPastVotingPower(voter, s_result.snapshotTime) == weight;
+    }
+
+    /// @dev Fetch the result of a poll.
+    /// @param proposalId   The id of the proposal of the poll.
+    /// @return The result of the poll, with a zero Merkle root if it is not published.
+    function getResult(
+        uint256 proposalId
+    ) external view returns (Result memory) {
+        return results[proposalId];
+    }
+}
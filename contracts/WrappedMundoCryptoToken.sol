@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Wrapper.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/* @title  WrappedMundoCryptoToken
+ * @notice WrappedMundoCryptoToken (wMCT) wraps the MundoCrypto token (MCT) 1:1 so it can be used
+ *         for the governance. Users deposit MCT to mint wMCT and burn wMCT to get their MCT back.
+ *
+ *         wMCT keeps per-block checkpoints of the voting units of every account. Holders have to
+ *         delegate (to themselves or to someone else) for their balance to be counted as votes.
+ *
+ **/
+contract WrappedMundoCryptoToken is
+    ERC20,
+    ERC20Permit,
+    ERC20Votes,
+    ERC20Wrapper
+{
+    /// @dev Set the MCT token which will be wrapped.
+    /// @param _token The MCT token which will be wrapped.
+    constructor(
+        IERC20 _token
+    )
+        ERC20("Wrapped MundoCrypto Token", "wMCT")
+        ERC20Permit("Wrapped MundoCrypto Token")
+        ERC20Wrapper(_token)
+    {}
+
+    /// @dev wMCT uses the same decimals as the underlying MCT token.
+    function decimals()
+        public
+        view
+        override(ERC20, ERC20Wrapper)
+        returns (uint8)
+    {
+        return super.decimals();
+    }
+
+    /// @dev Move the voting units along with the wrapped tokens.
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override(ERC20, ERC20Votes) {
+        super._afterTokenTransfer(from, to, amount);
+    }
+
+    /// @dev Mint wMCT and track the total supply checkpoints.
+    function _mint(
+        address to,
+        uint256 amount
+    ) internal override(ERC20, ERC20Votes) {
+        super._mint(to, amount);
+    }
+
+    /// @dev Burn wMCT and track the total supply checkpoints.
+    function _burn(
+        address account,
+        uint256 amount
+    ) internal override(ERC20, ERC20Votes) {
+        super._burn(account, amount);
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../interfaces/IMundoCryptoTokenLock.sol";
+
+/* @title  GovernorLockVotes
+ * @notice Extension of the Governor which reads the voting weight from the MundoCryptoTokenLock.
+ *
+ *         The lock checkpoints the voting power by timestamp, so the governor clock is the timestamp
+ *         as well and the voting delay and period are expressed in seconds.
+ *
+ **/
+abstract contract GovernorLockVotes is Governor {
+    /// @dev The lock contract to read the voting power from.
+    IMundoCryptoTokenLock public immutable lock;
+
+    /// @dev Set the lock contract to read the voting power from.
+    /// @param _lock The lock contract to read the voting power from.
+    constructor(IMundoCryptoTokenLock _lock) {
+        lock = _lock;
+    }
+
+    /// @dev The clock is the timestamp, to match the checkpoints of the lock.
+    function clock() public view virtual override returns (uint48) {
+        return SafeCast.toUint48(block.timestamp);
+    }
+
+    /// @dev Machine-readable description of the clock as specified in EIP-6372.
+    function CLOCK_MODE() public view virtual override returns (string memory) {
+        return "mode=timestamp";
+    }
+
+    /// @dev Read the voting weight from the voting power history of the lock.
+    function _getVotes(
+        address account,
+        uint256 timepoint,
+        bytes memory /*params*/
+    ) internal view virtual override returns (uint256) {
+        return lock.getPastVotingPower(account, timepoint);
+    }
+}
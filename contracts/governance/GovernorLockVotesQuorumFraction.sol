@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./GovernorLockVotes.sol";
+
+/* @title  GovernorLockVotesQuorumFraction
+ * @notice Extension of the Governor with a quorum expressed as a fraction of the total voting power
+ *         of the MundoCryptoTokenLock at the snapshot of the proposal.
+ *
+ *         The quorum numerator is checkpointed, so changing it does not affect the ongoing proposals.
+ *
+ **/
+abstract contract GovernorLockVotesQuorumFraction is GovernorLockVotes {
+    using Checkpoints for Checkpoints.Trace224;
+
+    /// @dev Tracks the quorum numerator history.
+    Checkpoints.Trace224 private quorumNumeratorHistory;
+
+    /// @dev Revert with an error when the quorum numerator is bigger than the denominator.
+    error InvalidQuorumNumerator();
+
+    /// @dev Emit an event when the quorum numerator is updated.
+    /// @param oldQuorumNumerator   The previous quorum numerator.
+    /// @param newQuorumNumerator   The new quorum numerator.
+    event QuorumNumeratorUpdated(
+        uint256 oldQuorumNumerator,
+        uint256 newQuorumNumerator
+    );
+
+    /// @dev Set the initial quorum numerator.
+    /// @param _quorumNumerator The quorum numerator, a percentage of the total voting power by default.
+    constructor(uint256 _quorumNumerator) {
+        _updateQuorumNumerator(_quorumNumerator);
+    }
+
+    /// @dev Fetch the current quorum numerator.
+    /// @return The current quorum numerator.
+    function quorumNumerator() public view virtual returns (uint256) {
+        return quorumNumeratorHistory.latest();
+    }
+
+    /// @dev Fetch the quorum numerator at a particular timepoint.
+    /// @param _timepoint The timestamp to fetch the quorum numerator at.
+    /// @return The quorum numerator at the timepoint.
+    function quorumNumerator(
+        uint256 _timepoint
+    ) public view virtual returns (uint256) {
+        return
+            quorumNumeratorHistory.upperLookupRecent(
+                SafeCast.toUint32(_timepoint)
+            );
+    }
+
+    /// @dev Fetch the quorum denominator.
+    /// @return The quorum denominator, 100 by default.
+    function quorumDenominator() public view virtual returns (uint256) {
+        return 100;
+    }
+
+    /// @dev Fetch the quorum at a particular timepoint, in terms of voting power.
+    /// @param _timepoint The timestamp to fetch the quorum at.
+    /// @return The quorum at the timepoint.
+    function quorum(
+        uint256 _timepoint
+    ) public view virtual override returns (uint256) {
+        return
+            (lock.getPastTotalVotingPower(_timepoint) *
+                quorumNumerator(_timepoint)) / quorumDenominator();
+    }
+
+    /// @dev Allows the governance to update the quorum numerator for the future proposals.
+    /// @param _quorumNumerator The new quorum numerator.
+    function updateQuorumNumerator(
+        uint256 _quorumNumerator
+    ) external virtual onlyGovernance {
+        _updateQuorumNumerator(_quorumNumerator);
+    }
+
+    /// @dev Checkpoint the new quorum numerator.
+    /// @param _quorumNumerator The new quorum numerator.
+    function _updateQuorumNumerator(uint256 _quorumNumerator) internal virtual {
+        // revert if the quorum is more than the total voting power.
+        if (_quorumNumerator > quorumDenominator())
+            revert InvalidQuorumNumerator();
+
+        uint256 oldQuorumNumerator = quorumNumerator();
+
+        quorumNumeratorHistory.push(
+            SafeCast.toUint32(clock()),
+            SafeCast.toUint224(_quorumNumerator)
+        );
+
+        emit QuorumNumeratorUpdated(oldQuorumNumerator, _quorumNumerator);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+/// @dev Interface of the successor of the MundoCryptoTokenLock, which receives the migrated positions.
+interface IMundoCryptoLockSuccessor {
+    /**
+     * @dev A MigratedPosition specifies a position moved from the lock.
+     *
+     *      id          : is the id of the position in the lock.
+     *      period      : is the lock period of the position, its tier can be fetched from the lock.
+     *      amount      : is the amount of tokens transferred, including the redistributed penalties.
+     *      startTime   : is the time at which the tokens were locked.
+     *      unlockTime  : is the unlock time of the tokens.
+     *      cliff       : is the time before which the position cannot be withdrawn, zero if there is none.
+     */
+    struct MigratedPosition {
+        uint256 id;
+        uint256 period;
+        uint256 amount;
+        uint256 startTime;
+        uint256 unlockTime;
+        uint256 cliff;
+    }
+
+    /// @dev Called by the lock after the tokens of the migrated positions are transferred to the successor.
+    /// @param account      The owner of the positions.
+    /// @param positions    The migrated positions.
+    function receiveMigration(
+        address account,
+        MigratedPosition[] calldata positions
+    ) external;
+}
@@ -5,4 +5,23 @@ interface IMundoCryptoTokenLock {
     function getVotingPower(
         address _account
     ) external view returns (uint256 votingPower);
+
+    function getPastVotingPower(
+        address _account,
+        uint256 _timepoint
+    ) external view returns (uint256);
+
+    function getPastOwnVotingPower(
+        address _account,
+        uint256 _timepoint
+    ) external view returns (uint256);
+
+    function getNextOwnChange(
+        address _account,
+        uint256 _timepoint
+    ) external view returns (uint256);
+
+    function getPastTotalVotingPower(
+        uint256 _timepoint
+    ) external view returns (uint256);
 }
@@ -0,0 +1,379 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/* @title  VotingPowerHistory
+ * @notice VotingPowerHistory keeps the voting power of an account (or of all the accounts) over time.
+ *
+ *         Locked tokens lose their voting power when the lock expires, which happens without any
+ *         transaction. Every change is therefore written as a checkpoint at the time it happens, and the
+ *         change that undoes it at the unlock time is scheduled. The changes scheduled at the same
+ *         timepoint are netted, so removing voting power cancels its scheduled change in place, and the
+ *         timepoints with scheduled changes are kept in a min-heap.
+ *
+ *         Scheduled changes are settled into checkpoints the next time the history is updated, or in
+ *         bounded steps with `settle(self, maxSteps)` when too many are due for one transaction.
+ *         Lookups add the scheduled changes that are due but not settled yet, so they are always exact.
+ *
+ *         Every change has a constant part and a part which decays linearly to zero at its expiry:
+ *
+ *             votingPower + slope * (expiry - timepoint) / PRECISION
+ *
+ *         The library is deployed on its own and linked to the lock, which keeps the lock under the
+ *         contract size limit. Its entry points are public so they can be linked, and the lock calls them
+ *         with a DELEGATECALL on its own storage, at the cost of a call per update.
+ *
+ **/
+library VotingPowerHistory {
+    using SafeCast for uint256;
+    using SafeCast for int256;
+
+    /// @dev Precision of the slopes.
+    uint256 internal constant PRECISION = 1e18;
+
+    /**
+     * @dev A Checkpoint is the sum of the live changes from a timepoint onwards.
+     *
+     *      timepoint   : is the timestamp from which the sums apply.
+     *      votingPower : is the sum of the constant voting powers.
+     *      slope       : is the sum of the slopes.
+     *      bias        : is the sum of the slopes multiplied by their expiry.
+     */
+    struct Checkpoint {
+        uint64 timepoint;
+        uint192 votingPower;
+        uint256 slope;
+        uint256 bias;
+    }
+
+    /**
+     * @dev A ScheduledChange is the net change of voting power that applies at a future timepoint.
+     *
+     *      votingPower : is the constant voting power to add (or remove when negative).
+     *      pending     : is whether the timepoint is in the heap, the net change may be zero.
+     *      slope       : is the slope to add (or remove when negative), expiring at the timepoint.
+     */
+    struct ScheduledChange {
+        int192 votingPower;
+        bool pending;
+        int256 slope;
+    }
+
+    /**
+     * @dev A History holds the checkpoints written so far and the changes scheduled for later.
+     *
+     *      checkpoints : are the checkpoints ordered by timepoint.
+     *      timepoints  : is a min-heap of the timepoints with scheduled changes.
+     *      scheduled   : is the net change scheduled at every timepoint.
+     */
+    struct History {
+        Checkpoint[] checkpoints;
+        uint64[] timepoints;
+        mapping(uint64 => ScheduledChange) scheduled;
+    }
+
+    /// @dev A Delta is a signed change of the sums of a checkpoint.
+    struct Delta {
+        int256 votingPower;
+        int256 slope;
+        int256 bias;
+    }
+
+    /// @dev Add voting power from now until `expiry`. Nothing is added if `expiry` is not in the future.
+    /// @param self         The history to update.
+    /// @param votingPower  The constant voting power to add.
+    /// @param slope        The slope of the decaying voting power to add.
+    /// @param expiry       The timestamp at which the voting power is removed again.
+    function increase(
+        History storage self,
+        uint256 votingPower,
+        uint256 slope,
+        uint256 expiry
+    ) public {
+        _update(self, votingPower.toInt256(), slope.toInt256(), expiry);
+    }
+
+    /// @dev Remove voting power that was added until `expiry`, from now on. Nothing is removed if it expired already.
+    /// @param self         The history to update.
+    /// @param votingPower  The constant voting power to remove.
+    /// @param slope        The slope of the decaying voting power to remove.
+    /// @param expiry       The timestamp at which the voting power would have been removed.
+    function decrease(
+        History storage self,
+        uint256 votingPower,
+        uint256 slope,
+        uint256 expiry
+    ) public {
+        _update(self, -votingPower.toInt256(), -slope.toInt256(), expiry);
+    }
+
+    /// @dev Write the checkpoints of all the scheduled changes that are due.
+    /// @param self The history to settle.
+    function settle(History storage self) public {
+        settle(self, type(uint256).max);
+    }
+
+    /// @dev Write the checkpoints of at most `maxSteps` timepoints of the scheduled changes that are due,
+    ///      so a history with many due changes can be settled over several transactions.
+    /// @param self     The history to settle.
+    /// @param maxSteps The maximum number of timepoints to settle.
+    /// @return Whether all the scheduled changes that are due are settled.
+    function settle(
+        History storage self,
+        uint256 maxSteps
+    ) public returns (bool) {
+        uint64[] storage timepoints = self.timepoints;
+
+        for (uint256 step = 0; step < maxSteps; step++) {
+            if (timepoints.length == 0 || timepoints[0] > block.timestamp)
+                return true;
+
+            uint64 timepoint = timepoints[0];
+            ScheduledChange memory change = self.scheduled[timepoint];
+
+            _popTimepoint(timepoints);
+            delete self.scheduled[timepoint];
+
+            // the changes at the timepoint may have cancelled out.
+            if (change.votingPower != 0 || change.slope != 0) {
+                _writeCheckpoint(
+                    self.checkpoints,
+                    timepoint,
+                    Delta(
+                        change.votingPower,
+                        change.slope,
+                        change.slope * int256(uint256(timepoint))
+                    )
+                );
+            }
+        }
+
+        return timepoints.length == 0 || timepoints[0] > block.timestamp;
+    }
+
+    /// @dev Fetch the voting power at a particular timepoint.
+    /// @param self         The history to read.
+    /// @param timepoint    The timestamp to fetch the voting power at.
+    /// @return The voting power at the timepoint.
+    function getAtTimepoint(
+        History storage self,
+        uint256 timepoint
+    ) public view returns (uint256) {
+        Checkpoint[] storage checkpoints = self.checkpoints;
+        uint256 high = _upperBound(checkpoints, timepoint);
+
+        // add the changes that were due at the timepoint but are not settled yet.
+        Delta memory sums = _sumScheduled(self, 0, timepoint);
+
+        if (high != 0) {
+            Checkpoint storage checkpoint = checkpoints[high - 1];
+            sums.votingPower += int256(uint256(checkpoint.votingPower));
+            sums.slope += checkpoint.slope.toInt256();
+            sums.bias += checkpoint.bias.toInt256();
+        }
+
+        // the decaying part is positive as only the live changes are summed.
+        return
+            (sums.votingPower +
+                (sums.bias - sums.slope * timepoint.toInt256()) /
+                int256(PRECISION)).toUint256();
+    }
+
+    /// @dev Fetch the first timepoint after `timepoint` with a checkpoint or a scheduled change, settled or
+    ///      not. The voting power only decays linearly between two such timepoints.
+    /// @param self         The history to read.
+    /// @param timepoint    The timestamp to start from.
+    /// @return next The first timepoint of a change after the timepoint, zero if there is none.
+    function getNextTimepoint(
+        History storage self,
+        uint256 timepoint
+    ) public view returns (uint256 next) {
+        Checkpoint[] storage checkpoints = self.checkpoints;
+
+        uint256 high = _upperBound(checkpoints, timepoint);
+        if (high < checkpoints.length) next = checkpoints[high].timepoint;
+
+        uint256 scheduled = _nextScheduled(self, 0, timepoint);
+        if (scheduled != 0 && (next == 0 || scheduled < next)) next = scheduled;
+    }
+
+    /// @dev Settle the due changes, write a checkpoint for the current change and schedule its reversal.
+    function _update(
+        History storage self,
+        int256 votingPower,
+        int256 slope,
+        uint256 expiry
+    ) private {
+        settle(self);
+
+        // voting power that expired already has been removed by the settlement.
+        if ((votingPower == 0 && slope == 0) || expiry <= block.timestamp)
+            return;
+
+        _writeCheckpoint(
+            self.checkpoints,
+            uint64(block.timestamp),
+            Delta(votingPower, slope, slope * expiry.toInt256())
+        );
+        _schedule(self, expiry.toUint64(), -votingPower, -slope);
+    }
+
+    /// @dev Net a change into the change scheduled at the timepoint, adding the timepoint to the heap if needed.
+    function _schedule(
+        History storage self,
+        uint64 timepoint,
+        int256 votingPower,
+        int256 slope
+    ) private {
+        ScheduledChange storage change = self.scheduled[timepoint];
+
+        change.votingPower = (change.votingPower + votingPower).toInt192();
+        change.slope += slope;
+
+        if (!change.pending) {
+            change.pending = true;
+            _pushTimepoint(self.timepoints, timepoint);
+        }
+    }
+
+    /// @dev Apply a delta to the latest sums at a timepoint, reusing the checkpoint if the timepoint matches.
+    ///      The next checkpoint is built once for both cases, which keeps the library small.
+    function _writeCheckpoint(
+        Checkpoint[] storage checkpoints,
+        uint64 timepoint,
+        Delta memory delta
+    ) private {
+        uint256 length = checkpoints.length;
+
+        // the sums start at zero before the first checkpoint.
+        Checkpoint memory last;
+        if (length != 0) last = checkpoints[length - 1];
+
+        Checkpoint memory next = Checkpoint(
+            timepoint,
+            _apply(last.votingPower, delta.votingPower).toUint192(),
+            _apply(last.slope, delta.slope),
+            _apply(last.bias, delta.bias)
+        );
+
+        if (length != 0 && last.timepoint == timepoint) {
+            checkpoints[length - 1] = next;
+        } else {
+            checkpoints.push(next);
+        }
+    }
+
+    /// @dev Apply a signed delta to a sum.
+    function _apply(
+        uint256 value,
+        int256 delta
+    ) private pure returns (uint256) {
+        return (value.toInt256() + delta).toUint256();
+    }
+
+    /// @dev Find the index of the first checkpoint written after the timepoint.
+    function _upperBound(
+        Checkpoint[] storage checkpoints,
+        uint256 timepoint
+    ) private view returns (uint256 high) {
+        uint256 low = 0;
+        high = checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (checkpoints[mid].timepoint > timepoint) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+    }
+
+    /// @dev Find the first scheduled timepoint after the timepoint, in the subtree of the heap rooted at `index`.
+    function _nextScheduled(
+        History storage self,
+        uint256 index,
+        uint256 timepoint
+    ) private view returns (uint256) {
+        uint64[] storage timepoints = self.timepoints;
+        if (index >= timepoints.length) return 0;
+
+        // children are never before their parent, so the subtree of a later timepoint is pruned.
+        if (timepoints[index] > timepoint) return timepoints[index];
+
+        uint256 left = _nextScheduled(self, 2 * index + 1, timepoint);
+        uint256 right = _nextScheduled(self, 2 * index + 2, timepoint);
+
+        return left == 0 || (right != 0 && right < left) ? right : left;
+    }
+
+    /// @dev Sum the scheduled changes due at the timepoint, in the subtree of the heap rooted at `index`.
+    function _sumScheduled(
+        History storage self,
+        uint256 index,
+        uint256 timepoint
+    ) private view returns (Delta memory sums) {
+        uint64[] storage timepoints = self.timepoints;
+
+        // children are never due before their parent, so prune the subtree.
+        if (index >= timepoints.length || timepoints[index] > timepoint)
+            return sums;
+
+        ScheduledChange storage change = self.scheduled[timepoints[index]];
+        Delta memory left = _sumScheduled(self, 2 * index + 1, timepoint);
+        Delta memory right = _sumScheduled(self, 2 * index + 2, timepoint);
+
+        sums.votingPower =
+            change.votingPower +
+            left.votingPower +
+            right.votingPower;
+        sums.slope = change.slope + left.slope + right.slope;
+        sums.bias =
+            change.slope *
+            int256(uint256(timepoints[index])) +
+            left.bias +
+            right.bias;
+    }
+
+    /// @dev Insert a timepoint in the min-heap.
+    function _pushTimepoint(
+        uint64[] storage timepoints,
+        uint64 timepoint
+    ) private {
+        uint256 index = timepoints.length;
+        timepoints.push(timepoint);
+
+        // move the timepoint up until its parent is earlier.
+        while (index != 0) {
+            uint256 parent = (index - 1) / 2;
+            if (timepoints[parent] <= timepoint) break;
+
+            timepoints[index] = timepoints[parent];
+            index = parent;
+        }
+        timepoints[index] = timepoint;
+    }
+
+    /// @dev Remove the earliest timepoint from the min-heap.
+    function _popTimepoint(uint64[] storage timepoints) private {
+        uint64 last = timepoints[timepoints.length - 1];
+        timepoints.pop();
+
+        uint256 length = timepoints.length;
+        if (length == 0) return;
+
+        // move the last timepoint down from the root until its children are later.
+        uint256 index = 0;
+        while (true) {
+            uint256 child = 2 * index + 1;
+            if (child >= length) break;
+            if (child + 1 < length && timepoints[child + 1] < timepoints[child])
+                child++;
+            if (last <= timepoints[child]) break;
+
+            timepoints[index] = timepoints[child];
+            index = child;
+        }
+        timepoints[index] = last;
+    }
+}
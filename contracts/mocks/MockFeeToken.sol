@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract MockFeeToken is ERC20 {
+    // the fee burnt from every transfer, in basis points.
+    uint256 public fee;
+
+    constructor(uint256 _fee) ERC20("", "") {
+        fee = _fee;
+    }
+
+    function mint(address _receiver, uint256 _value) external {
+        _mint(_receiver, _value);
+    }
+
+    function setFee(uint256 _fee) external {
+        fee = _fee;
+    }
+
+    function _transfer(
+        address _from,
+        address _to,
+        uint256 _value
+    ) internal override {
+        uint256 charged = (_value * fee) / 10000;
+        if (charged != 0) _burn(_from, charged);
+        super._transfer(_from, _to, _value - charged);
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "../interfaces/IMundoCryptoLockSuccessor.sol";
+
+contract MockLockSuccessor is IMundoCryptoLockSuccessor {
+    address public immutable lock;
+
+    mapping(address => MigratedPosition[]) private migrated;
+
+    constructor(address _lock) {
+        lock = _lock;
+    }
+
+    function receiveMigration(
+        address account,
+        MigratedPosition[] calldata positions
+    ) external override {
+        require(msg.sender == lock, "MockLockSuccessor: not the lock");
+
+        for (uint256 i = 0; i < positions.length; i++) {
+            migrated[account].push(positions[i]);
+        }
+    }
+
+    function getMigrated(
+        address account
+    ) external view returns (MigratedPosition[] memory) {
+        return migrated[account];
+    }
+}
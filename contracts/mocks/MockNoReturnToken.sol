@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+// a token whose transfer, transferFrom and approve return no value, like USDT on mainnet.
+contract MockNoReturnToken {
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    function mint(address _receiver, uint256 _value) external {
+        balanceOf[_receiver] += _value;
+    }
+
+    function approve(address _spender, uint256 _value) external {
+        allowance[msg.sender][_spender] = _value;
+    }
+
+    function transfer(address _to, uint256 _value) external {
+        balanceOf[msg.sender] -= _value;
+        balanceOf[_to] += _value;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _value) external {
+        allowance[_from][msg.sender] -= _value;
+        balanceOf[_from] -= _value;
+        balanceOf[_to] += _value;
+    }
+}
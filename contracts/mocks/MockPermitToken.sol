@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+contract MockPermitToken is ERC20, ERC20Permit {
+    constructor() ERC20("", "") ERC20Permit("MockPermitToken") {}
+
+    function mint(address _receiver, uint256 _value) external {
+        _mint(_receiver, _value);
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.10;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract MockReturnsFalseToken is ERC20 {
+    // whether the transfers fail by returning false instead of reverting.
+    bool public failTransfers;
+
+    constructor() ERC20("", "") {}
+
+    function mint(address _receiver, uint256 _value) external {
+        _mint(_receiver, _value);
+    }
+
+    function setFailTransfers(bool _failTransfers) external {
+        failTransfers = _failTransfers;
+    }
+
+    function transfer(
+        address _to,
+        uint256 _value
+    ) public override returns (bool) {
+        if (failTransfers) return false;
+        return super.transfer(_to, _value);
+    }
+
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _value
+    ) public override returns (bool) {
+        if (failTransfers) return false;
+        return super.transferFrom(_from, _to, _value);
+    }
+}
@@ -0,0 +1,32 @@
+// Deployment parameters of every network, the arguments of the deploy task take precedence.
+//
+//  token         : is the address of the MundoCrypto token (MCT) to wrap. A mock token is
+//                  deployed on the local networks when it is not set.
+//  linearDecay   : is whether the voting power of the lock decays linearly until the unlock time.
+//  admin         : is the account managing the tiers of the lock, the deployer when it is not set.
+//  confirmations : is the number of blocks to wait for after every deployment.
+module.exports = {
+	hardhat: {
+		linearDecay: false,
+		confirmations: 1,
+	},
+
+	localhost: {
+		linearDecay: false,
+		confirmations: 1,
+	},
+
+	sepolia: {
+		token: process.env.SEPOLIA_TOKEN_ADDRESS,
+		linearDecay: false,
+		admin: process.env.SEPOLIA_ADMIN_ADDRESS,
+		confirmations: 5,
+	},
+
+	ethereum: {
+		token: process.env.ETHEREUM_TOKEN_ADDRESS,
+		linearDecay: false,
+		admin: process.env.ETHEREUM_ADMIN_ADDRESS,
+		confirmations: 5,
+	},
+}
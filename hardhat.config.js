@@ -1,13 +1,34 @@
 require('@nomicfoundation/hardhat-toolbox')
 
+require('./tasks/deploy')
+require('./tasks/lock')
+require('./tasks/votes')
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
 	solidity: {
-		version: '0.8.10',
-		settings: {
-			optimizer: {
-				enabled: true,
-				runs: 99999,
+		compilers: [
+			{
+				version: '0.8.10',
+				settings: {
+					optimizer: {
+						enabled: true,
+						runs: 99999,
+					},
+				},
+			},
+		],
+		overrides: {
+			// the lock deploys the position NFT and is close to the contract size limit,
+			// so its optimizer favours a small bytecode over cheap calls.
+			'contracts/MundoCryptoTokenLock.sol': {
+				version: '0.8.10',
+				settings: {
+					optimizer: {
+						enabled: true,
+						runs: 200,
+					},
+				},
 			},
 		},
 	},
@@ -0,0 +1,81 @@
+// Generates the ABI and the TypeScript typings of the lock in the SDK from the compiled artifacts.
+// Run it after changing the lock, before publishing the SDK:
+//
+//   npx hardhat run scripts/build-sdk.js
+const fs = require('fs')
+const path = require('path')
+const { runTypeChain } = require('typechain')
+const ts = require('typescript')
+
+const CONTRACT = 'MundoCryptoTokenLock'
+
+async function buildSdk(hre, params = {}) {
+	const { config } = hre
+	const { out = path.join(config.paths.root, 'sdk'), log = console.log } =
+		params
+
+	const artifact = await hre.artifacts.readArtifact(CONTRACT)
+
+	const abiDir = path.join(out, 'abi')
+	fs.mkdirSync(abiDir, { recursive: true })
+	fs.writeFileSync(
+		path.join(abiDir, `${CONTRACT}.json`),
+		`${JSON.stringify(artifact.abi, null, '\t')}\n`
+	)
+
+	// generate the contract types with TypeChain, in the cache so they resolve the ethers types.
+	const typechainDir = path.join(config.paths.cache, 'sdk-typechain')
+	const artifactPath = path.join(
+		config.paths.artifacts,
+		artifact.sourceName,
+		`${CONTRACT}.json`
+	)
+	fs.rmSync(typechainDir, { recursive: true, force: true })
+	await runTypeChain({
+		cwd: config.paths.root,
+		filesToProcess: [artifactPath],
+		allFiles: [artifactPath],
+		outDir: typechainDir,
+		target: 'ethers-v5',
+	})
+
+	// the SDK is plain JavaScript, so only the declarations of the contract types are shipped.
+	const program = ts.createProgram(
+		[path.join(typechainDir, `${CONTRACT}.ts`)],
+		{
+			declaration: true,
+			emitDeclarationOnly: true,
+			outDir: path.join(out, 'types'),
+			target: ts.ScriptTarget.ES2020,
+			module: ts.ModuleKind.CommonJS,
+			moduleResolution: ts.ModuleResolutionKind.NodeJs,
+			skipLibCheck: true,
+		}
+	)
+	const { diagnostics } = program.emit()
+	const errors = ts.getPreEmitDiagnostics(program).concat(diagnostics)
+	if (errors.length) {
+		throw new Error(
+			ts.formatDiagnostics(errors, {
+				getCanonicalFileName: (file) => file,
+				getCurrentDirectory: () => config.paths.root,
+				getNewLine: () => '\n',
+			})
+		)
+	}
+
+	log(`SDK ABI and typings of ${CONTRACT} written to ${out}`)
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+if (require.main === module) {
+	const hre = require('hardhat')
+
+	buildSdk(hre).catch((error) => {
+		console.error(error)
+		process.exitCode = 1
+	})
+}
+
+module.exports = { buildSdk }
@@ -0,0 +1,104 @@
+// Deploys the wrapper, the voting power library and the lock in order, and writes their addresses to the deployment
+// manifest of the network. Contracts which are in the manifest already are skipped.
+//
+// Run it with the deploy task, which takes the parameters as arguments:
+//
+//   npx hardhat deploy --network sepolia --token 0x...
+//
+// or as a script, which takes the parameters from deploy.config.js and the environment:
+//
+//   TOKEN_ADDRESS=0x... npx hardhat run scripts/deploy.js --network sepolia
+const deployConfig = require('../deploy.config')
+const {
+	isLocalNetwork,
+	manifestPath,
+	readManifest,
+	deployContract,
+} = require('./lib/deployments')
+
+// Merge the parameters of the network with the given ones, the given ones take precedence.
+function resolveParams(network, params) {
+	const defaults = deployConfig[network] || {}
+	const resolved = { confirmations: 1, linearDecay: false, ...defaults }
+
+	for (const [key, value] of Object.entries(params)) {
+		if (value !== undefined && value !== '') resolved[key] = value
+	}
+
+	return resolved
+}
+
+async function deploy(hre, params = {}) {
+	const { ethers, network } = hre
+	const { manifest: file, log = console.log, ...rest } = params
+	const { token, linearDecay, admin, confirmations } = resolveParams(
+		network.name,
+		rest
+	)
+
+	const deployment = {
+		file: file === undefined ? manifestPath(network.name) : file,
+		confirmations,
+		log,
+	}
+	deployment.manifest = readManifest(deployment.file)
+
+	const [deployer] = await ethers.getSigners()
+
+	let tokenAddress = token
+	if (!tokenAddress) {
+		if (!isLocalNetwork(network.name)) {
+			throw new Error(
+				`No token to wrap on ${network.name}, set it in deploy.config.js or pass --token`
+			)
+		}
+
+		const mockToken = await deployContract(hre, deployment, 'MockToken', [])
+		tokenAddress = mockToken.address
+	}
+
+	const wToken = await deployContract(
+		hre,
+		deployment,
+		'WrappedMundoCryptoToken',
+		[tokenAddress]
+	)
+
+	// the library is linked to the lock to keep it under the contract size limit.
+	const votingPowerHistory = await deployContract(
+		hre,
+		deployment,
+		'VotingPowerHistory',
+		[]
+	)
+
+	await deployContract(
+		hre,
+		deployment,
+		'MundoCryptoTokenLock',
+		[wToken.address, linearDecay, admin || deployer.address],
+		{ VotingPowerHistory: votingPowerHistory.address }
+	)
+
+	return deployment.manifest
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+if (require.main === module) {
+	const hre = require('hardhat')
+
+	deploy(hre, {
+		token: process.env.TOKEN_ADDRESS,
+		linearDecay:
+			process.env.LINEAR_DECAY === undefined
+				? undefined
+				: process.env.LINEAR_DECAY === 'true',
+		admin: process.env.ADMIN_ADDRESS,
+	}).catch((error) => {
+		console.error(error)
+		process.exitCode = 1
+	})
+}
+
+module.exports = { deploy, resolveParams }
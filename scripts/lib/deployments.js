@@ -0,0 +1,82 @@
+const fs = require('fs')
+const path = require('path')
+
+// Directory of the per-network deployment manifests.
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'deployments')
+
+// Networks which run on this machine, nothing is verified on them.
+const LOCAL_NETWORKS = ['hardhat', 'localhost']
+
+// The in-process network does not outlive the command, so its deployments are not saved.
+const EPHEMERAL_NETWORKS = ['hardhat']
+
+function isLocalNetwork(network) {
+	return LOCAL_NETWORKS.includes(network)
+}
+
+// Path of the manifest of a network, null when the deployments are not saved.
+function manifestPath(network) {
+	if (EPHEMERAL_NETWORKS.includes(network)) return null
+
+	return path.join(DEPLOYMENTS_DIR, `${network}.json`)
+}
+
+function readManifest(file) {
+	if (!file || !fs.existsSync(file)) return {}
+
+	return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+function writeManifest(file, manifest) {
+	if (!file) return
+
+	fs.mkdirSync(path.dirname(file), { recursive: true })
+	fs.writeFileSync(file, `${JSON.stringify(manifest, null, '\t')}\n`)
+}
+
+// Deploy a contract unless the manifest holds a deployment with the same constructor
+// arguments and linked libraries which still has code, and save the manifest after
+// every deployment.
+async function deployContract(hre, deployment, name, args, libraries) {
+	const { ethers } = hre
+	const { manifest, file, confirmations, log } = deployment
+
+	const entry = manifest[name]
+	if (
+		entry &&
+		JSON.stringify(entry.args) === JSON.stringify(args) &&
+		JSON.stringify(entry.libraries) === JSON.stringify(libraries) &&
+		(await ethers.provider.getCode(entry.address)) !== '0x'
+	) {
+		log(`${name} already deployed to ${entry.address}`)
+
+		return ethers.getContractAt(name, entry.address)
+	}
+
+	const factory = await ethers.getContractFactory(name, { libraries })
+	const contract = await factory.deploy(...args)
+	const receipt = await contract.deployTransaction.wait(confirmations)
+
+	const { sourceName } = await hre.artifacts.readArtifact(name)
+	manifest[name] = {
+		address: contract.address,
+		contract: `${sourceName}:${name}`,
+		args,
+		...(libraries && { libraries }),
+		transactionHash: receipt.transactionHash,
+		blockNumber: receipt.blockNumber,
+	}
+	writeManifest(file, manifest)
+
+	log(`${name} deployed to ${contract.address}`)
+
+	return contract
+}
+
+module.exports = {
+	isLocalNetwork,
+	manifestPath,
+	readManifest,
+	writeManifest,
+	deployContract,
+}
@@ -0,0 +1,245 @@
+const { StandardMerkleTree } = require('@openzeppelin/merkle-tree')
+const { projectVotingPower } = require('../../sdk')
+
+// Events which change the positions of the lock.
+const EVENTS = [
+	'TokensLocked',
+	'LockExtended',
+	'LockAmountIncreased',
+	'PositionTransferred',
+	'PositionsMerged',
+	'PositionSplit',
+	'TokensWithdrawn',
+	'DelegateChanged',
+]
+
+// Fetch the events of the lock in ranges of blocks, ordered as they were emitted.
+async function fetchLockEvents(lock, fromBlock, toBlock, blockRange = 10000) {
+	const events = []
+
+	for (let from = fromBlock; from <= toBlock; from += blockRange) {
+		const to = Math.min(from + blockRange - 1, toBlock)
+
+		for (const name of EVENTS) {
+			events.push(
+				...(await lock.queryFilter(lock.filters[name](), from, to))
+			)
+		}
+	}
+
+	return events.sort(
+		(a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+	)
+}
+
+// Rebuild the open positions and the delegates of the lock from its events. Updates of positions
+// locked and delegations made before the first event are skipped, so the voting power of their
+// owners is not exact.
+function replayLockEvents(events) {
+	const positions = new Map()
+	const accounts = new Set()
+	const delegates = new Map()
+
+	for (const { event, args } of events) {
+		switch (event) {
+			case 'TokensLocked':
+				accounts.add(args.account)
+				positions.set(args.positionId.toString(), {
+					id: args.positionId.toBigInt(),
+					owner: args.account,
+					period: args.lockPeriod.toNumber(),
+					amount: args.amount.toBigInt(),
+					unlockTime: args.unlockTime.toBigInt(),
+				})
+				break
+			case 'LockExtended': {
+				const position = positions.get(args.positionId.toString())
+				if (!position) break
+				position.period = args.newPeriod.toNumber()
+				position.unlockTime = args.unlockTime.toBigInt()
+				break
+			}
+			case 'LockAmountIncreased': {
+				const position = positions.get(args.positionId.toString())
+				if (!position) break
+				position.amount = args.totalAmount.toBigInt()
+				position.unlockTime = args.unlockTime.toBigInt()
+				break
+			}
+			case 'PositionTransferred': {
+				const position = positions.get(args.positionId.toString())
+				if (!position) break
+				accounts.add(args.to)
+				position.owner = args.to
+				break
+			}
+			case 'PositionsMerged': {
+				const position = positions.get(args.toId.toString())
+				if (!position) break
+				position.amount = args.totalAmount.toBigInt()
+				position.unlockTime = args.unlockTime.toBigInt()
+				positions.delete(args.fromId.toString())
+				break
+			}
+			case 'PositionSplit': {
+				const position = positions.get(args.positionId.toString())
+				if (!position) break
+				position.amount -= args.amount.toBigInt()
+				positions.set(args.newPositionId.toString(), {
+					...position,
+					id: args.newPositionId.toBigInt(),
+					amount: args.amount.toBigInt(),
+				})
+				break
+			}
+			case 'TokensWithdrawn':
+				positions.delete(args.positionId.toString())
+				break
+			case 'DelegateChanged':
+				accounts.add(args.toDelegate)
+				delegates.set(args.delegator, args.toDelegate)
+				break
+		}
+	}
+
+	return { positions, accounts, delegates }
+}
+
+// Build the snapshot of the voting power of every locker at a block.
+async function buildSnapshot(lock, { fromBlock = 0, block, blockRange } = {}) {
+	const { timestamp } = await lock.provider.getBlock(block)
+	const linearDecay = await lock.linearDecay({ blockTag: block })
+	// tiers are only added or disabled, so their lock times and multipliers never change.
+	const tiers = (await lock.getTiers({ blockTag: block })).map((tier) => ({
+		lockTime: tier.lockTime.toBigInt(),
+		multiplier: tier.multiplier.toBigInt(),
+	}))
+
+	const events = await fetchLockEvents(lock, fromBlock, block, blockRange)
+	const { positions, accounts, delegates } = replayLockEvents(events)
+
+	// the voting power of a position goes to the delegate of its owner.
+	const positionsOf = new Map([...accounts].map((account) => [account, []]))
+	const delegatedTo = new Map([...accounts].map((account) => [account, []]))
+	for (const position of positions.values()) {
+		positionsOf.get(position.owner).push(position)
+		delegatedTo
+			.get(delegates.get(position.owner) ?? position.owner)
+			.push(position)
+	}
+
+	const votingPowerOf = (positions) =>
+		projectVotingPower(positions, {
+			timestamp,
+			linearDecay,
+			tiers,
+		}).toBigInt()
+
+	// the decaying powers of the positions are summed before the division, as in the lock.
+	const totalVotingPower = votingPowerOf(positions.values())
+
+	const lockers = []
+	for (const [account, accountPositions] of positionsOf) {
+		const votingPower = votingPowerOf(delegatedTo.get(account))
+		if (votingPower === 0n) continue
+
+		// the locked tokens of the account per period.
+		const periods = {}
+		for (const position of accountPositions) {
+			const period = (periods[position.period] ??= {
+				amount: 0n,
+				unlockTime: 0n,
+			})
+			period.amount += position.amount
+			if (position.unlockTime > period.unlockTime) {
+				period.unlockTime = position.unlockTime
+			}
+		}
+
+		lockers.push({ account, votingPower, periods })
+	}
+
+	lockers.sort((a, b) => a.account.localeCompare(b.account))
+
+	const tree = lockers.length
+		? StandardMerkleTree.of(
+				lockers.map(({ account, votingPower }) => [
+					account,
+					votingPower.toString(),
+				]),
+				['address', 'uint256']
+		  )
+		: null
+
+	return {
+		lock: lock.address,
+		block,
+		timestamp,
+		linearDecay,
+		totalVotingPower,
+		merkleRoot: tree ? tree.root : null,
+		accounts: [...accounts],
+		lockers: lockers.map((locker, index) => ({
+			...locker,
+			proof: tree.getProof(index),
+		})),
+	}
+}
+
+// Compare the snapshot with the voting power of the lock at the same block.
+async function checkSnapshot(lock, snapshot) {
+	const blockTag = snapshot.block
+	const mismatches = []
+
+	const powers = new Map(
+		snapshot.lockers.map(({ account, votingPower }) => [
+			account,
+			votingPower,
+		])
+	)
+	for (const account of snapshot.accounts) {
+		const expected = powers.get(account) ?? 0n
+		const actual = (
+			await lock.getVotingPower(account, { blockTag })
+		).toBigInt()
+
+		if (actual !== expected) mismatches.push({ account, expected, actual })
+	}
+
+	const actualTotal = (await lock.totalVotingPower({ blockTag })).toBigInt()
+	if (actualTotal !== snapshot.totalVotingPower) {
+		mismatches.push({
+			account: 'total',
+			expected: snapshot.totalVotingPower,
+			actual: actualTotal,
+		})
+	}
+
+	return mismatches
+}
+
+// Serialize the snapshot, with the big numbers as decimal strings.
+function toJSON(snapshot) {
+	return `${JSON.stringify(
+		snapshot,
+		(key, value) => (typeof value === 'bigint' ? value.toString() : value),
+		'\t'
+	)}\n`
+}
+
+function toCSV(snapshot) {
+	const rows = snapshot.lockers.map(
+		({ account, votingPower }) => `${account},${votingPower}`
+	)
+
+	return `${['account,votingPower', ...rows].join('\n')}\n`
+}
+
+module.exports = {
+	fetchLockEvents,
+	replayLockEvents,
+	buildSnapshot,
+	checkSnapshot,
+	toJSON,
+	toCSV,
+}
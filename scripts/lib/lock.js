@@ -0,0 +1,77 @@
+const sdk = require('../../sdk')
+const { manifestPath, readManifest } = require('./deployments')
+
+// Messages of the custom errors of the lock, pointing to the tasks which help.
+const ERROR_MESSAGES = {
+	...sdk.ERROR_MESSAGES,
+	TooEarly:
+		'The tokens are still locked, run lock:info to see their unlock dates.',
+	InvalidPeriod:
+		'The period does not exist, run lock:info to see the available periods.',
+	LockExpired:
+		'The position is unlocked already, withdraw it with lock:withdraw.',
+}
+
+// Fetch the lock from the --lock argument or from the deployment manifest of the network.
+async function getLock(hre, address) {
+	const { ethers, network } = hre
+
+	const lockAddress =
+		address ||
+		readManifest(manifestPath(network.name)).MundoCryptoTokenLock?.address
+	if (!lockAddress) {
+		throw new Error(
+			`No lock deployed on ${network.name}, run the deploy task or pass --lock`
+		)
+	}
+
+	const lock = await ethers.getContractAt('MundoCryptoTokenLock', lockAddress)
+	const token = await ethers.getContractAt(
+		'IERC20Metadata',
+		await lock.lockingToken()
+	)
+
+	return { lock, token, decimals: await token.decimals() }
+}
+
+// Fetch the account from the --account argument or the first signer.
+async function getAccount(hre, account) {
+	if (account) return hre.ethers.utils.getAddress(account)
+
+	const [signer] = await hre.ethers.getSigners()
+
+	return signer.address
+}
+
+function formatAmount(hre, amount, decimals) {
+	return hre.ethers.utils.formatUnits(amount, decimals)
+}
+
+function formatDate(timestamp) {
+	return new Date(Number(timestamp) * 1000).toISOString()
+}
+
+function formatDuration(seconds) {
+	return `${Math.round(Number(seconds) / 86400)} days`
+}
+
+// Turn a custom error of the lock into a clear message, other errors are returned unchanged.
+function decodeLockError(error) {
+	return sdk.decodeLockError(error, ERROR_MESSAGES)
+}
+
+// Run a call or a transaction of the lock, with clear messages for its custom errors.
+function withLockErrors(fn) {
+	return sdk.withLockErrors(fn, ERROR_MESSAGES)
+}
+
+module.exports = {
+	ERROR_MESSAGES,
+	getLock,
+	getAccount,
+	formatAmount,
+	formatDate,
+	formatDuration,
+	decodeLockError,
+	withLockErrors,
+}
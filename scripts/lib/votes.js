@@ -0,0 +1,83 @@
+const { StandardMerkleTree } = require('@openzeppelin/merkle-tree')
+const { utils } = require('ethers')
+
+// Maximum number of choices of a proposal, which bounds the size of its tally.
+const MAX_CHOICES = 32
+
+// EIP-712 types of a signed vote.
+const VOTE_TYPES = {
+	Vote: [
+		{ name: 'voter', type: 'address' },
+		{ name: 'proposalId', type: 'uint256' },
+		{ name: 'choice', type: 'uint256' },
+	],
+}
+
+// EIP-712 domain of the votes, bound to the verifier which publishes their results.
+function voteDomain(chainId, verifier) {
+	return {
+		name: 'MundoCryptoVoteVerifier',
+		version: '1',
+		chainId,
+		verifyingContract: verifier,
+	}
+}
+
+// Sign a vote with an ethers signer.
+function signVote(signer, domain, { proposalId, choice }) {
+	return signer._signTypedData(domain, VOTE_TYPES, {
+		voter: signer.address,
+		proposalId,
+		choice,
+	})
+}
+
+// Recover the account which signed a vote, or null when the signature is malformed.
+function recoverVoter(domain, vote, signature) {
+	try {
+		return utils.verifyTypedData(domain, VOTE_TYPES, vote, signature)
+	} catch (error) {
+		return null
+	}
+}
+
+// Sum the weights of the votes for every choice and build the Merkle tree of the
+// (voter, weight, choice) votes, ordered by voter so that the root is deterministic.
+function buildTally(choices, votes) {
+	if (!Number.isInteger(choices) || choices < 1 || choices > MAX_CHOICES) {
+		throw new RangeError(`A tally has 1 to ${MAX_CHOICES} choices`)
+	}
+
+	const tally = Array(choices).fill(0n)
+	for (const { weight, choice } of votes) tally[choice] += weight
+
+	const sorted = [...votes].sort((a, b) => a.voter.localeCompare(b.voter))
+	const tree = sorted.length
+		? StandardMerkleTree.of(
+				sorted.map(({ voter, weight, choice }) => [
+					voter,
+					weight.toString(),
+					choice.toString(),
+				]),
+				['address', 'uint256', 'uint256']
+		  )
+		: null
+
+	return {
+		tally,
+		merkleRoot: tree ? tree.root : null,
+		votes: sorted.map((vote, index) => ({
+			...vote,
+			proof: tree.getProof(index),
+		})),
+	}
+}
+
+module.exports = {
+	MAX_CHOICES,
+	VOTE_TYPES,
+	voteDomain,
+	signVote,
+	recoverVoter,
+	buildTally,
+}
@@ -0,0 +1,93 @@
+// Rebuilds the voting power of every locker at a block from the events of the lock, and
+// exports it as JSON and CSV with a Merkle root of the (account, votingPower) pairs.
+// With --check, the results are compared with getVotingPower of the lock at the same block.
+//
+// Run it with the lock:snapshot task:
+//
+//   npx hardhat lock:snapshot --network sepolia --block 4200000 --check
+//
+// or as a script, which takes the parameters from the environment:
+//
+//   BLOCK=4200000 CHECK=true npx hardhat run scripts/snapshot.js --network sepolia
+const fs = require('fs')
+const path = require('path')
+const { manifestPath, readManifest } = require('./lib/deployments')
+const { buildSnapshot, checkSnapshot, toJSON, toCSV } = require('./lib/indexer')
+
+async function snapshot(hre, params = {}) {
+	const { ethers, network } = hre
+	const { log = console.log } = params
+
+	const deployment = readManifest(
+		manifestPath(network.name)
+	).MundoCryptoTokenLock
+	const lockAddress = params.lock || deployment?.address
+	if (!lockAddress) {
+		throw new Error(
+			`No lock deployed on ${network.name}, run the deploy task or pass --lock`
+		)
+	}
+
+	const lock = await ethers.getContractAt('MundoCryptoTokenLock', lockAddress)
+	const block = params.block ?? (await ethers.provider.getBlockNumber())
+	const fromBlock = params.fromBlock ?? deployment?.blockNumber ?? 0
+
+	const result = await buildSnapshot(lock, {
+		fromBlock,
+		block,
+		blockRange: params.blockRange,
+	})
+
+	log(
+		`${result.lockers.length} lockers with ${result.totalVotingPower} voting power at block ${block}, Merkle root ${result.merkleRoot}`
+	)
+
+	if (params.out) {
+		const file = path.join(params.out, `snapshot-${network.name}-${block}`)
+
+		fs.mkdirSync(params.out, { recursive: true })
+		fs.writeFileSync(`${file}.json`, toJSON(result))
+		fs.writeFileSync(`${file}.csv`, toCSV(result))
+
+		log(`Snapshot written to ${file}.json and ${file}.csv`)
+	}
+
+	if (params.check) {
+		const mismatches = await checkSnapshot(lock, result)
+
+		for (const { account, expected, actual } of mismatches) {
+			log(
+				`Mismatch for ${account}: ${expected} indexed, ${actual} on-chain`
+			)
+		}
+		if (mismatches.length) {
+			throw new Error(
+				`${mismatches.length} voting powers differ from the lock at block ${block}`
+			)
+		}
+
+		log(`${result.accounts.length} accounts match the lock`)
+	}
+
+	return result
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+if (require.main === module) {
+	const hre = require('hardhat')
+	const { BLOCK, FROM_BLOCK, LOCK_ADDRESS, OUT, CHECK } = process.env
+
+	snapshot(hre, {
+		block: BLOCK === undefined ? undefined : Number(BLOCK),
+		fromBlock: FROM_BLOCK === undefined ? undefined : Number(FROM_BLOCK),
+		lock: LOCK_ADDRESS,
+		out: OUT || 'snapshots',
+		check: CHECK === 'true',
+	}).catch((error) => {
+		console.error(error)
+		process.exitCode = 1
+	})
+}
+
+module.exports = { snapshot }
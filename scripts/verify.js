@@ -0,0 +1,59 @@
+// Verifies the contracts of the deployment manifest of the network on Etherscan.
+// Nothing is verified on the local networks.
+//
+//   npx hardhat verify-deployment --network sepolia
+//
+// or as a script:
+//
+//   npx hardhat run scripts/verify.js --network sepolia
+const {
+	isLocalNetwork,
+	manifestPath,
+	readManifest,
+} = require('./lib/deployments')
+
+async function verify(hre, params = {}) {
+	const { network } = hre
+	const { manifest: file, log = console.log } = params
+
+	if (isLocalNetwork(network.name)) {
+		log(`Skipping the verification on the local network ${network.name}`)
+
+		return []
+	}
+
+	const manifest = readManifest(
+		file === undefined ? manifestPath(network.name) : file
+	)
+
+	const verified = []
+	for (const [name, entry] of Object.entries(manifest)) {
+		try {
+			await hre.run('verify:verify', {
+				address: entry.address,
+				contract: entry.contract,
+				constructorArguments: entry.args,
+				libraries: entry.libraries,
+			})
+			verified.push(name)
+		} catch (error) {
+			// verifying a contract twice is not an error for the pipeline.
+			if (!/already verified/i.test(error.message)) throw error
+
+			log(`${name} is already verified`)
+		}
+	}
+
+	return verified
+}
+
+if (require.main === module) {
+	const hre = require('hardhat')
+
+	verify(hre).catch((error) => {
+		console.error(error)
+		process.exitCode = 1
+	})
+}
+
+module.exports = { verify }
@@ -0,0 +1,418 @@
+// Collects EIP-712 signed votes on proposals over HTTP, weights every vote with the voting power of the
+// voter in the lock at the time of the snapshot block of the proposal, and publishes the tally with the
+// Merkle root of the (voter, weight, choice) votes to the MundoCryptoVoteVerifier, which checks the
+// proofs of the votes.
+//
+// Run it with the votes:serve task, which takes the admin token from VOTES_ADMIN_TOKEN:
+//
+//   VOTES_ADMIN_TOKEN=... npx hardhat votes:serve --network sepolia --verifier 0x... --port 3000
+//
+// or as a script, which takes all the parameters from the environment:
+//
+//   VOTES_ADMIN_TOKEN=... VERIFIER_ADDRESS=0x... PORT=3000 npx hardhat run scripts/vote-service.js --network sepolia
+//
+// Routes, the admin ones take the token as `Authorization: Bearer <token>`:
+//
+//   POST /proposals                (admin) { proposalId, snapshotBlock, endTime, choices }
+//   GET  /proposals/:id            the proposal with its tally, Merkle root and the proofs of the votes
+//   POST /proposals/:id/votes      { voter, choice, signature }, until the end time
+//   POST /proposals/:id/publish    (admin) publishes the result to the verifier after the end time
+//
+// The proposals and votes are kept in memory.
+const crypto = require('crypto')
+const http = require('http')
+const { getLock } = require('./lib/lock')
+const {
+	MAX_CHOICES,
+	voteDomain,
+	recoverVoter,
+	buildTally,
+} = require('./lib/votes')
+
+// Maximum size of a request body, a vote takes a few hundred bytes.
+const MAX_BODY_SIZE = 16 * 1024
+
+// Error answered with an HTTP status.
+class ServiceError extends Error {
+	constructor(status, message) {
+		super(message)
+		this.status = status
+	}
+}
+
+// Parse a non-negative integer given as a number or a decimal string.
+function parseUint(value, name) {
+	if (
+		(typeof value === 'number' &&
+			Number.isSafeInteger(value) &&
+			value >= 0) ||
+		(typeof value === 'string' && /^[0-9]+$/.test(value))
+	) {
+		return BigInt(value)
+	}
+
+	throw new ServiceError(400, `Invalid ${name}`)
+}
+
+// Read the body of a request, failing as soon as it exceeds the maximum size.
+async function readBody(req) {
+	if (Number(req.headers['content-length']) > MAX_BODY_SIZE) {
+		throw new ServiceError(413, 'The request body is too large')
+	}
+
+	const chunks = []
+	let size = 0
+	for await (const chunk of req) {
+		size += chunk.length
+		if (size > MAX_BODY_SIZE) {
+			throw new ServiceError(413, 'The request body is too large')
+		}
+		chunks.push(chunk)
+	}
+
+	return Buffer.concat(chunks)
+}
+
+// Compare two secrets in constant time, hashing them first as they may differ in length.
+function secretsEqual(a, b) {
+	const digest = (value) => crypto.createHash('sha256').update(value).digest()
+
+	return crypto.timingSafeEqual(digest(a), digest(b))
+}
+
+// Create the service of a lock and a verifier. The verifier must be connected to the publisher,
+// and the admin token is required to create proposals and publish their results.
+function createVoteService({
+	lock,
+	verifier,
+	chainId,
+	adminToken,
+	log = console.error,
+}) {
+	if (!adminToken) throw new Error('The vote service needs an admin token')
+
+	const domain = voteDomain(chainId, verifier.address)
+	const proposals = new Map()
+
+	// revert unless the request carries the admin token.
+	function checkAdmin(authorization) {
+		const [scheme, token] = String(authorization || '').split(' ')
+		if (scheme !== 'Bearer' || !token || !secretsEqual(token, adminToken)) {
+			throw new ServiceError(401, 'Unauthorized')
+		}
+	}
+
+	// the time of the latest block, which the end times are compared with.
+	async function chainTime() {
+		return (await lock.provider.getBlock('latest')).timestamp
+	}
+
+	function getProposal(proposalId) {
+		const proposal = proposals.get(parseUint(proposalId, 'proposal id'))
+		if (!proposal) throw new ServiceError(404, 'Unknown proposal')
+
+		return proposal
+	}
+
+	// the votes are weighted at the time of a mined block, so their weights never change.
+	async function createProposal({
+		proposalId,
+		snapshotBlock,
+		endTime,
+		choices,
+	}) {
+		const id = parseUint(proposalId, 'proposal id')
+		const choiceCount = Number(choices)
+		if (!Number.isInteger(choiceCount) || choiceCount < 2) {
+			throw new ServiceError(400, 'A proposal needs at least two choices')
+		}
+		if (choiceCount > MAX_CHOICES) {
+			throw new ServiceError(
+				400,
+				`A proposal has at most ${MAX_CHOICES} choices`
+			)
+		}
+		if (proposals.has(id)) {
+			throw new ServiceError(409, 'The proposal exists already')
+		}
+
+		const end = Number(parseUint(endTime, 'end time'))
+		const block = await lock.provider.getBlock(
+			Number(parseUint(snapshotBlock, 'snapshot block'))
+		)
+		const now = await chainTime()
+
+		// the lock only answers the voting power of the times before the latest block.
+		if (!block || block.timestamp >= now) {
+			throw new ServiceError(400, 'The snapshot block is not final yet')
+		}
+		if (end <= now) {
+			throw new ServiceError(400, 'The end time must be in the future')
+		}
+
+		// the proposal may have been created while the blocks were fetched.
+		if (proposals.has(id)) {
+			throw new ServiceError(409, 'The proposal exists already')
+		}
+
+		const proposal = {
+			proposalId: id,
+			snapshotBlock: block.number,
+			snapshotTime: block.timestamp,
+			endTime: end,
+			choices: choiceCount,
+			votes: new Map(),
+			closed: false,
+			publishedIn: null,
+		}
+		proposals.set(id, proposal)
+
+		return summarize(proposal)
+	}
+
+	// revert if the poll is closed or has ended, or the voter has voted already.
+	function checkCanVote(proposal, voter, now) {
+		if (proposal.closed) {
+			throw new ServiceError(409, 'The result is published already')
+		}
+		if (now >= proposal.endTime) {
+			throw new ServiceError(409, 'The poll has ended')
+		}
+		if (proposal.votes.has(voter)) {
+			throw new ServiceError(409, 'The voter has voted already')
+		}
+	}
+
+	async function castVote(proposalId, { voter, choice, signature }) {
+		const proposal = getProposal(proposalId)
+
+		const vote = {
+			voter,
+			proposalId: proposal.proposalId,
+			choice: parseUint(choice, 'choice'),
+		}
+		if (vote.choice >= BigInt(proposal.choices)) {
+			throw new ServiceError(400, 'Invalid choice')
+		}
+
+		// the vote must be signed by the voter for this proposal and verifier.
+		const signer = signature && recoverVoter(domain, vote, signature)
+		if (!signer || signer.toLowerCase() !== String(voter).toLowerCase()) {
+			throw new ServiceError(401, 'Invalid signature')
+		}
+		const now = await chainTime()
+		checkCanVote(proposal, signer, now)
+
+		// the voting power the verifier checks the votes against.
+		const weight = (
+			await lock.getPastVotingPower(signer, proposal.snapshotTime)
+		).toBigInt()
+		if (weight === 0n) {
+			throw new ServiceError(403, 'No voting power at the snapshot block')
+		}
+
+		// the poll may have changed while the voting power was fetched.
+		checkCanVote(proposal, signer, now)
+
+		proposal.votes.set(signer, {
+			voter: signer,
+			weight,
+			choice: Number(vote.choice),
+			signature,
+		})
+
+		return { voter: signer, weight, choice: Number(vote.choice) }
+	}
+
+	async function publish(proposalId) {
+		const proposal = getProposal(proposalId)
+		if (proposal.closed) {
+			throw new ServiceError(409, 'The result is published already')
+		}
+		if ((await chainTime()) < proposal.endTime) {
+			throw new ServiceError(409, 'The poll has not ended yet')
+		}
+		if (!proposal.votes.size) {
+			throw new ServiceError(400, 'The proposal has no votes')
+		}
+
+		const { tally, merkleRoot } = buildTally(proposal.choices, [
+			...proposal.votes.values(),
+		])
+
+		// no vote is accepted while the result is published, it is reopened if the transaction fails.
+		proposal.closed = true
+		try {
+			const tx = await verifier.publishResult(
+				proposal.proposalId,
+				proposal.snapshotBlock,
+				proposal.snapshotTime,
+				merkleRoot,
+				tally
+			)
+			await tx.wait()
+			proposal.publishedIn = tx.hash
+		} catch (error) {
+			proposal.closed = false
+			throw error
+		}
+
+		return summarize(proposal)
+	}
+
+	// the proposal with its tally and the votes with their proofs.
+	function summarize(proposal) {
+		const { tally, merkleRoot, votes } = buildTally(proposal.choices, [
+			...proposal.votes.values(),
+		])
+
+		return {
+			proposalId: proposal.proposalId,
+			snapshotBlock: proposal.snapshotBlock,
+			snapshotTime: proposal.snapshotTime,
+			endTime: proposal.endTime,
+			choices: proposal.choices,
+			tally,
+			merkleRoot,
+			publishedIn: proposal.publishedIn,
+			votes,
+		}
+	}
+
+	async function route(method, path, body, authorization) {
+		const [, proposalId, action] =
+			path.match(/^\/proposals(?:\/([^/]+)(?:\/(votes|publish))?)?$/) ||
+			[]
+
+		if (path === '/proposals' && method === 'POST') {
+			checkAdmin(authorization)
+			return [201, await createProposal(body)]
+		}
+		if (proposalId && !action && method === 'GET') {
+			return [200, summarize(getProposal(proposalId))]
+		}
+		if (proposalId && action === 'votes' && method === 'POST') {
+			return [201, await castVote(proposalId, body)]
+		}
+		if (proposalId && action === 'publish' && method === 'POST') {
+			checkAdmin(authorization)
+			return [200, await publish(proposalId)]
+		}
+
+		throw new ServiceError(404, 'Not found')
+	}
+
+	async function handle(req, res) {
+		let status
+		let result
+		try {
+			const raw = await readBody(req)
+
+			let body = {}
+			if (raw.length) {
+				try {
+					body = JSON.parse(raw.toString())
+				} catch (error) {
+					throw new ServiceError(400, 'Invalid JSON body')
+				}
+			}
+
+			const { pathname } = new URL(req.url, 'http://localhost')
+			;[status, result] = await route(
+				req.method,
+				pathname,
+				body,
+				req.headers.authorization
+			)
+		} catch (error) {
+			if (!error.status) log(error)
+
+			status = error.status || 500
+			result = { error: error.status ? error.message : 'Internal error' }
+		}
+
+		// stop reading a body which is too large by closing the connection.
+		res.writeHead(status, {
+			'Content-Type': 'application/json',
+			...(status === 413 && { Connection: 'close' }),
+		})
+		res.end(toJSON(result))
+	}
+
+	const server = http.createServer(handle)
+
+	return {
+		domain,
+		server,
+		createProposal,
+		castVote,
+		publish,
+		getProposal: (proposalId) => summarize(getProposal(proposalId)),
+		// resolve with the port, which is picked by the system when it is 0.
+		listen: (port = 0) =>
+			new Promise((resolve) =>
+				server.listen(port, '127.0.0.1', () =>
+					resolve(server.address().port)
+				)
+			),
+		close: () => new Promise((resolve) => server.close(resolve)),
+	}
+}
+
+// Serialize a response, with the big numbers as decimal strings.
+function toJSON(value) {
+	return JSON.stringify(value, (key, item) =>
+		typeof item === 'bigint' ? item.toString() : item
+	)
+}
+
+async function serve(hre, params = {}) {
+	const { ethers } = hre
+	const { log = console.log, adminToken = process.env.VOTES_ADMIN_TOKEN } =
+		params
+
+	if (!params.verifier) {
+		throw new Error('Pass the address of the vote verifier with --verifier')
+	}
+	if (!adminToken) {
+		throw new Error(
+			'Set the admin token of the service in VOTES_ADMIN_TOKEN'
+		)
+	}
+
+	const { lock } = await getLock(hre, params.lock)
+	const [publisher] = await ethers.getSigners()
+	const verifier = await ethers.getContractAt(
+		'MundoCryptoVoteVerifier',
+		params.verifier,
+		publisher
+	)
+	const { chainId } = await ethers.provider.getNetwork()
+
+	const service = createVoteService({ lock, verifier, chainId, adminToken })
+	const port = await service.listen(params.port)
+
+	log(
+		`Collecting votes for the lock ${lock.address} on http://127.0.0.1:${port}`
+	)
+
+	return service
+}
+
+// We recommend this pattern to be able to use async/await everywhere
+// and properly handle errors.
+if (require.main === module) {
+	const hre = require('hardhat')
+	const { PORT, LOCK_ADDRESS, VERIFIER_ADDRESS } = process.env
+
+	serve(hre, {
+		port: PORT === undefined ? 3000 : Number(PORT),
+		lock: LOCK_ADDRESS,
+		verifier: VERIFIER_ADDRESS,
+	}).catch((error) => {
+		console.error(error)
+		process.exitCode = 1
+	})
+}
+
+module.exports = { createVoteService, serve }
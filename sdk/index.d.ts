@@ -0,0 +1,159 @@
+import type {
+	BigNumber,
+	BigNumberish,
+	ContractReceipt,
+	Signer,
+	providers,
+} from 'ethers'
+import type { MundoCryptoTokenLock } from './types/MundoCryptoTokenLock'
+
+export type { MundoCryptoTokenLock }
+
+export declare const abi: ReadonlyArray<Record<string, unknown>>
+
+export declare const Period: Readonly<{
+	SixMonths: 0
+	OneYear: 1
+	TwoYears: 2
+}>
+
+export type Period = (typeof Period)[keyof typeof Period]
+
+export interface Tier {
+	period: number
+	/** The lock time of the period, in seconds. */
+	lockTime: number
+	/** The voting power multiplier of the period. */
+	multiplier: number
+	active: boolean
+}
+
+/** The tiers added when the lock is deployed. */
+export declare const TIERS: ReadonlyArray<Readonly<Tier>>
+
+export type LockErrorName =
+	| 'InsufficientBalance'
+	| 'TooEarly'
+	| 'ZeroValuedParam'
+	| 'InvalidPeriod'
+	| 'TierNotActive'
+	| 'InvalidTier'
+	| 'NothingToWithdraw'
+	| 'NotPositionOwner'
+	| 'LockExpired'
+	| 'ExpiredSignature'
+	| 'InvalidSignature'
+	| 'FutureLookup'
+	| 'LengthMismatch'
+	| 'NotPositionToken'
+	| 'InvalidMerge'
+	| 'InvalidSplit'
+	| 'EmergencyModeActive'
+	| 'InvalidRescue'
+	| 'NoSuccessor'
+	| 'InvalidCliff'
+	| 'AmountTooSmall'
+	| 'InvalidShortString'
+	| 'StringTooLong'
+
+export type ErrorMessages = Readonly<Partial<Record<LockErrorName, string>>>
+
+export declare const ERROR_MESSAGES: Readonly<Record<LockErrorName, string>>
+
+/** An error of the lock decoded into a clear message. */
+export interface LockError extends Error {
+	errorName: LockErrorName
+}
+
+export interface Position {
+	id: BigNumber
+	owner: string
+	period: number
+	amount: BigNumber
+	startTime: BigNumber
+	unlockTime: BigNumber
+}
+
+/** The fields of a position needed to compute its voting power. */
+export interface PositionLike {
+	period: BigNumberish
+	amount: BigNumberish | bigint
+	unlockTime: BigNumberish | bigint
+}
+
+export interface LockResult {
+	receipt: ContractReceipt
+	positionId: BigNumber
+	amount: BigNumber
+	unlockTime: BigNumber
+}
+
+export interface WithdrawResult {
+	receipt: ContractReceipt
+	withdrawn: Array<{ positionId: BigNumber; amount: BigNumber }>
+}
+
+export declare function connectLock(
+	address: string,
+	signerOrProvider?: Signer | providers.Provider
+): MundoCryptoTokenLock
+
+/** Fetch the tiers of the lock, including the ones added by governance and the disabled ones. */
+export declare function getTiers(
+	contract: MundoCryptoTokenLock
+): Promise<Tier[]>
+
+/** Lock tokens of the signer in a new position, approving the lock first if its allowance is too low. */
+export declare function lock(
+	contract: MundoCryptoTokenLock,
+	amount: BigNumberish,
+	period: BigNumberish,
+	options?: { approve?: boolean }
+): Promise<LockResult>
+
+/** Withdraw the unlocked positions of a period, or a single unlocked position, of the signer. */
+export declare function withdraw(
+	contract: MundoCryptoTokenLock,
+	options: { period: BigNumberish } | { positionId: BigNumberish }
+): Promise<WithdrawResult>
+
+/** Fetch the positions of an account which are not withdrawn yet. */
+export declare function getPositions(
+	contract: MundoCryptoTokenLock,
+	account: string
+): Promise<Position[]>
+
+/** Fetch the voting power of an account now, or at a past timestamp. */
+export declare function getVotingPower(
+	contract: MundoCryptoTokenLock,
+	account: string,
+	timestamp?: BigNumberish
+): Promise<BigNumber>
+
+/** Compute the date at which tokens locked for a period at a timestamp, now by default, unlock. */
+export declare function unlockDate(
+	period: number,
+	options?: { from?: BigNumberish; tiers?: ReadonlyArray<Tier> }
+): Date
+
+/** Compute the voting power of positions at a timestamp, now by default, with the rules of the lock. */
+export declare function projectVotingPower(
+	positions: Iterable<PositionLike>,
+	options?: {
+		timestamp?: BigNumberish | bigint
+		linearDecay?: boolean
+		tiers?: ReadonlyArray<Tier>
+	}
+): BigNumber
+
+/** Turn a custom error of the lock into a clear message, other errors are returned unchanged. */
+export declare function decodeLockError(
+	error: unknown,
+	messages?: ErrorMessages
+): LockError | unknown
+
+/** Run a call or a transaction of the lock, with clear messages for its custom errors. */
+export declare function withLockErrors<T>(
+	fn: () => Promise<T>,
+	messages?: ErrorMessages
+): Promise<T>
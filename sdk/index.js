@@ -0,0 +1,282 @@
+// SDK of the MundoCryptoTokenLock: the periods of the lock, helpers to lock and withdraw tokens and
+// to read the positions and the voting power, clear messages for the custom errors of the lock, and
+// the unlock dates and the voting power of positions computed client-side with the rules of the lock.
+const { BigNumber, Contract, utils } = require('ethers')
+const abi = require('./abi/MundoCryptoTokenLock.json')
+
+const lockInterface = new utils.Interface(abi)
+
+const DAY = 24 * 60 * 60
+
+// Precision of the slopes of the voting power, as in VotingPowerHistory.
+const PRECISION = 10n ** 18n
+
+const ERC20_ABI = [
+	'function allowance(address owner, address spender) view returns (uint256)',
+	'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+// The periods added when the lock is deployed, governance can add more with addTier.
+const Period = Object.freeze({
+	SixMonths: 0,
+	OneYear: 1,
+	TwoYears: 2,
+})
+
+const TIERS = Object.freeze([
+	Object.freeze({
+		period: Period.SixMonths,
+		lockTime: 182 * DAY,
+		multiplier: 2,
+		active: true,
+	}),
+	Object.freeze({
+		period: Period.OneYear,
+		lockTime: 365 * DAY,
+		multiplier: 4,
+		active: true,
+	}),
+	Object.freeze({
+		period: Period.TwoYears,
+		lockTime: 730 * DAY,
+		multiplier: 10,
+		active: true,
+	}),
+])
+
+// Messages of the custom errors of the lock.
+const ERROR_MESSAGES = Object.freeze({
+	InsufficientBalance: 'The account does not have enough tokens to lock.',
+	TooEarly: 'The tokens are still locked.',
+	ZeroValuedParam: 'The amount must be greater than zero.',
+	InvalidPeriod: 'The period does not exist.',
+	TierNotActive: 'The period is disabled, tokens cannot be locked for it.',
+	InvalidTier: 'A tier needs a lock time and a multiplier greater than zero.',
+	NothingToWithdraw: 'The account has no tokens locked for this period.',
+	NotPositionOwner: 'The position does not belong to the account.',
+	LockExpired: 'The position is unlocked already.',
+	ExpiredSignature: 'The signature has expired.',
+	InvalidSignature: 'The signature is not signed by the account.',
+	FutureLookup: 'The voting power can only be fetched at a past timestamp.',
+	LengthMismatch: 'The arrays of the batch have different lengths.',
+	NotPositionToken:
+		'Positions can only be moved by transferring their token.',
+	InvalidMerge:
+		'Only two different positions of the same period can be merged.',
+	InvalidSplit: 'Both parts of a split position must hold tokens.',
+	EmergencyModeActive:
+		'The lock is in the emergency mode, tokens cannot be locked anymore.',
+	InvalidRescue:
+		'The locked token can only be rescued above what the positions are owed.',
+	NoSuccessor: 'The governance has not approved a successor to migrate to.',
+	InvalidCliff:
+		'The cliff of a granted position cannot be after its unlock time.',
+	AmountTooSmall: 'A position must hold at least the minimum lock amount.',
+	// the errors of the EIP-712 domain, which only the deployment can revert with.
+	InvalidShortString: 'The EIP-712 name or version is not a short string.',
+	StringTooLong: 'The EIP-712 name or version is too long.',
+})
+
+function connectLock(address, signerOrProvider) {
+	return new Contract(address, abi, signerOrProvider)
+}
+
+// Fetch the tiers of the lock, including the ones added by governance and the disabled ones.
+async function getTiers(contract) {
+	const tiers = await contract.getTiers()
+
+	return tiers.map((tier, period) => ({
+		period,
+		lockTime: tier.lockTime.toNumber(),
+		multiplier: tier.multiplier.toNumber(),
+		active: tier.active,
+	}))
+}
+
+// Lock tokens of the signer of the lock in a new position, approving the lock first if its
+// allowance is too low.
+async function lock(contract, amount, period, { approve = true } = {}) {
+	return withLockErrors(async () => {
+		const owner = await contract.signer.getAddress()
+
+		if (approve) {
+			const token = new Contract(
+				await contract.lockingToken(),
+				ERC20_ABI,
+				contract.signer
+			)
+
+			const allowance = await token.allowance(owner, contract.address)
+			if (allowance.lt(amount)) {
+				await (await token.approve(contract.address, amount)).wait()
+			}
+		}
+
+		const receipt = await (await contract.lockTokens(amount, period)).wait()
+		const { args } = receipt.events.find((e) => e.event === 'TokensLocked')
+
+		return {
+			receipt,
+			positionId: args.positionId,
+			amount: args.amount,
+			unlockTime: args.unlockTime,
+		}
+	})
+}
+
+// Withdraw the unlocked positions of a period, or a single unlocked position, of the signer.
+async function withdraw(contract, { period, positionId } = {}) {
+	if ((period === undefined) === (positionId === undefined)) {
+		throw new Error('Pass either a period or a positionId')
+	}
+
+	return withLockErrors(async () => {
+		const tx =
+			positionId === undefined
+				? await contract.withdrawTokens(period)
+				: await contract.withdrawPosition(positionId)
+		const receipt = await tx.wait()
+
+		return {
+			receipt,
+			withdrawn: receipt.events
+				.filter((e) => e.event === 'TokensWithdrawn')
+				.map(({ args }) => ({
+					positionId: args.positionId,
+					amount: args.amount,
+				})),
+		}
+	})
+}
+
+// Fetch the positions of an account which are not withdrawn yet.
+async function getPositions(contract, account) {
+	const positions = await contract.getPositions(account)
+
+	return positions.map((position) => ({
+		id: position.id,
+		owner: position.owner,
+		period: position.period.toNumber(),
+		amount: position.amount,
+		startTime: position.startTime,
+		unlockTime: position.unlockTime,
+	}))
+}
+
+// Fetch the voting power of an account now, or at a past timestamp.
+async function getVotingPower(contract, account, timestamp) {
+	return withLockErrors(() =>
+		timestamp === undefined
+			? contract.getVotingPower(account)
+			: contract.getPastVotingPower(account, timestamp)
+	)
+}
+
+// Compute the date at which tokens locked for a period at a timestamp, now by default, unlock.
+function unlockDate(period, { from, tiers = TIERS } = {}) {
+	const start =
+		from === undefined ? Math.floor(Date.now() / 1000) : Number(from)
+
+	return new Date((start + tierOf(tiers, period).lockTime) * 1000)
+}
+
+// Compute the voting power of positions at a timestamp, now by default, with the rules of the lock:
+// the constant powers are summed, and the decaying powers are summed before the division.
+function projectVotingPower(
+	positions,
+	{ timestamp, linearDecay = false, tiers = TIERS } = {}
+) {
+	const at = BigInt(
+		timestamp === undefined ? Math.floor(Date.now() / 1000) : timestamp
+	)
+
+	let votingPower = 0n
+	let decaying = 0n
+
+	for (const position of positions) {
+		const unlockTime = BigInt(position.unlockTime.toString())
+		if (unlockTime <= at) continue
+
+		const tier = tierOf(tiers, Number(position.period))
+		const power =
+			BigInt(position.amount.toString()) * BigInt(tier.multiplier)
+
+		if (linearDecay) {
+			const slope = (power * PRECISION) / BigInt(tier.lockTime)
+			decaying += slope * (unlockTime - at)
+		} else {
+			votingPower += power
+		}
+	}
+
+	return BigNumber.from((votingPower + decaying / PRECISION).toString())
+}
+
+function tierOf(tiers, period) {
+	const tier = tiers[period]
+	if (!tier) throw new Error(`Unknown period ${period}`)
+
+	return tier
+}
+
+// Find the revert data of a failed call or transaction, which the providers nest differently.
+function findRevertData(error) {
+	for (let e = error; e; e = e.error) {
+		if (typeof e.data === 'string' && e.data.startsWith('0x')) return e.data
+		if (typeof e.data?.data === 'string') return e.data.data
+	}
+
+	return null
+}
+
+// Turn a custom error of the lock into a clear message, other errors are returned unchanged.
+function decodeLockError(error, messages = ERROR_MESSAGES) {
+	let name = error.errorName
+
+	const data = findRevertData(error)
+	if (!name && data) {
+		try {
+			name = lockInterface.parseError(data).name
+		} catch (e) {
+			// not an error of the lock.
+		}
+	}
+
+	if (!name) {
+		const match = /custom error '(\w+)\(/.exec(error.message)
+		if (match) name = match[1]
+	}
+
+	if (!name || !messages[name]) return error
+
+	const decoded = new Error(`${messages[name]} (${name})`)
+	decoded.errorName = name
+
+	return decoded
+}
+
+// Run a call or a transaction of the lock, with clear messages for its custom errors.
+async function withLockErrors(fn, messages = ERROR_MESSAGES) {
+	try {
+		return await fn()
+	} catch (error) {
+		throw decodeLockError(error, messages)
+	}
+}
+
+module.exports = {
+	abi,
+	Period,
+	TIERS,
+	ERROR_MESSAGES,
+	connectLock,
+	getTiers,
+	lock,
+	withdraw,
+	getPositions,
+	getVotingPower,
+	unlockDate,
+	projectVotingPower,
+	decodeLockError,
+	withLockErrors,
+}
@@ -0,0 +1,1341 @@
+import type { BaseContract, BigNumber, BigNumberish, BytesLike, CallOverrides, ContractTransaction, Overrides, PopulatedTransaction, Signer, utils } from "ethers";
+import type { FunctionFragment, Result, EventFragment } from "@ethersproject/abi";
+import type { Listener, Provider } from "@ethersproject/providers";
+import type { TypedEventFilter, TypedEvent, TypedListener, OnEvent, PromiseOrValue } from "./common";
+export declare namespace MundoCryptoTokenLock {
+    type LockingDataStruct = {
+        amount: PromiseOrValue<BigNumberish>;
+        unlockTime: PromiseOrValue<BigNumberish>;
+    };
+    type LockingDataStructOutput = [BigNumber, BigNumber] & {
+        amount: BigNumber;
+        unlockTime: BigNumber;
+    };
+    type LockPositionStruct = {
+        id: PromiseOrValue<BigNumberish>;
+        owner: PromiseOrValue<string>;
+        period: PromiseOrValue<BigNumberish>;
+        amount: PromiseOrValue<BigNumberish>;
+        startTime: PromiseOrValue<BigNumberish>;
+        unlockTime: PromiseOrValue<BigNumberish>;
+    };
+    type LockPositionStructOutput = [
+        BigNumber,
+        string,
+        BigNumber,
+        BigNumber,
+        BigNumber,
+        BigNumber
+    ] & {
+        id: BigNumber;
+        owner: string;
+        period: BigNumber;
+        amount: BigNumber;
+        startTime: BigNumber;
+        unlockTime: BigNumber;
+    };
+    type TierStruct = {
+        lockTime: PromiseOrValue<BigNumberish>;
+        multiplier: PromiseOrValue<BigNumberish>;
+        active: PromiseOrValue<boolean>;
+    };
+    type TierStructOutput = [BigNumber, BigNumber, boolean] & {
+        lockTime: BigNumber;
+        multiplier: BigNumber;
+        active: boolean;
+    };
+}
+export interface MundoCryptoTokenLockInterface extends utils.Interface {
+    functions: {
+        "DEFAULT_ADMIN_ROLE()": FunctionFragment;
+        "DELEGATION_TYPEHASH()": FunctionFragment;
+        "DOMAIN_SEPARATOR()": FunctionFragment;
+        "GOVERNANCE_ROLE()": FunctionFragment;
+        "GRANTER_ROLE()": FunctionFragment;
+        "GUARDIAN_ROLE()": FunctionFragment;
+        "LOCK_TOKENS_TYPEHASH()": FunctionFragment;
+        "MAX_EARLY_WITHDRAW_PENALTY()": FunctionFragment;
+        "addTier(uint256,uint256)": FunctionFragment;
+        "checkpoint(address,uint256)": FunctionFragment;
+        "delegate(address)": FunctionFragment;
+        "delegateBySig(address,uint256,uint256,uint8,bytes32,bytes32)": FunctionFragment;
+        "delegates(address)": FunctionFragment;
+        "disableTier(uint256)": FunctionFragment;
+        "earlyWithdraw(uint256)": FunctionFragment;
+        "earlyWithdrawPenalty(uint256)": FunctionFragment;
+        "eip712Domain()": FunctionFragment;
+        "emergencyMode()": FunctionFragment;
+        "enableEmergencyMode()": FunctionFragment;
+        "extendLock(uint256,uint256)": FunctionFragment;
+        "fetchAllUserLockData(address)": FunctionFragment;
+        "fetchUserLockData(address,uint256)": FunctionFragment;
+        "getNextOwnChange(address,uint256)": FunctionFragment;
+        "getPastOwnVotingPower(address,uint256)": FunctionFragment;
+        "getPastTotalVotingPower(uint256)": FunctionFragment;
+        "getPastVotingPower(address,uint256)": FunctionFragment;
+        "getPosition(uint256)": FunctionFragment;
+        "getPositions(address)": FunctionFragment;
+        "getRoleAdmin(bytes32)": FunctionFragment;
+        "getTier(uint256)": FunctionFragment;
+        "getTiers()": FunctionFragment;
+        "getVotingPower(address)": FunctionFragment;
+        "getVotingPowerBatch(address[])": FunctionFragment;
+        "grantLock(address,uint256,uint256)": FunctionFragment;
+        "grantLockBatch(address[],uint256[],uint256[],uint256[])": FunctionFragment;
+        "grantRole(bytes32,address)": FunctionFragment;
+        "hasRole(bytes32,address)": FunctionFragment;
+        "increaseLockAmount(uint256,uint256,bool)": FunctionFragment;
+        "linearDecay()": FunctionFragment;
+        "lockTokens(uint256,uint256)": FunctionFragment;
+        "lockTokensFor(address,uint256,uint256,uint256,uint8,bytes32,bytes32)": FunctionFragment;
+        "lockTokensWithPermit(uint256,uint256,uint256,uint8,bytes32,bytes32)": FunctionFragment;
+        "lockingToken()": FunctionFragment;
+        "mergePositions(uint256,uint256)": FunctionFragment;
+        "migrate(uint256[])": FunctionFragment;
+        "minLockAmount()": FunctionFragment;
+        "nonces(address)": FunctionFragment;
+        "pause()": FunctionFragment;
+        "paused()": FunctionFragment;
+        "pendingPenaltyShare(uint256)": FunctionFragment;
+        "positionCliff(uint256)": FunctionFragment;
+        "positionToken()": FunctionFragment;
+        "renounceRole(bytes32,address)": FunctionFragment;
+        "rescueTokens(address,address,uint256)": FunctionFragment;
+        "revokeRole(bytes32,address)": FunctionFragment;
+        "setMinLockAmount(uint256)": FunctionFragment;
+        "setSuccessor(address)": FunctionFragment;
+        "setTreasury(address)": FunctionFragment;
+        "splitPosition(uint256,uint256)": FunctionFragment;
+        "successor()": FunctionFragment;
+        "supportsInterface(bytes4)": FunctionFragment;
+        "totalLocked()": FunctionFragment;
+        "totalLockedByPeriod(uint256)": FunctionFragment;
+        "totalVotingPower()": FunctionFragment;
+        "transferPosition(address,address,uint256)": FunctionFragment;
+        "treasury()": FunctionFragment;
+        "unpause()": FunctionFragment;
+        "withdrawPosition(uint256)": FunctionFragment;
+        "withdrawTokens(uint256)": FunctionFragment;
+    };
+    getFunction(nameOrSignatureOrTopic: "DEFAULT_ADMIN_ROLE" | "DELEGATION_TYPEHASH" | "DOMAIN_SEPARATOR" | "GOVERNANCE_ROLE" | "GRANTER_ROLE" | "GUARDIAN_ROLE" | "LOCK_TOKENS_TYPEHASH" | "MAX_EARLY_WITHDRAW_PENALTY" | "addTier" | "checkpoint" | "delegate" | "delegateBySig" | "delegates" | "disableTier" | "earlyWithdraw" | "earlyWithdrawPenalty" | "eip712Domain" | "emergencyMode" | "enableEmergencyMode" | "extendLock" | "fetchAllUserLockData" | "fetchUserLockData" | "getNextOwnChange" | "getPastOwnVotingPower" | "getPastTotalVotingPower" | "getPastVotingPower" | "getPosition" | "getPositions" | "getRoleAdmin" | "getTier" | "getTiers" | "getVotingPower" | "getVotingPowerBatch" | "grantLock" | "grantLockBatch" | "grantRole" | "hasRole" | "increaseLockAmount" | "linearDecay" | "lockTokens" | "lockTokensFor" | "lockTokensWithPermit" | "lockingToken" | "mergePositions" | "migrate" | "minLockAmount" | "nonces" | "pause" | "paused" | "pendingPenaltyShare" | "positionCliff" | "positionToken" | "renounceRole" | "rescueTokens" | "revokeRole" | "setMinLockAmount" | "setSuccessor" | "setTreasury" | "splitPosition" | "successor" | "supportsInterface" | "totalLocked" | "totalLockedByPeriod" | "totalVotingPower" | "transferPosition" | "treasury" | "unpause" | "withdrawPosition" | "withdrawTokens"): FunctionFragment;
+    encodeFunctionData(functionFragment: "DEFAULT_ADMIN_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "DELEGATION_TYPEHASH", values?: undefined): string;
+    encodeFunctionData(functionFragment: "DOMAIN_SEPARATOR", values?: undefined): string;
+    encodeFunctionData(functionFragment: "GOVERNANCE_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "GRANTER_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "GUARDIAN_ROLE", values?: undefined): string;
+    encodeFunctionData(functionFragment: "LOCK_TOKENS_TYPEHASH", values?: undefined): string;
+    encodeFunctionData(functionFragment: "MAX_EARLY_WITHDRAW_PENALTY", values?: undefined): string;
+    encodeFunctionData(functionFragment: "addTier", values: [PromiseOrValue<BigNumberish>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "checkpoint", values: [PromiseOrValue<string>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "delegate", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "delegateBySig", values: [
+        PromiseOrValue<string>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BytesLike>,
+        PromiseOrValue<BytesLike>
+    ]): string;
+    encodeFunctionData(functionFragment: "delegates", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "disableTier", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "earlyWithdraw", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "earlyWithdrawPenalty", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "eip712Domain", values?: undefined): string;
+    encodeFunctionData(functionFragment: "emergencyMode", values?: undefined): string;
+    encodeFunctionData(functionFragment: "enableEmergencyMode", values?: undefined): string;
+    encodeFunctionData(functionFragment: "extendLock", values: [PromiseOrValue<BigNumberish>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "fetchAllUserLockData", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "fetchUserLockData", values: [PromiseOrValue<string>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "getNextOwnChange", values: [PromiseOrValue<string>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "getPastOwnVotingPower", values: [PromiseOrValue<string>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "getPastTotalVotingPower", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "getPastVotingPower", values: [PromiseOrValue<string>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "getPosition", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "getPositions", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "getRoleAdmin", values: [PromiseOrValue<BytesLike>]): string;
+    encodeFunctionData(functionFragment: "getTier", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "getTiers", values?: undefined): string;
+    encodeFunctionData(functionFragment: "getVotingPower", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "getVotingPowerBatch", values: [PromiseOrValue<string>[]]): string;
+    encodeFunctionData(functionFragment: "grantLock", values: [
+        PromiseOrValue<string>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>
+    ]): string;
+    encodeFunctionData(functionFragment: "grantLockBatch", values: [
+        PromiseOrValue<string>[],
+        PromiseOrValue<BigNumberish>[],
+        PromiseOrValue<BigNumberish>[],
+        PromiseOrValue<BigNumberish>[]
+    ]): string;
+    encodeFunctionData(functionFragment: "grantRole", values: [PromiseOrValue<BytesLike>, PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "hasRole", values: [PromiseOrValue<BytesLike>, PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "increaseLockAmount", values: [
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<boolean>
+    ]): string;
+    encodeFunctionData(functionFragment: "linearDecay", values?: undefined): string;
+    encodeFunctionData(functionFragment: "lockTokens", values: [PromiseOrValue<BigNumberish>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "lockTokensFor", values: [
+        PromiseOrValue<string>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BytesLike>,
+        PromiseOrValue<BytesLike>
+    ]): string;
+    encodeFunctionData(functionFragment: "lockTokensWithPermit", values: [
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BigNumberish>,
+        PromiseOrValue<BytesLike>,
+        PromiseOrValue<BytesLike>
+    ]): string;
+    encodeFunctionData(functionFragment: "lockingToken", values?: undefined): string;
+    encodeFunctionData(functionFragment: "mergePositions", values: [PromiseOrValue<BigNumberish>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "migrate", values: [PromiseOrValue<BigNumberish>[]]): string;
+    encodeFunctionData(functionFragment: "minLockAmount", values?: undefined): string;
+    encodeFunctionData(functionFragment: "nonces", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "pause", values?: undefined): string;
+    encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+    encodeFunctionData(functionFragment: "pendingPenaltyShare", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "positionCliff", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "positionToken", values?: undefined): string;
+    encodeFunctionData(functionFragment: "renounceRole", values: [PromiseOrValue<BytesLike>, PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "rescueTokens", values: [
+        PromiseOrValue<string>,
+        PromiseOrValue<string>,
+        PromiseOrValue<BigNumberish>
+    ]): string;
+    encodeFunctionData(functionFragment: "revokeRole", values: [PromiseOrValue<BytesLike>, PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "setMinLockAmount", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "setSuccessor", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "setTreasury", values: [PromiseOrValue<string>]): string;
+    encodeFunctionData(functionFragment: "splitPosition", values: [PromiseOrValue<BigNumberish>, PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "successor", values?: undefined): string;
+    encodeFunctionData(functionFragment: "supportsInterface", values: [PromiseOrValue<BytesLike>]): string;
+    encodeFunctionData(functionFragment: "totalLocked", values?: undefined): string;
+    encodeFunctionData(functionFragment: "totalLockedByPeriod", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "totalVotingPower", values?: undefined): string;
+    encodeFunctionData(functionFragment: "transferPosition", values: [
+        PromiseOrValue<string>,
+        PromiseOrValue<string>,
+        PromiseOrValue<BigNumberish>
+    ]): string;
+    encodeFunctionData(functionFragment: "treasury", values?: undefined): string;
+    encodeFunctionData(functionFragment: "unpause", values?: undefined): string;
+    encodeFunctionData(functionFragment: "withdrawPosition", values: [PromiseOrValue<BigNumberish>]): string;
+    encodeFunctionData(functionFragment: "withdrawTokens", values: [PromiseOrValue<BigNumberish>]): string;
+    decodeFunctionResult(functionFragment: "DEFAULT_ADMIN_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "DELEGATION_TYPEHASH", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "DOMAIN_SEPARATOR", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "GOVERNANCE_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "GRANTER_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "GUARDIAN_ROLE", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "LOCK_TOKENS_TYPEHASH", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "MAX_EARLY_WITHDRAW_PENALTY", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "addTier", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "checkpoint", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "delegate", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "delegateBySig", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "delegates", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "disableTier", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "earlyWithdraw", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "earlyWithdrawPenalty", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "eip712Domain", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "emergencyMode", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "enableEmergencyMode", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "extendLock", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "fetchAllUserLockData", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "fetchUserLockData", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getNextOwnChange", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getPastOwnVotingPower", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getPastTotalVotingPower", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getPastVotingPower", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getPosition", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getPositions", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getRoleAdmin", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getTier", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getTiers", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getVotingPower", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "getVotingPowerBatch", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "grantLock", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "grantLockBatch", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "increaseLockAmount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "linearDecay", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "lockTokens", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "lockTokensFor", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "lockTokensWithPermit", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "lockingToken", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "mergePositions", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "migrate", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "minLockAmount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "nonces", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "pendingPenaltyShare", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "positionCliff", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "positionToken", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "renounceRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "rescueTokens", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "setMinLockAmount", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "setSuccessor", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "setTreasury", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "splitPosition", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "successor", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "supportsInterface", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "totalLocked", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "totalLockedByPeriod", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "totalVotingPower", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "transferPosition", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "treasury", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "withdrawPosition", data: BytesLike): Result;
+    decodeFunctionResult(functionFragment: "withdrawTokens", data: BytesLike): Result;
+    events: {
+        "DelegateChanged(address,address,address)": EventFragment;
+        "DelegateVotesChanged(address,uint256,uint256)": EventFragment;
+        "EIP712DomainChanged()": EventFragment;
+        "EarlyWithdrawPenalty(address,uint256,uint256,address)": EventFragment;
+        "EmergencyModeEnabled(address)": EventFragment;
+        "LockAmountIncreased(address,uint256,uint256,uint256,uint256)": EventFragment;
+        "LockExtended(address,uint256,uint256,uint256,uint256)": EventFragment;
+        "LockGranted(address,address,uint256,uint256)": EventFragment;
+        "MinLockAmountUpdated(uint256,uint256)": EventFragment;
+        "Paused(address)": EventFragment;
+        "PositionMigrated(address,uint256,address,uint256)": EventFragment;
+        "PositionSplit(address,uint256,uint256,uint256)": EventFragment;
+        "PositionTransferred(address,address,uint256)": EventFragment;
+        "PositionsMerged(address,uint256,uint256,uint256,uint256)": EventFragment;
+        "RoleAdminChanged(bytes32,bytes32,bytes32)": EventFragment;
+        "RoleGranted(bytes32,address,address)": EventFragment;
+        "RoleRevoked(bytes32,address,address)": EventFragment;
+        "SuccessorUpdated(address,address)": EventFragment;
+        "TierAdded(uint256,uint256,uint256)": EventFragment;
+        "TierDisabled(uint256)": EventFragment;
+        "TokensLocked(address,uint256,uint256,uint256,uint256)": EventFragment;
+        "TokensRescued(address,address,uint256)": EventFragment;
+        "TokensWithdrawn(address,uint256,uint256,uint256,uint256)": EventFragment;
+        "TreasuryUpdated(address,address)": EventFragment;
+        "Unpaused(address)": EventFragment;
+    };
+    getEvent(nameOrSignatureOrTopic: "DelegateChanged"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "DelegateVotesChanged"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "EIP712DomainChanged"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "EarlyWithdrawPenalty"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "EmergencyModeEnabled"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "LockAmountIncreased"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "LockExtended"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "LockGranted"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "MinLockAmountUpdated"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "Paused"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "PositionMigrated"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "PositionSplit"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "PositionTransferred"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "PositionsMerged"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "RoleAdminChanged"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "RoleGranted"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "RoleRevoked"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "SuccessorUpdated"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "TierAdded"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "TierDisabled"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "TokensLocked"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "TokensRescued"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "TokensWithdrawn"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "TreasuryUpdated"): EventFragment;
+    getEvent(nameOrSignatureOrTopic: "Unpaused"): EventFragment;
+}
+export interface DelegateChangedEventObject {
+    delegator: string;
+    fromDelegate: string;
+    toDelegate: string;
+}
+export type DelegateChangedEvent = TypedEvent<[
+    string,
+    string,
+    string
+], DelegateChangedEventObject>;
+export type DelegateChangedEventFilter = TypedEventFilter<DelegateChangedEvent>;
+export interface DelegateVotesChangedEventObject {
+    delegate: string;
+    previousBalance: BigNumber;
+    newBalance: BigNumber;
+}
+export type DelegateVotesChangedEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber
+], DelegateVotesChangedEventObject>;
+export type DelegateVotesChangedEventFilter = TypedEventFilter<DelegateVotesChangedEvent>;
+export interface EIP712DomainChangedEventObject {
+}
+export type EIP712DomainChangedEvent = TypedEvent<[
+], EIP712DomainChangedEventObject>;
+export type EIP712DomainChangedEventFilter = TypedEventFilter<EIP712DomainChangedEvent>;
+export interface EarlyWithdrawPenaltyEventObject {
+    account: string;
+    positionId: BigNumber;
+    penalty: BigNumber;
+    treasury: string;
+}
+export type EarlyWithdrawPenaltyEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber,
+    string
+], EarlyWithdrawPenaltyEventObject>;
+export type EarlyWithdrawPenaltyEventFilter = TypedEventFilter<EarlyWithdrawPenaltyEvent>;
+export interface EmergencyModeEnabledEventObject {
+    account: string;
+}
+export type EmergencyModeEnabledEvent = TypedEvent<[
+    string
+], EmergencyModeEnabledEventObject>;
+export type EmergencyModeEnabledEventFilter = TypedEventFilter<EmergencyModeEnabledEvent>;
+export interface LockAmountIncreasedEventObject {
+    account: string;
+    positionId: BigNumber;
+    amount: BigNumber;
+    totalAmount: BigNumber;
+    unlockTime: BigNumber;
+}
+export type LockAmountIncreasedEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber,
+    BigNumber,
+    BigNumber
+], LockAmountIncreasedEventObject>;
+export type LockAmountIncreasedEventFilter = TypedEventFilter<LockAmountIncreasedEvent>;
+export interface LockExtendedEventObject {
+    account: string;
+    positionId: BigNumber;
+    oldPeriod: BigNumber;
+    newPeriod: BigNumber;
+    unlockTime: BigNumber;
+}
+export type LockExtendedEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber,
+    BigNumber,
+    BigNumber
+], LockExtendedEventObject>;
+export type LockExtendedEventFilter = TypedEventFilter<LockExtendedEvent>;
+export interface LockGrantedEventObject {
+    granter: string;
+    beneficiary: string;
+    positionId: BigNumber;
+    cliff: BigNumber;
+}
+export type LockGrantedEvent = TypedEvent<[
+    string,
+    string,
+    BigNumber,
+    BigNumber
+], LockGrantedEventObject>;
+export type LockGrantedEventFilter = TypedEventFilter<LockGrantedEvent>;
+export interface MinLockAmountUpdatedEventObject {
+    oldAmount: BigNumber;
+    newAmount: BigNumber;
+}
+export type MinLockAmountUpdatedEvent = TypedEvent<[
+    BigNumber,
+    BigNumber
+], MinLockAmountUpdatedEventObject>;
+export type MinLockAmountUpdatedEventFilter = TypedEventFilter<MinLockAmountUpdatedEvent>;
+export interface PausedEventObject {
+    account: string;
+}
+export type PausedEvent = TypedEvent<[string], PausedEventObject>;
+export type PausedEventFilter = TypedEventFilter<PausedEvent>;
+export interface PositionMigratedEventObject {
+    account: string;
+    positionId: BigNumber;
+    successor: string;
+    amount: BigNumber;
+}
+export type PositionMigratedEvent = TypedEvent<[
+    string,
+    BigNumber,
+    string,
+    BigNumber
+], PositionMigratedEventObject>;
+export type PositionMigratedEventFilter = TypedEventFilter<PositionMigratedEvent>;
+export interface PositionSplitEventObject {
+    account: string;
+    positionId: BigNumber;
+    newPositionId: BigNumber;
+    amount: BigNumber;
+}
+export type PositionSplitEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber,
+    BigNumber
+], PositionSplitEventObject>;
+export type PositionSplitEventFilter = TypedEventFilter<PositionSplitEvent>;
+export interface PositionTransferredEventObject {
+    from: string;
+    to: string;
+    positionId: BigNumber;
+}
+export type PositionTransferredEvent = TypedEvent<[
+    string,
+    string,
+    BigNumber
+], PositionTransferredEventObject>;
+export type PositionTransferredEventFilter = TypedEventFilter<PositionTransferredEvent>;
+export interface PositionsMergedEventObject {
+    account: string;
+    fromId: BigNumber;
+    toId: BigNumber;
+    totalAmount: BigNumber;
+    unlockTime: BigNumber;
+}
+export type PositionsMergedEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber,
+    BigNumber,
+    BigNumber
+], PositionsMergedEventObject>;
+export type PositionsMergedEventFilter = TypedEventFilter<PositionsMergedEvent>;
+export interface RoleAdminChangedEventObject {
+    role: string;
+    previousAdminRole: string;
+    newAdminRole: string;
+}
+export type RoleAdminChangedEvent = TypedEvent<[
+    string,
+    string,
+    string
+], RoleAdminChangedEventObject>;
+export type RoleAdminChangedEventFilter = TypedEventFilter<RoleAdminChangedEvent>;
+export interface RoleGrantedEventObject {
+    role: string;
+    account: string;
+    sender: string;
+}
+export type RoleGrantedEvent = TypedEvent<[
+    string,
+    string,
+    string
+], RoleGrantedEventObject>;
+export type RoleGrantedEventFilter = TypedEventFilter<RoleGrantedEvent>;
+export interface RoleRevokedEventObject {
+    role: string;
+    account: string;
+    sender: string;
+}
+export type RoleRevokedEvent = TypedEvent<[
+    string,
+    string,
+    string
+], RoleRevokedEventObject>;
+export type RoleRevokedEventFilter = TypedEventFilter<RoleRevokedEvent>;
+export interface SuccessorUpdatedEventObject {
+    oldSuccessor: string;
+    newSuccessor: string;
+}
+export type SuccessorUpdatedEvent = TypedEvent<[
+    string,
+    string
+], SuccessorUpdatedEventObject>;
+export type SuccessorUpdatedEventFilter = TypedEventFilter<SuccessorUpdatedEvent>;
+export interface TierAddedEventObject {
+    period: BigNumber;
+    lockTime: BigNumber;
+    multiplier: BigNumber;
+}
+export type TierAddedEvent = TypedEvent<[
+    BigNumber,
+    BigNumber,
+    BigNumber
+], TierAddedEventObject>;
+export type TierAddedEventFilter = TypedEventFilter<TierAddedEvent>;
+export interface TierDisabledEventObject {
+    period: BigNumber;
+}
+export type TierDisabledEvent = TypedEvent<[
+    BigNumber
+], TierDisabledEventObject>;
+export type TierDisabledEventFilter = TypedEventFilter<TierDisabledEvent>;
+export interface TokensLockedEventObject {
+    account: string;
+    positionId: BigNumber;
+    amount: BigNumber;
+    lockPeriod: BigNumber;
+    unlockTime: BigNumber;
+}
+export type TokensLockedEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber,
+    BigNumber,
+    BigNumber
+], TokensLockedEventObject>;
+export type TokensLockedEventFilter = TypedEventFilter<TokensLockedEvent>;
+export interface TokensRescuedEventObject {
+    token: string;
+    to: string;
+    amount: BigNumber;
+}
+export type TokensRescuedEvent = TypedEvent<[
+    string,
+    string,
+    BigNumber
+], TokensRescuedEventObject>;
+export type TokensRescuedEventFilter = TypedEventFilter<TokensRescuedEvent>;
+export interface TokensWithdrawnEventObject {
+    account: string;
+    positionId: BigNumber;
+    amount: BigNumber;
+    lockPeriod: BigNumber;
+    currentTime: BigNumber;
+}
+export type TokensWithdrawnEvent = TypedEvent<[
+    string,
+    BigNumber,
+    BigNumber,
+    BigNumber,
+    BigNumber
+], TokensWithdrawnEventObject>;
+export type TokensWithdrawnEventFilter = TypedEventFilter<TokensWithdrawnEvent>;
+export interface TreasuryUpdatedEventObject {
+    oldTreasury: string;
+    newTreasury: string;
+}
+export type TreasuryUpdatedEvent = TypedEvent<[
+    string,
+    string
+], TreasuryUpdatedEventObject>;
+export type TreasuryUpdatedEventFilter = TypedEventFilter<TreasuryUpdatedEvent>;
+export interface UnpausedEventObject {
+    account: string;
+}
+export type UnpausedEvent = TypedEvent<[string], UnpausedEventObject>;
+export type UnpausedEventFilter = TypedEventFilter<UnpausedEvent>;
+export interface MundoCryptoTokenLock extends BaseContract {
+    connect(signerOrProvider: Signer | Provider | string): this;
+    attach(addressOrName: string): this;
+    deployed(): Promise<this>;
+    interface: MundoCryptoTokenLockInterface;
+    queryFilter<TEvent extends TypedEvent>(event: TypedEventFilter<TEvent>, fromBlockOrBlockhash?: string | number | undefined, toBlock?: string | number | undefined): Promise<Array<TEvent>>;
+    listeners<TEvent extends TypedEvent>(eventFilter?: TypedEventFilter<TEvent>): Array<TypedListener<TEvent>>;
+    listeners(eventName?: string): Array<Listener>;
+    removeAllListeners<TEvent extends TypedEvent>(eventFilter: TypedEventFilter<TEvent>): this;
+    removeAllListeners(eventName?: string): this;
+    off: OnEvent<this>;
+    on: OnEvent<this>;
+    once: OnEvent<this>;
+    removeListener: OnEvent<this>;
+    functions: {
+        DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<[string]>;
+        DELEGATION_TYPEHASH(overrides?: CallOverrides): Promise<[string]>;
+        DOMAIN_SEPARATOR(overrides?: CallOverrides): Promise<[string]>;
+        GOVERNANCE_ROLE(overrides?: CallOverrides): Promise<[string]>;
+        GRANTER_ROLE(overrides?: CallOverrides): Promise<[string]>;
+        GUARDIAN_ROLE(overrides?: CallOverrides): Promise<[string]>;
+        LOCK_TOKENS_TYPEHASH(overrides?: CallOverrides): Promise<[string]>;
+        MAX_EARLY_WITHDRAW_PENALTY(overrides?: CallOverrides): Promise<[BigNumber]>;
+        addTier(lockTime: PromiseOrValue<BigNumberish>, multiplier: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        checkpoint(_account: PromiseOrValue<string>, _maxSteps: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        delegate(delegatee: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        delegateBySig(delegatee: PromiseOrValue<string>, nonce: PromiseOrValue<BigNumberish>, expiry: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        delegates(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<[string]>;
+        disableTier(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        earlyWithdraw(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        earlyWithdrawPenalty(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        eip712Domain(overrides?: CallOverrides): Promise<[
+            string,
+            string,
+            string,
+            BigNumber,
+            string,
+            string,
+            BigNumber[]
+        ] & {
+            fields: string;
+            name: string;
+            version: string;
+            chainId: BigNumber;
+            verifyingContract: string;
+            salt: string;
+            extensions: BigNumber[];
+        }>;
+        emergencyMode(overrides?: CallOverrides): Promise<[boolean]>;
+        enableEmergencyMode(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        extendLock(positionId: PromiseOrValue<BigNumberish>, newPeriod: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        fetchAllUserLockData(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<[
+            MundoCryptoTokenLock.LockingDataStructOutput[]
+        ] & {
+            m_lockingData: MundoCryptoTokenLock.LockingDataStructOutput[];
+        }>;
+        fetchUserLockData(_account: PromiseOrValue<string>, _period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[
+            MundoCryptoTokenLock.LockingDataStructOutput
+        ] & {
+            m_lockingData: MundoCryptoTokenLock.LockingDataStructOutput;
+        }>;
+        getNextOwnChange(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        getPastOwnVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        getPastTotalVotingPower(_timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        getPastVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        getPosition(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[MundoCryptoTokenLock.LockPositionStructOutput]>;
+        getPositions(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<[
+            MundoCryptoTokenLock.LockPositionStructOutput[]
+        ] & {
+            m_positions: MundoCryptoTokenLock.LockPositionStructOutput[];
+        }>;
+        getRoleAdmin(role: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<[string]>;
+        getTier(_period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[MundoCryptoTokenLock.TierStructOutput]>;
+        getTiers(overrides?: CallOverrides): Promise<[MundoCryptoTokenLock.TierStructOutput[]]>;
+        getVotingPower(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<[BigNumber] & {
+            votingPower: BigNumber;
+        }>;
+        getVotingPowerBatch(_accounts: PromiseOrValue<string>[], overrides?: CallOverrides): Promise<[BigNumber[]] & {
+            m_votingPowers: BigNumber[];
+        }>;
+        grantLock(beneficiary: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        grantLockBatch(beneficiaries: PromiseOrValue<string>[], amounts: PromiseOrValue<BigNumberish>[], periods: PromiseOrValue<BigNumberish>[], cliffs: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        grantRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        hasRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<[boolean]>;
+        increaseLockAmount(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, resetUnlockTime: PromiseOrValue<boolean>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        linearDecay(overrides?: CallOverrides): Promise<[boolean]>;
+        lockTokens(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        lockTokensFor(account: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        lockTokensWithPermit(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        lockingToken(overrides?: CallOverrides): Promise<[string]>;
+        mergePositions(fromId: PromiseOrValue<BigNumberish>, toId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        migrate(positionIds: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        minLockAmount(overrides?: CallOverrides): Promise<[BigNumber]>;
+        nonces(arg0: PromiseOrValue<string>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        pause(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        paused(overrides?: CallOverrides): Promise<[boolean]>;
+        pendingPenaltyShare(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        positionCliff(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        positionToken(overrides?: CallOverrides): Promise<[string]>;
+        renounceRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        rescueTokens(token: PromiseOrValue<string>, to: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        revokeRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        setMinLockAmount(_minLockAmount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        setSuccessor(_successor: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        setTreasury(_treasury: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        splitPosition(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        successor(overrides?: CallOverrides): Promise<[string]>;
+        supportsInterface(interfaceId: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<[boolean]>;
+        totalLocked(overrides?: CallOverrides): Promise<[BigNumber]>;
+        totalLockedByPeriod(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<[BigNumber]>;
+        totalVotingPower(overrides?: CallOverrides): Promise<[BigNumber]>;
+        transferPosition(from: PromiseOrValue<string>, to: PromiseOrValue<string>, positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        treasury(overrides?: CallOverrides): Promise<[string]>;
+        unpause(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        withdrawPosition(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+        withdrawTokens(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<ContractTransaction>;
+    };
+    DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>;
+    DELEGATION_TYPEHASH(overrides?: CallOverrides): Promise<string>;
+    DOMAIN_SEPARATOR(overrides?: CallOverrides): Promise<string>;
+    GOVERNANCE_ROLE(overrides?: CallOverrides): Promise<string>;
+    GRANTER_ROLE(overrides?: CallOverrides): Promise<string>;
+    GUARDIAN_ROLE(overrides?: CallOverrides): Promise<string>;
+    LOCK_TOKENS_TYPEHASH(overrides?: CallOverrides): Promise<string>;
+    MAX_EARLY_WITHDRAW_PENALTY(overrides?: CallOverrides): Promise<BigNumber>;
+    addTier(lockTime: PromiseOrValue<BigNumberish>, multiplier: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    checkpoint(_account: PromiseOrValue<string>, _maxSteps: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    delegate(delegatee: PromiseOrValue<string>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    delegateBySig(delegatee: PromiseOrValue<string>, nonce: PromiseOrValue<BigNumberish>, expiry: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    delegates(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<string>;
+    disableTier(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    earlyWithdraw(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    earlyWithdrawPenalty(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    eip712Domain(overrides?: CallOverrides): Promise<[
+        string,
+        string,
+        string,
+        BigNumber,
+        string,
+        string,
+        BigNumber[]
+    ] & {
+        fields: string;
+        name: string;
+        version: string;
+        chainId: BigNumber;
+        verifyingContract: string;
+        salt: string;
+        extensions: BigNumber[];
+    }>;
+    emergencyMode(overrides?: CallOverrides): Promise<boolean>;
+    enableEmergencyMode(overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    extendLock(positionId: PromiseOrValue<BigNumberish>, newPeriod: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    fetchAllUserLockData(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockingDataStructOutput[]>;
+    fetchUserLockData(_account: PromiseOrValue<string>, _period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockingDataStructOutput>;
+    getNextOwnChange(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    getPastOwnVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    getPastTotalVotingPower(_timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    getPastVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    getPosition(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockPositionStructOutput>;
+    getPositions(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockPositionStructOutput[]>;
+    getRoleAdmin(role: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<string>;
+    getTier(_period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.TierStructOutput>;
+    getTiers(overrides?: CallOverrides): Promise<MundoCryptoTokenLock.TierStructOutput[]>;
+    getVotingPower(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+    getVotingPowerBatch(_accounts: PromiseOrValue<string>[], overrides?: CallOverrides): Promise<BigNumber[]>;
+    grantLock(beneficiary: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    grantLockBatch(beneficiaries: PromiseOrValue<string>[], amounts: PromiseOrValue<BigNumberish>[], periods: PromiseOrValue<BigNumberish>[], cliffs: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    grantRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    hasRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<boolean>;
+    increaseLockAmount(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, resetUnlockTime: PromiseOrValue<boolean>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    linearDecay(overrides?: CallOverrides): Promise<boolean>;
+    lockTokens(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    lockTokensFor(account: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    lockTokensWithPermit(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    lockingToken(overrides?: CallOverrides): Promise<string>;
+    mergePositions(fromId: PromiseOrValue<BigNumberish>, toId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    migrate(positionIds: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    minLockAmount(overrides?: CallOverrides): Promise<BigNumber>;
+    nonces(arg0: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+    pause(overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    paused(overrides?: CallOverrides): Promise<boolean>;
+    pendingPenaltyShare(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    positionCliff(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    positionToken(overrides?: CallOverrides): Promise<string>;
+    renounceRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    rescueTokens(token: PromiseOrValue<string>, to: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    revokeRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    setMinLockAmount(_minLockAmount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    setSuccessor(_successor: PromiseOrValue<string>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    setTreasury(_treasury: PromiseOrValue<string>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    splitPosition(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    successor(overrides?: CallOverrides): Promise<string>;
+    supportsInterface(interfaceId: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<boolean>;
+    totalLocked(overrides?: CallOverrides): Promise<BigNumber>;
+    totalLockedByPeriod(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+    totalVotingPower(overrides?: CallOverrides): Promise<BigNumber>;
+    transferPosition(from: PromiseOrValue<string>, to: PromiseOrValue<string>, positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    treasury(overrides?: CallOverrides): Promise<string>;
+    unpause(overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    withdrawPosition(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    withdrawTokens(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+        from?: PromiseOrValue<string>;
+    }): Promise<ContractTransaction>;
+    callStatic: {
+        DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>;
+        DELEGATION_TYPEHASH(overrides?: CallOverrides): Promise<string>;
+        DOMAIN_SEPARATOR(overrides?: CallOverrides): Promise<string>;
+        GOVERNANCE_ROLE(overrides?: CallOverrides): Promise<string>;
+        GRANTER_ROLE(overrides?: CallOverrides): Promise<string>;
+        GUARDIAN_ROLE(overrides?: CallOverrides): Promise<string>;
+        LOCK_TOKENS_TYPEHASH(overrides?: CallOverrides): Promise<string>;
+        MAX_EARLY_WITHDRAW_PENALTY(overrides?: CallOverrides): Promise<BigNumber>;
+        addTier(lockTime: PromiseOrValue<BigNumberish>, multiplier: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        checkpoint(_account: PromiseOrValue<string>, _maxSteps: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        delegate(delegatee: PromiseOrValue<string>, overrides?: CallOverrides): Promise<void>;
+        delegateBySig(delegatee: PromiseOrValue<string>, nonce: PromiseOrValue<BigNumberish>, expiry: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<void>;
+        delegates(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<string>;
+        disableTier(period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        earlyWithdraw(positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        earlyWithdrawPenalty(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        eip712Domain(overrides?: CallOverrides): Promise<[
+            string,
+            string,
+            string,
+            BigNumber,
+            string,
+            string,
+            BigNumber[]
+        ] & {
+            fields: string;
+            name: string;
+            version: string;
+            chainId: BigNumber;
+            verifyingContract: string;
+            salt: string;
+            extensions: BigNumber[];
+        }>;
+        emergencyMode(overrides?: CallOverrides): Promise<boolean>;
+        enableEmergencyMode(overrides?: CallOverrides): Promise<void>;
+        extendLock(positionId: PromiseOrValue<BigNumberish>, newPeriod: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        fetchAllUserLockData(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockingDataStructOutput[]>;
+        fetchUserLockData(_account: PromiseOrValue<string>, _period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockingDataStructOutput>;
+        getNextOwnChange(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPastOwnVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPastTotalVotingPower(_timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPastVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPosition(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockPositionStructOutput>;
+        getPositions(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.LockPositionStructOutput[]>;
+        getRoleAdmin(role: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<string>;
+        getTier(_period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<MundoCryptoTokenLock.TierStructOutput>;
+        getTiers(overrides?: CallOverrides): Promise<MundoCryptoTokenLock.TierStructOutput[]>;
+        getVotingPower(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        getVotingPowerBatch(_accounts: PromiseOrValue<string>[], overrides?: CallOverrides): Promise<BigNumber[]>;
+        grantLock(beneficiary: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        grantLockBatch(beneficiaries: PromiseOrValue<string>[], amounts: PromiseOrValue<BigNumberish>[], periods: PromiseOrValue<BigNumberish>[], cliffs: PromiseOrValue<BigNumberish>[], overrides?: CallOverrides): Promise<BigNumber[]>;
+        grantRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<void>;
+        hasRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<boolean>;
+        increaseLockAmount(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, resetUnlockTime: PromiseOrValue<boolean>, overrides?: CallOverrides): Promise<void>;
+        linearDecay(overrides?: CallOverrides): Promise<boolean>;
+        lockTokens(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        lockTokensFor(account: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<BigNumber>;
+        lockTokensWithPermit(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<BigNumber>;
+        lockingToken(overrides?: CallOverrides): Promise<string>;
+        mergePositions(fromId: PromiseOrValue<BigNumberish>, toId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        migrate(positionIds: PromiseOrValue<BigNumberish>[], overrides?: CallOverrides): Promise<void>;
+        minLockAmount(overrides?: CallOverrides): Promise<BigNumber>;
+        nonces(arg0: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        pause(overrides?: CallOverrides): Promise<void>;
+        paused(overrides?: CallOverrides): Promise<boolean>;
+        pendingPenaltyShare(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        positionCliff(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        positionToken(overrides?: CallOverrides): Promise<string>;
+        renounceRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<void>;
+        rescueTokens(token: PromiseOrValue<string>, to: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        revokeRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<void>;
+        setMinLockAmount(_minLockAmount: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        setSuccessor(_successor: PromiseOrValue<string>, overrides?: CallOverrides): Promise<void>;
+        setTreasury(_treasury: PromiseOrValue<string>, overrides?: CallOverrides): Promise<void>;
+        splitPosition(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        successor(overrides?: CallOverrides): Promise<string>;
+        supportsInterface(interfaceId: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<boolean>;
+        totalLocked(overrides?: CallOverrides): Promise<BigNumber>;
+        totalLockedByPeriod(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        totalVotingPower(overrides?: CallOverrides): Promise<BigNumber>;
+        transferPosition(from: PromiseOrValue<string>, to: PromiseOrValue<string>, positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        treasury(overrides?: CallOverrides): Promise<string>;
+        unpause(overrides?: CallOverrides): Promise<void>;
+        withdrawPosition(positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+        withdrawTokens(period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<void>;
+    };
+    filters: {
+        "DelegateChanged(address,address,address)"(delegator?: PromiseOrValue<string> | null, fromDelegate?: PromiseOrValue<string> | null, toDelegate?: PromiseOrValue<string> | null): DelegateChangedEventFilter;
+        DelegateChanged(delegator?: PromiseOrValue<string> | null, fromDelegate?: PromiseOrValue<string> | null, toDelegate?: PromiseOrValue<string> | null): DelegateChangedEventFilter;
+        "DelegateVotesChanged(address,uint256,uint256)"(delegate?: PromiseOrValue<string> | null, previousBalance?: null, newBalance?: null): DelegateVotesChangedEventFilter;
+        DelegateVotesChanged(delegate?: PromiseOrValue<string> | null, previousBalance?: null, newBalance?: null): DelegateVotesChangedEventFilter;
+        "EIP712DomainChanged()"(): EIP712DomainChangedEventFilter;
+        EIP712DomainChanged(): EIP712DomainChangedEventFilter;
+        "EarlyWithdrawPenalty(address,uint256,uint256,address)"(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, penalty?: null, treasury?: null): EarlyWithdrawPenaltyEventFilter;
+        EarlyWithdrawPenalty(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, penalty?: null, treasury?: null): EarlyWithdrawPenaltyEventFilter;
+        "EmergencyModeEnabled(address)"(account?: PromiseOrValue<string> | null): EmergencyModeEnabledEventFilter;
+        EmergencyModeEnabled(account?: PromiseOrValue<string> | null): EmergencyModeEnabledEventFilter;
+        "LockAmountIncreased(address,uint256,uint256,uint256,uint256)"(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, amount?: null, totalAmount?: null, unlockTime?: null): LockAmountIncreasedEventFilter;
+        LockAmountIncreased(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, amount?: null, totalAmount?: null, unlockTime?: null): LockAmountIncreasedEventFilter;
+        "LockExtended(address,uint256,uint256,uint256,uint256)"(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, oldPeriod?: null, newPeriod?: null, unlockTime?: null): LockExtendedEventFilter;
+        LockExtended(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, oldPeriod?: null, newPeriod?: null, unlockTime?: null): LockExtendedEventFilter;
+        "LockGranted(address,address,uint256,uint256)"(granter?: PromiseOrValue<string> | null, beneficiary?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, cliff?: null): LockGrantedEventFilter;
+        LockGranted(granter?: PromiseOrValue<string> | null, beneficiary?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, cliff?: null): LockGrantedEventFilter;
+        "MinLockAmountUpdated(uint256,uint256)"(oldAmount?: null, newAmount?: null): MinLockAmountUpdatedEventFilter;
+        MinLockAmountUpdated(oldAmount?: null, newAmount?: null): MinLockAmountUpdatedEventFilter;
+        "Paused(address)"(account?: null): PausedEventFilter;
+        Paused(account?: null): PausedEventFilter;
+        "PositionMigrated(address,uint256,address,uint256)"(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, successor?: PromiseOrValue<string> | null, amount?: null): PositionMigratedEventFilter;
+        PositionMigrated(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, successor?: PromiseOrValue<string> | null, amount?: null): PositionMigratedEventFilter;
+        "PositionSplit(address,uint256,uint256,uint256)"(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, newPositionId?: PromiseOrValue<BigNumberish> | null, amount?: null): PositionSplitEventFilter;
+        PositionSplit(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, newPositionId?: PromiseOrValue<BigNumberish> | null, amount?: null): PositionSplitEventFilter;
+        "PositionTransferred(address,address,uint256)"(from?: PromiseOrValue<string> | null, to?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null): PositionTransferredEventFilter;
+        PositionTransferred(from?: PromiseOrValue<string> | null, to?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null): PositionTransferredEventFilter;
+        "PositionsMerged(address,uint256,uint256,uint256,uint256)"(account?: PromiseOrValue<string> | null, fromId?: PromiseOrValue<BigNumberish> | null, toId?: PromiseOrValue<BigNumberish> | null, totalAmount?: null, unlockTime?: null): PositionsMergedEventFilter;
+        PositionsMerged(account?: PromiseOrValue<string> | null, fromId?: PromiseOrValue<BigNumberish> | null, toId?: PromiseOrValue<BigNumberish> | null, totalAmount?: null, unlockTime?: null): PositionsMergedEventFilter;
+        "RoleAdminChanged(bytes32,bytes32,bytes32)"(role?: PromiseOrValue<BytesLike> | null, previousAdminRole?: PromiseOrValue<BytesLike> | null, newAdminRole?: PromiseOrValue<BytesLike> | null): RoleAdminChangedEventFilter;
+        RoleAdminChanged(role?: PromiseOrValue<BytesLike> | null, previousAdminRole?: PromiseOrValue<BytesLike> | null, newAdminRole?: PromiseOrValue<BytesLike> | null): RoleAdminChangedEventFilter;
+        "RoleGranted(bytes32,address,address)"(role?: PromiseOrValue<BytesLike> | null, account?: PromiseOrValue<string> | null, sender?: PromiseOrValue<string> | null): RoleGrantedEventFilter;
+        RoleGranted(role?: PromiseOrValue<BytesLike> | null, account?: PromiseOrValue<string> | null, sender?: PromiseOrValue<string> | null): RoleGrantedEventFilter;
+        "RoleRevoked(bytes32,address,address)"(role?: PromiseOrValue<BytesLike> | null, account?: PromiseOrValue<string> | null, sender?: PromiseOrValue<string> | null): RoleRevokedEventFilter;
+        RoleRevoked(role?: PromiseOrValue<BytesLike> | null, account?: PromiseOrValue<string> | null, sender?: PromiseOrValue<string> | null): RoleRevokedEventFilter;
+        "SuccessorUpdated(address,address)"(oldSuccessor?: null, newSuccessor?: null): SuccessorUpdatedEventFilter;
+        SuccessorUpdated(oldSuccessor?: null, newSuccessor?: null): SuccessorUpdatedEventFilter;
+        "TierAdded(uint256,uint256,uint256)"(period?: PromiseOrValue<BigNumberish> | null, lockTime?: null, multiplier?: null): TierAddedEventFilter;
+        TierAdded(period?: PromiseOrValue<BigNumberish> | null, lockTime?: null, multiplier?: null): TierAddedEventFilter;
+        "TierDisabled(uint256)"(period?: PromiseOrValue<BigNumberish> | null): TierDisabledEventFilter;
+        TierDisabled(period?: PromiseOrValue<BigNumberish> | null): TierDisabledEventFilter;
+        "TokensLocked(address,uint256,uint256,uint256,uint256)"(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, amount?: null, lockPeriod?: null, unlockTime?: null): TokensLockedEventFilter;
+        TokensLocked(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, amount?: null, lockPeriod?: null, unlockTime?: null): TokensLockedEventFilter;
+        "TokensRescued(address,address,uint256)"(token?: PromiseOrValue<string> | null, to?: PromiseOrValue<string> | null, amount?: null): TokensRescuedEventFilter;
+        TokensRescued(token?: PromiseOrValue<string> | null, to?: PromiseOrValue<string> | null, amount?: null): TokensRescuedEventFilter;
+        "TokensWithdrawn(address,uint256,uint256,uint256,uint256)"(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, amount?: null, lockPeriod?: null, currentTime?: null): TokensWithdrawnEventFilter;
+        TokensWithdrawn(account?: PromiseOrValue<string> | null, positionId?: PromiseOrValue<BigNumberish> | null, amount?: null, lockPeriod?: null, currentTime?: null): TokensWithdrawnEventFilter;
+        "TreasuryUpdated(address,address)"(oldTreasury?: null, newTreasury?: null): TreasuryUpdatedEventFilter;
+        TreasuryUpdated(oldTreasury?: null, newTreasury?: null): TreasuryUpdatedEventFilter;
+        "Unpaused(address)"(account?: null): UnpausedEventFilter;
+        Unpaused(account?: null): UnpausedEventFilter;
+    };
+    estimateGas: {
+        DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<BigNumber>;
+        DELEGATION_TYPEHASH(overrides?: CallOverrides): Promise<BigNumber>;
+        DOMAIN_SEPARATOR(overrides?: CallOverrides): Promise<BigNumber>;
+        GOVERNANCE_ROLE(overrides?: CallOverrides): Promise<BigNumber>;
+        GRANTER_ROLE(overrides?: CallOverrides): Promise<BigNumber>;
+        GUARDIAN_ROLE(overrides?: CallOverrides): Promise<BigNumber>;
+        LOCK_TOKENS_TYPEHASH(overrides?: CallOverrides): Promise<BigNumber>;
+        MAX_EARLY_WITHDRAW_PENALTY(overrides?: CallOverrides): Promise<BigNumber>;
+        addTier(lockTime: PromiseOrValue<BigNumberish>, multiplier: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        checkpoint(_account: PromiseOrValue<string>, _maxSteps: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        delegate(delegatee: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        delegateBySig(delegatee: PromiseOrValue<string>, nonce: PromiseOrValue<BigNumberish>, expiry: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        delegates(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        disableTier(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        earlyWithdraw(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        earlyWithdrawPenalty(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        eip712Domain(overrides?: CallOverrides): Promise<BigNumber>;
+        emergencyMode(overrides?: CallOverrides): Promise<BigNumber>;
+        enableEmergencyMode(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        extendLock(positionId: PromiseOrValue<BigNumberish>, newPeriod: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        fetchAllUserLockData(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        fetchUserLockData(_account: PromiseOrValue<string>, _period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getNextOwnChange(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPastOwnVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPastTotalVotingPower(_timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPastVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPosition(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getPositions(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        getRoleAdmin(role: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<BigNumber>;
+        getTier(_period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        getTiers(overrides?: CallOverrides): Promise<BigNumber>;
+        getVotingPower(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        getVotingPowerBatch(_accounts: PromiseOrValue<string>[], overrides?: CallOverrides): Promise<BigNumber>;
+        grantLock(beneficiary: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        grantLockBatch(beneficiaries: PromiseOrValue<string>[], amounts: PromiseOrValue<BigNumberish>[], periods: PromiseOrValue<BigNumberish>[], cliffs: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        grantRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        hasRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        increaseLockAmount(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, resetUnlockTime: PromiseOrValue<boolean>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        linearDecay(overrides?: CallOverrides): Promise<BigNumber>;
+        lockTokens(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        lockTokensFor(account: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        lockTokensWithPermit(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        lockingToken(overrides?: CallOverrides): Promise<BigNumber>;
+        mergePositions(fromId: PromiseOrValue<BigNumberish>, toId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        migrate(positionIds: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        minLockAmount(overrides?: CallOverrides): Promise<BigNumber>;
+        nonces(arg0: PromiseOrValue<string>, overrides?: CallOverrides): Promise<BigNumber>;
+        pause(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        paused(overrides?: CallOverrides): Promise<BigNumber>;
+        pendingPenaltyShare(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        positionCliff(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        positionToken(overrides?: CallOverrides): Promise<BigNumber>;
+        renounceRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        rescueTokens(token: PromiseOrValue<string>, to: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        revokeRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        setMinLockAmount(_minLockAmount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        setSuccessor(_successor: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        setTreasury(_treasury: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        splitPosition(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        successor(overrides?: CallOverrides): Promise<BigNumber>;
+        supportsInterface(interfaceId: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<BigNumber>;
+        totalLocked(overrides?: CallOverrides): Promise<BigNumber>;
+        totalLockedByPeriod(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<BigNumber>;
+        totalVotingPower(overrides?: CallOverrides): Promise<BigNumber>;
+        transferPosition(from: PromiseOrValue<string>, to: PromiseOrValue<string>, positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        treasury(overrides?: CallOverrides): Promise<BigNumber>;
+        unpause(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        withdrawPosition(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+        withdrawTokens(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<BigNumber>;
+    };
+    populateTransaction: {
+        DEFAULT_ADMIN_ROLE(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        DELEGATION_TYPEHASH(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        DOMAIN_SEPARATOR(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        GOVERNANCE_ROLE(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        GRANTER_ROLE(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        GUARDIAN_ROLE(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        LOCK_TOKENS_TYPEHASH(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        MAX_EARLY_WITHDRAW_PENALTY(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        addTier(lockTime: PromiseOrValue<BigNumberish>, multiplier: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        checkpoint(_account: PromiseOrValue<string>, _maxSteps: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        delegate(delegatee: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        delegateBySig(delegatee: PromiseOrValue<string>, nonce: PromiseOrValue<BigNumberish>, expiry: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        delegates(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        disableTier(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        earlyWithdraw(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        earlyWithdrawPenalty(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        eip712Domain(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        emergencyMode(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        enableEmergencyMode(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        extendLock(positionId: PromiseOrValue<BigNumberish>, newPeriod: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        fetchAllUserLockData(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        fetchUserLockData(_account: PromiseOrValue<string>, _period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getNextOwnChange(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getPastOwnVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getPastTotalVotingPower(_timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getPastVotingPower(_account: PromiseOrValue<string>, _timepoint: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getPosition(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getPositions(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getRoleAdmin(role: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getTier(_period: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getTiers(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getVotingPower(_account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        getVotingPowerBatch(_accounts: PromiseOrValue<string>[], overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        grantLock(beneficiary: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        grantLockBatch(beneficiaries: PromiseOrValue<string>[], amounts: PromiseOrValue<BigNumberish>[], periods: PromiseOrValue<BigNumberish>[], cliffs: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        grantRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        hasRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        increaseLockAmount(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, resetUnlockTime: PromiseOrValue<boolean>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        linearDecay(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        lockTokens(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        lockTokensFor(account: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        lockTokensWithPermit(amount: PromiseOrValue<BigNumberish>, period: PromiseOrValue<BigNumberish>, deadline: PromiseOrValue<BigNumberish>, v: PromiseOrValue<BigNumberish>, r: PromiseOrValue<BytesLike>, s: PromiseOrValue<BytesLike>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        lockingToken(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        mergePositions(fromId: PromiseOrValue<BigNumberish>, toId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        migrate(positionIds: PromiseOrValue<BigNumberish>[], overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        minLockAmount(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        nonces(arg0: PromiseOrValue<string>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        pause(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        paused(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        pendingPenaltyShare(_positionId: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        positionCliff(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        positionToken(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        renounceRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        rescueTokens(token: PromiseOrValue<string>, to: PromiseOrValue<string>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        revokeRole(role: PromiseOrValue<BytesLike>, account: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        setMinLockAmount(_minLockAmount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        setSuccessor(_successor: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        setTreasury(_treasury: PromiseOrValue<string>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        splitPosition(positionId: PromiseOrValue<BigNumberish>, amount: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        successor(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        supportsInterface(interfaceId: PromiseOrValue<BytesLike>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        totalLocked(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        totalLockedByPeriod(arg0: PromiseOrValue<BigNumberish>, overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        totalVotingPower(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        transferPosition(from: PromiseOrValue<string>, to: PromiseOrValue<string>, positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        treasury(overrides?: CallOverrides): Promise<PopulatedTransaction>;
+        unpause(overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        withdrawPosition(positionId: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+        withdrawTokens(period: PromiseOrValue<BigNumberish>, overrides?: Overrides & {
+            from?: PromiseOrValue<string>;
+        }): Promise<PopulatedTransaction>;
+    };
+}
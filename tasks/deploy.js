@@ -0,0 +1,27 @@
+const { task, types } = require('hardhat/config')
+
+task('deploy', 'Deploys the wrapper and the lock, skipping the deployed ones')
+	.addOptionalParam('token', 'The address of the MundoCrypto token to wrap')
+	.addOptionalParam(
+		'linearDecay',
+		'Whether the voting power decays linearly',
+		undefined,
+		types.boolean
+	)
+	.addOptionalParam('admin', 'The account managing the tiers of the lock')
+	.setAction(async (args, hre) => {
+		// the scripts use the runtime environment, so they are loaded with the task.
+		const { deploy } = require('../scripts/deploy')
+
+		await hre.run('compile')
+		await deploy(hre, args)
+	})
+
+task(
+	'verify-deployment',
+	'Verifies the contracts of the deployment manifest of the network'
+).setAction(async (args, hre) => {
+	const { verify } = require('../scripts/verify')
+
+	await verify(hre)
+})
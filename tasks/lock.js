@@ -0,0 +1,227 @@
+const { task, types } = require('hardhat/config')
+
+// the helpers use the runtime environment, so they are loaded with the tasks.
+function helpers() {
+	return require('../scripts/lib/lock')
+}
+
+task('lock:deposit', 'Locks tokens of the first signer for a period')
+	.addParam('amount', 'The amount of tokens to lock, e.g. 100.5')
+	.addParam('period', 'The lock period', undefined, types.int)
+	.addOptionalParam('lock', 'The address of the lock')
+	.setAction(async ({ amount, period, lock: lockAddress }, hre) => {
+		const { getLock, formatAmount, formatDate, withLockErrors } = helpers()
+		const { lock, token, decimals } = await getLock(hre, lockAddress)
+		const [signer] = await hre.ethers.getSigners()
+
+		const value = hre.ethers.utils.parseUnits(amount, decimals)
+
+		// approve the lock first if its allowance is too low.
+		const allowance = await token.allowance(signer.address, lock.address)
+		if (allowance.lt(value)) {
+			const approval = await token
+				.connect(signer)
+				.approve(lock.address, value)
+			await approval.wait()
+
+			console.log(`Approved ${amount} tokens for the lock`)
+		}
+
+		const receipt = await withLockErrors(async () => {
+			const tx = await lock.connect(signer).lockTokens(value, period)
+
+			return tx.wait()
+		})
+
+		const { args } = receipt.events.find((e) => e.event === 'TokensLocked')
+		console.log(
+			`Locked ${formatAmount(
+				hre,
+				args.amount,
+				decimals
+			)} tokens in position ${args.positionId} until ${formatDate(
+				args.unlockTime
+			)}`
+		)
+	})
+
+task('lock:withdraw', 'Withdraws unlocked tokens of the first signer')
+	.addOptionalParam(
+		'period',
+		'The lock period to withdraw the unlocked positions of',
+		undefined,
+		types.int
+	)
+	.addOptionalParam(
+		'position',
+		'The position to withdraw',
+		undefined,
+		types.int
+	)
+	.addOptionalParam('lock', 'The address of the lock')
+	.setAction(async ({ period, position, lock: lockAddress }, hre) => {
+		const { getLock, formatAmount, withLockErrors } = helpers()
+
+		if ((period === undefined) === (position === undefined)) {
+			throw new Error('Pass either --period or --position')
+		}
+
+		const { lock, decimals } = await getLock(hre, lockAddress)
+		const [signer] = await hre.ethers.getSigners()
+
+		const receipt = await withLockErrors(async () => {
+			const tx =
+				position === undefined
+					? await lock.connect(signer).withdrawTokens(period)
+					: await lock.connect(signer).withdrawPosition(position)
+
+			return tx.wait()
+		})
+
+		for (const { args } of receipt.events.filter(
+			(e) => e.event === 'TokensWithdrawn'
+		)) {
+			console.log(
+				`Withdrew ${formatAmount(
+					hre,
+					args.amount,
+					decimals
+				)} tokens of position ${args.positionId}`
+			)
+		}
+	})
+
+task('lock:info', 'Prints the locked tokens of an account for every period')
+	.addOptionalParam('account', 'The account, the first signer by default')
+	.addOptionalParam('lock', 'The address of the lock')
+	.setAction(async ({ account, lock: lockAddress }, hre) => {
+		const {
+			getLock,
+			getAccount,
+			formatAmount,
+			formatDate,
+			formatDuration,
+		} = helpers()
+		const { lock, decimals } = await getLock(hre, lockAddress)
+		const address = await getAccount(hre, account)
+
+		const now = (await hre.ethers.provider.getBlock('latest')).timestamp
+		const tiers = await lock.getTiers()
+		const lockingData = await lock.fetchAllUserLockData(address)
+
+		console.log(`Locked tokens of ${address}`)
+		console.table(
+			tiers.map((tier, period) => {
+				const data = lockingData[period]
+
+				return {
+					period,
+					lockTime: formatDuration(tier.lockTime),
+					multiplier: tier.multiplier.toNumber(),
+					active: tier.active,
+					amount: formatAmount(hre, data.amount, decimals),
+					unlockDate: data.amount.isZero()
+						? '-'
+						: formatDate(data.unlockTime),
+					status: data.amount.isZero()
+						? '-'
+						: data.unlockTime.lte(now)
+						? 'unlocked'
+						: 'locked',
+				}
+			})
+		)
+
+		const positions = await lock.getPositions(address)
+		if (positions.length === 0) return
+
+		console.log(`Positions of ${address}`)
+		console.table(
+			positions.map((position) => ({
+				id: position.id.toNumber(),
+				period: position.period.toNumber(),
+				amount: formatAmount(hre, position.amount, decimals),
+				lockDate: formatDate(position.startTime),
+				unlockDate: formatDate(position.unlockTime),
+			}))
+		)
+	})
+
+task('lock:power', 'Prints the voting power of an account')
+	.addOptionalParam('account', 'The account, the first signer by default')
+	.addOptionalParam(
+		'timestamp',
+		'A past timestamp to fetch the voting power at',
+		undefined,
+		types.int
+	)
+	.addOptionalParam('lock', 'The address of the lock')
+	.setAction(async ({ account, timestamp, lock: lockAddress }, hre) => {
+		const {
+			getLock,
+			getAccount,
+			formatAmount,
+			formatDate,
+			withLockErrors,
+		} = helpers()
+		const { lock, decimals } = await getLock(hre, lockAddress)
+		const address = await getAccount(hre, account)
+
+		const [votingPower, totalVotingPower] = await withLockErrors(() =>
+			timestamp === undefined
+				? Promise.all([
+						lock.getVotingPower(address),
+						lock.totalVotingPower(),
+				  ])
+				: Promise.all([
+						lock.getPastVotingPower(address, timestamp),
+						lock.getPastTotalVotingPower(timestamp),
+				  ])
+		)
+
+		const share = totalVotingPower.isZero()
+			? '0.00'
+			: (
+					votingPower.mul(10000).div(totalVotingPower).toNumber() /
+					100
+			  ).toFixed(2)
+
+		console.log(
+			`Voting power of ${address}${
+				timestamp === undefined ? '' : ` at ${formatDate(timestamp)}`
+			}: ${formatAmount(
+				hre,
+				votingPower,
+				decimals
+			)} (${share}% of ${formatAmount(hre, totalVotingPower, decimals)})`
+		)
+	})
+
+task(
+	'lock:snapshot',
+	'Exports the voting power of every locker at a block, rebuilt from the events'
+)
+	.addOptionalParam(
+		'block',
+		'The block of the snapshot, the latest by default',
+		undefined,
+		types.int
+	)
+	.addOptionalParam(
+		'fromBlock',
+		'The block to scan the events from, the deployment block by default',
+		undefined,
+		types.int
+	)
+	.addOptionalParam(
+		'out',
+		'The directory of the JSON and CSV files',
+		'snapshots'
+	)
+	.addFlag('check', 'Compare the results with the voting power of the lock')
+	.addOptionalParam('lock', 'The address of the lock')
+	.setAction(async (args, hre) => {
+		const { snapshot } = require('../scripts/snapshot')
+
+		await snapshot(hre, args)
+	})
@@ -0,0 +1,17 @@
+const { task, types } = require('hardhat/config')
+
+task(
+	'votes:serve',
+	'Collects signed votes weighted by the lock and publishes their results to the verifier'
+)
+	.addParam('verifier', 'The address of the vote verifier')
+	.addOptionalParam('port', 'The port of the service', 3000, types.int)
+	.addOptionalParam('lock', 'The address of the lock')
+	.setAction(async (args, hre) => {
+		const { serve } = require('../scripts/vote-service')
+
+		const service = await serve(hre, args)
+
+		// keep the task running until the service is stopped.
+		await new Promise((resolve) => service.server.on('close', resolve))
+	})
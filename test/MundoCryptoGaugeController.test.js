@@ -0,0 +1,571 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const periodOne = 0
+
+const epochDuration = 7 * 24 * 60 * 60
+
+describe('MundoCryptoGaugeController', function () {
+	// We define a fixture to reuse the same setup in every test.
+	// We use loadFixture to run this setup once, snapshot that state,
+	// and reset Hardhat Network to that snapshot in every test.
+	async function deployMundoCryptoGaugeControllerFixture() {
+		// Contracts are deployed using the first signer/account by default
+		const [owner, alice, bob] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			false,
+			owner.address
+		)
+
+		// a short tier which expires during the second epoch.
+		await lock.addTier(10 * 24 * 60 * 60, 1)
+		const shortPeriod = 3
+
+		const startTime = (await time.latest()) + 24 * 60 * 60
+
+		const MundoCryptoGaugeController = await ethers.getContractFactory(
+			'MundoCryptoGaugeController'
+		)
+		const controller = await MundoCryptoGaugeController.deploy(
+			lock.address,
+			startTime,
+			owner.address
+		)
+
+		// the gauges are pools or programs, any address can be registered.
+		const gauges = [0, 1, 2].map(() => ethers.Wallet.createRandom().address)
+		for (const gauge of gauges) {
+			await controller.addGauge(gauge)
+		}
+
+		const aliceAmt = ethers.utils.parseEther('1000')
+		const bobAmt = ethers.utils.parseEther('10000')
+
+		// users will get wrapped tokens and approve the lock
+		for (const [user, amount] of [
+			[alice, aliceAmt],
+			[bob, bobAmt],
+		]) {
+			await mockToken.mint(user.address, amount)
+			await mockToken.connect(user).approve(wToken.address, amount)
+			await wToken.connect(user).depositFor(user.address, amount)
+			await wToken.connect(user).approve(lock.address, amount)
+		}
+
+		const positionToken = await ethers.getContractAt(
+			'MundoCryptoLockPositions',
+			await lock.positionToken()
+		)
+
+		return {
+			lock,
+			positionToken,
+			controller,
+			gauges,
+			startTime,
+			shortPeriod,
+			owner,
+			alice,
+			bob,
+			aliceAmt,
+			bobAmt,
+		}
+	}
+
+	// start time of an epoch.
+	function epochStart(startTime, epoch) {
+		return startTime + epoch * epochDuration
+	}
+
+	describe('Gauges', () => {
+		it('Should register the gauges', async () => {
+			const { controller, gauges } = await loadFixture(
+				deployMundoCryptoGaugeControllerFixture
+			)
+			const gauge = ethers.Wallet.createRandom().address
+
+			await expect(controller.addGauge(gauge))
+				.to.emit(controller, 'GaugeAdded')
+				.withArgs(gauge)
+
+			expect(await controller.getGauges()).to.be.deep.equal([
+				...gauges,
+				gauge,
+			])
+			expect(await controller.isActiveGauge(gauge)).to.be.equal(true)
+		})
+
+		it('Should revert when a gauge is registered twice or is the zero address', async () => {
+			const { controller, gauges } = await loadFixture(
+				deployMundoCryptoGaugeControllerFixture
+			)
+
+			await expect(
+				controller.addGauge(gauges[0])
+			).to.be.revertedWithCustomError(controller, 'InvalidGauge')
+			await expect(
+				controller.addGauge(ethers.constants.AddressZero)
+			).to.be.revertedWithCustomError(controller, 'InvalidGauge')
+		})
+
+		it('Should only allow the governance to register and disable gauges', async () => {
+			const { controller, gauges, alice } = await loadFixture(
+				deployMundoCryptoGaugeControllerFixture
+			)
+			const message = `AccessControl: account ${alice.address.toLowerCase()} is missing role ${await controller.GOVERNANCE_ROLE()}`
+
+			await expect(
+				controller.connect(alice).addGauge(alice.address)
+			).to.be.revertedWith(message)
+			await expect(
+				controller.connect(alice).disableGauge(gauges[0])
+			).to.be.revertedWith(message)
+		})
+
+		it('Should drop the weight of a disabled gauge from the next epoch', async () => {
+			const { lock, controller, gauges, startTime, alice, aliceAmt } =
+				await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await time.increaseTo(startTime)
+			await controller
+				.connect(alice)
+				.vote([gauges[0], gauges[1]], [5000, 5000])
+
+			await expect(controller.disableGauge(gauges[0]))
+				.to.emit(controller, 'GaugeDisabled')
+				.withArgs(gauges[0])
+
+			expect(await controller.isActiveGauge(gauges[0])).to.be.equal(false)
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(0)
+			expect(await controller.getTotalWeight(1)).to.be.equal(aliceAmt)
+
+			// votes can only be removed from the disabled gauge.
+			await expect(
+				controller.connect(alice).vote([gauges[0]], [5000])
+			).to.be.revertedWithCustomError(controller, 'InvalidGauge')
+			await controller
+				.connect(alice)
+				.vote([gauges[0], gauges[2]], [0, 5000])
+
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(0)
+			expect(await controller.getGaugeWeight(gauges[2], 1)).to.be.equal(
+				aliceAmt
+			)
+			expect(await controller.getTotalWeight(1)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			await expect(
+				controller.disableGauge(gauges[0])
+			).to.be.revertedWithCustomError(controller, 'InvalidGauge')
+		})
+	})
+
+	describe('Votes', () => {
+		it('Should split the voting power of the user across the gauges', async () => {
+			const { lock, controller, gauges, startTime, alice, aliceAmt } =
+				await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const votingPower = await lock.getVotingPower(alice.address)
+			await time.increaseTo(startTime)
+
+			await expect(
+				controller
+					.connect(alice)
+					.vote([gauges[0], gauges[1]], [6000, 4000])
+			)
+				.to.emit(controller, 'GaugeVoted')
+				.withArgs(alice.address, gauges[0], 6000)
+				.and.to.emit(controller, 'VotesUpdated')
+				.withArgs(alice.address, votingPower, 1)
+
+			// the votes of the first epoch count for the second one.
+			expect(await controller.getGaugeWeight(gauges[0], 0)).to.be.equal(0)
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(
+				votingPower.mul(6).div(10)
+			)
+			expect(await controller.getGaugeWeight(gauges[1], 1)).to.be.equal(
+				votingPower.mul(4).div(10)
+			)
+			expect(await controller.getTotalWeight(1)).to.be.equal(votingPower)
+			expect(
+				await controller.getRelativeWeight(gauges[0], 1)
+			).to.be.equal(ethers.utils.parseEther('0.6'))
+
+			const [votedGauges, shares, appliedVotingPower, epoch] =
+				await controller.getAccountVotes(alice.address)
+			expect(votedGauges).to.be.deep.equal([gauges[0], gauges[1]])
+			expect(shares).to.be.deep.equal([6000, 4000])
+			expect(appliedVotingPower).to.be.equal(votingPower)
+			expect(epoch).to.be.equal(1)
+		})
+
+		it('Should revert when the user votes before the start time', async () => {
+			const { lock, controller, gauges, alice, aliceAmt } =
+				await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await expect(
+				controller.connect(alice).vote([gauges[0]], [10000])
+			).to.be.revertedWithCustomError(controller, 'VotingNotStarted')
+		})
+
+		it('Should add up the votes of the users', async () => {
+			const {
+				lock,
+				controller,
+				gauges,
+				startTime,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+			} = await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await time.increaseTo(startTime)
+			await controller.connect(alice).vote([gauges[0]], [10000])
+			await controller
+				.connect(bob)
+				.vote([gauges[0], gauges[1]], [2000, 3000])
+
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(
+				aliceAmt.mul(2).add(bobAmt.mul(2).div(5))
+			)
+			expect(await controller.getGaugeWeight(gauges[1], 1)).to.be.equal(
+				bobAmt.mul(2).mul(3).div(10)
+			)
+			// bob left half of his voting power unallocated.
+			expect(await controller.getTotalWeight(1)).to.be.equal(
+				aliceAmt.mul(2).add(bobAmt)
+			)
+		})
+
+		it('Should cap the allocations at the voting power of the user', async () => {
+			const { lock, controller, gauges, startTime, alice, aliceAmt } =
+				await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await time.increaseTo(startTime)
+
+			await expect(
+				controller
+					.connect(alice)
+					.vote([gauges[0], gauges[1]], [6000, 4001])
+			).to.be.revertedWithCustomError(controller, 'VotingPowerExceeded')
+
+			// the shares of the earlier votes count toward the cap.
+			await controller.connect(alice).vote([gauges[0]], [6000])
+			await expect(
+				controller.connect(alice).vote([gauges[1]], [4001])
+			).to.be.revertedWithCustomError(controller, 'VotingPowerExceeded')
+			await controller
+				.connect(alice)
+				.vote([gauges[0], gauges[1]], [0, 10000])
+
+			// the votes of the same epoch replace each other.
+			expect(await controller.getTotalWeight(1)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(0)
+		})
+
+		it('Should revert when votes go to a gauge which is not registered', async () => {
+			const { controller, gauges, alice } = await loadFixture(
+				deployMundoCryptoGaugeControllerFixture
+			)
+
+			await expect(
+				controller.connect(alice).vote([alice.address], [1000])
+			).to.be.revertedWithCustomError(controller, 'InvalidGauge')
+			await expect(
+				controller.connect(alice).vote([gauges[0]], [1000, 1000])
+			).to.be.revertedWithCustomError(controller, 'LengthMismatch')
+		})
+
+		it('Should revert when the user votes for too many gauges', async () => {
+			const { controller, startTime, alice } = await loadFixture(
+				deployMundoCryptoGaugeControllerFixture
+			)
+			const maxGauges = (
+				await controller.MAX_GAUGES_PER_ACCOUNT()
+			).toNumber()
+
+			const gauges = []
+			for (let i = 0; i <= maxGauges; i++) {
+				const gauge = ethers.Wallet.createRandom().address
+				await controller.addGauge(gauge)
+				gauges.push(gauge)
+			}
+			await time.increaseTo(startTime)
+
+			await expect(
+				controller
+					.connect(alice)
+					.vote(gauges, Array(gauges.length).fill(1))
+			).to.be.revertedWithCustomError(controller, 'TooManyGauges')
+			await controller
+				.connect(alice)
+				.vote(gauges.slice(1), Array(maxGauges).fill(1))
+		})
+	})
+
+	describe('Epochs', () => {
+		it('Should fix the weights of an epoch when it starts', async () => {
+			const { lock, controller, gauges, startTime, alice, aliceAmt } =
+				await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await time.increaseTo(startTime)
+			await controller.connect(alice).vote([gauges[0]], [10000])
+			await time.increaseTo(epochStart(startTime, 1) + 60)
+
+			await expect(
+				controller
+					.connect(alice)
+					.vote([gauges[0], gauges[1]], [0, 10000])
+			)
+				.to.emit(controller, 'VotesUpdated')
+				.withArgs(alice.address, aliceAmt.mul(2), 2)
+
+			// the vote counts for the next epoch.
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await controller.getGaugeWeight(gauges[1], 1)).to.be.equal(0)
+			expect(await controller.getGaugeWeight(gauges[0], 2)).to.be.equal(0)
+			expect(await controller.getGaugeWeight(gauges[1], 2)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(
+				await controller.getRelativeWeight(gauges[1], 2)
+			).to.be.equal(ethers.constants.WeiPerEther)
+		})
+
+		it('Should let the votes lapse unless they are renewed', async () => {
+			const { lock, controller, gauges, startTime, alice, aliceAmt } =
+				await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await time.increaseTo(startTime)
+			await controller.connect(alice).vote([gauges[0]], [10000])
+
+			// the votes do not carry over to the later epochs.
+			await time.increaseTo(epochStart(startTime, 2))
+			expect(await controller.getGaugeWeight(gauges[0], 2)).to.be.equal(0)
+			expect(
+				await controller.getRelativeWeight(gauges[0], 2)
+			).to.be.equal(0)
+
+			// anyone can renew the shares of alice for the next epoch.
+			await expect(controller.poke([alice.address]))
+				.to.emit(controller, 'VotesUpdated')
+				.withArgs(alice.address, aliceAmt.mul(2), 3)
+			await controller.poke([alice.address])
+
+			expect(await controller.getGaugeWeight(gauges[0], 3)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await controller.getTotalWeight(3)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+		})
+
+		it('Should drop the weights of an expired lock when the user is poked', async () => {
+			const {
+				lock,
+				controller,
+				gauges,
+				startTime,
+				shortPeriod,
+				owner,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+			} = await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, shortPeriod)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await time.increaseTo(startTime)
+			await controller.connect(alice).vote([gauges[0]], [10000])
+			await controller.connect(bob).vote([gauges[1]], [10000])
+
+			// the lock of alice expires during the second epoch.
+			await time.increaseTo(epochStart(startTime, 2))
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+
+			await expect(
+				controller.connect(owner).poke([alice.address, bob.address])
+			)
+				.to.emit(controller, 'VotesUpdated')
+				.withArgs(alice.address, 0, 3)
+
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(
+				aliceAmt
+			)
+			expect(await controller.getGaugeWeight(gauges[0], 3)).to.be.equal(0)
+			expect(await controller.getTotalWeight(3)).to.be.equal(
+				bobAmt.mul(2)
+			)
+			expect(
+				await controller.getRelativeWeight(gauges[1], 3)
+			).to.be.equal(ethers.constants.WeiPerEther)
+
+			// the shares are kept for the next lock of alice.
+			const [, shares, votingPower, epoch] =
+				await controller.getAccountVotes(alice.address)
+			expect(shares).to.be.deep.equal([10000])
+			expect(votingPower).to.be.equal(0)
+			expect(epoch).to.be.equal(3)
+		})
+
+		it('Should count the tokens locked after the snapshot from the next epoch', async () => {
+			const { lock, controller, gauges, startTime, alice, aliceAmt } =
+				await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await time.increaseTo(startTime)
+			await controller.connect(alice).vote([gauges[0]], [5000])
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+
+			// the voting power of the next epoch is read at its snapshot.
+			await controller.poke([alice.address])
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(
+				aliceAmt.div(2)
+			)
+
+			await time.increaseTo(epochStart(startTime, 1))
+			await controller.poke([alice.address])
+
+			expect(await controller.getGaugeWeight(gauges[0], 2)).to.be.equal(
+				aliceAmt
+			)
+			expect(await controller.getTotalWeight(2)).to.be.equal(aliceAmt)
+		})
+	})
+
+	describe('Double Counting', () => {
+		it('Should not count a transferred position twice when both holders vote', async () => {
+			const {
+				lock,
+				positionToken,
+				controller,
+				gauges,
+				startTime,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+			} = await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await time.increaseTo(startTime)
+			await controller.connect(alice).vote([gauges[0]], [10000])
+
+			// alice hands her position to bob, who votes and then alice votes again.
+			await positionToken
+				.connect(alice)
+				.transferFrom(alice.address, bob.address, 1)
+			await controller.connect(bob).vote([gauges[1]], [10000])
+			await controller.connect(alice).vote([gauges[0]], [10000])
+
+			const snapshotTime = await controller.getSnapshotTime(1)
+			expect(await controller.getGaugeWeight(gauges[0], 1)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await controller.getGaugeWeight(gauges[1], 1)).to.be.equal(
+				bobAmt.mul(2)
+			)
+			expect(await controller.getTotalWeight(1)).to.be.equal(
+				await lock.getPastTotalVotingPower(snapshotTime)
+			)
+
+			// the position counts for bob from the next snapshot.
+			await time.increaseTo(epochStart(startTime, 1))
+			await controller.poke([alice.address, bob.address])
+
+			expect(await controller.getGaugeWeight(gauges[0], 2)).to.be.equal(0)
+			expect(await controller.getGaugeWeight(gauges[1], 2)).to.be.equal(
+				aliceAmt.add(bobAmt).mul(2)
+			)
+			expect(await controller.getTotalWeight(2)).to.be.equal(
+				await lock.getPastTotalVotingPower(
+					await controller.getSnapshotTime(2)
+				)
+			)
+		})
+
+		it('Should not count delegated voting power twice when the delegator votes again', async () => {
+			const {
+				lock,
+				controller,
+				gauges,
+				startTime,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+			} = await loadFixture(deployMundoCryptoGaugeControllerFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await time.increaseTo(startTime)
+			await controller.connect(alice).vote([gauges[0]], [10000])
+
+			// alice delegates to bob, who votes and then alice votes again.
+			await lock.connect(alice).delegate(bob.address)
+			await controller.connect(bob).vote([gauges[1]], [10000])
+			await controller.connect(alice).vote([gauges[0]], [10000])
+
+			expect(await controller.getTotalWeight(1)).to.be.equal(
+				await lock.getPastTotalVotingPower(
+					await controller.getSnapshotTime(1)
+				)
+			)
+			expect(await controller.getTotalWeight(1)).to.be.equal(
+				aliceAmt.add(bobAmt).mul(2)
+			)
+
+			// the delegated voting power counts for bob from the next snapshot.
+			await time.increaseTo(epochStart(startTime, 1))
+			await controller.poke([alice.address, bob.address])
+			await controller.connect(alice).vote([gauges[0]], [10000])
+
+			expect(await controller.getGaugeWeight(gauges[0], 2)).to.be.equal(0)
+			expect(await controller.getGaugeWeight(gauges[1], 2)).to.be.equal(
+				aliceAmt.add(bobAmt).mul(2)
+			)
+			expect(await controller.getTotalWeight(2)).to.be.equal(
+				aliceAmt.add(bobAmt).mul(2)
+			)
+		})
+	})
+})
@@ -0,0 +1,703 @@
+const {
+	loadFixture,
+	mine,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const periodOne = 0
+const periodTwo = 1
+const periodThree = 2
+
+const lockTimeOne = 15724800
+
+const votingDelay = 86400
+const votingPeriod = 604800
+const timelockDelay = 172800
+
+const VoteType = { Against: 0, For: 1, Abstain: 2 }
+const ProposalState = {
+	Pending: 0,
+	Active: 1,
+	Canceled: 2,
+	Defeated: 3,
+	Succeeded: 4,
+	Queued: 5,
+	Expired: 6,
+	Executed: 7,
+}
+
+describe('MundoCryptoGovernor', function () {
+	// We define a fixture to reuse the same setup in every test.
+	// We use loadFixture to run this setup once, snapshot that state,
+	// and reset Hardhat Network to that snapshot in every test.
+	async function deployMundoCryptoGovernorFixture() {
+		// Contracts are deployed using the first signer/account by default
+		const [owner, alice, bob, charlie] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			false,
+			owner.address
+		)
+
+		const MundoCryptoTimelock = await ethers.getContractFactory(
+			'MundoCryptoTimelock'
+		)
+		const timelock = await MundoCryptoTimelock.deploy(
+			timelockDelay,
+			[],
+			[ethers.constants.AddressZero],
+			owner.address
+		)
+
+		const MundoCryptoGovernor = await ethers.getContractFactory(
+			'MundoCryptoGovernor'
+		)
+		const governor = await MundoCryptoGovernor.deploy(
+			lock.address,
+			timelock.address
+		)
+
+		// the governor is the only proposer and canceller of the timelock.
+		await timelock.grantRole(
+			await timelock.PROPOSER_ROLE(),
+			governor.address
+		)
+		await timelock.grantRole(
+			await timelock.CANCELLER_ROLE(),
+			governor.address
+		)
+		await timelock.renounceRole(
+			await timelock.TIMELOCK_ADMIN_ROLE(),
+			owner.address
+		)
+
+		const aliceAmt = ethers.utils.parseEther('1000')
+		const bobAmt = ethers.utils.parseEther('10000')
+		const charlieAmt = ethers.utils.parseEther('100000')
+		const treasuryAmt = ethers.utils.parseEther('50000')
+
+		// mint tokens to users and to the treasury held by the timelock
+		await mockToken.mint(alice.address, aliceAmt)
+		await mockToken.mint(bob.address, bobAmt)
+		await mockToken.mint(charlie.address, charlieAmt)
+		await mockToken.mint(timelock.address, treasuryAmt)
+
+		// users will get wrapped tokens and approve the lock
+		for (const [user, amount] of [
+			[alice, aliceAmt],
+			[bob, bobAmt],
+			[charlie, charlieAmt],
+		]) {
+			await mockToken.connect(user).approve(wToken.address, amount)
+			await wToken.connect(user).depositFor(user.address, amount)
+			await wToken.connect(user).approve(lock.address, amount)
+		}
+
+		return {
+			mockToken,
+			wToken,
+			lock,
+			timelock,
+			governor,
+			owner,
+			alice,
+			bob,
+			charlie,
+			aliceAmt,
+			bobAmt,
+			charlieAmt,
+			treasuryAmt,
+		}
+	}
+
+	// Build a proposal which transfers tokens out of the treasury.
+	function buildTransferProposal(mockToken, receiver, amount, description) {
+		const targets = [mockToken.address]
+		const values = [0]
+		const calldatas = [
+			mockToken.interface.encodeFunctionData('transfer', [
+				receiver,
+				amount,
+			]),
+		]
+		const descriptionHash = ethers.utils.id(description)
+
+		return { targets, values, calldatas, description, descriptionHash }
+	}
+
+	async function propose(governor, proposer, proposal) {
+		await governor
+			.connect(proposer)
+			.propose(
+				proposal.targets,
+				proposal.values,
+				proposal.calldatas,
+				proposal.description
+			)
+
+		return governor.hashProposal(
+			proposal.targets,
+			proposal.values,
+			proposal.calldatas,
+			proposal.descriptionHash
+		)
+	}
+
+	describe('Deployment', () => {
+		it('Should set the right lock and timelock', async () => {
+			const { lock, timelock, governor } = await loadFixture(
+				deployMundoCryptoGovernorFixture
+			)
+
+			expect(await governor.lock()).to.equal(lock.address)
+			expect(await governor.timelock()).to.equal(timelock.address)
+		})
+
+		it('Should set the right governance settings', async () => {
+			const { governor } = await loadFixture(
+				deployMundoCryptoGovernorFixture
+			)
+
+			expect(await governor.name()).to.equal('MundoCryptoGovernor')
+			expect(await governor.votingDelay()).to.equal(votingDelay)
+			expect(await governor.votingPeriod()).to.equal(votingPeriod)
+			expect(await governor.proposalThreshold()).to.equal(0)
+			expect(await governor['quorumNumerator()']()).to.equal(4)
+			expect(await governor.quorumDenominator()).to.equal(100)
+		})
+
+		it('Should use the timestamp as clock', async () => {
+			const { governor } = await loadFixture(
+				deployMundoCryptoGovernorFixture
+			)
+
+			expect(await governor.CLOCK_MODE()).to.equal('mode=timestamp')
+			expect(await governor.clock()).to.equal(
+				(await ethers.provider.getBlock('latest')).timestamp
+			)
+		})
+	})
+
+	describe('Propose', () => {
+		it('Should create a proposal with a snapshot after the voting delay', async () => {
+			const { mockToken, governor, alice, bob } = await loadFixture(
+				deployMundoCryptoGovernorFixture
+			)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+			const proposeTime = await time.latest()
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Pending
+			)
+			expect(await governor.proposalSnapshot(proposalId)).to.equal(
+				proposeTime + votingDelay
+			)
+			expect(await governor.proposalDeadline(proposalId)).to.equal(
+				proposeTime + votingDelay + votingPeriod
+			)
+			expect(await governor.proposalProposer(proposalId)).to.equal(
+				alice.address
+			)
+		})
+	})
+
+	describe('Vote', () => {
+		it('Should use the voting power of the lock as voting weight', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			await expect(
+				governor.connect(alice).castVote(proposalId, VoteType.For)
+			)
+				.to.emit(governor, 'VoteCast')
+				.withArgs(
+					alice.address,
+					proposalId,
+					VoteType.For,
+					aliceAmt.mul(4),
+					''
+				)
+		})
+
+		it('Should count the votes for, against and abstain', async () => {
+			const {
+				mockToken,
+				lock,
+				governor,
+				alice,
+				aliceAmt,
+				bob,
+				bobAmt,
+				charlie,
+				charlieAmt,
+			} = await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+			await lock.connect(charlie).lockTokens(charlieAmt, periodThree)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			await governor.connect(alice).castVote(proposalId, VoteType.For)
+			await governor.connect(bob).castVote(proposalId, VoteType.Against)
+			await governor
+				.connect(charlie)
+				.castVote(proposalId, VoteType.Abstain)
+
+			const votes = await governor.proposalVotes(proposalId)
+
+			expect(votes.forVotes).to.equal(aliceAmt.mul(2))
+			expect(votes.againstVotes).to.equal(bobAmt.mul(4))
+			expect(votes.abstainVotes).to.equal(charlieAmt.mul(10))
+			expect(await governor.hasVoted(proposalId, alice.address)).to.equal(
+				true
+			)
+		})
+
+		it('Should not count tokens locked after the snapshot', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob, bobAmt } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			// bob locks once the voting has started.
+			await lock.connect(bob).lockTokens(bobAmt, periodThree)
+
+			await expect(
+				governor.connect(bob).castVote(proposalId, VoteType.Against)
+			)
+				.to.emit(governor, 'VoteCast')
+				.withArgs(bob.address, proposalId, VoteType.Against, 0, '')
+		})
+
+		it('Should not count locks which expired before the snapshot', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			// alice's lock expires during the voting delay.
+			await time.increase(lockTimeOne - votingDelay / 2)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			await expect(
+				governor.connect(alice).castVote(proposalId, VoteType.For)
+			)
+				.to.emit(governor, 'VoteCast')
+				.withArgs(alice.address, proposalId, VoteType.For, 0, '')
+		})
+
+		it('Should not allow users to vote before the voting delay', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await expect(
+				governor.connect(alice).castVote(proposalId, VoteType.For)
+			).to.be.revertedWith('Governor: vote not currently active')
+		})
+
+		it('Should not allow users to vote twice', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			await governor.connect(alice).castVote(proposalId, VoteType.For)
+
+			await expect(
+				governor.connect(alice).castVote(proposalId, VoteType.Against)
+			).to.be.revertedWith('GovernorVotingSimple: vote already cast')
+		})
+	})
+
+	describe('Quorum', () => {
+		it('Should compute the quorum from the total voting power at the snapshot', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob, bobAmt } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			const snapshot = await governor.proposalSnapshot(proposalId)
+
+			expect(await governor.quorum(snapshot)).to.equal(
+				aliceAmt.mul(2).add(bobAmt.mul(4)).mul(4).div(100)
+			)
+		})
+
+		it('Should defeat proposals which do not reach the quorum', async () => {
+			const {
+				mockToken,
+				lock,
+				governor,
+				alice,
+				aliceAmt,
+				bob,
+				charlie,
+				charlieAmt,
+			} = await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(charlie).lockTokens(charlieAmt, periodThree)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			// alice votes with 2000 out of 1002000, less than 4%.
+			await governor.connect(alice).castVote(proposalId, VoteType.For)
+
+			await time.increase(votingPeriod)
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Defeated
+			)
+		})
+
+		it('Should count the abstain votes towards the quorum', async () => {
+			const {
+				mockToken,
+				lock,
+				governor,
+				alice,
+				aliceAmt,
+				bob,
+				charlie,
+				charlieAmt,
+			} = await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(charlie).lockTokens(charlieAmt, periodThree)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			await governor.connect(alice).castVote(proposalId, VoteType.For)
+			await governor
+				.connect(charlie)
+				.castVote(proposalId, VoteType.Abstain)
+
+			await time.increase(votingPeriod)
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Succeeded
+			)
+		})
+
+		it('Should defeat proposals with more votes against than for', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob, bobAmt } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodThree)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			await governor.connect(alice).castVote(proposalId, VoteType.For)
+			await governor.connect(bob).castVote(proposalId, VoteType.Against)
+
+			await time.increase(votingPeriod)
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Defeated
+			)
+		})
+	})
+
+	describe('Execute', () => {
+		it('Should execute a proposal from lock to vote to execute', async () => {
+			const {
+				mockToken,
+				lock,
+				timelock,
+				governor,
+				alice,
+				aliceAmt,
+				bob,
+				bobAmt,
+				charlie,
+				treasuryAmt,
+			} = await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+			const grantAmt = treasuryAmt.div(10)
+			const proposal = buildTransferProposal(
+				mockToken,
+				charlie.address,
+				grantAmt,
+				'Proposal #1: grant tokens to charlie'
+			)
+			const proposalId = await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Active
+			)
+
+			await governor.connect(alice).castVote(proposalId, VoteType.For)
+			await governor.connect(bob).castVote(proposalId, VoteType.For)
+
+			await time.increase(votingPeriod)
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Succeeded
+			)
+
+			await governor.queue(
+				proposal.targets,
+				proposal.values,
+				proposal.calldatas,
+				proposal.descriptionHash
+			)
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Queued
+			)
+
+			await time.increase(timelockDelay)
+
+			await expect(
+				governor.execute(
+					proposal.targets,
+					proposal.values,
+					proposal.calldatas,
+					proposal.descriptionHash
+				)
+			).to.changeTokenBalances(
+				mockToken,
+				[timelock, charlie],
+				[grantAmt.mul(-1), grantAmt]
+			)
+
+			expect(await governor.state(proposalId)).to.equal(
+				ProposalState.Executed
+			)
+		})
+
+		it('Should not execute a proposal before the timelock delay', async () => {
+			const { mockToken, lock, governor, alice, aliceAmt, bob } =
+				await loadFixture(deployMundoCryptoGovernorFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+
+			const proposal = buildTransferProposal(
+				mockToken,
+				bob.address,
+				1,
+				'Proposal #1: send one token to bob'
+			)
+			await propose(governor, alice, proposal)
+
+			await time.increase(votingDelay + 1)
+
+			await governor
+				.connect(alice)
+				.castVote(
+					await governor.hashProposal(
+						proposal.targets,
+						proposal.values,
+						proposal.calldatas,
+						proposal.descriptionHash
+					),
+					VoteType.For
+				)
+
+			await time.increase(votingPeriod)
+
+			await governor.queue(
+				proposal.targets,
+				proposal.values,
+				proposal.calldatas,
+				proposal.descriptionHash
+			)
+
+			await expect(
+				governor.execute(
+					proposal.targets,
+					proposal.values,
+					proposal.calldatas,
+					proposal.descriptionHash
+				)
+			).to.be.revertedWith('TimelockController: operation is not ready')
+		})
+
+		it('Should only allow the governance to update the quorum', async () => {
+			const { lock, governor, alice, aliceAmt } = await loadFixture(
+				deployMundoCryptoGovernorFixture
+			)
+
+			await expect(
+				governor.connect(alice).updateQuorumNumerator(10)
+			).to.be.revertedWith('Governor: onlyGovernance')
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+
+			const proposal = {
+				targets: [governor.address],
+				values: [0],
+				calldatas: [
+					governor.interface.encodeFunctionData(
+						'updateQuorumNumerator',
+						[10]
+					),
+				],
+				description: 'Proposal #1: raise the quorum to 10%',
+			}
+			proposal.descriptionHash = ethers.utils.id(proposal.description)
+
+			const proposalId = await propose(governor, alice, proposal)
+			const snapshot = (await time.latest()) + votingDelay
+
+			await time.increase(votingDelay + 1)
+			await governor.connect(alice).castVote(proposalId, VoteType.For)
+			await time.increase(votingPeriod)
+
+			await governor.queue(
+				proposal.targets,
+				proposal.values,
+				proposal.calldatas,
+				proposal.descriptionHash
+			)
+			await time.increase(timelockDelay)
+
+			await expect(
+				governor.execute(
+					proposal.targets,
+					proposal.values,
+					proposal.calldatas,
+					proposal.descriptionHash
+				)
+			)
+				.to.emit(governor, 'QuorumNumeratorUpdated')
+				.withArgs(4, 10)
+
+			await mine()
+
+			expect(await governor['quorumNumerator()']()).to.equal(10)
+			// the quorum of past proposals does not change.
+			expect(
+				await governor['quorumNumerator(uint256)'](snapshot)
+			).to.equal(4)
+		})
+	})
+})
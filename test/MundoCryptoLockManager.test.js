@@ -0,0 +1,364 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const periodOne = 0
+const periodTwo = 1
+
+const lockTimeOne = 15724800
+
+// the weights of wMCT, the LP token and the partner token.
+const mctWeight = 10000
+const lpWeight = 25000
+const partnerWeight = 5000
+
+describe('MundoCryptoLockManager', function () {
+	// We define a fixture to reuse the same setup in every test.
+	// We use loadFixture to run this setup once, snapshot that state,
+	// and reset Hardhat Network to that snapshot in every test.
+	async function deployMundoCryptoLockManagerFixture() {
+		// Contracts are deployed using the first signer/account by default
+		const [owner, alice, bob] = await ethers.getSigners()
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+
+		const amount = ethers.utils.parseEther('1000')
+
+		// every token is locked in its own lock.
+		const tokens = []
+		const locks = []
+		for (let i = 0; i < 3; i++) {
+			const token = await MockToken.deploy()
+			const lock = await MundoCryptoTokenLock.deploy(
+				token.address,
+				false,
+				owner.address
+			)
+			for (const user of [alice, bob]) {
+				await token.mint(user.address, amount)
+				await token.connect(user).approve(lock.address, amount)
+			}
+			tokens.push(token)
+			locks.push(lock)
+		}
+		const [mctLock, lpLock, partnerLock] = locks
+
+		const MundoCryptoLockManager = await ethers.getContractFactory(
+			'MundoCryptoLockManager'
+		)
+		const manager = await MundoCryptoLockManager.deploy(owner.address)
+
+		await manager.addToken(mctLock.address, mctWeight)
+		await manager.addToken(lpLock.address, lpWeight)
+
+		return {
+			owner,
+			alice,
+			bob,
+			amount,
+			tokens,
+			mctLock,
+			lpLock,
+			partnerLock,
+			manager,
+		}
+	}
+
+	describe('Whitelist', () => {
+		it('Should whitelist the lock of a token with its weight', async () => {
+			const { tokens, partnerLock, manager } = await loadFixture(
+				deployMundoCryptoLockManagerFixture
+			)
+
+			await expect(manager.addToken(partnerLock.address, partnerWeight))
+				.to.emit(manager, 'TokenAdded')
+				.withArgs(tokens[2].address, partnerLock.address, partnerWeight)
+
+			expect(await manager.getTokens()).to.be.deep.equal(
+				tokens.map((token) => token.address)
+			)
+			expect(await manager.getLock(tokens[2].address)).to.be.equal(
+				partnerLock.address
+			)
+			expect(await manager.getWeight(tokens[2].address)).to.be.equal(
+				partnerWeight
+			)
+		})
+
+		it('Should revert when a token is whitelisted twice or without weight', async () => {
+			const { lpLock, partnerLock, manager } = await loadFixture(
+				deployMundoCryptoLockManagerFixture
+			)
+
+			await expect(
+				manager.addToken(lpLock.address, lpWeight)
+			).to.be.revertedWithCustomError(manager, 'TokenAlreadyListed')
+			await expect(
+				manager.addToken(partnerLock.address, 0)
+			).to.be.revertedWithCustomError(manager, 'ZeroValuedParam')
+		})
+
+		it('Should only allow the governance to whitelist tokens and set weights', async () => {
+			const { alice, tokens, partnerLock, manager } = await loadFixture(
+				deployMundoCryptoLockManagerFixture
+			)
+			const message = `AccessControl: account ${alice.address.toLowerCase()} is missing role ${await manager.GOVERNANCE_ROLE()}`
+
+			await expect(
+				manager
+					.connect(alice)
+					.addToken(partnerLock.address, partnerWeight)
+			).to.be.revertedWith(message)
+			await expect(
+				manager.connect(alice).setWeight(tokens[0].address, 1)
+			).to.be.revertedWith(message)
+		})
+
+		it('Should revert when the weight of a token which is not whitelisted is set', async () => {
+			const { tokens, manager } = await loadFixture(
+				deployMundoCryptoLockManagerFixture
+			)
+
+			await expect(
+				manager.setWeight(tokens[2].address, partnerWeight)
+			).to.be.revertedWithCustomError(manager, 'TokenNotListed')
+		})
+	})
+
+	describe('Voting Power', () => {
+		it('Should aggregate the weighted voting power across the tokens', async () => {
+			const { alice, bob, amount, mctLock, lpLock, manager } =
+				await loadFixture(deployMundoCryptoLockManagerFixture)
+
+			await mctLock.connect(alice).lockTokens(amount, periodOne)
+			await lpLock.connect(alice).lockTokens(amount.div(2), periodTwo)
+			await lpLock.connect(bob).lockTokens(amount, periodOne)
+
+			// 1x of 2 × 1000 and 2.5x of 4 × 500.
+			expect(await manager.getVotingPower(alice.address)).to.be.equal(
+				amount.mul(2).add(amount.mul(5))
+			)
+			expect(
+				await manager.getVotingPowerByToken(alice.address)
+			).to.be.deep.equal([amount.mul(2), amount.mul(2)])
+			// 2.5x of 2 × 1000.
+			expect(await manager.getVotingPower(bob.address)).to.be.equal(
+				amount.mul(5)
+			)
+			expect(await manager.totalVotingPower()).to.be.equal(amount.mul(12))
+		})
+
+		it('Should keep the accounting of every token separate', async () => {
+			const { alice, amount, tokens, mctLock, lpLock, manager } =
+				await loadFixture(deployMundoCryptoLockManagerFixture)
+
+			await mctLock.connect(alice).lockTokens(amount, periodOne)
+			await lpLock.connect(alice).lockTokens(amount.div(2), periodOne)
+			await time.increase(lockTimeOne)
+
+			await mctLock.connect(alice).withdrawTokens(periodOne)
+
+			expect(await mctLock.totalLocked()).to.be.equal(0)
+			expect(await lpLock.totalLocked()).to.be.equal(amount.div(2))
+			expect(await tokens[0].balanceOf(alice.address)).to.be.equal(amount)
+			expect(await tokens[1].balanceOf(lpLock.address)).to.be.equal(
+				amount.div(2)
+			)
+			// the lock has expired in both tokens.
+			expect(await manager.getVotingPower(alice.address)).to.be.equal(0)
+		})
+
+		it('Should keep the weights of past timestamps when a weight changes', async () => {
+			const { alice, amount, tokens, mctLock, lpLock, manager } =
+				await loadFixture(deployMundoCryptoLockManagerFixture)
+
+			await mctLock.connect(alice).lockTokens(amount, periodOne)
+			await lpLock.connect(alice).lockTokens(amount, periodOne)
+			const before = await time.latest()
+			await time.increase(10)
+
+			await expect(manager.setWeight(tokens[1].address, 0))
+				.to.emit(manager, 'WeightUpdated')
+				.withArgs(tokens[1].address, lpWeight, 0)
+			const after = await time.latest()
+			await time.increase(10)
+
+			// the delisted token does not count from now on.
+			expect(await manager.getVotingPower(alice.address)).to.be.equal(
+				amount.mul(2)
+			)
+			expect(
+				await manager.getPastWeight(tokens[1].address, before)
+			).to.be.equal(lpWeight)
+			expect(
+				await manager.getPastVotingPower(alice.address, before)
+			).to.be.equal(amount.mul(7))
+			expect(
+				await manager.getPastVotingPower(alice.address, after)
+			).to.be.equal(amount.mul(2))
+			expect(await manager.getPastTotalVotingPower(before)).to.be.equal(
+				amount.mul(7)
+			)
+		})
+
+		it('Should fetch the next change of the own voting power across the locks and weights', async () => {
+			const { alice, amount, tokens, mctLock, lpLock, manager } =
+				await loadFixture(deployMundoCryptoLockManagerFixture)
+
+			await mctLock.connect(alice).lockTokens(amount, periodOne)
+			const locked = await time.latest()
+			await lpLock.connect(alice).lockTokens(amount, periodTwo)
+
+			// the next change is the next lock, then the earliest unlock.
+			expect(
+				await manager.getNextOwnChange(alice.address, locked - 1)
+			).to.be.equal(locked)
+			expect(
+				await manager.getNextOwnChange(alice.address, locked)
+			).to.be.equal(locked + 1)
+			expect(
+				await manager.getNextOwnChange(alice.address, locked + 1)
+			).to.be.equal(locked + lockTimeOne)
+
+			// a change of weight changes the weighted voting power.
+			await manager.setWeight(tokens[1].address, mctWeight)
+			expect(
+				await manager.getNextOwnChange(alice.address, locked + 1)
+			).to.be.equal(await time.latest())
+		})
+
+		it('Should not count a token before it was whitelisted', async () => {
+			const { owner, alice, amount, partnerLock, manager } =
+				await loadFixture(deployMundoCryptoLockManagerFixture)
+
+			await partnerLock.connect(alice).lockTokens(amount, periodOne)
+			const before = await time.latest()
+			await time.increase(10)
+
+			await manager
+				.connect(owner)
+				.addToken(partnerLock.address, partnerWeight)
+			await time.increase(10)
+
+			expect(
+				await manager.getPastVotingPower(alice.address, before)
+			).to.be.equal(0)
+			// 0.5x of 2 × 1000.
+			expect(
+				await manager.getPastVotingPower(
+					alice.address,
+					(await time.latest()) - 1
+				)
+			).to.be.equal(amount)
+			expect(await manager.getVotingPower(alice.address)).to.be.equal(
+				amount
+			)
+		})
+
+		it('Should aggregate the own voting power of the delegated positions', async () => {
+			const { alice, bob, amount, mctLock, lpLock, manager } =
+				await loadFixture(deployMundoCryptoLockManagerFixture)
+
+			await mctLock.connect(alice).lockTokens(amount, periodOne)
+			await lpLock.connect(alice).lockTokens(amount, periodOne)
+			await lpLock.connect(alice).delegate(bob.address)
+			const timepoint = await time.latest()
+			await time.increase(10)
+
+			// 1x of 2 × 1000 and 2.5x of 2 × 1000, of which the LP votes go to bob.
+			expect(
+				await manager.getPastVotingPower(alice.address, timepoint)
+			).to.be.equal(amount.mul(2))
+			expect(
+				await manager.getPastOwnVotingPower(alice.address, timepoint)
+			).to.be.equal(amount.mul(7))
+			expect(
+				await manager.getPastOwnVotingPower(bob.address, timepoint)
+			).to.be.equal(0)
+		})
+
+		it('Should revert when the voting power is fetched at a future timepoint', async () => {
+			const { alice, manager } = await loadFixture(
+				deployMundoCryptoLockManagerFixture
+			)
+			const now = await time.latest()
+
+			await expect(
+				manager.getPastVotingPower(alice.address, now + 1)
+			).to.be.revertedWithCustomError(manager, 'FutureLookup')
+			await expect(
+				manager.getPastOwnVotingPower(alice.address, now + 1)
+			).to.be.revertedWithCustomError(manager, 'FutureLookup')
+			await expect(
+				manager.getPastTotalVotingPower(now + 1)
+			).to.be.revertedWithCustomError(manager, 'FutureLookup')
+		})
+	})
+
+	describe('Governance', () => {
+		it('Should let the rewards read the voting power from the manager', async () => {
+			const {
+				owner,
+				alice,
+				bob,
+				amount,
+				tokens,
+				mctLock,
+				lpLock,
+				manager,
+			} = await loadFixture(deployMundoCryptoLockManagerFixture)
+
+			const startTime = (await time.latest()) + 60
+			const MundoCryptoRewards = await ethers.getContractFactory(
+				'MundoCryptoRewards'
+			)
+			const rewards = await MundoCryptoRewards.deploy(
+				manager.address,
+				tokens[2].address,
+				startTime,
+				owner.address
+			)
+
+			await mctLock.connect(alice).lockTokens(amount, periodTwo)
+			await lpLock.connect(bob).lockTokens(amount.div(2), periodTwo)
+
+			// alice has 4 × 1000 and bob 2.5x of 4 × 500 of the voting power.
+			await tokens[2].connect(alice).approve(rewards.address, amount)
+			await rewards
+				.connect(owner)
+				.grantRole(await rewards.DISTRIBUTOR_ROLE(), alice.address)
+			await rewards.connect(alice).depositRewards(0, amount.div(10))
+			await time.increaseTo(startTime + 7 * 24 * 60 * 60)
+
+			const aliceVotingPower = amount.mul(4)
+			const bobVotingPower = amount.mul(5)
+			const rewardPerVotingPower = amount
+				.div(10)
+				.mul(ethers.constants.WeiPerEther)
+				.div(aliceVotingPower.add(bobVotingPower))
+
+			expect(await rewards.earned(alice.address)).to.be.equal(
+				aliceVotingPower
+					.mul(rewardPerVotingPower)
+					.div(ethers.constants.WeiPerEther)
+			)
+			expect(await rewards.earned(bob.address)).to.be.equal(
+				bobVotingPower
+					.mul(rewardPerVotingPower)
+					.div(ethers.constants.WeiPerEther)
+			)
+		})
+	})
+})
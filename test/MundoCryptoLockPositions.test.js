@@ -0,0 +1,464 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const periodOne = 0
+const periodTwo = 1
+const periodThree = 2
+
+const lockTimeOne = 15724800
+const lockTimeTwo = 31536000
+
+describe('MundoCryptoLockPositions', function () {
+	async function deployLockPositionsFixture() {
+		return deployLockPositions(false)
+	}
+
+	async function deployLinearDecayFixture() {
+		return deployLockPositions(true)
+	}
+
+	async function deployLockPositions(linearDecay) {
+		const [owner, alice, bob, charlie] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			linearDecay,
+			owner.address
+		)
+		const positionToken = await ethers.getContractAt(
+			'MundoCryptoLockPositions',
+			await lock.positionToken()
+		)
+
+		// alice and charlie lock tokens for the other accounts in some tests.
+		const granterRole = await lock.GRANTER_ROLE()
+		await lock.grantRole(granterRole, alice.address)
+		await lock.grantRole(granterRole, charlie.address)
+
+		const amount = ethers.utils.parseEther('1000')
+		for (const user of [alice, bob, charlie]) {
+			await mockToken.mint(user.address, amount)
+			await mockToken.connect(user).approve(wToken.address, amount)
+			await wToken.connect(user).depositFor(user.address, amount)
+			await wToken.connect(user).approve(lock.address, amount)
+		}
+
+		return {
+			wToken,
+			lock,
+			positionToken,
+			owner,
+			alice,
+			bob,
+			charlie,
+			amount,
+		}
+	}
+
+	describe('Tokens', () => {
+		it('Should be deployed by the lock', async () => {
+			const { lock, positionToken } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			expect(await positionToken.lock()).to.be.equal(lock.address)
+			expect(await positionToken.name()).to.be.equal(
+				'MundoCrypto Lock Position'
+			)
+			expect(await positionToken.symbol()).to.be.equal('MCLP')
+		})
+
+		it('Should mint a token to the owner of every new position', async () => {
+			const { lock, positionToken, alice, bob, amount } =
+				await loadFixture(deployLockPositionsFixture)
+
+			await expect(
+				lock.connect(alice).lockTokens(amount.div(2), periodOne)
+			)
+				.to.emit(positionToken, 'Transfer')
+				.withArgs(ethers.constants.AddressZero, alice.address, 1)
+			await lock
+				.connect(alice)
+				.grantLock(bob.address, amount.div(2), periodTwo)
+
+			expect(await positionToken.ownerOf(1)).to.be.equal(alice.address)
+			expect(await positionToken.ownerOf(2)).to.be.equal(bob.address)
+			expect(await positionToken.balanceOf(bob.address)).to.be.equal(1)
+		})
+
+		it('Should burn the token when the position is withdrawn', async () => {
+			const { lock, positionToken, alice, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount.div(2), periodOne)
+			await lock.connect(alice).lockTokens(amount.div(2), periodOne)
+
+			await lock.connect(alice).earlyWithdraw(1)
+			await time.increase(lockTimeOne)
+			await lock.connect(alice).withdrawPosition(2)
+
+			expect(await positionToken.balanceOf(alice.address)).to.be.equal(0)
+			await expect(positionToken.ownerOf(2)).to.be.revertedWith(
+				'ERC721: invalid token ID'
+			)
+		})
+
+		it('Should only allow the lock to mint and burn the tokens', async () => {
+			const { lock, positionToken, alice, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+
+			await expect(
+				positionToken.connect(alice).mint(alice.address, 2)
+			).to.be.revertedWithCustomError(positionToken, 'NotLock')
+			await expect(
+				positionToken.connect(alice).burn(1)
+			).to.be.revertedWithCustomError(positionToken, 'NotLock')
+		})
+
+		it('Should only allow the token to move the positions', async () => {
+			const { lock, alice, bob, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+
+			await expect(
+				lock
+					.connect(alice)
+					.transferPosition(alice.address, bob.address, 1)
+			).to.be.revertedWithCustomError(lock, 'NotPositionToken')
+		})
+
+		it('Should build the metadata of a position on-chain', async () => {
+			const { lock, positionToken, alice, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount, periodTwo)
+			const unlockTime = (await time.latest()) + lockTimeTwo
+
+			const uri = await positionToken.tokenURI(1)
+			const prefix = 'data:application/json;base64,'
+			expect(uri.startsWith(prefix)).to.be.equal(true)
+
+			const metadata = JSON.parse(
+				Buffer.from(uri.slice(prefix.length), 'base64').toString()
+			)
+			expect(metadata.name).to.be.equal('MundoCrypto Lock Position #1')
+			expect(metadata.attributes).to.be.deep.equal([
+				{ trait_type: 'Amount', value: amount.toString() },
+				{ trait_type: 'Tier', value: periodTwo },
+				{ trait_type: 'Lock Time', value: lockTimeTwo },
+				{ trait_type: 'Multiplier', value: 4 },
+				{
+					display_type: 'date',
+					trait_type: 'Unlock Time',
+					value: unlockTime,
+				},
+			])
+
+			await expect(positionToken.tokenURI(2)).to.be.revertedWith(
+				'ERC721: invalid token ID'
+			)
+		})
+	})
+
+	describe('Transfers', () => {
+		it('Should move the voting power and withdrawal rights with the token', async () => {
+			const { wToken, lock, positionToken, alice, bob, amount } =
+				await loadFixture(deployLockPositionsFixture)
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+			const lockTime = await time.latest()
+
+			await time.increase(100)
+
+			await expect(
+				positionToken
+					.connect(alice)
+					['safeTransferFrom(address,address,uint256)'](
+						alice.address,
+						bob.address,
+						1
+					)
+			)
+				.to.emit(lock, 'PositionTransferred')
+				.withArgs(alice.address, bob.address, 1)
+
+			expect((await lock.getPosition(1)).owner).to.be.equal(bob.address)
+			expect(await lock.getPositions(alice.address)).to.be.deep.equal([])
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				amount.mul(2)
+			)
+			expect(await lock.totalVotingPower()).to.be.equal(amount.mul(2))
+			expect(
+				await lock.getPastVotingPower(alice.address, lockTime)
+			).to.be.equal(amount.mul(2))
+
+			await time.increase(lockTimeOne)
+
+			await expect(
+				lock.connect(alice).withdrawPosition(1)
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+			await lock.connect(bob).withdrawPosition(1)
+
+			expect(await wToken.balanceOf(bob.address)).to.be.equal(
+				amount.mul(2)
+			)
+		})
+
+		it('Should move the decaying voting power with the token', async () => {
+			const { lock, positionToken, alice, bob, amount } =
+				await loadFixture(deployLinearDecayFixture)
+
+			await lock.connect(alice).lockTokens(amount, periodTwo)
+			await time.increase(lockTimeTwo / 4)
+
+			await positionToken
+				.connect(alice)
+				.transferFrom(alice.address, bob.address, 1)
+			const votingPower = await lock.getVotingPower(bob.address)
+
+			expect(votingPower).to.be.equal(await lock.totalVotingPower())
+			expect(votingPower).to.be.closeTo(
+				amount.mul(4).mul(3).div(4),
+				amount.div(1000)
+			)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+
+			await time.increase(lockTimeTwo)
+
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+		})
+
+		it('Should allow an approved operator to transfer a position', async () => {
+			const { lock, positionToken, alice, bob, charlie, amount } =
+				await loadFixture(deployLockPositionsFixture)
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+			await positionToken.connect(alice).approve(charlie.address, 1)
+
+			await positionToken
+				.connect(charlie)
+				.transferFrom(alice.address, bob.address, 1)
+
+			expect((await lock.getPosition(1)).owner).to.be.equal(bob.address)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				amount.mul(2)
+			)
+		})
+
+		it('Should not transfer a granted position before its cliff', async () => {
+			const { lock, positionToken, alice, bob, charlie, amount } =
+				await loadFixture(deployLockPositionsFixture)
+
+			const cliff = (await time.latest()) + lockTimeOne / 2
+			await lock
+				.connect(charlie)
+				.grantLockBatch([alice.address], [amount], [periodOne], [cliff])
+
+			await expect(
+				positionToken
+					.connect(alice)
+					.transferFrom(alice.address, bob.address, 1)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+
+			await time.increaseTo(cliff)
+			await positionToken
+				.connect(alice)
+				.transferFrom(alice.address, bob.address, 1)
+
+			expect((await lock.getPosition(1)).owner).to.be.equal(bob.address)
+		})
+	})
+
+	describe('Merge and Split', () => {
+		it('Should merge two positions of the same period', async () => {
+			const { lock, positionToken, alice, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount.div(4), periodTwo)
+			await time.increase(1000)
+			await lock.connect(alice).lockTokens(amount.div(2), periodTwo)
+			const later = await lock.getPosition(2)
+
+			await expect(lock.connect(alice).mergePositions(2, 1))
+				.to.emit(lock, 'PositionsMerged')
+				.withArgs(
+					alice.address,
+					2,
+					1,
+					amount.mul(3).div(4),
+					later.unlockTime
+				)
+
+			const position = await lock.getPosition(1)
+			expect(position.amount).to.be.equal(amount.mul(3).div(4))
+			expect(position.startTime).to.be.equal(later.startTime)
+			expect(position.unlockTime).to.be.equal(later.unlockTime)
+			expect((await lock.getPosition(2)).owner).to.be.equal(
+				ethers.constants.AddressZero
+			)
+			expect(await positionToken.balanceOf(alice.address)).to.be.equal(1)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				amount.mul(3)
+			)
+			expect(await lock.totalLockedByPeriod(periodTwo)).to.be.equal(
+				amount.mul(3).div(4)
+			)
+
+			// the merged tokens stay locked until the later unlock time.
+			await time.increaseTo(later.unlockTime.sub(1))
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				amount.mul(3)
+			)
+		})
+
+		it('Should revert if the positions cannot be merged', async () => {
+			const { lock, alice, bob, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount.div(4), periodOne)
+			await lock.connect(alice).lockTokens(amount.div(4), periodTwo)
+			await lock.connect(bob).lockTokens(amount, periodOne)
+
+			await expect(
+				lock.connect(alice).mergePositions(1, 1)
+			).to.be.revertedWithCustomError(lock, 'InvalidMerge')
+			await expect(
+				lock.connect(alice).mergePositions(1, 2)
+			).to.be.revertedWithCustomError(lock, 'InvalidMerge')
+			await expect(
+				lock.connect(alice).mergePositions(1, 3)
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+
+			await time.increase(lockTimeOne)
+
+			await lock.connect(alice).lockTokens(amount.div(4), periodOne)
+			await expect(
+				lock.connect(alice).mergePositions(1, 4)
+			).to.be.revertedWithCustomError(lock, 'LockExpired')
+		})
+
+		it('Should split a position in two positions with the same terms', async () => {
+			const { lock, positionToken, alice, amount } = await loadFixture(
+				deployLinearDecayFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount, periodThree)
+			await time.increase(1000)
+			const votingPower = await lock.getVotingPower(alice.address)
+
+			await expect(lock.connect(alice).splitPosition(1, amount.div(4)))
+				.to.emit(lock, 'PositionSplit')
+				.withArgs(alice.address, 1, 2, amount.div(4))
+
+			const [position, split] = await lock.getPositions(alice.address)
+			expect(position.amount).to.be.equal(amount.mul(3).div(4))
+			expect(split.id).to.be.equal(2)
+			expect(split.amount).to.be.equal(amount.div(4))
+			expect(split.period).to.be.equal(periodThree)
+			expect(split.startTime).to.be.equal(position.startTime)
+			expect(split.unlockTime).to.be.equal(position.unlockTime)
+			expect(await positionToken.ownerOf(2)).to.be.equal(alice.address)
+			expect(await lock.getVotingPower(alice.address)).to.be.closeTo(
+				votingPower,
+				amount.div(1000)
+			)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				await lock.totalVotingPower()
+			)
+
+			await expect(
+				lock.connect(alice).splitPosition(1, 0)
+			).to.be.revertedWithCustomError(lock, 'InvalidSplit')
+			await expect(
+				lock.connect(alice).splitPosition(1, amount.mul(3).div(4))
+			).to.be.revertedWithCustomError(lock, 'InvalidSplit')
+		})
+
+		it('Should keep the shared penalties of split and merged positions', async () => {
+			const { lock, alice, bob, charlie, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+			await lock.connect(charlie).lockTokens(amount, periodOne)
+			await lock.connect(charlie).earlyWithdraw(2)
+			await lock.connect(bob).lockTokens(amount, periodOne)
+			await lock.connect(bob).earlyWithdraw(3)
+
+			const share = await lock.pendingPenaltyShare(1)
+			expect(share).to.be.gt(0)
+
+			await lock.connect(alice).splitPosition(1, amount.div(3))
+
+			const shares = (await lock.pendingPenaltyShare(1)).add(
+				await lock.pendingPenaltyShare(4)
+			)
+			expect(shares).to.be.closeTo(share, 1)
+			expect(shares).to.be.lte(share)
+
+			await lock.connect(alice).mergePositions(4, 1)
+
+			expect(await lock.pendingPenaltyShare(1)).to.be.closeTo(share, 1)
+		})
+
+		it('Should keep the cliff of granted positions when they are split or merged', async () => {
+			const { lock, alice, charlie, amount } = await loadFixture(
+				deployLockPositionsFixture
+			)
+
+			const cliff = (await time.latest()) + lockTimeOne / 2
+			await lock
+				.connect(charlie)
+				.grantLockBatch(
+					[alice.address, alice.address],
+					[amount.div(2), amount.div(2)],
+					[periodOne, periodOne],
+					[cliff, 0]
+				)
+
+			await lock.connect(alice).splitPosition(1, amount.div(4))
+			await lock.connect(alice).mergePositions(1, 2)
+
+			expect(await lock.positionCliff(3)).to.be.equal(cliff)
+			expect(await lock.positionCliff(2)).to.be.equal(cliff)
+
+			await expect(
+				lock.connect(alice).earlyWithdraw(3)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+			await expect(
+				lock.connect(alice).earlyWithdraw(2)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+		})
+	})
+})
@@ -0,0 +1,613 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const periodOne = 0
+const periodThree = 2
+
+const epochDuration = 7 * 24 * 60 * 60
+
+describe('MundoCryptoRewards', function () {
+	// We define a fixture to reuse the same setup in every test.
+	// We use loadFixture to run this setup once, snapshot that state,
+	// and reset Hardhat Network to that snapshot in every test.
+	async function deployMundoCryptoRewardsFixture() {
+		// Contracts are deployed using the first signer/account by default
+		const [owner, alice, bob, charlie] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+		const rewardToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			false,
+			owner.address
+		)
+
+		// a short tier which expires after the first epoch.
+		await lock.addTier(10 * 24 * 60 * 60, 1)
+		const shortPeriod = 3
+
+		const startTime = (await time.latest()) + 24 * 60 * 60
+
+		const MundoCryptoRewards = await ethers.getContractFactory(
+			'MundoCryptoRewards'
+		)
+		const rewards = await MundoCryptoRewards.deploy(
+			lock.address,
+			rewardToken.address,
+			startTime,
+			owner.address
+		)
+
+		const aliceAmt = ethers.utils.parseEther('1000')
+		const bobAmt = ethers.utils.parseEther('10000')
+		const charlieAmt = ethers.utils.parseEther('100000')
+		const rewardAmt = ethers.utils.parseEther('1000000')
+
+		// mint the reward tokens of a few epochs to the distributor
+		await rewardToken.mint(owner.address, rewardAmt.mul(10))
+		await rewardToken.approve(rewards.address, rewardAmt.mul(10))
+
+		// users will get wrapped tokens and approve the lock
+		for (const [user, amount] of [
+			[alice, aliceAmt],
+			[bob, bobAmt],
+			[charlie, charlieAmt],
+		]) {
+			await mockToken.mint(user.address, amount)
+			await mockToken.connect(user).approve(wToken.address, amount)
+			await wToken.connect(user).depositFor(user.address, amount)
+			await wToken.connect(user).approve(lock.address, amount)
+		}
+
+		return {
+			rewardToken,
+			wToken,
+			lock,
+			rewards,
+			startTime,
+			shortPeriod,
+			owner,
+			alice,
+			bob,
+			charlie,
+			aliceAmt,
+			bobAmt,
+			charlieAmt,
+			rewardAmt,
+		}
+	}
+
+	// start time of an epoch.
+	function epochStart(startTime, epoch) {
+		return startTime + epoch * epochDuration
+	}
+
+	describe('Deployment', () => {
+		it('Should set the lock, the reward token and the start time', async () => {
+			const { rewardToken, lock, rewards, startTime } = await loadFixture(
+				deployMundoCryptoRewardsFixture
+			)
+
+			expect(await rewards.lock()).to.be.equal(lock.address)
+			expect(await rewards.rewardToken()).to.be.equal(rewardToken.address)
+			expect(await rewards.startTime()).to.be.equal(startTime)
+			expect(await rewards.currentEpoch()).to.be.equal(0)
+		})
+
+		it('Should grant the roles to the admin', async () => {
+			const { rewards, owner } = await loadFixture(
+				deployMundoCryptoRewardsFixture
+			)
+
+			expect(
+				await rewards.hasRole(
+					await rewards.DEFAULT_ADMIN_ROLE(),
+					owner.address
+				)
+			).to.be.equal(true)
+			expect(
+				await rewards.hasRole(
+					await rewards.DISTRIBUTOR_ROLE(),
+					owner.address
+				)
+			).to.be.equal(true)
+		})
+	})
+
+	describe('Deposit Rewards', () => {
+		it('Should allow the distributors to deposit rewards for an epoch', async () => {
+			const { rewardToken, rewards, owner, rewardAmt } =
+				await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await expect(
+				rewards.depositRewards(1, rewardAmt)
+			).to.changeTokenBalances(
+				rewardToken,
+				[owner, rewards],
+				[rewardAmt.mul(-1), rewardAmt]
+			)
+
+			expect(await rewards.getEpochRewards(1)).to.be.equal(rewardAmt)
+		})
+
+		it('Should emit an event when rewards are deposited', async () => {
+			const { rewards, owner, rewardAmt } = await loadFixture(
+				deployMundoCryptoRewardsFixture
+			)
+
+			await expect(rewards.depositRewards(0, rewardAmt))
+				.to.emit(rewards, 'RewardsDeposited')
+				.withArgs(owner.address, 0, rewardAmt)
+		})
+
+		it('Should not allow to deposit zero rewards or rewards for an ended epoch', async () => {
+			const { rewards, startTime, rewardAmt } = await loadFixture(
+				deployMundoCryptoRewardsFixture
+			)
+
+			await expect(
+				rewards.depositRewards(0, 0)
+			).to.be.revertedWithCustomError(rewards, 'ZeroValuedParam')
+
+			await time.increaseTo(epochStart(startTime, 1))
+
+			await expect(
+				rewards.depositRewards(0, rewardAmt)
+			).to.be.revertedWithCustomError(rewards, 'InvalidEpoch')
+		})
+
+		it('Should not allow users without the distributor role to deposit rewards', async () => {
+			const { rewards, alice } = await loadFixture(
+				deployMundoCryptoRewardsFixture
+			)
+
+			await expect(
+				rewards.connect(alice).depositRewards(0, 1)
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${await rewards.DISTRIBUTOR_ROLE()}`
+			)
+		})
+	})
+
+	describe('Claim Rewards', () => {
+		it('Should accrue the rewards in proportion to the voting power', async () => {
+			const {
+				lock,
+				rewards,
+				startTime,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+			await rewards.depositRewards(0, rewardAmt)
+
+			expect(await rewards.earned(alice.address)).to.be.equal(0)
+
+			await time.increaseTo(epochStart(startTime, 1))
+
+			const total = aliceAmt.add(bobAmt).mul(2)
+			const rewardPerVotingPower = rewardAmt
+				.mul(ethers.constants.WeiPerEther)
+				.div(total)
+
+			expect(await rewards.rewardPerVotingPower(0)).to.be.equal(
+				rewardPerVotingPower
+			)
+			expect(await rewards.earned(alice.address)).to.be.equal(
+				aliceAmt
+					.mul(2)
+					.mul(rewardPerVotingPower)
+					.div(ethers.constants.WeiPerEther)
+			)
+			expect(await rewards.earned(bob.address)).to.be.equal(
+				bobAmt
+					.mul(2)
+					.mul(rewardPerVotingPower)
+					.div(ethers.constants.WeiPerEther)
+			)
+		})
+
+		it('Should allow the users to claim their rewards once', async () => {
+			const {
+				rewardToken,
+				lock,
+				rewards,
+				startTime,
+				alice,
+				aliceAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await rewards.depositRewards(0, rewardAmt)
+
+			await time.increaseTo(epochStart(startTime, 1))
+
+			await expect(
+				rewards.connect(alice).claimRewards()
+			).to.changeTokenBalances(
+				rewardToken,
+				[alice, rewards],
+				[rewardAmt, rewardAmt.mul(-1)]
+			)
+
+			expect(await rewards.earned(alice.address)).to.be.equal(0)
+			expect(await rewards.getNextClaimEpoch(alice.address)).to.be.equal(
+				1
+			)
+
+			await expect(
+				rewards.connect(alice).claimRewards()
+			).to.changeTokenBalances(rewardToken, [alice, rewards], [0, 0])
+		})
+
+		it('Should claim the epochs before the first lock and of a constant voting power at once', async () => {
+			const {
+				rewardToken,
+				lock,
+				rewards,
+				startTime,
+				alice,
+				aliceAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+
+			// no voting power before the first lock of alice, then a constant one.
+			await time.increaseTo(epochStart(startTime, 100))
+			await lock.connect(alice).lockTokens(aliceAmt, periodThree)
+
+			await rewards.depositRewards(101, rewardAmt)
+			await rewards.depositRewards(150, rewardAmt)
+
+			await time.increaseTo(epochStart(startTime, 152))
+
+			// a step up to the lock and a step up to the current epoch.
+			const tx = await rewards.connect(alice).claimRewards()
+			await expect(tx)
+				.to.emit(rewards, 'RewardsClaimed')
+				.withArgs(alice.address, rewardAmt.mul(2), 152)
+			await expect(tx).to.changeTokenBalance(
+				rewardToken,
+				alice,
+				rewardAmt.mul(2)
+			)
+			expect(await rewards.earned(alice.address)).to.be.equal(0)
+		})
+
+		it('Should claim the rewards in at most MAX_CLAIM_STEPS steps at once', async () => {
+			const {
+				rewardToken,
+				lock,
+				rewards,
+				startTime,
+				alice,
+				aliceAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+			const maxSteps = (await rewards.MAX_CLAIM_STEPS()).toNumber()
+
+			// a change of the voting power in every epoch, so every epoch is a step.
+			for (let i = 0; i < maxSteps + 3; i++) {
+				await lock
+					.connect(alice)
+					.lockTokens(aliceAmt.div(100), periodThree)
+				await time.increase(epochDuration)
+			}
+
+			const epoch = (await rewards.currentEpoch()).toNumber()
+			await rewards.depositRewards(epoch, rewardAmt)
+			await time.increaseTo(epochStart(startTime, epoch + 1))
+
+			// alice holds all the voting power.
+			const earned = await rewards.earned(alice.address)
+			expect(earned).to.be.equal(
+				(
+					await lock.getPastTotalVotingPower(
+						epochStart(startTime, epoch)
+					)
+				)
+					.mul(await rewards.rewardPerVotingPower(epoch))
+					.div(ethers.constants.WeiPerEther)
+			)
+
+			// the first claim stops after MAX_CLAIM_STEPS epochs, the next one claims the rest.
+			await expect(rewards.connect(alice).claimRewards())
+				.to.emit(rewards, 'RewardsClaimed')
+				.withArgs(alice.address, 0, maxSteps)
+			expect(await rewards.earned(alice.address)).to.be.equal(earned)
+
+			await expect(
+				rewards.connect(alice).claimRewards()
+			).to.changeTokenBalance(rewardToken, alice, earned)
+			expect(await rewards.getNextClaimEpoch(alice.address)).to.be.equal(
+				epoch + 1
+			)
+		})
+
+		it('Should accrue the rewards of a decaying voting power epoch by epoch', async () => {
+			const {
+				rewardToken,
+				wToken,
+				rewards: constantRewards,
+				startTime,
+				owner,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+
+			const VotingPowerHistory = await ethers.getContractFactory(
+				'VotingPowerHistory'
+			)
+			const votingPowerHistory = await VotingPowerHistory.deploy()
+			const MundoCryptoTokenLock = await ethers.getContractFactory(
+				'MundoCryptoTokenLock',
+				{
+					libraries: {
+						VotingPowerHistory: votingPowerHistory.address,
+					},
+				}
+			)
+			const lock = await MundoCryptoTokenLock.deploy(
+				wToken.address,
+				true,
+				owner.address
+			)
+			const MundoCryptoRewards = await ethers.getContractFactory(
+				'MundoCryptoRewards'
+			)
+			const rewards = await MundoCryptoRewards.deploy(
+				lock.address,
+				rewardToken.address,
+				startTime,
+				owner.address
+			)
+			await rewardToken.approve(rewards.address, rewardAmt.mul(3))
+
+			await wToken.connect(alice).approve(lock.address, aliceAmt)
+			await wToken.connect(bob).approve(lock.address, bobAmt)
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodThree)
+
+			for (let epoch = 0; epoch < 3; epoch++) {
+				await rewards.depositRewards(epoch, rewardAmt)
+			}
+			await time.increaseTo(epochStart(startTime, 3))
+
+			// the voting power of alice at the start of every epoch, times the reward per voting power.
+			let expected = ethers.BigNumber.from(0)
+			for (let epoch = 0; epoch < 3; epoch++) {
+				const votingPower = await lock.getPastOwnVotingPower(
+					alice.address,
+					epochStart(startTime, epoch)
+				)
+				expected = expected.add(
+					votingPower.mul(await rewards.rewardPerVotingPower(epoch))
+				)
+			}
+			expected = expected.div(ethers.constants.WeiPerEther)
+
+			expect(await rewards.earned(alice.address)).to.be.equal(expected)
+			await expect(
+				rewards.connect(alice).claimRewards()
+			).to.changeTokenBalance(rewardToken, alice, expected)
+			expect(await constantRewards.earned(alice.address)).to.be.equal(0)
+		})
+
+		it('Should emit an event when someone claims their rewards', async () => {
+			const { lock, rewards, startTime, alice, aliceAmt, rewardAmt } =
+				await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await rewards.depositRewards(1, rewardAmt)
+
+			await time.increaseTo(epochStart(startTime, 2))
+
+			await expect(rewards.connect(alice).claimRewards())
+				.to.emit(rewards, 'RewardsClaimed')
+				.withArgs(alice.address, rewardAmt, 2)
+		})
+
+		it('Should not accrue the rewards of an epoch to tokens locked after it started', async () => {
+			const {
+				lock,
+				rewards,
+				startTime,
+				alice,
+				charlie,
+				aliceAmt,
+				charlieAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await rewards.depositRewards(0, rewardAmt)
+			await rewards.depositRewards(1, rewardAmt)
+
+			await time.increaseTo(epochStart(startTime, 0) + epochDuration / 2)
+
+			await lock.connect(charlie).lockTokens(charlieAmt, periodOne)
+
+			await time.increaseTo(epochStart(startTime, 1))
+
+			expect(await rewards.earned(alice.address)).to.be.equal(rewardAmt)
+			expect(await rewards.earned(charlie.address)).to.be.equal(0)
+
+			await time.increaseTo(epochStart(startTime, 2))
+
+			const total = aliceAmt.add(charlieAmt).mul(2)
+			const rewardPerVotingPower = rewardAmt
+				.mul(ethers.constants.WeiPerEther)
+				.div(total)
+
+			expect(await rewards.earned(charlie.address)).to.be.equal(
+				charlieAmt
+					.mul(2)
+					.mul(rewardPerVotingPower)
+					.div(ethers.constants.WeiPerEther)
+			)
+		})
+
+		it('Should stop accruing rewards to expired and withdrawn locks', async () => {
+			const {
+				rewardToken,
+				lock,
+				rewards,
+				startTime,
+				shortPeriod,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, shortPeriod)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+			await rewards.depositRewards(0, rewardAmt)
+			await rewards.depositRewards(2, rewardAmt)
+
+			// the lock of alice expires during the second epoch, without any transaction.
+			await time.increaseTo(epochStart(startTime, 3))
+
+			const total = aliceAmt.add(bobAmt.mul(2))
+			const rewardPerVotingPower = rewardAmt
+				.mul(ethers.constants.WeiPerEther)
+				.div(total)
+			const aliceRewards = aliceAmt
+				.mul(rewardPerVotingPower)
+				.div(ethers.constants.WeiPerEther)
+
+			expect(await rewards.earned(alice.address)).to.be.equal(
+				aliceRewards
+			)
+			expect(await rewards.earned(bob.address)).to.be.equal(
+				bobAmt
+					.mul(2)
+					.mul(rewardPerVotingPower)
+					.div(ethers.constants.WeiPerEther)
+					.add(rewardAmt)
+			)
+
+			// the rewards earned before the withdrawal can still be claimed.
+			await lock.connect(alice).withdrawPosition(1)
+
+			await expect(
+				rewards.connect(alice).claimRewards()
+			).to.changeTokenBalance(rewardToken, alice, aliceRewards)
+		})
+
+		it('Should keep the rewards of delegated positions with the locker', async () => {
+			const {
+				rewardToken,
+				lock,
+				rewards,
+				startTime,
+				alice,
+				charlie,
+				aliceAmt,
+				rewardAmt,
+			} = await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(alice).delegate(charlie.address)
+
+			await rewards.depositRewards(0, rewardAmt)
+
+			await time.increaseTo(epochStart(startTime, 1))
+
+			// the delegate votes with the voting power, the locker keeps the rewards.
+			expect(await lock.getVotingPower(charlie.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await rewards.earned(alice.address)).to.be.equal(rewardAmt)
+			expect(await rewards.earned(charlie.address)).to.be.equal(0)
+
+			await expect(
+				rewards.connect(alice).claimRewards()
+			).to.changeTokenBalance(rewardToken, alice, rewardAmt)
+		})
+	})
+
+	describe('Rollover Rewards', () => {
+		it('Should move the rewards of an epoch without voting power to the current epoch', async () => {
+			const { lock, rewards, startTime, alice, aliceAmt, rewardAmt } =
+				await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await rewards.depositRewards(0, rewardAmt)
+
+			await time.increaseTo(epochStart(startTime, 1))
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			expect(await rewards.rewardPerVotingPower(0)).to.be.equal(0)
+
+			await time.increaseTo(epochStart(startTime, 2))
+
+			await expect(rewards.rolloverRewards(0))
+				.to.emit(rewards, 'RewardsRolledOver')
+				.withArgs(0, 2, rewardAmt)
+
+			expect(await rewards.getEpochRewards(0)).to.be.equal(0)
+			expect(await rewards.getEpochRewards(2)).to.be.equal(rewardAmt)
+
+			await time.increaseTo(epochStart(startTime, 3))
+
+			expect(await rewards.earned(alice.address)).to.be.equal(rewardAmt)
+		})
+
+		it('Should not allow to rollover the rewards of an epoch which has not ended or has voting power', async () => {
+			const { lock, rewards, startTime, alice, aliceAmt, rewardAmt } =
+				await loadFixture(deployMundoCryptoRewardsFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await rewards.depositRewards(0, rewardAmt)
+
+			await expect(
+				rewards.rolloverRewards(0)
+			).to.be.revertedWithCustomError(rewards, 'EpochNotEnded')
+			await expect(
+				rewards.rewardPerVotingPower(0)
+			).to.be.revertedWithCustomError(rewards, 'EpochNotEnded')
+
+			await time.increaseTo(epochStart(startTime, 1))
+
+			await expect(
+				rewards.rolloverRewards(0)
+			).to.be.revertedWithCustomError(rewards, 'EpochHasVotingPower')
+		})
+	})
+})
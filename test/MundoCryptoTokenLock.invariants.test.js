@@ -0,0 +1,435 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const fc = require('fast-check')
+const { ethers } = require('hardhat')
+const { projectVotingPower } = require('../sdk')
+
+// Number of random sequences per property, raise it with FUZZ_RUNS for a longer search.
+// A failing sequence is shrunk and printed with its seed, replay it with FUZZ_SEED.
+const numRuns = Number(process.env.FUZZ_RUNS || 20)
+const seed =
+	process.env.FUZZ_SEED === undefined
+		? undefined
+		: Number(process.env.FUZZ_SEED)
+
+const tiers = [
+	{ lockTime: 15724800, multiplier: 2 },
+	{ lockTime: 31536000, multiplier: 4 },
+	{ lockTime: 63072000, multiplier: 10 },
+]
+// a period one past the last tier, which must be rejected.
+const invalidPeriod = tiers.length
+
+const userCount = 4
+const userAmt = ethers.utils.parseEther('1000')
+
+// The positions of the lock as the users expect them, updated by every command.
+class LockModel {
+	constructor(now) {
+		this.now = now
+		this.nextPositionId = 1
+		this.positions = new Map()
+		this.earlyWithdrawals = 0
+	}
+
+	// the timestamp of the block of the next command.
+	get nextTimestamp() {
+		return this.now + 1
+	}
+
+	positionsOf(user) {
+		return [...this.positions.values()].filter(
+			(position) => position.owner === user
+		)
+	}
+}
+
+// A command of a random sequence, the invariants are checked after every command at the time of its block.
+class InvariantCommand {
+	check() {
+		return true
+	}
+
+	async run(model, real) {
+		// mine the transaction one second after the latest block, however long the previous ones took.
+		await time.setNextBlockTimestamp(model.nextTimestamp)
+		await this.execute(model, real)
+
+		model.now = await time.latest()
+		await checkInvariants(model, real)
+	}
+}
+
+class LockCommand extends InvariantCommand {
+	constructor(user, amount, period) {
+		super()
+		this.user = user
+		this.amount = amount
+		this.period = period
+	}
+
+	async execute(model, { lock, wToken, users }) {
+		const user = users[this.user]
+		const amount = ethers.utils.parseEther(this.amount.toString())
+		const tx = lock.connect(user).lockTokens(amount, this.period)
+
+		if (this.amount === 0) {
+			await expect(tx).to.be.revertedWithCustomError(
+				lock,
+				'ZeroValuedParam'
+			)
+		} else if (this.period >= tiers.length) {
+			await expect(tx).to.be.revertedWithCustomError(
+				lock,
+				'InvalidPeriod'
+			)
+		} else if (amount.gt(await wToken.balanceOf(user.address))) {
+			await expect(tx).to.be.revertedWithCustomError(
+				lock,
+				'InsufficientBalance'
+			)
+		} else {
+			const positionId = model.nextPositionId++
+			const unlockTime = model.nextTimestamp + tiers[this.period].lockTime
+
+			await expect(tx)
+				.to.emit(lock, 'TokensLocked')
+				.withArgs(
+					user.address,
+					positionId,
+					amount,
+					this.period,
+					unlockTime
+				)
+
+			model.positions.set(positionId, {
+				id: positionId,
+				owner: this.user,
+				period: this.period,
+				amount: amount.toBigInt(),
+				unlockTime,
+			})
+		}
+	}
+
+	toString() {
+		return `lock(user ${this.user}, ${this.amount} tokens, period ${this.period})`
+	}
+}
+
+class WithdrawPositionCommand extends InvariantCommand {
+	constructor(user, pick) {
+		super()
+		this.user = user
+		this.pick = pick
+	}
+
+	async execute(model, { lock, users }) {
+		const user = users[this.user]
+		const position = pickPosition(model.positionsOf(this.user), this.pick)
+		// without a position of their own, the user tries the next position id.
+		const positionId = position ? position.id : model.nextPositionId
+		const tx = lock.connect(user).withdrawPosition(positionId)
+
+		if (!position) {
+			await expect(tx).to.be.revertedWithCustomError(
+				lock,
+				'NotPositionOwner'
+			)
+		} else if (position.unlockTime > model.nextTimestamp) {
+			await expect(tx).to.be.revertedWithCustomError(lock, 'TooEarly')
+		} else {
+			await expectWithdrawals(tx, lock, user, [position])
+
+			model.positions.delete(positionId)
+		}
+	}
+
+	toString() {
+		return `withdrawPosition(user ${this.user}, pick ${this.pick})`
+	}
+}
+
+class WithdrawTokensCommand extends InvariantCommand {
+	constructor(user, period) {
+		super()
+		this.user = user
+		this.period = period
+	}
+
+	async execute(model, { lock, users }) {
+		const user = users[this.user]
+		const positions = model
+			.positionsOf(this.user)
+			.filter(({ period }) => period === this.period)
+		const unlocked = positions.filter(
+			({ unlockTime }) => unlockTime <= model.nextTimestamp
+		)
+		const tx = lock.connect(user).withdrawTokens(this.period)
+
+		if (this.period >= tiers.length) {
+			await expect(tx).to.be.revertedWithCustomError(
+				lock,
+				'InvalidPeriod'
+			)
+		} else if (unlocked.length !== 0) {
+			await expectWithdrawals(tx, lock, user, unlocked)
+
+			for (const { id } of unlocked) model.positions.delete(id)
+		} else if (positions.length !== 0) {
+			await expect(tx).to.be.revertedWithCustomError(lock, 'TooEarly')
+		} else {
+			await expect(tx).to.be.revertedWithCustomError(
+				lock,
+				'NothingToWithdraw'
+			)
+		}
+	}
+
+	toString() {
+		return `withdrawTokens(user ${this.user}, period ${this.period})`
+	}
+}
+
+class EarlyWithdrawCommand extends InvariantCommand {
+	constructor(user, pick) {
+		super()
+		this.user = user
+		this.pick = pick
+	}
+
+	check(model) {
+		return model.positionsOf(this.user).length !== 0
+	}
+
+	async execute(model, { lock, users }) {
+		const user = users[this.user]
+		const position = pickPosition(model.positionsOf(this.user), this.pick)
+		const tx = lock.connect(user).earlyWithdraw(position.id)
+
+		if (position.unlockTime <= model.nextTimestamp) {
+			await expect(tx).to.be.revertedWithCustomError(lock, 'LockExpired')
+		} else {
+			await expectWithdrawals(tx, lock, user, [position])
+
+			model.positions.delete(position.id)
+			model.earlyWithdrawals++
+		}
+	}
+
+	toString() {
+		return `earlyWithdraw(user ${this.user}, pick ${this.pick})`
+	}
+}
+
+class TimeTravelCommand extends InvariantCommand {
+	constructor(seconds) {
+		super()
+		this.seconds = seconds
+	}
+
+	async execute() {
+		await time.increase(this.seconds)
+	}
+
+	toString() {
+		return `timeTravel(${this.seconds}s)`
+	}
+}
+
+// Every redistribution rounds the penalty per token down, which leaves less than one wei per locked
+// token, and every share of a position is rounded down by less than one wei.
+function maxDust(model) {
+	const maxLocked = BigInt(userCount) * userAmt.toBigInt()
+
+	return (
+		BigInt(model.earlyWithdrawals) * (maxLocked / 10n ** 18n) +
+		BigInt(model.nextPositionId)
+	)
+}
+
+function pickPosition(positions, pick) {
+	if (positions.length === 0) return undefined
+
+	return positions.sort((a, b) => a.id - b.id)[pick % positions.length]
+}
+
+// Expect a withdrawal to close exactly the given positions, each with its locked amount.
+async function expectWithdrawals(tx, lock, user, positions) {
+	const receipt = await (await tx).wait()
+	const withdrawn = receipt.events
+		.filter(({ event }) => event === 'TokensWithdrawn')
+		.map(({ args }) => [args.positionId.toNumber(), args.amount.toBigInt()])
+
+	expect(withdrawn).to.have.deep.members(
+		positions.map(({ id, amount }) => [id, amount])
+	)
+	for (const [, amount] of withdrawn) expect(amount > 0n).to.be.equal(true)
+	expect(receipt.from).to.be.equal(user.address)
+}
+
+// Check the accounting of the lock against the model after every command.
+async function checkInvariants(model, { lock, wToken, users, linearDecay }) {
+	const positions = [...model.positions.values()]
+	const sum = (values) => values.reduce((a, b) => a + b, 0n)
+
+	// the locked amounts match the open positions, in total and per period.
+	const locked = sum(positions.map(({ amount }) => amount))
+	expect((await lock.totalLocked()).toBigInt()).to.be.equal(locked)
+	for (const [period] of tiers.entries()) {
+		expect((await lock.totalLockedByPeriod(period)).toBigInt()).to.be.equal(
+			sum(
+				positions
+					.filter((position) => position.period === period)
+					.map(({ amount }) => amount)
+			)
+		)
+	}
+
+	// the balance of the lock covers the open positions and their shares of the penalties,
+	// up to the rounding dust of the redistributed penalties.
+	let shares = 0n
+	for (const { id } of positions) {
+		shares += (await lock.pendingPenaltyShare(id)).toBigInt()
+	}
+	const dust =
+		(await wToken.balanceOf(lock.address)).toBigInt() - locked - shares
+	expect(dust >= 0n).to.be.equal(true)
+	expect(dust <= maxDust(model)).to.be.equal(true)
+
+	// the voting power is the sum of amount × multiplier of the unexpired locks,
+	// decaying to zero at the unlock time in the linear decay mode.
+	const votingPowerOf = (positions) =>
+		linearDecay
+			? projectVotingPower(positions, {
+					timestamp: model.now,
+					linearDecay,
+					tiers,
+			  }).toBigInt()
+			: sum(
+					positions
+						.filter(({ unlockTime }) => unlockTime > model.now)
+						.map(
+							({ amount, period }) =>
+								amount * BigInt(tiers[period].multiplier)
+						)
+			  )
+
+	for (const [index, user] of users.entries()) {
+		const userPositions = model.positionsOf(index)
+
+		expect(
+			(await lock.getVotingPower(user.address)).toBigInt()
+		).to.be.equal(votingPowerOf(userPositions))
+		expect(
+			(await lock.getPositions(user.address)).map(({ id }) =>
+				id.toNumber()
+			)
+		).to.have.members(userPositions.map(({ id }) => id))
+	}
+	expect((await lock.totalVotingPower()).toBigInt()).to.be.equal(
+		votingPowerOf(positions)
+	)
+}
+
+const commands = [
+	fc
+		.tuple(
+			fc.nat(userCount - 1),
+			fc.integer({ min: 0, max: 400 }),
+			fc.nat(invalidPeriod)
+		)
+		.map(([user, amount, period]) => new LockCommand(user, amount, period)),
+	fc
+		.tuple(fc.nat(userCount - 1), fc.nat(10))
+		.map(([user, pick]) => new WithdrawPositionCommand(user, pick)),
+	fc
+		.tuple(fc.nat(userCount - 1), fc.nat(invalidPeriod))
+		.map(([user, period]) => new WithdrawTokensCommand(user, period)),
+	fc
+		.tuple(fc.nat(userCount - 1), fc.nat(10))
+		.map(([user, pick]) => new EarlyWithdrawCommand(user, pick)),
+	// short hops around a day and long ones past the unlock times.
+	fc
+		.oneof(
+			fc.integer({ min: 1, max: 2 * 24 * 60 * 60 }),
+			fc.integer({ min: 1, max: tiers[2].lockTime })
+		)
+		.map((seconds) => new TimeTravelCommand(seconds)),
+]
+
+describe('MundoCryptoTokenLock Invariants', function () {
+	// every property runs and shrinks many sequences of transactions.
+	this.timeout(20 * 60 * 1000)
+
+	async function deployInvariantsFixture() {
+		return deployLock(false)
+	}
+
+	async function deployLinearDecayInvariantsFixture() {
+		return deployLock(true)
+	}
+
+	async function deployLock(linearDecay) {
+		const [owner, ...signers] = await ethers.getSigners()
+		const users = signers.slice(0, userCount)
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			linearDecay,
+			owner.address
+		)
+
+		for (const user of users) {
+			await mockToken.mint(user.address, userAmt)
+			await mockToken.connect(user).approve(wToken.address, userAmt)
+			await wToken.connect(user).depositFor(user.address, userAmt)
+			await wToken.connect(user).approve(lock.address, userAmt)
+		}
+
+		return { owner, users, wToken, lock, linearDecay }
+	}
+
+	async function runSequences(fixture) {
+		await fc.assert(
+			fc.asyncProperty(
+				fc.commands(commands, { maxCommands: 25 }),
+				async (sequence) => {
+					const real = await loadFixture(fixture)
+					const model = new LockModel(await time.latest())
+
+					await fc.asyncModelRun(() => ({ model, real }), sequence)
+				}
+			),
+			{ numRuns, seed }
+		)
+	}
+
+	it('Should keep the accounting and the voting power of random sequences', async () => {
+		await runSequences(deployInvariantsFixture)
+	})
+
+	it('Should keep the accounting and the decaying voting power of random sequences', async () => {
+		await runSequences(deployLinearDecayInvariantsFixture)
+	})
+})
@@ -1,5 +1,6 @@
 const {
 	loadFixture,
+	mine,
 	time,
 } = require('@nomicfoundation/hardhat-network-helpers')
 const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs')
@@ -14,11 +15,19 @@ const lockTimeOne = 15724800
 const lockTimeTwo = 31536000
 const lockTimeThree = 63072000
 
-describe.only('MundoCryptoTokenLock', function () {
+describe('MundoCryptoTokenLock', function () {
 	// We define a fixture to reuse the same setup in every test.
 	// We use loadFixture to run this setup once, snapshot that state,
 	// and reset Hardhat Network to that snapshot in every test.
 	async function deployMundoCryptoTokenLockFixture() {
+		return deployMundoCryptoTokenLock(false)
+	}
+
+	async function deployLinearDecayFixture() {
+		return deployMundoCryptoTokenLock(true)
+	}
+
+	async function deployMundoCryptoTokenLock(linearDecay) {
 		// Contracts are deployed using the first signer/account by default
 		const [owner, alice, bob, charlie] = await ethers.getSigners()
 
@@ -30,10 +39,20 @@ describe.only('MundoCryptoTokenLock', function () {
 		)
 		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
 
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
 		const MundoCryptoTokenLock = await ethers.getContractFactory(
-			'MundoCryptoTokenLock'
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			linearDecay,
+			owner.address
 		)
-		const lock = await MundoCryptoTokenLock.deploy(wToken.address)
 
 		const aliceAmt = ethers.utils.parseEther('1000')
 		const bobAmt = ethers.utils.parseEther('10000')
@@ -148,11 +167,17 @@ describe.only('MundoCryptoTokenLock', function () {
 				deployMundoCryptoTokenLockFixture
 			)
 
-			const tx = lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const tx = await lock.connect(alice).lockTokens(aliceAmt, periodOne)
 
 			await expect(tx)
 				.to.emit(lock, 'TokensLocked')
-				.withArgs(alice.address, aliceAmt, periodOne)
+				.withArgs(
+					alice.address,
+					1,
+					aliceAmt,
+					periodOne,
+					(await time.latest()) + lockTimeOne
+				)
 		})
 
 		it('Should not allow users to lock zero tokens', async () => {
@@ -195,10 +220,13 @@ describe.only('MundoCryptoTokenLock', function () {
 
 			await lock.connect(alice).lockTokens(initialAmt, periodOne)
 
-			const aliceUnlockTime = (await time.latest()) + lockTimeOne
+			await time.increase(3600)
 
 			await lock.connect(alice).lockTokens(newAmt, periodOne)
 
+			// the new tokens are locked for the full period.
+			const aliceUnlockTime = (await time.latest()) + lockTimeOne
+
 			const aliceData = await lock.fetchUserLockData(
 				alice.address,
 				periodOne
@@ -248,18 +276,29 @@ describe.only('MundoCryptoTokenLock', function () {
 			expect(aliceDataThree.unlockTime).to.be.equal(aliceUnlockTimeThree)
 		})
 
-		it('Should not allow users to lock more tokens after lock period is over', async () => {
+		it('Should allow users to lock more tokens after lock period is over', async () => {
 			const { alice, aliceAmt, lock } = await loadFixture(
 				deployMundoCryptoTokenLockFixture
 			)
 
-			await lock.connect(alice).lockTokens(aliceAmt.sub(1), periodOne)
+			const minimum = await lock.minLockAmount()
+			await lock
+				.connect(alice)
+				.lockTokens(aliceAmt.sub(minimum), periodOne)
 
 			await time.increase(lockTimeOne)
 
-			await expect(
-				lock.connect(alice).lockTokens(1, periodOne)
-			).to.be.revertedWithCustomError(lock, 'LockedPeriodCompleted')
+			await lock.connect(alice).lockTokens(minimum, periodOne)
+			const aliceUnlockTime = (await time.latest()) + lockTimeOne
+
+			const position = await lock.getPosition(2)
+
+			expect(position.owner).to.be.equal(alice.address)
+			expect(position.amount).to.be.equal(minimum)
+			expect(position.unlockTime).to.be.equal(aliceUnlockTime)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				minimum.mul(2)
+			)
 		})
 	})
 
@@ -303,7 +342,7 @@ describe.only('MundoCryptoTokenLock', function () {
 
 			await expect(tx)
 				.to.emit(lock, 'TokensWithdrawn')
-				.withArgs(alice.address, aliceAmt, periodOne, anyValue)
+				.withArgs(alice.address, 1, aliceAmt, periodOne, anyValue)
 		})
 
 		it('Should not allow users to define invalid lock period while withdrawing', async () => {
@@ -717,4 +756,3368 @@ describe.only('MundoCryptoTokenLock', function () {
 			})
 		})
 	})
+
+	describe('Voting Power History', () => {
+		it('Should checkpoint the voting power when someone locks their tokens', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const firstLockTime = await time.latest()
+
+			await time.increase(3600)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			const secondLockTime = await time.latest()
+
+			await mine()
+
+			expect(
+				await lock.getPastVotingPower(alice.address, firstLockTime - 1)
+			).to.be.equal(0)
+			expect(
+				await lock.getPastVotingPower(alice.address, firstLockTime)
+			).to.be.equal(aliceAmt.div(2).mul(2))
+			expect(
+				await lock.getPastVotingPower(alice.address, secondLockTime)
+			).to.be.equal(aliceAmt.div(2).mul(2).add(aliceAmt.div(2).mul(4)))
+		})
+
+		it('Should remove the voting power when a lock expires', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const aliceUnlockTime = (await time.latest()) + lockTimeOne
+
+			await time.increaseTo(aliceUnlockTime + 1)
+
+			expect(
+				await lock.getPastVotingPower(
+					alice.address,
+					aliceUnlockTime - 1
+				)
+			).to.be.equal(aliceAmt.mul(2))
+			expect(
+				await lock.getPastVotingPower(alice.address, aliceUnlockTime)
+			).to.be.equal(0)
+		})
+
+		it('Should keep the past voting power when someone withdraws their tokens', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const aliceLockTime = await time.latest()
+			const aliceUnlockTime = aliceLockTime + lockTimeOne
+
+			await time.increaseTo(aliceUnlockTime + 100)
+			await lock.connect(alice).withdrawTokens(periodOne)
+			await mine()
+
+			expect(
+				await lock.getPastVotingPower(alice.address, aliceLockTime)
+			).to.be.equal(aliceAmt.mul(2))
+			expect(
+				await lock.getPastVotingPower(
+					alice.address,
+					aliceUnlockTime - 1
+				)
+			).to.be.equal(aliceAmt.mul(2))
+			expect(
+				await lock.getPastVotingPower(alice.address, aliceUnlockTime)
+			).to.be.equal(0)
+			expect(
+				await lock.getPastTotalVotingPower(aliceUnlockTime)
+			).to.be.equal(0)
+		})
+
+		it('Should remove the voting power of every position at its own unlock time', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const firstUnlockTime = (await time.latest()) + lockTimeOne
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const secondLockTime = await time.latest()
+			const secondUnlockTime = secondLockTime + lockTimeOne
+
+			await time.increaseTo(secondUnlockTime + 1)
+
+			expect(
+				await lock.getPastVotingPower(alice.address, secondLockTime - 1)
+			).to.be.equal(aliceAmt.div(2).mul(2))
+			expect(
+				await lock.getPastVotingPower(alice.address, secondLockTime)
+			).to.be.equal(aliceAmt.mul(2))
+			expect(
+				await lock.getPastVotingPower(alice.address, firstUnlockTime)
+			).to.be.equal(aliceAmt.div(2).mul(2))
+			expect(
+				await lock.getPastVotingPower(alice.address, secondUnlockTime)
+			).to.be.equal(0)
+		})
+
+		it('Should checkpoint the total voting power of all the accounts', async () => {
+			const { alice, aliceAmt, bob, bobAmt, charlie, charlieAmt, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock.connect(charlie).lockTokens(charlieAmt, periodThree)
+			const charlieLockTime = await time.latest()
+
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+			const bobLockTime = await time.latest()
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const aliceLockTime = await time.latest()
+
+			const aliceUnlockTime = aliceLockTime + lockTimeOne
+			const bobUnlockTime = bobLockTime + lockTimeTwo
+			const charlieUnlockTime = charlieLockTime + lockTimeThree
+
+			await time.increaseTo(charlieUnlockTime + 1)
+
+			const alicePower = aliceAmt.mul(2)
+			const bobPower = bobAmt.mul(4)
+			const charliePower = charlieAmt.mul(10)
+
+			expect(
+				await lock.getPastTotalVotingPower(charlieLockTime - 1)
+			).to.be.equal(0)
+			expect(
+				await lock.getPastTotalVotingPower(charlieLockTime)
+			).to.be.equal(charliePower)
+			expect(await lock.getPastTotalVotingPower(bobLockTime)).to.be.equal(
+				charliePower.add(bobPower)
+			)
+			expect(
+				await lock.getPastTotalVotingPower(aliceLockTime)
+			).to.be.equal(charliePower.add(bobPower).add(alicePower))
+			expect(
+				await lock.getPastTotalVotingPower(aliceUnlockTime)
+			).to.be.equal(charliePower.add(bobPower))
+			expect(
+				await lock.getPastTotalVotingPower(bobUnlockTime)
+			).to.be.equal(charliePower)
+			expect(
+				await lock.getPastTotalVotingPower(charlieUnlockTime)
+			).to.be.equal(0)
+		})
+
+		it('Should return the same voting power before and after the checkpoints are written', async () => {
+			const { alice, aliceAmt, bob, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const aliceUnlockTime = (await time.latest()) + lockTimeOne
+
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+
+			await time.increaseTo(aliceUnlockTime + 1)
+
+			const timepoints = [aliceUnlockTime - 1, aliceUnlockTime]
+			const before = []
+			for (const timepoint of timepoints) {
+				before.push([
+					await lock.getPastVotingPower(alice.address, timepoint),
+					await lock.getPastTotalVotingPower(timepoint),
+				])
+			}
+
+			await lock.checkpoint(alice.address, ethers.constants.MaxUint256)
+			await mine()
+
+			for (const [i, timepoint] of timepoints.entries()) {
+				expect(
+					await lock.getPastVotingPower(alice.address, timepoint)
+				).to.be.equal(before[i][0])
+				expect(
+					await lock.getPastTotalVotingPower(timepoint)
+				).to.be.equal(before[i][1])
+			}
+			expect(before[0][1]).to.be.equal(aliceAmt.mul(2).add(bobAmt.mul(4)))
+			expect(before[1][1]).to.be.equal(bobAmt.mul(4))
+		})
+
+		it('Should match the current voting power', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodThree)
+			await mine()
+
+			expect(
+				await lock.getPastVotingPower(
+					alice.address,
+					(await time.latest()) - 1
+				)
+			).to.be.equal(await lock.getVotingPower(alice.address))
+		})
+
+		it('Should fetch the total voting power of all the accounts', async () => {
+			const { alice, aliceAmt, bob, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+
+			expect(await lock.totalVotingPower()).to.be.equal(
+				aliceAmt.mul(2).add(bobAmt.mul(4))
+			)
+
+			await time.increase(lockTimeOne)
+
+			expect(await lock.totalVotingPower()).to.be.equal(bobAmt.mul(4))
+		})
+
+		it('Should not allow to fetch the voting power at a future timepoint', async () => {
+			const { alice, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			const futureTime = (await time.latest()) + 100
+
+			await expect(
+				lock.getPastVotingPower(alice.address, futureTime)
+			).to.be.revertedWithCustomError(lock, 'FutureLookup')
+			await expect(
+				lock.getPastTotalVotingPower(futureTime)
+			).to.be.revertedWithCustomError(lock, 'FutureLookup')
+		})
+
+		it('Should cancel the scheduled changes of a position moved back and forth', async () => {
+			// the gas of the first lock after the unlock time, which settles the total.
+			async function lockGasAfterRoundTrips(roundTrips) {
+				const { alice, aliceAmt, bob, bobAmt, lock } =
+					await loadFixture(deployMundoCryptoTokenLockFixture)
+				const positionToken = await ethers.getContractAt(
+					'MundoCryptoLockPositions',
+					await lock.positionToken()
+				)
+
+				await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+				for (let i = 0; i < roundTrips; i++) {
+					await positionToken
+						.connect(alice)
+						.transferFrom(alice.address, bob.address, 1)
+					await positionToken
+						.connect(bob)
+						.transferFrom(bob.address, alice.address, 1)
+				}
+
+				await time.increase(lockTimeOne)
+				const tx = await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+				return (await tx.wait()).gasUsed
+			}
+
+			// only the lookups of the longer checkpoint lists cost more, not the settlement.
+			const gasUsed = await lockGasAfterRoundTrips(1)
+			expect(await lockGasAfterRoundTrips(30)).to.be.closeTo(
+				gasUsed,
+				50000
+			)
+		})
+
+		it('Should settle the expired locks in bounded steps', async () => {
+			const { alice, aliceAmt, bob, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			// every lock is mined in its own block, so it expires at its own timepoint.
+			const unlockTimes = []
+			for (let i = 0; i < 5; i++) {
+				await lock.connect(alice).lockTokens(aliceAmt.div(5), periodOne)
+				unlockTimes.push((await time.latest()) + lockTimeOne)
+			}
+			await time.increase(lockTimeOne)
+
+			const before = []
+			for (const timepoint of unlockTimes) {
+				before.push([
+					await lock.getPastVotingPower(alice.address, timepoint - 1),
+					await lock.getPastTotalVotingPower(timepoint - 1),
+				])
+			}
+
+			for (let i = 0; i < 3; i++) {
+				await lock.checkpoint(alice.address, 2)
+			}
+
+			for (const [i, timepoint] of unlockTimes.entries()) {
+				expect(
+					await lock.getPastVotingPower(alice.address, timepoint - 1)
+				).to.be.deep.equal(before[i][0])
+				expect(
+					await lock.getPastTotalVotingPower(timepoint - 1)
+				).to.be.deep.equal(before[i][1])
+			}
+			expect(before[4][0]).to.be.equal(aliceAmt.div(5).mul(2))
+
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(bobAmt.mul(2))
+		})
+
+		it('Should fetch the next change of the own voting power, settled or not', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const firstLockTime = await time.latest()
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			const secondLockTime = await time.latest()
+
+			expect(
+				await lock.getNextOwnChange(alice.address, firstLockTime - 1)
+			).to.be.equal(firstLockTime)
+			expect(
+				await lock.getNextOwnChange(alice.address, firstLockTime)
+			).to.be.equal(secondLockTime)
+			expect(
+				await lock.getNextOwnChange(alice.address, secondLockTime)
+			).to.be.equal(firstLockTime + lockTimeOne)
+
+			// the expiry of the first lock is not settled, the second one is the last change.
+			await time.increaseTo(firstLockTime + lockTimeOne + 1)
+			expect(
+				await lock.getNextOwnChange(
+					alice.address,
+					firstLockTime + lockTimeOne
+				)
+			).to.be.equal(secondLockTime + lockTimeTwo)
+
+			await lock.checkpoint(alice.address, 1)
+			expect(
+				await lock.getNextOwnChange(alice.address, secondLockTime)
+			).to.be.equal(firstLockTime + lockTimeOne)
+			expect(
+				await lock.getNextOwnChange(
+					alice.address,
+					secondLockTime + lockTimeTwo
+				)
+			).to.be.equal(0)
+		})
+	})
+
+	describe('Linear Decay', () => {
+		const PRECISION = ethers.constants.WeiPerEther
+
+		const periods = [
+			{
+				name: 'one',
+				period: periodOne,
+				lockTime: lockTimeOne,
+				multiplier: 2,
+			},
+			{
+				name: 'two',
+				period: periodTwo,
+				lockTime: lockTimeTwo,
+				multiplier: 4,
+			},
+			{
+				name: 'three',
+				period: periodThree,
+				lockTime: lockTimeThree,
+				multiplier: 10,
+			},
+		]
+
+		// slope of the voting power of tokens locked for a period.
+		function slopeOf(amount, { lockTime, multiplier }) {
+			return amount.mul(multiplier).mul(PRECISION).div(lockTime)
+		}
+
+		it('Should set the voting power mode', async () => {
+			const { lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+			const { lock: decayLock } = await loadFixture(
+				deployLinearDecayFixture
+			)
+
+			expect(await lock.linearDecay()).to.be.equal(false)
+			expect(await decayLock.linearDecay()).to.be.equal(true)
+		})
+
+		for (const tier of periods) {
+			it(`Should decay the voting power linearly for lock period ${tier.name}`, async () => {
+				const { charlie, charlieAmt, lock } = await loadFixture(
+					deployLinearDecayFixture
+				)
+
+				await lock.connect(charlie).lockTokens(charlieAmt, tier.period)
+				const lockTime = await time.latest()
+				const unlockTime = lockTime + tier.lockTime
+
+				await time.increaseTo(unlockTime + 1)
+
+				const slope = slopeOf(charlieAmt, tier)
+				const timepoints = [
+					lockTime,
+					lockTime + tier.lockTime / 4,
+					lockTime + tier.lockTime / 2,
+					lockTime + (tier.lockTime * 3) / 4,
+					unlockTime - 1,
+				]
+
+				for (const timepoint of timepoints) {
+					expect(
+						await lock.getPastVotingPower(
+							charlie.address,
+							timepoint
+						)
+					).to.be.equal(
+						slope.mul(unlockTime - timepoint).div(PRECISION)
+					)
+				}
+
+				expect(
+					await lock.getPastVotingPower(charlie.address, unlockTime)
+				).to.be.equal(0)
+			})
+		}
+
+		it('Should cap the voting power at the multipliers', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployLinearDecayFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+			const lockTime = await time.latest()
+
+			await mine()
+
+			const votingPower = await lock.getPastVotingPower(
+				alice.address,
+				lockTime
+			)
+
+			expect(votingPower).to.be.lte(aliceAmt.mul(4))
+			expect(votingPower).to.be.closeTo(aliceAmt.mul(4), 1)
+		})
+
+		it('Should decay the voting power of every position from its own lock time', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployLinearDecayFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const firstUnlockTime = (await time.latest()) + lockTimeOne
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const secondLockTime = await time.latest()
+			const secondUnlockTime = secondLockTime + lockTimeOne
+
+			await mine()
+
+			const slope = slopeOf(aliceAmt.div(2), periods[0])
+			const bias = slope
+				.mul(firstUnlockTime)
+				.add(slope.mul(secondUnlockTime))
+
+			expect(
+				await lock.getPastVotingPower(alice.address, secondLockTime)
+			).to.be.equal(
+				bias.sub(slope.mul(2).mul(secondLockTime)).div(PRECISION)
+			)
+		})
+
+		it('Should decay the total voting power of all the accounts', async () => {
+			const { alice, aliceAmt, bob, bobAmt, charlie, charlieAmt, lock } =
+				await loadFixture(deployLinearDecayFixture)
+
+			const locks = []
+			for (const [user, amount, tier] of [
+				[alice, aliceAmt, periods[0]],
+				[bob, bobAmt, periods[1]],
+				[charlie, charlieAmt, periods[2]],
+			]) {
+				await lock.connect(user).lockTokens(amount, tier.period)
+				locks.push({
+					slope: slopeOf(amount, tier),
+					unlockTime: (await time.latest()) + tier.lockTime,
+				})
+			}
+
+			await time.increaseTo(locks[2].unlockTime + 1)
+
+			const timepoints = [
+				locks[2].unlockTime - lockTimeThree,
+				locks[0].unlockTime - 1,
+				locks[0].unlockTime,
+				locks[1].unlockTime - lockTimeTwo / 3,
+				locks[1].unlockTime,
+				locks[2].unlockTime - 1,
+				locks[2].unlockTime,
+			]
+
+			for (const timepoint of timepoints) {
+				// sum the slopes and the biases of the live locks.
+				let slope = ethers.BigNumber.from(0)
+				let bias = ethers.BigNumber.from(0)
+				for (const { slope: lockSlope, unlockTime } of locks) {
+					if (unlockTime > timepoint) {
+						slope = slope.add(lockSlope)
+						bias = bias.add(lockSlope.mul(unlockTime))
+					}
+				}
+
+				expect(
+					await lock.getPastTotalVotingPower(timepoint)
+				).to.be.equal(bias.sub(slope.mul(timepoint)).div(PRECISION))
+			}
+		})
+
+		it('Should fetch the current voting power from the decayed voting power', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployLinearDecayFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodThree)
+
+			await time.increase(lockTimeThree / 2)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.lt(
+				aliceAmt.mul(10).div(2)
+			)
+			expect(await lock.totalVotingPower()).to.be.equal(
+				await lock.getVotingPower(alice.address)
+			)
+		})
+	})
+
+	describe('Lock Positions', () => {
+		it('Should return the id of the new position', async () => {
+			const { alice, aliceAmt, bob, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			expect(
+				await lock
+					.connect(alice)
+					.callStatic.lockTokens(aliceAmt, periodOne)
+			).to.be.equal(1)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			expect(
+				await lock.connect(bob).callStatic.lockTokens(bobAmt, periodTwo)
+			).to.be.equal(2)
+		})
+
+		it('Should store every lock as a separate position', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			const firstLockTime = await time.latest()
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			const secondLockTime = await time.latest()
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			const thirdLockTime = await time.latest()
+
+			const positions = await lock.getPositions(alice.address)
+
+			expect(positions.length).to.be.equal(3)
+
+			expect(positions[0].id).to.be.equal(1)
+			expect(positions[0].owner).to.be.equal(alice.address)
+			expect(positions[0].period).to.be.equal(periodOne)
+			expect(positions[0].amount).to.be.equal(aliceAmt.div(4))
+			expect(positions[0].startTime).to.be.equal(firstLockTime)
+			expect(positions[0].unlockTime).to.be.equal(
+				firstLockTime + lockTimeOne
+			)
+
+			expect(positions[1].id).to.be.equal(2)
+			expect(positions[1].period).to.be.equal(periodTwo)
+			expect(positions[1].amount).to.be.equal(aliceAmt.div(2))
+			expect(positions[1].startTime).to.be.equal(secondLockTime)
+			expect(positions[1].unlockTime).to.be.equal(
+				secondLockTime + lockTimeTwo
+			)
+
+			expect(positions[2].id).to.be.equal(3)
+			expect(positions[2].period).to.be.equal(periodOne)
+			expect(positions[2].startTime).to.be.equal(thirdLockTime)
+			expect(positions[2].unlockTime).to.be.equal(
+				thirdLockTime + lockTimeOne
+			)
+
+			const position = await lock.getPosition(2)
+			expect(position.amount).to.be.equal(aliceAmt.div(2))
+		})
+
+		it('Should allow the users to withdraw a position', async () => {
+			const { wToken, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+
+			await time.increase(lockTimeOne)
+
+			await expect(
+				lock.connect(alice).withdrawPosition(1)
+			).to.changeTokenBalances(
+				wToken,
+				[alice, lock],
+				[aliceAmt.div(2), aliceAmt.div(2).mul(-1)]
+			)
+
+			const positions = await lock.getPositions(alice.address)
+
+			expect(positions.length).to.be.equal(1)
+			expect(positions[0].id).to.be.equal(2)
+			expect((await lock.getPosition(1)).owner).to.be.equal(
+				ethers.constants.AddressZero
+			)
+		})
+
+		it('Should emit an event when someone withdraws a position', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await time.increase(lockTimeOne)
+
+			await expect(lock.connect(alice).withdrawPosition(1))
+				.to.emit(lock, 'TokensWithdrawn')
+				.withArgs(alice.address, 1, aliceAmt, periodOne, anyValue)
+		})
+
+		it('Should not allow users to withdraw a position before it is unlocked', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await expect(
+				lock.connect(alice).withdrawPosition(1)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+		})
+
+		it('Should not allow users to withdraw a position of someone else', async () => {
+			const { alice, aliceAmt, bob, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await time.increase(lockTimeOne)
+
+			await expect(
+				lock.connect(bob).withdrawPosition(1)
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+			await expect(
+				lock.connect(bob).withdrawPosition(2)
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+		})
+
+		it('Should withdraw only the unlocked positions of a period', async () => {
+			const { wToken, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+
+			await time.increase(lockTimeOne / 2)
+
+			await expect(
+				lock.connect(alice).withdrawTokens(periodOne)
+			).to.changeTokenBalances(
+				wToken,
+				[alice, lock],
+				[aliceAmt.div(2), aliceAmt.div(2).mul(-1)]
+			)
+
+			const positions = await lock.getPositions(alice.address)
+
+			expect(positions.length).to.be.equal(1)
+			expect(positions[0].id).to.be.equal(3)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.div(2).mul(2)
+			)
+		})
+
+		it('Should not allow users to withdraw a period without positions', async () => {
+			const { alice, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await expect(
+				lock.connect(alice).withdrawTokens(periodOne)
+			).to.be.revertedWithCustomError(lock, 'NothingToWithdraw')
+		})
+	})
+
+	describe('Extend and Increase Locks', () => {
+		it('Should allow the users to move a position to a longer period', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock.connect(alice).extendLock(1, periodThree)
+			const extendTime = await time.latest()
+
+			const position = await lock.getPosition(1)
+
+			expect(position.period).to.be.equal(periodThree)
+			expect(position.amount).to.be.equal(aliceAmt)
+			expect(position.startTime).to.be.equal(extendTime)
+			expect(position.unlockTime).to.be.equal(extendTime + lockTimeThree)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.mul(10)
+			)
+			expect(await lock.totalVotingPower()).to.be.equal(aliceAmt.mul(10))
+		})
+
+		it('Should emit an event when someone extends a position', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			const tx = await lock.connect(alice).extendLock(1, periodTwo)
+
+			await expect(tx)
+				.to.emit(lock, 'LockExtended')
+				.withArgs(
+					alice.address,
+					1,
+					periodOne,
+					periodTwo,
+					(await time.latest()) + lockTimeTwo
+				)
+		})
+
+		it('Should keep the voting power of an extended position after its old unlock time', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const lockTime = await time.latest()
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock.connect(alice).extendLock(1, periodTwo)
+			const extendTime = await time.latest()
+
+			await time.increaseTo(extendTime + lockTimeTwo - 1)
+
+			expect(
+				await lock.getPastVotingPower(alice.address, lockTime)
+			).to.be.equal(aliceAmt.mul(2))
+			expect(
+				await lock.getPastVotingPower(
+					alice.address,
+					lockTime + lockTimeOne
+				)
+			).to.be.equal(aliceAmt.mul(4))
+
+			await time.increase(1)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+		})
+
+		it('Should not allow users to extend a position to a shorter or invalid period', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+
+			for (const period of [periodOne, periodTwo, 3, 4]) {
+				await expect(
+					lock.connect(alice).extendLock(1, period)
+				).to.be.revertedWithCustomError(lock, 'InvalidPeriod')
+			}
+		})
+
+		it('Should not allow users to extend a position of someone else', async () => {
+			const { alice, aliceAmt, bob, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await expect(
+				lock.connect(bob).extendLock(1, periodTwo)
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+		})
+
+		it('Should not allow users to extend a position which is unlocked', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await time.increase(lockTimeOne)
+
+			await expect(
+				lock.connect(alice).extendLock(1, periodTwo)
+			).to.be.revertedWithCustomError(lock, 'LockExpired')
+		})
+
+		it('Should allow the users to lock more tokens in a position', async () => {
+			const { wToken, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			const unlockTime = (await time.latest()) + lockTimeTwo
+
+			await time.increase(lockTimeTwo / 2)
+
+			await expect(
+				lock
+					.connect(alice)
+					.increaseLockAmount(1, aliceAmt.div(2), false)
+			).to.changeTokenBalances(
+				wToken,
+				[alice, lock],
+				[aliceAmt.div(2).mul(-1), aliceAmt.div(2)]
+			)
+
+			const position = await lock.getPosition(1)
+
+			expect(position.amount).to.be.equal(aliceAmt)
+			expect(position.unlockTime).to.be.equal(unlockTime)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.mul(4)
+			)
+
+			await time.increaseTo(unlockTime)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+		})
+
+		it('Should reset the unlock time when someone locks more tokens in a position', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const unlockTime = (await time.latest()) + lockTimeOne
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock
+				.connect(alice)
+				.increaseLockAmount(1, aliceAmt.div(2), true)
+			const increaseTime = await time.latest()
+
+			const position = await lock.getPosition(1)
+
+			expect(position.startTime).to.be.equal(increaseTime)
+			expect(position.unlockTime).to.be.equal(increaseTime + lockTimeOne)
+
+			await time.increaseTo(unlockTime)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await lock.totalVotingPower()).to.be.equal(aliceAmt.mul(2))
+		})
+
+		it('Should emit an event when someone locks more tokens in a position', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			const unlockTime = (await time.latest()) + lockTimeOne
+
+			await expect(
+				lock
+					.connect(alice)
+					.increaseLockAmount(1, aliceAmt.div(4), false)
+			)
+				.to.emit(lock, 'LockAmountIncreased')
+				.withArgs(
+					alice.address,
+					1,
+					aliceAmt.div(4),
+					aliceAmt.div(2),
+					unlockTime
+				)
+		})
+
+		it('Should not allow users to lock zero or more tokens than their balance in a position', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+
+			await expect(
+				lock.connect(alice).increaseLockAmount(1, 0, false)
+			).to.be.revertedWithCustomError(lock, 'ZeroValuedParam')
+			await expect(
+				lock.connect(alice).increaseLockAmount(1, aliceAmt, false)
+			).to.be.revertedWithCustomError(lock, 'InsufficientBalance')
+		})
+
+		it('Should not allow users to lock more tokens in a position of someone else or which is unlocked', async () => {
+			const { alice, aliceAmt, bob, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+
+			await expect(
+				lock.connect(bob).increaseLockAmount(1, bobAmt, false)
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+
+			await time.increase(lockTimeOne)
+
+			await expect(
+				lock.connect(alice).increaseLockAmount(1, aliceAmt.div(2), true)
+			).to.be.revertedWithCustomError(lock, 'LockExpired')
+		})
+
+		it('Should restart the decay of the voting power when someone extends a position', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployLinearDecayFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock.connect(alice).extendLock(1, periodTwo)
+			const extendTime = await time.latest()
+
+			await time.increase(lockTimeTwo / 2)
+
+			const slope = aliceAmt
+				.mul(4)
+				.mul(ethers.constants.WeiPerEther)
+				.div(lockTimeTwo)
+
+			expect(
+				await lock.getPastVotingPower(alice.address, extendTime)
+			).to.be.equal(
+				slope.mul(lockTimeTwo).div(ethers.constants.WeiPerEther)
+			)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				slope
+					.mul(extendTime + lockTimeTwo - (await time.latest()))
+					.div(ethers.constants.WeiPerEther)
+			)
+		})
+
+		it('Should withdraw an increased position after its unlock time', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const unlockTime = (await time.latest()) + lockTimeOne
+
+			// the voting power of the position is removed and added again until the same unlock time.
+			await lock
+				.connect(alice)
+				.increaseLockAmount(1, aliceAmt.div(2), false)
+
+			await time.increaseTo(unlockTime)
+			await lock.connect(alice).withdrawPosition(1)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+			expect(
+				await lock.getPastVotingPower(alice.address, unlockTime - 1)
+			).to.be.equal(aliceAmt.mul(2))
+		})
+
+		it('Should keep locking and withdrawing after top-ups of a position expire', async () => {
+			const { alice, aliceAmt, bob, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			const unlockTime = (await time.latest()) + lockTimeOne
+
+			// every top-up schedules a removal and an addition due at the same unlock time.
+			await lock
+				.connect(alice)
+				.increaseLockAmount(1, aliceAmt.div(4), false)
+			await lock
+				.connect(alice)
+				.increaseLockAmount(1, aliceAmt.div(4), false)
+
+			await time.increaseTo(unlockTime)
+
+			// settling the changes of the account and of the total must not revert.
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			await lock.connect(alice).withdrawPosition(1)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.div(2)
+			)
+			expect(await lock.totalVotingPower()).to.be.equal(
+				aliceAmt.div(4).add(bobAmt).mul(2)
+			)
+		})
+	})
+
+	describe('Tiers', () => {
+		it('Should start with the initial tiers', async () => {
+			const { lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			const tiers = await lock.getTiers()
+
+			expect(tiers.length).to.be.equal(3)
+			expect(tiers[periodOne].lockTime).to.be.equal(lockTimeOne)
+			expect(tiers[periodOne].multiplier).to.be.equal(2)
+			expect(tiers[periodTwo].lockTime).to.be.equal(lockTimeTwo)
+			expect(tiers[periodTwo].multiplier).to.be.equal(4)
+			expect(tiers[periodThree].lockTime).to.be.equal(lockTimeThree)
+			expect(tiers[periodThree].multiplier).to.be.equal(10)
+
+			for (const tier of tiers) {
+				expect(tier.active).to.be.equal(true)
+			}
+		})
+
+		it('Should grant the roles to the admin', async () => {
+			const { owner, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			expect(
+				await lock.hasRole(
+					await lock.DEFAULT_ADMIN_ROLE(),
+					owner.address
+				)
+			).to.be.equal(true)
+			expect(
+				await lock.hasRole(await lock.GOVERNANCE_ROLE(), owner.address)
+			).to.be.equal(true)
+		})
+
+		it('Should not allow users to lock tokens for a period without tier', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await expect(
+				lock.connect(alice).lockTokens(aliceAmt, 3)
+			).to.be.revertedWithCustomError(lock, 'InvalidPeriod')
+			await expect(lock.getTier(3)).to.be.revertedWithCustomError(
+				lock,
+				'InvalidPeriod'
+			)
+		})
+
+		it('Should allow the governance to add a tier', async () => {
+			const { owner, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			const lockTime = 30 * 24 * 60 * 60
+
+			await expect(lock.connect(owner).addTier(lockTime, 1))
+				.to.emit(lock, 'TierAdded')
+				.withArgs(3, lockTime, 1)
+
+			const tier = await lock.getTier(3)
+
+			expect(tier.lockTime).to.be.equal(lockTime)
+			expect(tier.multiplier).to.be.equal(1)
+			expect(tier.active).to.be.equal(true)
+
+			await lock.connect(alice).lockTokens(aliceAmt, 3)
+
+			expect((await lock.getPosition(1)).unlockTime).to.be.equal(
+				(await time.latest()) + lockTime
+			)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt
+			)
+		})
+
+		it('Should not allow the governance to add a tier without lock time or multiplier', async () => {
+			const { owner, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await expect(
+				lock.connect(owner).addTier(0, 1)
+			).to.be.revertedWithCustomError(lock, 'InvalidTier')
+			await expect(
+				lock.connect(owner).addTier(lockTimeOne, 0)
+			).to.be.revertedWithCustomError(lock, 'InvalidTier')
+		})
+
+		it('Should not allow users without the governance role to manage the tiers', async () => {
+			const { alice, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			const message = `AccessControl: account ${alice.address.toLowerCase()} is missing role ${await lock.GOVERNANCE_ROLE()}`
+
+			await expect(
+				lock.connect(alice).addTier(lockTimeOne, 1)
+			).to.be.revertedWith(message)
+			await expect(
+				lock.connect(alice).disableTier(periodOne)
+			).to.be.revertedWith(message)
+		})
+
+		it('Should allow the governance to disable a tier', async () => {
+			const { owner, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await expect(lock.connect(owner).disableTier(periodOne))
+				.to.emit(lock, 'TierDisabled')
+				.withArgs(periodOne)
+
+			expect((await lock.getTier(periodOne)).active).to.be.equal(false)
+
+			await expect(
+				lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			).to.be.revertedWithCustomError(lock, 'TierNotActive')
+			await expect(
+				lock.connect(owner).disableTier(periodOne)
+			).to.be.revertedWithCustomError(lock, 'TierNotActive')
+			await expect(
+				lock.connect(owner).disableTier(3)
+			).to.be.revertedWithCustomError(lock, 'InvalidPeriod')
+		})
+
+		it('Should keep the terms of the existing locks of a disabled tier', async () => {
+			const { wToken, owner, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			const unlockTime = (await time.latest()) + lockTimeOne
+
+			await lock.connect(owner).disableTier(periodOne)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt
+			)
+			expect((await lock.getPosition(1)).unlockTime).to.be.equal(
+				unlockTime
+			)
+
+			await expect(
+				lock
+					.connect(alice)
+					.increaseLockAmount(1, aliceAmt.div(2), false)
+			).to.be.revertedWithCustomError(lock, 'TierNotActive')
+
+			await time.increaseTo(unlockTime)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+
+			await expect(
+				lock.connect(alice).withdrawTokens(periodOne)
+			).to.changeTokenBalances(
+				wToken,
+				[alice, lock],
+				[aliceAmt.div(2), aliceAmt.div(2).mul(-1)]
+			)
+		})
+
+		it('Should not allow users to extend a position to a disabled tier', async () => {
+			const { owner, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await lock.connect(owner).disableTier(periodThree)
+
+			await expect(
+				lock.connect(alice).extendLock(1, periodThree)
+			).to.be.revertedWithCustomError(lock, 'TierNotActive')
+		})
+	})
+
+	describe('Early Withdraw', () => {
+		const tiers = [
+			{ name: 'one', period: periodOne, lockTime: lockTimeOne },
+			{ name: 'two', period: periodTwo, lockTime: lockTimeTwo },
+			{ name: 'three', period: periodThree, lockTime: lockTimeThree },
+		]
+
+		// penalty of an early withdrawal with some time left until the unlock time.
+		function penaltyOf(amount, timeLeft, lockTime) {
+			return amount
+				.mul(5000)
+				.mul(timeLeft)
+				.div(10000 * lockTime)
+		}
+
+		async function deployTreasuryFixture() {
+			const fixture = await deployMundoCryptoTokenLockFixture()
+			const { owner, lock } = fixture
+
+			await lock.connect(owner).setTreasury(owner.address)
+
+			return fixture
+		}
+
+		for (const tier of tiers) {
+			it(`Should charge the penalty at the boundaries of lock period ${tier.name}`, async () => {
+				const { wToken, owner, charlie, charlieAmt, lock } =
+					await loadFixture(deployTreasuryFixture)
+
+				const amount = charlieAmt.div(4)
+				const timeLefts = [tier.lockTime - 1, tier.lockTime / 2, 1]
+
+				for (const timeLeft of timeLefts) {
+					await lock.connect(charlie).lockTokens(amount, tier.period)
+					const positionId = (
+						await lock.getPositions(charlie.address)
+					)[0].id
+					const unlockTime = (await time.latest()) + tier.lockTime
+
+					await time.setNextBlockTimestamp(unlockTime - timeLeft)
+
+					const penalty = penaltyOf(amount, timeLeft, tier.lockTime)
+
+					await expect(
+						lock.connect(charlie).earlyWithdraw(positionId)
+					).to.changeTokenBalances(
+						wToken,
+						[charlie, owner, lock],
+						[amount.sub(penalty), penalty, amount.mul(-1)]
+					)
+				}
+			})
+		}
+
+		it('Should not charge a penalty once the position is unlocked', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployTreasuryFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await time.increase(lockTimeOne - 1)
+
+			expect(await lock.earlyWithdrawPenalty(1)).to.be.equal(
+				penaltyOf(aliceAmt, 1, lockTimeOne)
+			)
+
+			await time.increase(1)
+
+			expect(await lock.earlyWithdrawPenalty(1)).to.be.equal(0)
+			await expect(
+				lock.connect(alice).earlyWithdraw(1)
+			).to.be.revertedWithCustomError(lock, 'LockExpired')
+		})
+
+		it('Should emit events when someone withdraws early', async () => {
+			const { owner, alice, aliceAmt, lock } = await loadFixture(
+				deployTreasuryFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+			const unlockTime = (await time.latest()) + lockTimeTwo
+
+			await time.setNextBlockTimestamp(unlockTime - lockTimeTwo / 2)
+
+			const tx = await lock.connect(alice).earlyWithdraw(1)
+
+			await expect(tx)
+				.to.emit(lock, 'TokensWithdrawn')
+				.withArgs(alice.address, 1, aliceAmt, periodTwo, anyValue)
+			await expect(tx)
+				.to.emit(lock, 'EarlyWithdrawPenalty')
+				.withArgs(alice.address, 1, aliceAmt.div(4), owner.address)
+		})
+
+		it('Should remove the voting power of a position withdrawn early', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployTreasuryFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const lockTime = await time.latest()
+
+			await time.increase(lockTimeOne / 2)
+
+			await lock.connect(alice).earlyWithdraw(1)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+			expect(
+				await lock.getPastVotingPower(alice.address, lockTime)
+			).to.be.equal(aliceAmt.mul(2))
+			expect(await lock.getPositions(alice.address)).to.be.empty
+			expect(await lock.totalLocked()).to.be.equal(0)
+		})
+
+		it('Should spread the penalty to the remaining positions without treasury', async () => {
+			const {
+				wToken,
+				alice,
+				aliceAmt,
+				bob,
+				bobAmt,
+				charlie,
+				charlieAmt,
+				lock,
+			} = await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await lock.connect(charlie).lockTokens(charlieAmt, periodThree)
+			const unlockTime = (await time.latest()) + lockTimeThree
+
+			await time.setNextBlockTimestamp(unlockTime - lockTimeThree / 2)
+
+			const penalty = charlieAmt.div(4)
+
+			await expect(
+				lock.connect(charlie).earlyWithdraw(3)
+			).to.changeTokenBalances(
+				wToken,
+				[charlie, lock],
+				[charlieAmt.sub(penalty), charlieAmt.sub(penalty).mul(-1)]
+			)
+
+			// the shares are rounded down through the penalty per locked token.
+			const penaltyPerToken = penalty
+				.mul(ethers.constants.WeiPerEther)
+				.div(aliceAmt.add(bobAmt))
+			const aliceShare = aliceAmt
+				.mul(penaltyPerToken)
+				.div(ethers.constants.WeiPerEther)
+			const bobShare = bobAmt
+				.mul(penaltyPerToken)
+				.div(ethers.constants.WeiPerEther)
+
+			expect(aliceShare).to.be.closeTo(
+				penalty.mul(aliceAmt).div(aliceAmt.add(bobAmt)),
+				aliceAmt.div(ethers.constants.WeiPerEther)
+			)
+			expect(await lock.pendingPenaltyShare(1)).to.be.equal(aliceShare)
+			expect(await lock.pendingPenaltyShare(2)).to.be.equal(bobShare)
+
+			await time.increase(lockTimeOne)
+
+			await lock.connect(alice).withdrawPosition(1)
+			await lock.connect(bob).withdrawTokens(periodOne)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(
+				aliceAmt.add(aliceShare)
+			)
+			expect(await wToken.balanceOf(bob.address)).to.be.equal(
+				bobAmt.add(bobShare)
+			)
+		})
+
+		it('Should not spread the penalty to the positions locked later', async () => {
+			const { alice, aliceAmt, bob, bobAmt, charlie, charlieAmt, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(charlie).lockTokens(charlieAmt, periodOne)
+
+			await lock.connect(charlie).earlyWithdraw(2)
+
+			const share = await lock.pendingPenaltyShare(1)
+
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await lock
+				.connect(alice)
+				.increaseLockAmount(1, aliceAmt.div(2), false)
+
+			expect(share).to.be.gt(0)
+			expect(await lock.pendingPenaltyShare(1)).to.be.equal(share)
+			expect(await lock.pendingPenaltyShare(3)).to.be.equal(0)
+			expect(await lock.totalLocked()).to.be.equal(aliceAmt.add(bobAmt))
+		})
+
+		it('Should waive the penalty without treasury and remaining positions', async () => {
+			const { wToken, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await expect(
+				lock.connect(alice).earlyWithdraw(1)
+			).to.changeTokenBalances(
+				wToken,
+				[alice, lock],
+				[aliceAmt, aliceAmt.mul(-1)]
+			)
+		})
+
+		it('Should not allow users to withdraw a position of someone else early', async () => {
+			const { alice, aliceAmt, bob, lock } = await loadFixture(
+				deployTreasuryFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await expect(
+				lock.connect(bob).earlyWithdraw(1)
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+		})
+
+		it('Should allow the governance to set the minimum lock amount', async () => {
+			const { owner, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+			const minimum = await lock.minLockAmount()
+
+			await expect(lock.connect(owner).setMinLockAmount(0))
+				.to.emit(lock, 'MinLockAmountUpdated')
+				.withArgs(minimum, 0)
+
+			await lock.connect(alice).lockTokens(1, periodOne)
+			expect((await lock.getPosition(1)).amount).to.be.equal(1)
+
+			await expect(
+				lock.connect(alice).setMinLockAmount(aliceAmt)
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${await lock.GOVERNANCE_ROLE()}`
+			)
+		})
+
+		it('Should allow the governance to set the treasury', async () => {
+			const { owner, alice, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			expect(await lock.treasury()).to.be.equal(
+				ethers.constants.AddressZero
+			)
+
+			await expect(lock.connect(owner).setTreasury(owner.address))
+				.to.emit(lock, 'TreasuryUpdated')
+				.withArgs(ethers.constants.AddressZero, owner.address)
+
+			expect(await lock.treasury()).to.be.equal(owner.address)
+
+			await expect(
+				lock.connect(alice).setTreasury(alice.address)
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${await lock.GOVERNANCE_ROLE()}`
+			)
+		})
+	})
+
+	describe('Permit and Signed Locks', () => {
+		async function deployPermitFixture() {
+			const [owner, alice, bob] = await ethers.getSigners()
+
+			const MockPermitToken = await ethers.getContractFactory(
+				'MockPermitToken'
+			)
+			const permitToken = await MockPermitToken.deploy()
+
+			const VotingPowerHistory = await ethers.getContractFactory(
+				'VotingPowerHistory'
+			)
+			const votingPowerHistory = await VotingPowerHistory.deploy()
+
+			const MundoCryptoTokenLock = await ethers.getContractFactory(
+				'MundoCryptoTokenLock',
+				{
+					libraries: {
+						VotingPowerHistory: votingPowerHistory.address,
+					},
+				}
+			)
+			const lock = await MundoCryptoTokenLock.deploy(
+				permitToken.address,
+				false,
+				owner.address
+			)
+
+			const aliceAmt = ethers.utils.parseEther('1000')
+
+			// alice has tokens but no allowance for the lock
+			await permitToken.mint(alice.address, aliceAmt)
+
+			return { permitToken, lock, owner, alice, bob, aliceAmt }
+		}
+
+		// sign an EIP-2612 permit of the token for the lock.
+		async function signPermit(token, owner, spender, value, deadline) {
+			const { chainId } = await ethers.provider.getNetwork()
+			const signature = await owner._signTypedData(
+				{
+					name: 'MockPermitToken',
+					version: '1',
+					chainId,
+					verifyingContract: token.address,
+				},
+				{
+					Permit: [
+						{ name: 'owner', type: 'address' },
+						{ name: 'spender', type: 'address' },
+						{ name: 'value', type: 'uint256' },
+						{ name: 'nonce', type: 'uint256' },
+						{ name: 'deadline', type: 'uint256' },
+					],
+				},
+				{
+					owner: owner.address,
+					spender,
+					value,
+					nonce: await token.nonces(owner.address),
+					deadline,
+				}
+			)
+
+			return ethers.utils.splitSignature(signature)
+		}
+
+		// sign an EIP-712 lock of the tokens of the account.
+		async function signLock(
+			lock,
+			signer,
+			account,
+			amount,
+			period,
+			deadline
+		) {
+			const { chainId } = await ethers.provider.getNetwork()
+			const signature = await signer._signTypedData(
+				{
+					name: 'MundoCryptoTokenLock',
+					version: '1',
+					chainId,
+					verifyingContract: lock.address,
+				},
+				{
+					LockTokens: [
+						{ name: 'account', type: 'address' },
+						{ name: 'amount', type: 'uint256' },
+						{ name: 'period', type: 'uint256' },
+						{ name: 'nonce', type: 'uint256' },
+						{ name: 'deadline', type: 'uint256' },
+					],
+				},
+				{
+					account,
+					amount,
+					period,
+					nonce: await lock.nonces(account),
+					deadline,
+				}
+			)
+
+			return ethers.utils.splitSignature(signature)
+		}
+
+		it('Should allow the users to lock tokens with a permit', async () => {
+			const { permitToken, lock, alice, aliceAmt } = await loadFixture(
+				deployPermitFixture
+			)
+
+			const deadline = (await time.latest()) + 3600
+			const { v, r, s } = await signPermit(
+				permitToken,
+				alice,
+				lock.address,
+				aliceAmt,
+				deadline
+			)
+
+			await expect(
+				lock
+					.connect(alice)
+					.lockTokensWithPermit(
+						aliceAmt,
+						periodOne,
+						deadline,
+						v,
+						r,
+						s
+					)
+			).to.changeTokenBalances(
+				permitToken,
+				[alice, lock],
+				[aliceAmt.mul(-1), aliceAmt]
+			)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+		})
+
+		it('Should lock the tokens when the permit was submitted by someone else', async () => {
+			const { permitToken, lock, alice, bob, aliceAmt } =
+				await loadFixture(deployPermitFixture)
+
+			const deadline = (await time.latest()) + 3600
+			const { v, r, s } = await signPermit(
+				permitToken,
+				alice,
+				lock.address,
+				aliceAmt,
+				deadline
+			)
+
+			await permitToken
+				.connect(bob)
+				.permit(
+					alice.address,
+					lock.address,
+					aliceAmt,
+					deadline,
+					v,
+					r,
+					s
+				)
+
+			await expect(
+				lock
+					.connect(alice)
+					.lockTokensWithPermit(
+						aliceAmt,
+						periodOne,
+						deadline,
+						v,
+						r,
+						s
+					)
+			).to.emit(lock, 'TokensLocked')
+		})
+
+		it('Should not lock the tokens with an expired permit', async () => {
+			const { permitToken, lock, alice, aliceAmt } = await loadFixture(
+				deployPermitFixture
+			)
+
+			const deadline = (await time.latest()) + 3600
+			const { v, r, s } = await signPermit(
+				permitToken,
+				alice,
+				lock.address,
+				aliceAmt,
+				deadline
+			)
+
+			await time.increaseTo(deadline + 1)
+
+			await expect(
+				lock
+					.connect(alice)
+					.lockTokensWithPermit(
+						aliceAmt,
+						periodOne,
+						deadline,
+						v,
+						r,
+						s
+					)
+			).to.be.revertedWith('ERC20: insufficient allowance')
+		})
+
+		it('Should allow a relayer to lock tokens with a signature of the account', async () => {
+			const { permitToken, lock, alice, bob, aliceAmt } =
+				await loadFixture(deployPermitFixture)
+
+			const deadline = (await time.latest()) + 3600
+			const permit = await signPermit(
+				permitToken,
+				alice,
+				lock.address,
+				aliceAmt,
+				deadline
+			)
+			const { v, r, s } = await signLock(
+				lock,
+				alice,
+				alice.address,
+				aliceAmt,
+				periodTwo,
+				deadline
+			)
+
+			// the relayer submits the permit and the signed lock.
+			await permitToken
+				.connect(bob)
+				.permit(
+					alice.address,
+					lock.address,
+					aliceAmt,
+					deadline,
+					permit.v,
+					permit.r,
+					permit.s
+				)
+
+			await expect(
+				lock
+					.connect(bob)
+					.lockTokensFor(
+						alice.address,
+						aliceAmt,
+						periodTwo,
+						deadline,
+						v,
+						r,
+						s
+					)
+			)
+				.to.emit(lock, 'TokensLocked')
+				.withArgs(alice.address, 1, aliceAmt, periodTwo, anyValue)
+
+			expect((await lock.getPosition(1)).owner).to.be.equal(alice.address)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.mul(4)
+			)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+			expect(await lock.nonces(alice.address)).to.be.equal(1)
+		})
+
+		it('Should not allow a relayer to reuse a signature', async () => {
+			const { permitToken, lock, alice, bob, aliceAmt } =
+				await loadFixture(deployPermitFixture)
+
+			const deadline = (await time.latest()) + 3600
+			const permit = await signPermit(
+				permitToken,
+				alice,
+				lock.address,
+				aliceAmt,
+				deadline
+			)
+			await permitToken
+				.connect(bob)
+				.permit(
+					alice.address,
+					lock.address,
+					aliceAmt,
+					deadline,
+					permit.v,
+					permit.r,
+					permit.s
+				)
+
+			const { v, r, s } = await signLock(
+				lock,
+				alice,
+				alice.address,
+				aliceAmt.div(2),
+				periodOne,
+				deadline
+			)
+
+			await lock
+				.connect(bob)
+				.lockTokensFor(
+					alice.address,
+					aliceAmt.div(2),
+					periodOne,
+					deadline,
+					v,
+					r,
+					s
+				)
+
+			await expect(
+				lock
+					.connect(bob)
+					.lockTokensFor(
+						alice.address,
+						aliceAmt.div(2),
+						periodOne,
+						deadline,
+						v,
+						r,
+						s
+					)
+			).to.be.revertedWithCustomError(lock, 'InvalidSignature')
+		})
+
+		it('Should not allow a relayer to lock tokens with an invalid or expired signature', async () => {
+			const { lock, alice, bob, aliceAmt } = await loadFixture(
+				deployPermitFixture
+			)
+
+			const deadline = (await time.latest()) + 3600
+
+			// signed by someone else than the account.
+			const forged = await signLock(
+				lock,
+				bob,
+				alice.address,
+				aliceAmt,
+				periodOne,
+				deadline
+			)
+
+			await expect(
+				lock
+					.connect(bob)
+					.lockTokensFor(
+						alice.address,
+						aliceAmt,
+						periodOne,
+						deadline,
+						forged.v,
+						forged.r,
+						forged.s
+					)
+			).to.be.revertedWithCustomError(lock, 'InvalidSignature')
+
+			// signed for another amount.
+			const { v, r, s } = await signLock(
+				lock,
+				alice,
+				alice.address,
+				aliceAmt,
+				periodOne,
+				deadline
+			)
+
+			await expect(
+				lock
+					.connect(bob)
+					.lockTokensFor(
+						alice.address,
+						aliceAmt.div(2),
+						periodOne,
+						deadline,
+						v,
+						r,
+						s
+					)
+			).to.be.revertedWithCustomError(lock, 'InvalidSignature')
+
+			await time.increaseTo(deadline + 1)
+
+			await expect(
+				lock
+					.connect(bob)
+					.lockTokensFor(
+						alice.address,
+						aliceAmt,
+						periodOne,
+						deadline,
+						v,
+						r,
+						s
+					)
+			).to.be.revertedWithCustomError(lock, 'ExpiredSignature')
+		})
+	})
+
+	describe('Batch Views and Totals', () => {
+		it('Should fetch the locking data of all the periods at once', async () => {
+			const { alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodThree)
+			await time.increase(100)
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			await lock.addTier(lockTimeThree * 2, 20)
+
+			const lockingData = await lock.fetchAllUserLockData(alice.address)
+
+			expect(lockingData.length).to.be.equal(4)
+			for (const [period, data] of lockingData.entries()) {
+				const expected = await lock.fetchUserLockData(
+					alice.address,
+					period
+				)
+
+				expect(data.amount).to.be.equal(expected.amount)
+				expect(data.unlockTime).to.be.equal(expected.unlockTime)
+			}
+			expect(lockingData[periodOne].amount).to.be.equal(aliceAmt.div(2))
+			expect(lockingData[periodTwo].amount).to.be.equal(0)
+		})
+
+		it('Should fetch the voting power of many accounts at once', async () => {
+			const { alice, bob, charlie, aliceAmt, bobAmt, lock } =
+				await loadFixture(deployLinearDecayFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodThree)
+
+			await time.increase(lockTimeOne / 3)
+
+			const votingPowers = await lock.getVotingPowerBatch([
+				bob.address,
+				charlie.address,
+				alice.address,
+			])
+
+			expect(votingPowers).to.be.deep.equal([
+				await lock.getVotingPower(bob.address),
+				ethers.BigNumber.from(0),
+				await lock.getVotingPower(alice.address),
+			])
+		})
+
+		it('Should track the tokens locked for every period', async () => {
+			const { alice, bob, aliceAmt, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(bob).lockTokens(bobAmt.div(2), periodOne)
+			await lock.connect(bob).lockTokens(bobAmt.div(4), periodTwo)
+			await lock
+				.connect(alice)
+				.increaseLockAmount(1, aliceAmt.div(4), false)
+
+			expect(await lock.totalLockedByPeriod(periodOne)).to.be.equal(
+				aliceAmt.mul(3).div(4).add(bobAmt.div(2))
+			)
+			expect(await lock.totalLockedByPeriod(periodTwo)).to.be.equal(
+				bobAmt.div(4)
+			)
+
+			await lock.connect(bob).extendLock(2, periodThree)
+			await lock.connect(bob).earlyWithdraw(3)
+
+			expect(await lock.totalLockedByPeriod(periodOne)).to.be.equal(
+				aliceAmt.mul(3).div(4)
+			)
+			expect(await lock.totalLockedByPeriod(periodTwo)).to.be.equal(0)
+			expect(await lock.totalLockedByPeriod(periodThree)).to.be.equal(
+				bobAmt.div(2)
+			)
+
+			await time.increase(lockTimeOne)
+			await lock.connect(alice).withdrawTokens(periodOne)
+
+			expect(await lock.totalLockedByPeriod(periodOne)).to.be.equal(0)
+			expect(await lock.totalLocked()).to.be.equal(bobAmt.div(2))
+		})
+
+		it('Should keep the totals correct as the locks expire', async () => {
+			const { alice, bob, aliceAmt, bobAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+
+			expect(await lock.totalVotingPower()).to.be.equal(
+				aliceAmt.mul(2).add(bobAmt.mul(4))
+			)
+
+			await time.increase(lockTimeOne)
+
+			// the expired tokens stay locked until they are withdrawn, without voting power.
+			expect(await lock.totalVotingPower()).to.be.equal(bobAmt.mul(4))
+			expect(await lock.totalLocked()).to.be.equal(aliceAmt.add(bobAmt))
+
+			await time.increase(lockTimeTwo)
+
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+		})
+	})
+
+	describe('Granted Locks', () => {
+		// the granters lock their tokens in positions of other accounts.
+		async function deployGrantFixture() {
+			const fixture = await deployMundoCryptoTokenLock(false)
+			const { lock, owner, bob, charlie } = fixture
+
+			const granterRole = await lock.GRANTER_ROLE()
+			await lock.connect(owner).grantRole(granterRole, bob.address)
+			await lock.connect(owner).grantRole(granterRole, charlie.address)
+
+			return fixture
+		}
+
+		it('Should lock the tokens of the caller for a beneficiary', async () => {
+			const { alice, bob, bobAmt, wToken, lock } = await loadFixture(
+				deployGrantFixture
+			)
+
+			const tx = await lock
+				.connect(bob)
+				.grantLock(alice.address, bobAmt, periodTwo)
+			const unlockTime = (await time.latest()) + lockTimeTwo
+
+			await expect(tx)
+				.to.emit(lock, 'TokensLocked')
+				.withArgs(alice.address, 1, bobAmt, periodTwo, unlockTime)
+			await expect(tx)
+				.to.emit(lock, 'LockGranted')
+				.withArgs(bob.address, alice.address, 1, 0)
+
+			expect((await lock.getPosition(1)).owner).to.be.equal(alice.address)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				bobAmt.mul(4)
+			)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+			expect(await wToken.balanceOf(bob.address)).to.be.equal(0)
+
+			await time.increaseTo(unlockTime)
+			await lock.connect(alice).withdrawPosition(1)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(
+				ethers.utils.parseEther('1000').add(bobAmt)
+			)
+		})
+
+		it('Should lock tokens for many beneficiaries at once', async () => {
+			const { alice, bob, charlie, charlieAmt, lock } = await loadFixture(
+				deployGrantFixture
+			)
+
+			const amount = charlieAmt.div(4)
+			await expect(
+				lock
+					.connect(charlie)
+					.grantLockBatch(
+						[alice.address, bob.address, alice.address],
+						[amount, amount, amount],
+						[periodOne, periodTwo, periodThree],
+						[]
+					)
+			)
+				.to.emit(lock, 'LockGranted')
+				.withArgs(charlie.address, alice.address, 3, 0)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				amount.mul(2).add(amount.mul(10))
+			)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				amount.mul(4)
+			)
+			expect(await lock.totalLocked()).to.be.equal(amount.mul(3))
+			expect(await lock.positionCliff(1)).to.be.equal(0)
+		})
+
+		it('Should only allow the granters to lock tokens for other accounts', async () => {
+			const { owner, alice, bob, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+			const granterRole = await lock.GRANTER_ROLE()
+
+			expect(await lock.hasRole(granterRole, owner.address)).to.be.equal(
+				true
+			)
+			await expect(
+				lock.connect(alice).grantLock(bob.address, aliceAmt, periodOne)
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${granterRole}`
+			)
+			await expect(
+				lock
+					.connect(alice)
+					.grantLockBatch([bob.address], [aliceAmt], [periodOne], [])
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${granterRole}`
+			)
+		})
+
+		it('Should revert the batches with arrays of different lengths', async () => {
+			const { alice, bob, bobAmt, lock } = await loadFixture(
+				deployGrantFixture
+			)
+
+			await expect(
+				lock
+					.connect(bob)
+					.grantLockBatch(
+						[alice.address, bob.address],
+						[bobAmt.div(2)],
+						[periodOne, periodOne],
+						[]
+					)
+			).to.be.revertedWithCustomError(lock, 'LengthMismatch')
+			await expect(
+				lock
+					.connect(bob)
+					.grantLockBatch(
+						[alice.address],
+						[bobAmt],
+						[periodOne],
+						[0, 0]
+					)
+			).to.be.revertedWithCustomError(lock, 'LengthMismatch')
+		})
+
+		it('Should revert if the caller does not have enough tokens', async () => {
+			const { alice, bob, bobAmt, lock } = await loadFixture(
+				deployGrantFixture
+			)
+
+			await expect(
+				lock
+					.connect(bob)
+					.grantLock(alice.address, bobAmt.add(1), periodOne)
+			).to.be.revertedWithCustomError(lock, 'InsufficientBalance')
+		})
+
+		it('Should not allow a cliff after the unlock time', async () => {
+			const { alice, bob, bobAmt, lock } = await loadFixture(
+				deployGrantFixture
+			)
+
+			// the position is created in the next block, one second later.
+			const unlockTime = (await time.latest()) + 1 + lockTimeOne
+			await expect(
+				lock
+					.connect(bob)
+					.grantLockBatch(
+						[alice.address],
+						[bobAmt],
+						[periodOne],
+						[unlockTime + 1]
+					)
+			).to.be.revertedWithCustomError(lock, 'InvalidCliff')
+			await expect(
+				lock
+					.connect(bob)
+					.grantLockBatch(
+						[alice.address],
+						[bobAmt],
+						[periodOne],
+						[ethers.constants.MaxUint256]
+					)
+			).to.be.revertedWithCustomError(lock, 'InvalidCliff')
+
+			await lock
+				.connect(bob)
+				.grantLockBatch([alice.address], [bobAmt], [periodOne], [0])
+			expect(await lock.positionCliff(1)).to.be.equal(0)
+		})
+
+		it('Should not allow the beneficiary to withdraw early before the cliff', async () => {
+			const { alice, bob, bobAmt, wToken, lock } = await loadFixture(
+				deployGrantFixture
+			)
+
+			const cliff = (await time.latest()) + lockTimeOne / 2
+			await expect(
+				lock
+					.connect(bob)
+					.grantLockBatch(
+						[alice.address],
+						[bobAmt],
+						[periodOne],
+						[cliff]
+					)
+			)
+				.to.emit(lock, 'LockGranted')
+				.withArgs(bob.address, alice.address, 1, cliff)
+
+			expect(await lock.positionCliff(1)).to.be.equal(cliff)
+			await expect(
+				lock.connect(alice).earlyWithdraw(1)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+
+			await time.increaseTo(cliff)
+
+			// the position can be withdrawn early for a penalty after the cliff.
+			await expect(lock.connect(alice).earlyWithdraw(1)).to.emit(
+				lock,
+				'EarlyWithdrawPenalty'
+			)
+			expect(await lock.positionCliff(1)).to.be.equal(0)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await wToken.balanceOf(alice.address)).to.be.above(
+				ethers.utils.parseEther('1000')
+			)
+		})
+
+		it('Should keep the self and granted locks of an account apart', async () => {
+			const { alice, bob, aliceAmt, bobAmt, wToken, lock } =
+				await loadFixture(deployGrantFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			const cliff = (await time.latest()) + lockTimeOne / 2
+			await lock
+				.connect(bob)
+				.grantLockBatch(
+					[alice.address, alice.address],
+					[bobAmt.div(2), bobAmt.div(2)],
+					[periodOne, periodOne],
+					[cliff, 0]
+				)
+
+			expect(
+				(await lock.fetchUserLockData(alice.address, periodOne)).amount
+			).to.be.equal(aliceAmt.add(bobAmt))
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.add(bobAmt).mul(2)
+			)
+
+			// only the granted position with a cliff cannot be withdrawn early.
+			expect(await lock.positionCliff(1)).to.be.equal(0)
+			expect(await lock.positionCliff(2)).to.be.equal(cliff)
+			expect(await lock.positionCliff(3)).to.be.equal(0)
+			await expect(
+				lock.connect(alice).earlyWithdraw(2)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+
+			await time.increase(lockTimeOne)
+			await lock.connect(alice).withdrawTokens(periodOne)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(
+				aliceAmt.add(bobAmt)
+			)
+			expect(await lock.getPositions(alice.address)).to.be.deep.equal([])
+		})
+
+		it('Should require the minimum amount in every new position', async () => {
+			const { alice, bob, lock } = await loadFixture(deployGrantFixture)
+			const minimum = await lock.minLockAmount()
+
+			// one whole token of the 18 decimals by default.
+			expect(minimum).to.be.equal(ethers.utils.parseEther('1'))
+
+			await expect(
+				lock.connect(alice).lockTokens(minimum.sub(1), periodOne)
+			).to.be.revertedWithCustomError(lock, 'AmountTooSmall')
+			await expect(
+				lock
+					.connect(bob)
+					.grantLock(alice.address, minimum.sub(1), periodOne)
+			).to.be.revertedWithCustomError(lock, 'AmountTooSmall')
+
+			await lock.connect(alice).lockTokens(minimum.mul(2), periodOne)
+			await expect(
+				lock.connect(alice).splitPosition(1, minimum.sub(1))
+			).to.be.revertedWithCustomError(lock, 'AmountTooSmall')
+			await expect(
+				lock.connect(alice).splitPosition(1, minimum.add(1))
+			).to.be.revertedWithCustomError(lock, 'AmountTooSmall')
+			await lock.connect(alice).splitPosition(1, minimum)
+		})
+
+		it('Should not let positions below the minimum be moved to other accounts', async () => {
+			const { owner, alice, bob, lock } = await loadFixture(
+				deployGrantFixture
+			)
+			const positionToken = await ethers.getContractAt(
+				'MundoCryptoLockPositions',
+				await lock.positionToken()
+			)
+			const minimum = await lock.minLockAmount()
+
+			await lock.connect(alice).lockTokens(minimum, periodOne)
+			await lock.connect(owner).setMinLockAmount(minimum.mul(2))
+
+			await expect(
+				positionToken
+					.connect(alice)
+					.transferFrom(alice.address, bob.address, 1)
+			).to.be.revertedWithCustomError(lock, 'AmountTooSmall')
+
+			// the position can still be withdrawn, or topped up to the minimum and transferred.
+			await lock.connect(alice).increaseLockAmount(1, minimum, false)
+			await positionToken
+				.connect(alice)
+				.transferFrom(alice.address, bob.address, 1)
+			expect((await lock.getPosition(1)).owner).to.be.equal(bob.address)
+		})
+
+		it('Should let an account hold any number of positions', async () => {
+			const { alice, bob, bobAmt, lock } = await loadFixture(
+				deployGrantFixture
+			)
+			const count = 40
+			const amount = bobAmt.div(count * 2)
+
+			for (let i = 0; i < 2; i++) {
+				await lock
+					.connect(bob)
+					.grantLockBatch(
+						Array(count).fill(alice.address),
+						Array(count).fill(amount),
+						Array(count).fill(periodOne),
+						[]
+					)
+			}
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+			await lock.connect(alice).splitPosition(1, amount.div(2))
+			expect((await lock.getPositions(alice.address)).length).to.be.equal(
+				count * 2 + 2
+			)
+		})
+	})
+
+	describe('Delegation', () => {
+		// sign an EIP-712 delegation of the voting power of the signer.
+		async function signDelegation(lock, signer, delegatee, nonce, expiry) {
+			const { chainId } = await ethers.provider.getNetwork()
+			const signature = await signer._signTypedData(
+				{
+					name: 'MundoCryptoTokenLock',
+					version: '1',
+					chainId,
+					verifyingContract: lock.address,
+				},
+				{
+					Delegation: [
+						{ name: 'delegatee', type: 'address' },
+						{ name: 'nonce', type: 'uint256' },
+						{ name: 'expiry', type: 'uint256' },
+					],
+				},
+				{ delegatee, nonce, expiry }
+			)
+
+			return ethers.utils.splitSignature(signature)
+		}
+
+		it('Should delegate the voting power of all the positions', async () => {
+			const { alice, bob, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+
+			const votingPower = aliceAmt.add(aliceAmt.mul(2))
+			expect(await lock.delegates(alice.address)).to.be.equal(
+				alice.address
+			)
+
+			const tx = await lock.connect(alice).delegate(bob.address)
+
+			await expect(tx)
+				.to.emit(lock, 'DelegateChanged')
+				.withArgs(alice.address, alice.address, bob.address)
+			await expect(tx)
+				.to.emit(lock, 'DelegateVotesChanged')
+				.withArgs(alice.address, votingPower, 0)
+			await expect(tx)
+				.to.emit(lock, 'DelegateVotesChanged')
+				.withArgs(bob.address, 0, votingPower)
+
+			expect(await lock.delegates(alice.address)).to.be.equal(bob.address)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				votingPower
+			)
+			expect(await lock.totalVotingPower()).to.be.equal(votingPower)
+
+			// the positions locked after the delegation go to the delegate as well.
+			const block = await time.latest()
+			await expect(lock.connect(bob).lockTokens(aliceAmt, periodOne))
+				.to.emit(lock, 'DelegateVotesChanged')
+				.withArgs(
+					bob.address,
+					votingPower,
+					votingPower.add(aliceAmt.mul(2))
+				)
+
+			expect(
+				await lock.getPastVotingPower(bob.address, block)
+			).to.be.equal(votingPower)
+			expect(
+				await lock.getPastVotingPower(alice.address, block)
+			).to.be.equal(0)
+		})
+
+		it('Should not pass on the delegated voting power along a chain', async () => {
+			const { alice, bob, charlie, aliceAmt, bobAmt, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+			await lock.connect(alice).delegate(bob.address)
+			await lock.connect(bob).delegate(charlie.address)
+
+			// bob votes with the power of alice, charlie with the power of bob.
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await lock.getVotingPower(charlie.address)).to.be.equal(
+				bobAmt.mul(2)
+			)
+
+			// a delegation back to the delegator does not loop.
+			await lock.connect(bob).delegate(alice.address)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				bobAmt.mul(2)
+			)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await lock.getVotingPower(charlie.address)).to.be.equal(0)
+		})
+
+		it('Should move the voting power on re-delegation', async () => {
+			const { alice, bob, charlie, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodTwo)
+			await lock.connect(alice).delegate(bob.address)
+			const delegated = await time.latest()
+
+			await expect(lock.connect(alice).delegate(charlie.address))
+				.to.emit(lock, 'DelegateChanged')
+				.withArgs(alice.address, bob.address, charlie.address)
+			const redelegated = await time.latest()
+
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+			expect(await lock.getVotingPower(charlie.address)).to.be.equal(
+				aliceAmt.mul(4)
+			)
+			expect(
+				await lock.getPastVotingPower(bob.address, delegated)
+			).to.be.equal(aliceAmt.mul(4))
+
+			// delegating to the zero address gives the voting power back to the delegator.
+			await expect(
+				lock.connect(alice).delegate(ethers.constants.AddressZero)
+			)
+				.to.emit(lock, 'DelegateChanged')
+				.withArgs(alice.address, charlie.address, alice.address)
+
+			expect(await lock.delegates(alice.address)).to.be.equal(
+				alice.address
+			)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.mul(4)
+			)
+			expect(await lock.getVotingPower(charlie.address)).to.be.equal(0)
+			expect(
+				await lock.getPastVotingPower(charlie.address, redelegated)
+			).to.be.equal(aliceAmt.mul(4))
+
+			// a delegation to the current delegate does not move any voting power.
+			await expect(
+				lock.connect(alice).delegate(alice.address)
+			).not.to.emit(lock, 'DelegateVotesChanged')
+		})
+
+		it('Should expire the delegated voting power with the locks', async () => {
+			const { alice, bob, aliceAmt, wToken, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			await lock.connect(alice).delegate(bob.address)
+
+			await time.increase(lockTimeOne)
+
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+
+			await lock.connect(alice).withdrawPosition(1)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(
+				aliceAmt.div(2)
+			)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+
+			// moving an expired delegation leaves the delegates without voting power.
+			await time.increase(lockTimeTwo)
+			await lock.connect(alice).delegate(ethers.constants.AddressZero)
+
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+
+			await lock.connect(alice).withdrawPosition(2)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(aliceAmt)
+		})
+
+		it('Should delegate the decaying voting power', async () => {
+			const { alice, bob, aliceAmt, lock } = await loadFixture(
+				deployLinearDecayFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await time.increase(lockTimeOne / 2)
+			await lock.connect(alice).delegate(bob.address)
+
+			const half = await time.latest()
+			const votingPower = await lock.getVotingPower(bob.address)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(votingPower).to.be.equal(await lock.totalVotingPower())
+
+			await time.increase(lockTimeOne / 4)
+
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				await lock.totalVotingPower()
+			)
+			expect(await lock.getVotingPower(bob.address)).to.be.lt(votingPower)
+			expect(
+				await lock.getPastVotingPower(bob.address, half)
+			).to.be.equal(votingPower)
+
+			await time.increase(lockTimeOne / 4)
+
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+		})
+
+		it('Should move the voting power of a transferred position to the delegate of the holder', async () => {
+			const { alice, bob, charlie, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+			const positionToken = await ethers.getContractAt(
+				'MundoCryptoLockPositions',
+				await lock.positionToken()
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(alice).delegate(charlie.address)
+			await lock.connect(bob).delegate(alice.address)
+
+			await positionToken
+				.connect(alice)
+				.transferFrom(alice.address, bob.address, 1)
+
+			expect(await lock.getVotingPower(charlie.address)).to.be.equal(0)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+		})
+
+		it('Should keep the own voting power of the positions with their owner', async () => {
+			const { alice, bob, charlie, aliceAmt, bobAmt, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+			const positionToken = await ethers.getContractAt(
+				'MundoCryptoLockPositions',
+				await lock.positionToken()
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+			await lock.connect(alice).delegate(charlie.address)
+			const delegated = await time.latest()
+
+			await positionToken
+				.connect(bob)
+				.transferFrom(bob.address, alice.address, 2)
+			const transferred = await time.latest()
+			await time.increase(1)
+
+			// delegating moves the votes but not the own voting power.
+			expect(
+				await lock.getPastVotingPower(alice.address, delegated)
+			).to.be.equal(0)
+			expect(
+				await lock.getPastOwnVotingPower(alice.address, delegated)
+			).to.be.equal(aliceAmt.mul(2))
+			expect(
+				await lock.getPastOwnVotingPower(charlie.address, delegated)
+			).to.be.equal(0)
+
+			// transferring a position moves its own voting power to the holder.
+			expect(
+				await lock.getPastOwnVotingPower(alice.address, transferred)
+			).to.be.equal(aliceAmt.add(bobAmt).mul(2))
+			expect(
+				await lock.getPastOwnVotingPower(bob.address, transferred)
+			).to.be.equal(0)
+			expect(await lock.getPastTotalVotingPower(transferred)).to.be.equal(
+				aliceAmt.add(bobAmt).mul(2)
+			)
+
+			await expect(
+				lock.getPastOwnVotingPower(alice.address, await time.latest())
+			).to.be.revertedWithCustomError(lock, 'FutureLookup')
+		})
+
+		it('Should delegate with a signature', async () => {
+			const { alice, bob, charlie, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			const expiry = (await time.latest()) + 3600
+			const { v, r, s } = await signDelegation(
+				lock,
+				alice,
+				bob.address,
+				0,
+				expiry
+			)
+
+			// anyone can relay the signature.
+			await expect(
+				lock
+					.connect(charlie)
+					.delegateBySig(bob.address, 0, expiry, v, r, s)
+			)
+				.to.emit(lock, 'DelegateChanged')
+				.withArgs(alice.address, alice.address, bob.address)
+
+			expect(await lock.nonces(alice.address)).to.be.equal(1)
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(
+				aliceAmt.mul(2)
+			)
+
+			await expect(
+				lock
+					.connect(charlie)
+					.delegateBySig(bob.address, 0, expiry, v, r, s)
+			).to.be.revertedWithCustomError(lock, 'InvalidSignature')
+		})
+
+		it('Should revert an expired or out of order delegation signature', async () => {
+			const { alice, bob, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			const expiry = (await time.latest()) + 3600
+			const { v, r, s } = await signDelegation(
+				lock,
+				alice,
+				bob.address,
+				0,
+				expiry
+			)
+
+			// the nonces are used in order.
+			const future = await signDelegation(
+				lock,
+				alice,
+				bob.address,
+				1,
+				expiry
+			)
+			await expect(
+				lock.delegateBySig(
+					bob.address,
+					1,
+					expiry,
+					future.v,
+					future.r,
+					future.s
+				)
+			).to.be.revertedWithCustomError(lock, 'InvalidSignature')
+
+			await time.increaseTo(expiry + 1)
+
+			await expect(
+				lock.delegateBySig(bob.address, 0, expiry, v, r, s)
+			).to.be.revertedWithCustomError(lock, 'ExpiredSignature')
+			expect(await lock.delegates(alice.address)).to.be.equal(
+				alice.address
+			)
+		})
+	})
+
+	describe('Pause and Emergency Mode', () => {
+		it('Should allow the guardian to pause and resume the locks', async () => {
+			const { owner, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			expect(
+				await lock.hasRole(await lock.GUARDIAN_ROLE(), owner.address)
+			).to.be.equal(true)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+
+			await expect(lock.connect(owner).pause())
+				.to.emit(lock, 'Paused')
+				.withArgs(owner.address)
+			expect(await lock.paused()).to.be.equal(true)
+
+			// new locks, top-ups and extensions are paused.
+			await expect(
+				lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			).to.be.revertedWith('Pausable: paused')
+			await expect(
+				lock
+					.connect(owner)
+					.grantLock(alice.address, aliceAmt.div(4), periodOne)
+			).to.be.revertedWith('Pausable: paused')
+			await expect(
+				lock
+					.connect(alice)
+					.increaseLockAmount(1, aliceAmt.div(4), false)
+			).to.be.revertedWith('Pausable: paused')
+			await expect(
+				lock.connect(alice).extendLock(1, periodTwo)
+			).to.be.revertedWith('Pausable: paused')
+
+			await expect(lock.connect(owner).unpause())
+				.to.emit(lock, 'Unpaused')
+				.withArgs(owner.address)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(4), periodOne)
+			await lock.connect(alice).extendLock(1, periodTwo)
+
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				aliceAmt.div(4).mul(4).add(aliceAmt.div(4).mul(2))
+			)
+		})
+
+		it('Should let the positions be withdrawn while the locks are paused', async () => {
+			const { owner, alice, aliceAmt, wToken, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			await lock.connect(owner).pause()
+
+			await time.increase(lockTimeOne)
+			await lock.connect(alice).withdrawPosition(1)
+			await lock.connect(alice).earlyWithdraw(2)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(
+				aliceAmt.sub(await wToken.balanceOf(lock.address))
+			)
+			expect(await lock.totalLocked()).to.be.equal(0)
+		})
+
+		it('Should not allow users without the guardian role to pause the locks', async () => {
+			const { owner, alice, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			const message = `AccessControl: account ${alice.address.toLowerCase()} is missing role ${await lock.GUARDIAN_ROLE()}`
+
+			await expect(lock.connect(alice).pause()).to.be.revertedWith(
+				message
+			)
+
+			await lock.connect(owner).pause()
+
+			await expect(lock.connect(alice).unpause()).to.be.revertedWith(
+				message
+			)
+		})
+
+		it('Should let every position be withdrawn without penalty in the emergency mode', async () => {
+			const { owner, alice, bob, aliceAmt, bobAmt, wToken, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodThree)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+			await time.increase(lockTimeOne / 2)
+
+			await expect(lock.connect(owner).enableEmergencyMode())
+				.to.emit(lock, 'EmergencyModeEnabled')
+				.withArgs(owner.address)
+			expect(await lock.emergencyMode()).to.be.equal(true)
+			expect(await lock.earlyWithdrawPenalty(1)).to.be.equal(0)
+
+			await expect(lock.connect(alice).earlyWithdraw(1))
+				.to.emit(lock, 'EarlyWithdrawPenalty')
+				.withArgs(alice.address, 1, 0, ethers.constants.AddressZero)
+			await lock.connect(bob).earlyWithdraw(2)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(aliceAmt)
+			expect(await wToken.balanceOf(bob.address)).to.be.equal(bobAmt)
+			expect(await wToken.balanceOf(lock.address)).to.be.equal(0)
+			expect(await lock.totalLocked()).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+		})
+
+		it('Should let the locked positions be withdrawn with withdrawTokens and withdrawPosition in the emergency mode', async () => {
+			const { owner, alice, bob, aliceAmt, bobAmt, wToken, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodTwo)
+			await lock.connect(bob).lockTokens(bobAmt, periodThree)
+			await lock.connect(alice).delegate(bob.address)
+
+			await expect(
+				lock.connect(alice).withdrawTokens(periodTwo)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+			await expect(
+				lock.connect(bob).withdrawPosition(3)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+
+			await lock.connect(owner).enableEmergencyMode()
+
+			await lock.connect(alice).withdrawTokens(periodTwo)
+			await lock.connect(bob).withdrawPosition(3)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(aliceAmt)
+			expect(await wToken.balanceOf(bob.address)).to.be.equal(bobAmt)
+			expect(await lock.totalLocked()).to.be.equal(0)
+
+			// the voting power of the withdrawn positions is removed at once.
+			expect(await lock.getVotingPower(bob.address)).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+			await time.increase(lockTimeThree)
+			expect(await lock.totalVotingPower()).to.be.equal(0)
+		})
+
+		it('Should pay out the shared penalties in the emergency mode', async () => {
+			const { owner, alice, bob, aliceAmt, bobAmt, wToken, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodOne)
+
+			// the penalty of alice is spread to bob before the emergency.
+			await lock.connect(alice).earlyWithdraw(1)
+			const share = await lock.pendingPenaltyShare(2)
+
+			await lock.connect(owner).enableEmergencyMode()
+			await lock.connect(bob).earlyWithdraw(2)
+
+			expect(await wToken.balanceOf(bob.address)).to.be.equal(
+				bobAmt.add(share)
+			)
+		})
+
+		it('Should lift the cliffs of the granted positions in the emergency mode', async () => {
+			const { owner, alice, bob, bobAmt, wToken, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			await lock
+				.connect(owner)
+				.grantRole(await lock.GRANTER_ROLE(), bob.address)
+			const cliff = (await time.latest()) + lockTimeOne / 2
+			await lock
+				.connect(bob)
+				.grantLockBatch(
+					[alice.address, alice.address],
+					[bobAmt.div(2), bobAmt.div(2)],
+					[periodOne, periodOne],
+					[cliff, cliff]
+				)
+
+			await expect(
+				lock.connect(alice).earlyWithdraw(1)
+			).to.be.revertedWithCustomError(lock, 'TooEarly')
+
+			await lock.connect(owner).enableEmergencyMode()
+
+			await lock.connect(alice).earlyWithdraw(1)
+			await lock.connect(alice).earlyWithdraw(2)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(
+				ethers.utils.parseEther('1000').add(bobAmt)
+			)
+		})
+
+		it('Should stop new locks for good in the emergency mode', async () => {
+			const { owner, alice, aliceAmt, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(owner).enableEmergencyMode()
+
+			await expect(
+				lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			).to.be.revertedWithCustomError(lock, 'EmergencyModeActive')
+			await expect(
+				lock
+					.connect(alice)
+					.increaseLockAmount(1, aliceAmt.div(2), false)
+			).to.be.revertedWithCustomError(lock, 'EmergencyModeActive')
+			await expect(
+				lock.connect(alice).extendLock(1, periodTwo)
+			).to.be.revertedWithCustomError(lock, 'EmergencyModeActive')
+			await expect(
+				lock.connect(owner).enableEmergencyMode()
+			).to.be.revertedWithCustomError(lock, 'EmergencyModeActive')
+		})
+
+		it('Should not allow users without the governance role to turn on the emergency mode', async () => {
+			const { owner, alice, lock } = await loadFixture(
+				deployMundoCryptoTokenLockFixture
+			)
+
+			// the guardian can only pause.
+			await lock
+				.connect(owner)
+				.grantRole(await lock.GUARDIAN_ROLE(), alice.address)
+
+			await expect(
+				lock.connect(alice).enableEmergencyMode()
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${await lock.GOVERNANCE_ROLE()}`
+			)
+		})
+
+		it('Should allow the governance to rescue the tokens sent by mistake', async () => {
+			const { owner, alice, bob, aliceAmt, mockToken, wToken, lock } =
+				await loadFixture(deployMundoCryptoTokenLockFixture)
+
+			const amount = ethers.utils.parseEther('50')
+			await mockToken.mint(lock.address, amount)
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+
+			await expect(
+				lock
+					.connect(owner)
+					.rescueTokens(mockToken.address, bob.address, amount)
+			)
+				.to.emit(lock, 'TokensRescued')
+				.withArgs(mockToken.address, bob.address, amount)
+			expect(await mockToken.balanceOf(bob.address)).to.be.equal(amount)
+
+			// the locked tokens cannot be rescued.
+			await expect(
+				lock.connect(owner).rescueTokens(wToken.address, bob.address, 1)
+			).to.be.revertedWithCustomError(lock, 'InvalidRescue')
+			await expect(
+				lock
+					.connect(alice)
+					.rescueTokens(mockToken.address, alice.address, amount)
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${await lock.GOVERNANCE_ROLE()}`
+			)
+		})
+	})
+
+	describe('Migration', () => {
+		async function deployMigrationFixture() {
+			const fixture = await deployMundoCryptoTokenLock(false)
+
+			const MockLockSuccessor = await ethers.getContractFactory(
+				'MockLockSuccessor'
+			)
+			const successor = await MockLockSuccessor.deploy(
+				fixture.lock.address
+			)
+
+			return { ...fixture, successor }
+		}
+
+		it('Should allow the governance to approve a successor', async () => {
+			const { owner, alice, successor, lock } = await loadFixture(
+				deployMigrationFixture
+			)
+
+			await expect(lock.connect(owner).setSuccessor(successor.address))
+				.to.emit(lock, 'SuccessorUpdated')
+				.withArgs(ethers.constants.AddressZero, successor.address)
+			expect(await lock.successor()).to.be.equal(successor.address)
+
+			await expect(
+				lock.connect(alice).setSuccessor(alice.address)
+			).to.be.revertedWith(
+				`AccessControl: account ${alice.address.toLowerCase()} is missing role ${await lock.GOVERNANCE_ROLE()}`
+			)
+		})
+
+		it('Should move the positions to the successor with their unlock times', async () => {
+			const {
+				owner,
+				alice,
+				bob,
+				aliceAmt,
+				bobAmt,
+				successor,
+				wToken,
+				lock,
+			} = await loadFixture(deployMigrationFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodOne)
+			await lock.connect(alice).lockTokens(aliceAmt.div(2), periodThree)
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+			const first = await lock.getPosition(1)
+			const second = await lock.getPosition(2)
+
+			await lock.connect(owner).setSuccessor(successor.address)
+			await time.increase(lockTimeOne / 2)
+
+			const tx = await lock.connect(alice).migrate([1, 2])
+
+			await expect(tx)
+				.to.emit(lock, 'PositionMigrated')
+				.withArgs(alice.address, 1, successor.address, aliceAmt.div(2))
+			await expect(tx)
+				.to.emit(lock, 'TokensWithdrawn')
+				.withArgs(
+					alice.address,
+					2,
+					aliceAmt.div(2),
+					periodThree,
+					anyValue
+				)
+			await expect(tx).to.changeTokenBalances(
+				wToken,
+				[lock, successor],
+				[aliceAmt.mul(-1), aliceAmt]
+			)
+
+			const migrated = await successor.getMigrated(alice.address)
+			expect(
+				migrated.map(
+					({ id, period, amount, startTime, unlockTime }) => [
+						id.toNumber(),
+						period.toNumber(),
+						amount,
+						startTime,
+						unlockTime,
+					]
+				)
+			).to.be.deep.equal([
+				[
+					1,
+					periodOne,
+					aliceAmt.div(2),
+					first.startTime,
+					first.unlockTime,
+				],
+				[
+					2,
+					periodThree,
+					aliceAmt.div(2),
+					second.startTime,
+					second.unlockTime,
+				],
+			])
+
+			// the positions and their voting power leave the lock.
+			expect(await lock.getPositions(alice.address)).to.be.empty
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(0)
+			expect(await lock.totalVotingPower()).to.be.equal(bobAmt.mul(4))
+			expect(await lock.totalLocked()).to.be.equal(bobAmt)
+			expect(await wToken.balanceOf(lock.address)).to.be.equal(bobAmt)
+		})
+
+		it('Should migrate the cliffs and the shared penalties of the positions', async () => {
+			const { owner, alice, bob, aliceAmt, bobAmt, successor, lock } =
+				await loadFixture(deployMigrationFixture)
+
+			await lock
+				.connect(owner)
+				.grantRole(await lock.GRANTER_ROLE(), bob.address)
+			const cliff = (await time.latest()) + lockTimeOne / 2
+			await lock
+				.connect(bob)
+				.grantLockBatch(
+					[alice.address],
+					[bobAmt.div(2)],
+					[periodOne],
+					[cliff]
+				)
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(alice).earlyWithdraw(2)
+
+			const share = await lock.pendingPenaltyShare(1)
+			expect(share).to.be.gt(0)
+
+			await lock.connect(owner).setSuccessor(successor.address)
+			await lock.connect(alice).migrate([1])
+
+			const [migrated] = await successor.getMigrated(alice.address)
+			expect(migrated.amount).to.be.equal(bobAmt.div(2).add(share))
+			expect(migrated.cliff).to.be.equal(cliff)
+			expect(await lock.positionCliff(1)).to.be.equal(0)
+		})
+
+		it('Should only migrate the live positions of the caller to an approved successor', async () => {
+			const { owner, alice, bob, aliceAmt, bobAmt, successor, lock } =
+				await loadFixture(deployMigrationFixture)
+
+			await lock.connect(alice).lockTokens(aliceAmt, periodOne)
+			await lock.connect(bob).lockTokens(bobAmt, periodTwo)
+
+			await expect(
+				lock.connect(alice).migrate([1])
+			).to.be.revertedWithCustomError(lock, 'NoSuccessor')
+
+			await lock.connect(owner).setSuccessor(successor.address)
+
+			await expect(
+				lock.connect(alice).migrate([])
+			).to.be.revertedWithCustomError(lock, 'NothingToWithdraw')
+			await expect(
+				lock.connect(alice).migrate([2])
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+			await expect(
+				lock.connect(bob).migrate([2, 2])
+			).to.be.revertedWithCustomError(lock, 'NotPositionOwner')
+
+			// unlocked positions are withdrawn instead.
+			await time.increase(lockTimeOne)
+
+			await expect(
+				lock.connect(alice).migrate([1])
+			).to.be.revertedWithCustomError(lock, 'LockExpired')
+
+			// the governance can stop the migrations again.
+			await lock.connect(owner).setSuccessor(ethers.constants.AddressZero)
+
+			await expect(
+				lock.connect(bob).migrate([2])
+			).to.be.revertedWithCustomError(lock, 'NoSuccessor')
+		})
+	})
+
+	describe('Non-standard Tokens', () => {
+		async function deployTokenLock(contractName, ...args) {
+			const [owner, alice, bob] = await ethers.getSigners()
+
+			const Token = await ethers.getContractFactory(contractName)
+			const token = await Token.deploy(...args)
+
+			const VotingPowerHistory = await ethers.getContractFactory(
+				'VotingPowerHistory'
+			)
+			const votingPowerHistory = await VotingPowerHistory.deploy()
+
+			const MundoCryptoTokenLock = await ethers.getContractFactory(
+				'MundoCryptoTokenLock',
+				{
+					libraries: {
+						VotingPowerHistory: votingPowerHistory.address,
+					},
+				}
+			)
+			const lock = await MundoCryptoTokenLock.deploy(
+				token.address,
+				false,
+				owner.address
+			)
+
+			const amount = ethers.utils.parseEther('1000')
+			for (const user of [alice, bob]) {
+				await token.mint(user.address, amount)
+				await token.connect(user).approve(lock.address, amount)
+			}
+
+			return { owner, alice, bob, amount, token, lock }
+		}
+
+		async function deployFeeTokenFixture() {
+			// the token burns 1% of every transfer.
+			return deployTokenLock('MockFeeToken', 100)
+		}
+
+		async function deployReturnsFalseTokenFixture() {
+			return deployTokenLock('MockReturnsFalseToken')
+		}
+
+		async function deployNoReturnTokenFixture() {
+			return deployTokenLock('MockNoReturnToken')
+		}
+
+		async function deployStandardTokenFixture() {
+			return deployTokenLock('MockToken')
+		}
+
+		it('Should credit the amount received after the transfer fee', async () => {
+			const { alice, bob, amount, token, lock } = await loadFixture(
+				deployFeeTokenFixture
+			)
+			const received = amount.div(2).mul(99).div(100)
+
+			await expect(
+				lock.connect(alice).lockTokens(amount.div(2), periodOne)
+			)
+				.to.emit(lock, 'TokensLocked')
+				.withArgs(alice.address, 1, received, periodOne, anyValue)
+			await lock.connect(bob).lockTokens(amount, periodTwo)
+
+			expect((await lock.getPosition(1)).amount).to.be.equal(received)
+			expect(await lock.getVotingPower(alice.address)).to.be.equal(
+				received.mul(2)
+			)
+			expect(await lock.totalLocked()).to.be.equal(
+				received.add(amount.mul(99).div(100))
+			)
+			expect(await lock.totalLocked()).to.be.equal(
+				await token.balanceOf(lock.address)
+			)
+		})
+
+		it('Should credit the amount received when increasing a lock', async () => {
+			const { alice, amount, token, lock } = await loadFixture(
+				deployFeeTokenFixture
+			)
+			const received = amount.div(2).mul(99).div(100)
+
+			await lock.connect(alice).lockTokens(amount.div(2), periodOne)
+
+			await expect(
+				lock.connect(alice).increaseLockAmount(1, amount.div(2), false)
+			)
+				.to.emit(lock, 'LockAmountIncreased')
+				.withArgs(alice.address, 1, received, received.mul(2), anyValue)
+			expect(await lock.totalLocked()).to.be.equal(
+				await token.balanceOf(lock.address)
+			)
+		})
+
+		it('Should pay out the locked tokens of a fee-on-transfer token', async () => {
+			const { alice, bob, amount, token, lock } = await loadFixture(
+				deployFeeTokenFixture
+			)
+			const received = amount.div(2).mul(99).div(100)
+
+			await lock.connect(alice).lockTokens(amount.div(2), periodOne)
+			await lock.connect(alice).lockTokens(amount.div(2), periodOne)
+			await lock.connect(bob).lockTokens(amount, periodTwo)
+			await time.increase(lockTimeOne)
+
+			await expect(lock.connect(alice).withdrawPosition(1))
+				.to.emit(lock, 'TokensWithdrawn')
+				.withArgs(alice.address, 1, received, periodOne, anyValue)
+			await lock.connect(alice).withdrawTokens(periodOne)
+
+			// alice receives the positions after the fee of the withdrawals.
+			expect(await token.balanceOf(alice.address)).to.be.equal(
+				received.mul(2).mul(99).div(100)
+			)
+			expect(await lock.totalLocked()).to.be.equal(
+				await token.balanceOf(lock.address)
+			)
+		})
+
+		it('Should revert when the transfer fee leaves nothing to lock', async () => {
+			const { alice, amount, token, lock } = await loadFixture(
+				deployFeeTokenFixture
+			)
+
+			await token.setFee(10000)
+
+			await expect(
+				lock.connect(alice).lockTokens(amount, periodOne)
+			).to.be.revertedWithCustomError(lock, 'ZeroValuedParam')
+		})
+
+		it('Should revert when the token returns false on transfer', async () => {
+			const { alice, amount, token, lock } = await loadFixture(
+				deployReturnsFalseTokenFixture
+			)
+
+			await token.setFailTransfers(true)
+
+			await expect(
+				lock.connect(alice).lockTokens(amount, periodOne)
+			).to.be.revertedWith('SafeERC20: ERC20 operation did not succeed')
+			expect(await lock.totalLocked()).to.be.equal(0)
+		})
+
+		it('Should keep the position when the token returns false on withdrawal', async () => {
+			const { alice, amount, token, lock } = await loadFixture(
+				deployReturnsFalseTokenFixture
+			)
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+			await time.increase(lockTimeOne)
+			await token.setFailTransfers(true)
+
+			await expect(
+				lock.connect(alice).withdrawPosition(1)
+			).to.be.revertedWith('SafeERC20: ERC20 operation did not succeed')
+			expect((await lock.getPosition(1)).amount).to.be.equal(amount)
+			expect(await lock.totalLocked()).to.be.equal(amount)
+
+			await token.setFailTransfers(false)
+			await expect(
+				lock.connect(alice).withdrawPosition(1)
+			).to.changeTokenBalances(
+				token,
+				[lock, alice],
+				[amount.mul(-1), amount]
+			)
+		})
+
+		it('Should lock and withdraw a token without return values', async () => {
+			const { alice, amount, token, lock } = await loadFixture(
+				deployNoReturnTokenFixture
+			)
+
+			await expect(lock.connect(alice).lockTokens(amount, periodOne))
+				.to.emit(lock, 'TokensLocked')
+				.withArgs(alice.address, 1, amount, periodOne, anyValue)
+			expect(await token.balanceOf(lock.address)).to.be.equal(amount)
+
+			await time.increase(lockTimeOne)
+			await lock.connect(alice).withdrawPosition(1)
+
+			expect(await token.balanceOf(alice.address)).to.be.equal(amount)
+			expect(await lock.totalLocked()).to.be.equal(0)
+		})
+
+		it('Should rescue the surplus of a positive rebase but not the tokens owed to the positions', async () => {
+			const { owner, alice, bob, amount, token, lock } =
+				await loadFixture(deployStandardTokenFixture)
+
+			await lock.connect(alice).lockTokens(amount, periodOne)
+			await lock.connect(bob).lockTokens(amount, periodOne)
+
+			// the penalty of bob is redistributed to alice.
+			await lock.connect(bob).earlyWithdraw(2)
+			const share = await lock.pendingPenaltyShare(1)
+			expect(share).to.be.gt(0)
+
+			// a positive rebase raises the balance of the lock above what it owes.
+			const surplus = ethers.utils.parseEther('10')
+			await token.mint(lock.address, surplus)
+
+			await expect(
+				lock
+					.connect(owner)
+					.rescueTokens(token.address, owner.address, surplus.add(1))
+			).to.be.revertedWithCustomError(lock, 'InvalidRescue')
+			await expect(
+				lock
+					.connect(owner)
+					.rescueTokens(token.address, owner.address, surplus)
+			)
+				.to.emit(lock, 'TokensRescued')
+				.withArgs(token.address, owner.address, surplus)
+
+			// the position is still paid out in full with its share of the penalty.
+			await time.increase(lockTimeOne)
+			await expect(
+				lock.connect(alice).withdrawPosition(1)
+			).to.changeTokenBalance(token, alice, amount.add(share))
+			expect(await lock.totalLocked()).to.be.equal(0)
+		})
+	})
 })
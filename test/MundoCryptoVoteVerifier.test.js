@@ -0,0 +1,178 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { StandardMerkleTree } = require('@openzeppelin/merkle-tree')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const periodOne = 0
+
+describe('MundoCryptoVoteVerifier', function () {
+	// We define a fixture to reuse the same setup in every test.
+	// We use loadFixture to run this setup once, snapshot that state,
+	// and reset Hardhat Network to that snapshot in every test.
+	async function deployMundoCryptoVoteVerifierFixture() {
+		// Contracts are deployed using the first signer/account by default
+		const [owner, alice] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const token = await MockToken.deploy()
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			token.address,
+			false,
+			owner.address
+		)
+
+		const MundoCryptoVoteVerifier = await ethers.getContractFactory(
+			'MundoCryptoVoteVerifier'
+		)
+		const verifier = await MundoCryptoVoteVerifier.deploy(
+			lock.address,
+			owner.address
+		)
+
+		const amount = ethers.utils.parseEther('1000')
+		await token.mint(alice.address, amount)
+		await token.connect(alice).approve(lock.address, amount)
+		await lock.connect(alice).lockTokens(amount, periodOne)
+
+		// alice votes for the second choice with the voting power of her lock.
+		const snapshotBlock = await ethers.provider.getBlockNumber()
+		const snapshotTime = await time.latest()
+		const weight = await lock.getVotingPower(alice.address)
+		const tree = StandardMerkleTree.of(
+			[[alice.address, weight.toString(), '1']],
+			['address', 'uint256', 'uint256']
+		)
+		await time.increase(60)
+
+		return {
+			owner,
+			alice,
+			lock,
+			verifier,
+			snapshotBlock,
+			snapshotTime,
+			weight,
+			tree,
+		}
+	}
+
+	it('Should set the lock and the publisher', async () => {
+		const { owner, lock, verifier } = await loadFixture(
+			deployMundoCryptoVoteVerifierFixture
+		)
+
+		expect(await verifier.lock()).to.be.equal(lock.address)
+		expect(
+			await verifier.hasRole(
+				await verifier.PUBLISHER_ROLE(),
+				owner.address
+			)
+		).to.be.equal(true)
+	})
+
+	it('Should publish the result of a poll once', async () => {
+		const { verifier, snapshotBlock, snapshotTime, weight, tree } =
+			await loadFixture(deployMundoCryptoVoteVerifierFixture)
+
+		await expect(
+			verifier.publishResult(1, snapshotBlock, snapshotTime, tree.root, [
+				0,
+				weight,
+			])
+		)
+			.to.emit(verifier, 'ResultPublished')
+			.withArgs(1, snapshotBlock, tree.root, [0, weight])
+
+		const result = await verifier.getResult(1)
+		expect(result.snapshotTime).to.be.equal(snapshotTime)
+		expect(result.tally).to.be.deep.equal([0, weight])
+
+		await expect(
+			verifier.publishResult(
+				1,
+				snapshotBlock,
+				snapshotTime,
+				tree.root,
+				[]
+			)
+		).to.be.revertedWithCustomError(verifier, 'ResultAlreadyPublished')
+	})
+
+	it('Should revert when the result has no votes or a future snapshot', async () => {
+		const { verifier, snapshotBlock, snapshotTime, tree } =
+			await loadFixture(deployMundoCryptoVoteVerifierFixture)
+
+		await expect(
+			verifier.publishResult(
+				1,
+				snapshotBlock,
+				snapshotTime,
+				ethers.constants.HashZero,
+				[]
+			)
+		).to.be.revertedWithCustomError(verifier, 'ZeroValuedParam')
+		await expect(
+			verifier.publishResult(
+				1,
+				snapshotBlock,
+				(await time.latest()) + 1,
+				tree.root,
+				[]
+			)
+		).to.be.revertedWithCustomError(verifier, 'FutureLookup')
+	})
+
+	it('Should only allow the publishers to publish results', async () => {
+		const { alice, verifier, snapshotBlock, snapshotTime, tree } =
+			await loadFixture(deployMundoCryptoVoteVerifierFixture)
+
+		await expect(
+			verifier
+				.connect(alice)
+				.publishResult(1, snapshotBlock, snapshotTime, tree.root, [])
+		).to.be.revertedWith(
+			`AccessControl: account ${alice.address.toLowerCase()} is missing role ${await verifier.PUBLISHER_ROLE()}`
+		)
+	})
+
+	it('Should verify the votes with their proofs and the voting power at the snapshot', async () => {
+		const { alice, verifier, snapshotBlock, snapshotTime, weight, tree } =
+			await loadFixture(deployMundoCryptoVoteVerifierFixture)
+		const proof = tree.getProof(0)
+
+		await expect(
+			verifier.verifyVote(1, alice.address, weight, 1, proof)
+		).to.be.revertedWithCustomError(verifier, 'ResultNotPublished')
+
+		await verifier.publishResult(
+			1,
+			snapshotBlock,
+			snapshotTime,
+			tree.root,
+			[0, weight]
+		)
+
+		expect(
+			await verifier.verifyVote(1, alice.address, weight, 1, proof)
+		).to.be.equal(true)
+		expect(
+			await verifier.verifyVote(1, alice.address, weight, 0, proof)
+		).to.be.equal(false)
+		expect(
+			await verifier.verifyVote(1, alice.address, weight.add(1), 1, proof)
+		).to.be.equal(false)
+	})
+})
@@ -0,0 +1,269 @@
+const {
+	loadFixture,
+	mine,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+describe('WrappedMundoCryptoToken', function () {
+	// We define a fixture to reuse the same setup in every test.
+	// We use loadFixture to run this setup once, snapshot that state,
+	// and reset Hardhat Network to that snapshot in every test.
+	async function deployWrappedMundoCryptoTokenFixture() {
+		const [owner, alice, bob] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const aliceAmt = ethers.utils.parseEther('1000')
+		const bobAmt = ethers.utils.parseEther('10000')
+
+		// mint tokens to users
+		await mockToken.mint(alice.address, aliceAmt)
+		await mockToken.mint(bob.address, bobAmt)
+
+		// necessary approvals
+		await mockToken.connect(alice).approve(wToken.address, aliceAmt)
+		await mockToken.connect(bob).approve(wToken.address, bobAmt)
+
+		return { mockToken, wToken, owner, alice, bob, aliceAmt, bobAmt }
+	}
+
+	describe('Deployment', () => {
+		it('Should set the right underlying token', async () => {
+			const { mockToken, wToken } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			expect(await wToken.underlying()).to.equal(mockToken.address)
+		})
+
+		it('Should set the right name, symbol and decimals', async () => {
+			const { mockToken, wToken } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			expect(await wToken.name()).to.equal('Wrapped MundoCrypto Token')
+			expect(await wToken.symbol()).to.equal('wMCT')
+			expect(await wToken.decimals()).to.equal(await mockToken.decimals())
+		})
+	})
+
+	describe('Deposit and Withdraw', () => {
+		it('Should allow the users to wrap their tokens', async () => {
+			const { mockToken, wToken, alice, aliceAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await expect(
+				wToken.connect(alice).depositFor(alice.address, aliceAmt)
+			).to.changeTokenBalances(
+				mockToken,
+				[alice, wToken],
+				[aliceAmt.mul(-1), aliceAmt]
+			)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(aliceAmt)
+			expect(await wToken.totalSupply()).to.be.equal(aliceAmt)
+		})
+
+		it('Should allow the users to wrap tokens for another account', async () => {
+			const { wToken, alice, aliceAmt, bob } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(bob.address, aliceAmt)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(0)
+			expect(await wToken.balanceOf(bob.address)).to.be.equal(aliceAmt)
+		})
+
+		it('Should allow the users to unwrap their tokens', async () => {
+			const { mockToken, wToken, alice, aliceAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+
+			await expect(
+				wToken.connect(alice).withdrawTo(alice.address, aliceAmt)
+			).to.changeTokenBalances(
+				mockToken,
+				[alice, wToken],
+				[aliceAmt, aliceAmt.mul(-1)]
+			)
+
+			expect(await wToken.balanceOf(alice.address)).to.be.equal(0)
+			expect(await wToken.totalSupply()).to.be.equal(0)
+		})
+
+		it('Should not allow users to unwrap more tokens than their balance', async () => {
+			const { wToken, alice, aliceAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+
+			await expect(
+				wToken.connect(alice).withdrawTo(alice.address, aliceAmt.add(1))
+			).to.be.revertedWith('ERC20: burn amount exceeds balance')
+		})
+	})
+
+	describe('Delegation', () => {
+		it('Should not count votes before the holder delegates', async () => {
+			const { wToken, alice, aliceAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+
+			expect(await wToken.getVotes(alice.address)).to.be.equal(0)
+		})
+
+		it('Should count votes after self delegation', async () => {
+			const { wToken, alice, aliceAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+
+			await expect(wToken.connect(alice).delegate(alice.address))
+				.to.emit(wToken, 'DelegateChanged')
+				.withArgs(
+					alice.address,
+					ethers.constants.AddressZero,
+					alice.address
+				)
+
+			expect(await wToken.delegates(alice.address)).to.be.equal(
+				alice.address
+			)
+			expect(await wToken.getVotes(alice.address)).to.be.equal(aliceAmt)
+		})
+
+		it('Should move votes to the delegatee', async () => {
+			const { wToken, alice, aliceAmt, bob } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+
+			await expect(wToken.connect(alice).delegate(bob.address))
+				.to.emit(wToken, 'DelegateVotesChanged')
+				.withArgs(bob.address, 0, aliceAmt)
+
+			expect(await wToken.getVotes(alice.address)).to.be.equal(0)
+			expect(await wToken.getVotes(bob.address)).to.be.equal(aliceAmt)
+		})
+
+		it('Should update the votes of the delegatee on deposit and withdraw', async () => {
+			const { wToken, alice, aliceAmt, bob } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).delegate(bob.address)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+			expect(await wToken.getVotes(bob.address)).to.be.equal(aliceAmt)
+
+			await wToken
+				.connect(alice)
+				.withdrawTo(alice.address, aliceAmt.div(4))
+			expect(await wToken.getVotes(bob.address)).to.be.equal(
+				aliceAmt.sub(aliceAmt.div(4))
+			)
+		})
+
+		it('Should move votes between delegatees on transfer', async () => {
+			const { wToken, alice, aliceAmt, bob, bobAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+			await wToken.connect(bob).depositFor(bob.address, bobAmt)
+			await wToken.connect(alice).delegate(alice.address)
+			await wToken.connect(bob).delegate(bob.address)
+
+			await wToken.connect(bob).transfer(alice.address, bobAmt.div(2))
+
+			expect(await wToken.getVotes(alice.address)).to.be.equal(
+				aliceAmt.add(bobAmt.div(2))
+			)
+			expect(await wToken.getVotes(bob.address)).to.be.equal(
+				bobAmt.div(2)
+			)
+		})
+	})
+
+	describe('Checkpoints', () => {
+		it('Should keep the past votes of an account per block', async () => {
+			const { wToken, alice, aliceAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).delegate(alice.address)
+
+			await wToken
+				.connect(alice)
+				.depositFor(alice.address, aliceAmt.div(2))
+			const firstBlock = await ethers.provider.getBlockNumber()
+
+			await wToken
+				.connect(alice)
+				.depositFor(alice.address, aliceAmt.div(2))
+			const secondBlock = await ethers.provider.getBlockNumber()
+
+			await mine()
+
+			expect(await wToken.numCheckpoints(alice.address)).to.be.equal(2)
+			expect(
+				await wToken.getPastVotes(alice.address, firstBlock - 1)
+			).to.be.equal(0)
+			expect(
+				await wToken.getPastVotes(alice.address, firstBlock)
+			).to.be.equal(aliceAmt.div(2))
+			expect(
+				await wToken.getPastVotes(alice.address, secondBlock)
+			).to.be.equal(aliceAmt)
+		})
+
+		it('Should keep the past total supply per block', async () => {
+			const { wToken, alice, aliceAmt, bob, bobAmt } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			await wToken.connect(alice).depositFor(alice.address, aliceAmt)
+			const firstBlock = await ethers.provider.getBlockNumber()
+
+			await wToken.connect(bob).depositFor(bob.address, bobAmt)
+			const secondBlock = await ethers.provider.getBlockNumber()
+
+			await mine()
+
+			expect(await wToken.getPastTotalSupply(firstBlock)).to.be.equal(
+				aliceAmt
+			)
+			expect(await wToken.getPastTotalSupply(secondBlock)).to.be.equal(
+				aliceAmt.add(bobAmt)
+			)
+		})
+
+		it('Should not allow lookups of the current block', async () => {
+			const { wToken, alice } = await loadFixture(
+				deployWrappedMundoCryptoTokenFixture
+			)
+
+			const currentBlock = await ethers.provider.getBlockNumber()
+
+			await expect(
+				wToken.getPastVotes(alice.address, currentBlock + 1)
+			).to.be.revertedWith('ERC20Votes: future lookup')
+		})
+	})
+})
@@ -0,0 +1,147 @@
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { deploy } = require('../scripts/deploy')
+const { verify } = require('../scripts/verify')
+
+const { ethers } = hre
+
+describe('Deployment Pipeline', function () {
+	async function deployPipelineFixture() {
+		const [owner, alice] = await ethers.getSigners()
+
+		return { owner, alice, log: () => {} }
+	}
+
+	// every test writes its own manifest, as the fixture state is restored but not the files.
+	function tempManifest() {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'))
+
+		return path.join(dir, 'hardhat.json')
+	}
+
+	it('Should deploy a mock token, the wrapper and the lock on the local network', async () => {
+		const { owner, log } = await loadFixture(deployPipelineFixture)
+		const manifest = tempManifest()
+
+		const deployed = await deploy(hre, { manifest, log })
+
+		expect(Object.keys(deployed)).to.be.deep.equal([
+			'MockToken',
+			'WrappedMundoCryptoToken',
+			'VotingPowerHistory',
+			'MundoCryptoTokenLock',
+		])
+
+		const wToken = await ethers.getContractAt(
+			'WrappedMundoCryptoToken',
+			deployed.WrappedMundoCryptoToken.address
+		)
+		const lock = await ethers.getContractAt(
+			'MundoCryptoTokenLock',
+			deployed.MundoCryptoTokenLock.address
+		)
+
+		expect(await wToken.underlying()).to.be.equal(
+			deployed.MockToken.address
+		)
+		expect(await lock.lockingToken()).to.be.equal(wToken.address)
+		expect(await lock.linearDecay()).to.be.equal(false)
+		expect(
+			await lock.hasRole(await lock.GOVERNANCE_ROLE(), owner.address)
+		).to.be.equal(true)
+	})
+
+	it('Should write the deployed contracts to the manifest', async () => {
+		const { log } = await loadFixture(deployPipelineFixture)
+		const manifest = tempManifest()
+
+		const deployed = await deploy(hre, { manifest, log })
+		const saved = JSON.parse(fs.readFileSync(manifest, 'utf8'))
+
+		expect(saved).to.be.deep.equal(deployed)
+		expect(saved.MundoCryptoTokenLock.contract).to.be.equal(
+			'contracts/MundoCryptoTokenLock.sol:MundoCryptoTokenLock'
+		)
+		expect(saved.MundoCryptoTokenLock.args[0]).to.be.equal(
+			saved.WrappedMundoCryptoToken.address
+		)
+		expect(saved.MundoCryptoTokenLock.libraries).to.be.deep.equal({
+			VotingPowerHistory: saved.VotingPowerHistory.address,
+		})
+	})
+
+	it('Should skip the contracts which are deployed already', async () => {
+		const { log } = await loadFixture(deployPipelineFixture)
+		const manifest = tempManifest()
+
+		const first = await deploy(hre, { manifest, log })
+		const blockNumber = await ethers.provider.getBlockNumber()
+
+		const second = await deploy(hre, { manifest, log })
+
+		expect(second).to.be.deep.equal(first)
+		expect(await ethers.provider.getBlockNumber()).to.be.equal(blockNumber)
+	})
+
+	it('Should use the given token and parameters', async () => {
+		const { alice, log } = await loadFixture(deployPipelineFixture)
+		const manifest = tempManifest()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const token = await MockToken.deploy()
+
+		const deployed = await deploy(hre, {
+			manifest,
+			log,
+			token: token.address,
+			linearDecay: true,
+			admin: alice.address,
+		})
+
+		expect(deployed.MockToken).to.be.equal(undefined)
+		expect(deployed.WrappedMundoCryptoToken.args).to.be.deep.equal([
+			token.address,
+		])
+
+		const lock = await ethers.getContractAt(
+			'MundoCryptoTokenLock',
+			deployed.MundoCryptoTokenLock.address
+		)
+
+		expect(await lock.linearDecay()).to.be.equal(true)
+		expect(
+			await lock.hasRole(await lock.GOVERNANCE_ROLE(), alice.address)
+		).to.be.equal(true)
+	})
+
+	it('Should redeploy the contracts whose parameters changed', async () => {
+		const { log } = await loadFixture(deployPipelineFixture)
+		const manifest = tempManifest()
+
+		const first = await deploy(hre, { manifest, log })
+		const second = await deploy(hre, { manifest, log, linearDecay: true })
+
+		expect(second.WrappedMundoCryptoToken.address).to.be.equal(
+			first.WrappedMundoCryptoToken.address
+		)
+		expect(second.VotingPowerHistory.address).to.be.equal(
+			first.VotingPowerHistory.address
+		)
+		expect(second.MundoCryptoTokenLock.address).to.not.be.equal(
+			first.MundoCryptoTokenLock.address
+		)
+	})
+
+	it('Should skip the verification on the local network', async () => {
+		const { log } = await loadFixture(deployPipelineFixture)
+		const manifest = tempManifest()
+
+		await deploy(hre, { manifest, log })
+
+		expect(await verify(hre, { manifest, log })).to.be.empty
+	})
+})
@@ -0,0 +1,283 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ts = require('typescript')
+const hre = require('hardhat')
+const sdk = require('../sdk')
+const { buildSdk } = require('../scripts/build-sdk')
+
+const { ethers } = hre
+
+describe('Lock SDK', function () {
+	async function deploySdkFixture() {
+		return deployLock(false)
+	}
+
+	async function deployLinearDecaySdkFixture() {
+		return deployLock(true)
+	}
+
+	async function deployLock(linearDecay) {
+		const [owner, alice, bob] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			linearDecay,
+			owner.address
+		)
+
+		// the users have wrapped tokens but no allowance for the lock.
+		for (const user of [alice, bob]) {
+			const amount = ethers.utils.parseEther('1000')
+
+			await mockToken.mint(user.address, amount)
+			await mockToken.connect(user).approve(wToken.address, amount)
+			await wToken.connect(user).depositFor(user.address, amount)
+		}
+
+		return {
+			lock,
+			wToken,
+			linearDecay,
+			alice,
+			bob,
+			aliceLock: sdk.connectLock(lock.address, alice),
+			bobLock: sdk.connectLock(lock.address, bob),
+		}
+	}
+
+	it('Should match the tiers of the lock', async () => {
+		const { lock } = await loadFixture(deploySdkFixture)
+
+		expect(await sdk.getTiers(lock)).to.be.deep.equal(sdk.TIERS)
+		expect(sdk.TIERS[sdk.Period.SixMonths].lockTime).to.be.equal(15724800)
+	})
+
+	it('Should lock tokens, approving the lock first', async () => {
+		const { lock, wToken, alice, aliceLock } = await loadFixture(
+			deploySdkFixture
+		)
+
+		const amount = ethers.utils.parseEther('100')
+		const result = await sdk.lock(aliceLock, amount, sdk.Period.OneYear)
+		const { timestamp } = await ethers.provider.getBlock(
+			result.receipt.blockNumber
+		)
+
+		expect(result.positionId).to.be.equal(1)
+		expect(result.amount).to.be.equal(amount)
+		expect(result.unlockTime.toNumber() * 1000).to.be.equal(
+			sdk.unlockDate(sdk.Period.OneYear, { from: timestamp }).getTime()
+		)
+		expect(await wToken.balanceOf(lock.address)).to.be.equal(amount)
+		expect(await wToken.allowance(alice.address, lock.address)).to.be.equal(
+			0
+		)
+	})
+
+	it('Should withdraw the unlocked positions of a period or a single position', async () => {
+		const { wToken, alice, aliceLock } = await loadFixture(deploySdkFixture)
+
+		const amount = ethers.utils.parseEther('100')
+		await sdk.lock(aliceLock, amount, sdk.Period.SixMonths)
+		await sdk.lock(aliceLock, amount, sdk.Period.SixMonths)
+		await sdk.lock(aliceLock, amount, sdk.Period.OneYear)
+
+		await time.increase(sdk.TIERS[sdk.Period.OneYear].lockTime)
+
+		const byPeriod = await sdk.withdraw(aliceLock, {
+			period: sdk.Period.SixMonths,
+		})
+		const byPosition = await sdk.withdraw(aliceLock, { positionId: 3 })
+
+		expect(byPeriod.withdrawn).to.be.deep.equal([
+			{ positionId: ethers.BigNumber.from(1), amount },
+			{ positionId: ethers.BigNumber.from(2), amount },
+		])
+		expect(byPosition.withdrawn).to.be.deep.equal([
+			{ positionId: ethers.BigNumber.from(3), amount },
+		])
+		expect(await wToken.balanceOf(alice.address)).to.be.equal(
+			ethers.utils.parseEther('1000')
+		)
+
+		await expect(sdk.withdraw(aliceLock, {})).to.be.rejectedWith(
+			'Pass either a period or a positionId'
+		)
+	})
+
+	it('Should fetch the positions and the voting power of an account', async () => {
+		const { lock, alice, aliceLock } = await loadFixture(deploySdkFixture)
+
+		const amount = ethers.utils.parseEther('100')
+		await sdk.lock(aliceLock, amount, sdk.Period.TwoYears)
+		const lockedAt = await time.latest()
+
+		await time.increase(100)
+
+		const [position] = await sdk.getPositions(lock, alice.address)
+
+		expect(position).to.be.deep.equal({
+			id: ethers.BigNumber.from(1),
+			owner: alice.address,
+			period: sdk.Period.TwoYears,
+			amount,
+			startTime: ethers.BigNumber.from(lockedAt),
+			unlockTime: ethers.BigNumber.from(
+				lockedAt + sdk.TIERS[sdk.Period.TwoYears].lockTime
+			),
+		})
+		expect(await sdk.getVotingPower(lock, alice.address)).to.be.equal(
+			amount.mul(10)
+		)
+		expect(
+			await sdk.getVotingPower(lock, alice.address, lockedAt - 1)
+		).to.be.equal(0)
+	})
+
+	for (const [mode, fixture] of [
+		['constant', deploySdkFixture],
+		['linear decay', deployLinearDecaySdkFixture],
+	]) {
+		it(`Should project the voting power of the lock in the ${mode} mode`, async () => {
+			const { lock, linearDecay, alice, bob, aliceLock, bobLock } =
+				await loadFixture(fixture)
+
+			await sdk.lock(aliceLock, ethers.utils.parseEther('100'), 0)
+			await sdk.lock(aliceLock, ethers.utils.parseEther('33'), 1)
+			await sdk.lock(bobLock, ethers.utils.parseEther('7'), 2)
+
+			const positions = [
+				...(await sdk.getPositions(lock, alice.address)),
+				...(await sdk.getPositions(lock, bob.address)),
+			]
+
+			for (const elapsed of [1000, sdk.TIERS[0].lockTime, 10000000]) {
+				await time.increase(elapsed)
+				const timestamp = await time.latest()
+
+				expect(
+					sdk.projectVotingPower(positions, {
+						timestamp,
+						linearDecay,
+					})
+				).to.be.equal(await lock.totalVotingPower())
+			}
+		})
+	}
+
+	it('Should decode the custom errors of the lock', async () => {
+		const { lock, alice, aliceLock } = await loadFixture(deploySdkFixture)
+
+		await expect(sdk.lock(aliceLock, 0, 0)).to.be.rejectedWith(
+			'The amount must be greater than zero. (ZeroValuedParam)'
+		)
+
+		await sdk.lock(aliceLock, ethers.utils.parseEther('1'), 0)
+		await expect(sdk.withdraw(aliceLock, { period: 0 })).to.be.rejectedWith(
+			'The tokens are still locked. (TooEarly)'
+		)
+
+		const error = await sdk
+			.getVotingPower(lock, alice.address, (await time.latest()) + 1)
+			.catch((e) => e)
+		expect(error.errorName).to.be.equal('FutureLookup')
+	})
+
+	it('Should have a message for every custom error of the lock', () => {
+		const names = sdk.abi
+			.filter((fragment) => fragment.type === 'error')
+			.map((fragment) => fragment.name)
+
+		expect(names).to.not.be.empty
+		expect(
+			names.filter((name) => !sdk.ERROR_MESSAGES[name]),
+			'errors without a message in sdk/index.js'
+		).to.be.deep.equal([])
+	})
+
+	it('Should match the ABI and the typings generated from the artifacts', async function () {
+		this.timeout(120000)
+
+		const out = fs.mkdtempSync(path.join(os.tmpdir(), 'sdk-'))
+		await buildSdk(hre, { out, log: () => {} })
+
+		for (const file of [
+			'abi/MundoCryptoTokenLock.json',
+			'types/MundoCryptoTokenLock.d.ts',
+			'types/common.d.ts',
+		]) {
+			expect(
+				fs.readFileSync(path.join(out, file), 'utf8'),
+				`sdk/${file} is outdated, run scripts/build-sdk.js`
+			).to.be.equal(
+				fs.readFileSync(path.join(__dirname, '../sdk', file), 'utf8')
+			)
+		}
+	})
+
+	it('Should type-check a client of the SDK', async function () {
+		this.timeout(120000)
+
+		// the client lives in the cache to resolve the SDK and the ethers types.
+		const client = path.join(hre.config.paths.cache, 'sdk-client.ts')
+		fs.writeFileSync(
+			client,
+			[
+				"import { BigNumber, Signer } from 'ethers'",
+				"import * as sdk from '../sdk'",
+				'',
+				'async function run(signer: Signer): Promise<BigNumber> {',
+				"\tconst lock = sdk.connectLock('0x', signer)",
+				'\tconst { positionId } = await sdk.lock(lock, 1, sdk.Period.OneYear)',
+				'\tawait sdk.withdraw(lock, { positionId })',
+				'\tconst positions = await sdk.getPositions(lock, await signer.getAddress())',
+				'\tconst date: Date = sdk.unlockDate(positions[0].period)',
+				'\tconst tiers: sdk.Tier[] = await sdk.getTiers(lock)',
+				'\treturn sdk.projectVotingPower(positions, { tiers, linearDecay: true, timestamp: date.getTime() / 1000 })',
+				'}',
+				'',
+				'export { run }',
+			].join('\n')
+		)
+
+		const program = ts.createProgram([client], {
+			noEmit: true,
+			strict: true,
+			target: ts.ScriptTarget.ES2020,
+			module: ts.ModuleKind.CommonJS,
+			moduleResolution: ts.ModuleResolutionKind.NodeJs,
+			skipLibCheck: true,
+		})
+
+		expect(
+			ts
+				.getPreEmitDiagnostics(program)
+				.map(({ messageText }) =>
+					ts.flattenDiagnosticMessageText(messageText, '\n')
+				)
+		).to.be.deep.equal([])
+	})
+})
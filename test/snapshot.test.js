@@ -0,0 +1,252 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { StandardMerkleTree } = require('@openzeppelin/merkle-tree')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const hre = require('hardhat')
+const { snapshot } = require('../scripts/snapshot')
+
+const { ethers } = hre
+
+const periodOne = 0
+const periodTwo = 1
+const periodThree = 2
+
+const lockTimeOne = 15724800
+
+describe('Voting Power Snapshot', function () {
+	async function deploySnapshotFixture() {
+		return deployLocks(false)
+	}
+
+	async function deployLinearDecaySnapshotFixture() {
+		return deployLocks(true)
+	}
+
+	// deploy a lock and run the operations which change the voting power.
+	async function deployLocks(linearDecay) {
+		const [owner, alice, bob, charlie] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			linearDecay,
+			owner.address
+		)
+		const fromBlock = lock.deployTransaction.blockNumber
+
+		for (const user of [alice, bob, charlie]) {
+			const amount = ethers.utils.parseEther('1000')
+
+			await mockToken.mint(user.address, amount)
+			await mockToken.connect(user).approve(wToken.address, amount)
+			await wToken.connect(user).depositFor(user.address, amount)
+			await wToken.connect(user).approve(lock.address, amount)
+		}
+
+		const amount = ethers.utils.parseEther('100')
+
+		const firstLock = await lock
+			.connect(alice)
+			.lockTokens(amount, periodOne)
+		await lock.connect(alice).lockTokens(amount.mul(2), periodTwo)
+		await lock.connect(bob).lockTokens(amount.mul(3), periodOne)
+		await lock.connect(charlie).lockTokens(amount, periodThree)
+		await lock.addTier(30 * 24 * 60 * 60, 3)
+
+		await time.increase(lockTimeOne / 2)
+		const midBlock = await ethers.provider.getBlockNumber()
+
+		await lock.connect(bob).extendLock(3, periodTwo)
+		await lock.connect(charlie).increaseLockAmount(4, amount, false)
+		await lock.connect(charlie).lockTokens(amount, 3)
+		await lock.connect(alice).earlyWithdraw(2)
+
+		await time.increase(lockTimeOne / 2)
+		await lock.connect(alice).withdrawPosition(1)
+		await lock.connect(charlie).increaseLockAmount(4, amount, true)
+
+		// positions move with their tokens, and can be split and merged.
+		const positionToken = await ethers.getContractAt(
+			'MundoCryptoLockPositions',
+			await lock.positionToken()
+		)
+		await lock.connect(charlie).splitPosition(4, amount.div(3))
+		await positionToken
+			.connect(charlie)
+			.transferFrom(charlie.address, alice.address, 6)
+		await lock.connect(bob).lockTokens(amount, periodTwo)
+		await lock.connect(bob).mergePositions(7, 3)
+
+		// the voting power follows the delegates of the owners.
+		await lock.connect(charlie).delegate(bob.address)
+		await lock.connect(alice).delegate(owner.address)
+		await lock.connect(alice).delegate(charlie.address)
+		await lock.connect(charlie).lockTokens(amount, periodOne)
+
+		return {
+			lock,
+			fromBlock,
+			firstLockBlock: firstLock.blockNumber,
+			midBlock,
+			alice,
+			bob,
+			charlie,
+		}
+	}
+
+	function tempDir() {
+		return fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'))
+	}
+
+	for (const [mode, fixture] of [
+		['constant', deploySnapshotFixture],
+		['linear decay', deployLinearDecaySnapshotFixture],
+	]) {
+		it(`Should match the voting power of the lock in the ${mode} mode`, async () => {
+			const { lock, fromBlock, midBlock } = await loadFixture(fixture)
+
+			const latestBlock = await ethers.provider.getBlockNumber()
+
+			for (const block of [fromBlock, midBlock, latestBlock]) {
+				const result = await snapshot(hre, {
+					lock: lock.address,
+					fromBlock,
+					block,
+					check: true,
+					log: () => {},
+				})
+
+				expect(result.totalVotingPower).to.be.equal(
+					(
+						await lock.totalVotingPower({ blockTag: block })
+					).toBigInt()
+				)
+			}
+		})
+	}
+
+	it('Should rebuild the locked tokens of every account per period', async () => {
+		const { lock, fromBlock, midBlock, alice, bob, charlie } =
+			await loadFixture(deploySnapshotFixture)
+
+		const result = await snapshot(hre, {
+			lock: lock.address,
+			fromBlock,
+			block: midBlock,
+			log: () => {},
+		})
+
+		expect(result.lockers.map(({ account }) => account)).to.have.members([
+			alice.address,
+			bob.address,
+			charlie.address,
+		])
+
+		const aliceLocker = result.lockers.find(
+			({ account }) => account === alice.address
+		)
+		const aliceData = await lock.fetchUserLockData(
+			alice.address,
+			periodTwo,
+			{
+				blockTag: midBlock,
+			}
+		)
+
+		expect(aliceLocker.periods[periodTwo].amount).to.be.equal(
+			aliceData.amount.toBigInt()
+		)
+		expect(aliceLocker.periods[periodTwo].unlockTime).to.be.equal(
+			aliceData.unlockTime.toBigInt()
+		)
+		expect(aliceLocker.votingPower).to.be.equal(
+			(
+				await lock.getVotingPower(alice.address, { blockTag: midBlock })
+			).toBigInt()
+		)
+	})
+
+	it('Should export the snapshot with a Merkle root of the voting powers', async () => {
+		const { lock, fromBlock } = await loadFixture(deploySnapshotFixture)
+
+		const out = tempDir()
+		const block = await ethers.provider.getBlockNumber()
+		const result = await snapshot(hre, {
+			lock: lock.address,
+			fromBlock,
+			block,
+			out,
+			log: () => {},
+		})
+
+		const file = path.join(out, `snapshot-hardhat-${block}`)
+		const json = JSON.parse(fs.readFileSync(`${file}.json`, 'utf8'))
+		const csv = fs.readFileSync(`${file}.csv`, 'utf8').trim().split('\n')
+
+		expect(json.merkleRoot).to.be.equal(result.merkleRoot)
+		expect(json.totalVotingPower).to.be.equal(
+			result.totalVotingPower.toString()
+		)
+		expect(csv[0]).to.be.equal('account,votingPower')
+		expect(csv.length).to.be.equal(result.lockers.length + 1)
+
+		const values = result.lockers.map(({ account, votingPower }) => [
+			account,
+			votingPower.toString(),
+		])
+		const tree = StandardMerkleTree.of(values, ['address', 'uint256'])
+
+		expect(result.merkleRoot).to.be.equal(tree.root)
+		for (const [index, locker] of result.lockers.entries()) {
+			expect(csv[index + 1]).to.be.equal(
+				`${locker.account},${locker.votingPower}`
+			)
+			expect(
+				StandardMerkleTree.verify(
+					result.merkleRoot,
+					['address', 'uint256'],
+					values[index],
+					locker.proof
+				)
+			).to.be.equal(true)
+		}
+	})
+
+	it('Should report the voting powers which differ from the lock', async () => {
+		const { lock, firstLockBlock, midBlock } = await loadFixture(
+			deploySnapshotFixture
+		)
+
+		// skipping the first lock loses a position which still has voting power.
+		await expect(
+			snapshot(hre, {
+				lock: lock.address,
+				fromBlock: firstLockBlock + 1,
+				block: midBlock,
+				check: true,
+				log: () => {},
+			})
+		).to.be.rejectedWith('voting powers differ from the lock')
+	})
+})
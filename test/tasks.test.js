@@ -0,0 +1,197 @@
+const {
+	loadFixture,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { expect } = require('chai')
+const hre = require('hardhat')
+const { decodeLockError } = require('../scripts/lib/lock')
+
+const { ethers } = hre
+
+const periodOne = 0
+const lockTimeOne = 15724800
+
+describe('Lock Tasks', function () {
+	async function deployLockTasksFixture() {
+		const [owner, alice] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			false,
+			owner.address
+		)
+
+		const ownerAmt = ethers.utils.parseEther('1000')
+
+		// the tasks use the first signer, which has wrapped tokens but no allowance for the lock
+		await mockToken.mint(owner.address, ownerAmt)
+		await mockToken.approve(wToken.address, ownerAmt)
+		await wToken.depositFor(owner.address, ownerAmt)
+
+		return { wToken, lock, owner, alice, ownerAmt }
+	}
+
+	// run a task and collect what it prints.
+	async function runTask(name, args) {
+		const output = []
+		const { log, table } = console
+
+		console.log = (...values) => output.push(values.join(' '))
+		console.table = (rows) => output.push(...rows.map(JSON.stringify))
+		try {
+			await hre.run(name, args)
+		} finally {
+			console.log = log
+			console.table = table
+		}
+
+		return output.join('\n')
+	}
+
+	it('Should approve and lock the tokens', async () => {
+		const { wToken, lock, owner, ownerAmt } = await loadFixture(
+			deployLockTasksFixture
+		)
+
+		const output = await runTask('lock:deposit', {
+			amount: '100.5',
+			period: periodOne,
+			lock: lock.address,
+		})
+
+		const position = await lock.getPosition(1)
+
+		expect(position.owner).to.be.equal(owner.address)
+		expect(position.amount).to.be.equal(ethers.utils.parseEther('100.5'))
+		expect(await wToken.balanceOf(owner.address)).to.be.equal(
+			ownerAmt.sub(ethers.utils.parseEther('100.5'))
+		)
+		expect(output).to.contain('Approved 100.5 tokens')
+		expect(output).to.contain(
+			`Locked 100.5 tokens in position 1 until ${new Date(
+				position.unlockTime.toNumber() * 1000
+			).toISOString()}`
+		)
+	})
+
+	it('Should turn the custom errors into clear messages', async () => {
+		const { lock } = await loadFixture(deployLockTasksFixture)
+
+		await expect(
+			runTask('lock:deposit', {
+				amount: '1',
+				period: 9,
+				lock: lock.address,
+			})
+		).to.be.rejectedWith(
+			'The period does not exist, run lock:info to see the available periods. (InvalidPeriod)'
+		)
+
+		await runTask('lock:deposit', {
+			amount: '1',
+			period: periodOne,
+			lock: lock.address,
+		})
+
+		await expect(
+			runTask('lock:withdraw', { period: periodOne, lock: lock.address })
+		).to.be.rejectedWith('The tokens are still locked')
+		await expect(
+			runTask('lock:power', { timestamp: 2 ** 40, lock: lock.address })
+		).to.be.rejectedWith('(FutureLookup)')
+	})
+
+	it('Should withdraw the unlocked tokens', async () => {
+		const { wToken, lock, owner, ownerAmt } = await loadFixture(
+			deployLockTasksFixture
+		)
+
+		await runTask('lock:deposit', {
+			amount: '10',
+			period: periodOne,
+			lock: lock.address,
+		})
+
+		await time.increase(lockTimeOne)
+
+		const output = await runTask('lock:withdraw', {
+			position: 1,
+			lock: lock.address,
+		})
+
+		expect(output).to.contain('Withdrew 10.0 tokens of position 1')
+		expect(await wToken.balanceOf(owner.address)).to.be.equal(ownerAmt)
+
+		await expect(
+			runTask('lock:withdraw', { lock: lock.address })
+		).to.be.rejectedWith('Pass either --period or --position')
+	})
+
+	it('Should print the locked tokens of every period', async () => {
+		const { lock, owner } = await loadFixture(deployLockTasksFixture)
+
+		await runTask('lock:deposit', {
+			amount: '10',
+			period: periodOne,
+			lock: lock.address,
+		})
+
+		const output = await runTask('lock:info', {
+			account: owner.address,
+			lock: lock.address,
+		})
+		const unlockTime = (await lock.getPosition(1)).unlockTime.toNumber()
+
+		expect(output).to.contain('"period":0,"lockTime":"182 days"')
+		expect(output).to.contain(
+			`"amount":"10.0","unlockDate":"${new Date(
+				unlockTime * 1000
+			).toISOString()}","status":"locked"`
+		)
+		expect(output).to.contain('"period":2,"lockTime":"730 days"')
+		expect(output).to.contain('"id":1,"period":0,"amount":"10.0"')
+	})
+
+	it('Should print the voting power of an account', async () => {
+		const { lock, alice } = await loadFixture(deployLockTasksFixture)
+
+		await runTask('lock:deposit', {
+			amount: '10',
+			period: periodOne,
+			lock: lock.address,
+		})
+
+		expect(await runTask('lock:power', { lock: lock.address })).to.contain(
+			': 20.0 (100.00% of 20.0)'
+		)
+		expect(
+			await runTask('lock:power', {
+				account: alice.address,
+				lock: lock.address,
+			})
+		).to.contain(`Voting power of ${alice.address}: 0.0 (0.00% of 20.0)`)
+	})
+
+	it('Should return the errors which are not custom errors of the lock', async () => {
+		const error = new Error('network error')
+
+		expect(decodeLockError(error)).to.be.equal(error)
+	})
+})
@@ -0,0 +1,557 @@
+const {
+	loadFixture,
+	mine,
+	time,
+} = require('@nomicfoundation/hardhat-network-helpers')
+const { StandardMerkleTree } = require('@openzeppelin/merkle-tree')
+const { expect } = require('chai')
+const http = require('http')
+const hre = require('hardhat')
+const { TASK_NODE_CREATE_SERVER } = require('hardhat/builtin-tasks/task-names')
+const { createVoteService } = require('../scripts/vote-service')
+const { MAX_CHOICES, buildTally, signVote } = require('../scripts/lib/votes')
+
+const { ethers } = hre
+
+const periodOne = 0
+const periodTwo = 1
+const adminToken = 'admin-token'
+const pollDuration = 3600
+
+describe('Signed Votes', function () {
+	// the service talks to a local hardhat node over JSON-RPC, like to a remote network.
+	let node
+	let nodeUrl
+
+	before(async () => {
+		node = await hre.run(TASK_NODE_CREATE_SERVER, {
+			hostname: '127.0.0.1',
+			port: 0,
+			provider: hre.network.provider,
+		})
+		const { port } = await node.listen()
+		nodeUrl = `http://127.0.0.1:${port}`
+	})
+
+	after(async () => {
+		await node.close()
+	})
+
+	async function deployVotesFixture() {
+		return deployLock(false)
+	}
+
+	async function deployLinearDecayVotesFixture() {
+		return deployLock(true)
+	}
+
+	// deploy a lock with two lockers and the verifier.
+	async function deployLock(linearDecay) {
+		const [owner, alice, bob, charlie] = await ethers.getSigners()
+
+		const MockToken = await ethers.getContractFactory('MockToken')
+		const mockToken = await MockToken.deploy()
+
+		const WrappedMundoCryptoToken = await ethers.getContractFactory(
+			'WrappedMundoCryptoToken'
+		)
+		const wToken = await WrappedMundoCryptoToken.deploy(mockToken.address)
+
+		const VotingPowerHistory = await ethers.getContractFactory(
+			'VotingPowerHistory'
+		)
+		const votingPowerHistory = await VotingPowerHistory.deploy()
+
+		const MundoCryptoTokenLock = await ethers.getContractFactory(
+			'MundoCryptoTokenLock',
+			{ libraries: { VotingPowerHistory: votingPowerHistory.address } }
+		)
+		const lock = await MundoCryptoTokenLock.deploy(
+			wToken.address,
+			linearDecay,
+			owner.address
+		)
+
+		const MundoCryptoVoteVerifier = await ethers.getContractFactory(
+			'MundoCryptoVoteVerifier'
+		)
+		const verifier = await MundoCryptoVoteVerifier.deploy(
+			lock.address,
+			owner.address
+		)
+
+		const amount = ethers.utils.parseEther('1000')
+		for (const user of [alice, bob, charlie]) {
+			await mockToken.mint(user.address, amount)
+			await mockToken.connect(user).approve(wToken.address, amount)
+			await wToken.connect(user).depositFor(user.address, amount)
+			await wToken.connect(user).approve(lock.address, amount)
+		}
+
+		await lock.connect(alice).lockTokens(amount.div(2), periodOne)
+		await lock.connect(bob).lockTokens(amount.div(2), periodTwo)
+
+		return { lock, verifier, owner, alice, bob, charlie, amount }
+	}
+
+	// start the service with contracts connected to the node, the verifier to the publisher.
+	async function startService({ lock, verifier, owner }) {
+		const provider = new ethers.providers.JsonRpcProvider(nodeUrl)
+		provider.pollingInterval = 100
+
+		const { chainId } = await provider.getNetwork()
+		const service = createVoteService({
+			lock: lock.connect(provider),
+			verifier: verifier.connect(provider.getSigner(owner.address)),
+			chainId,
+			adminToken,
+		})
+		const port = await service.listen()
+
+		return { service, url: `http://127.0.0.1:${port}` }
+	}
+
+	async function request(url, method, body, token) {
+		const headers = { 'Content-Type': 'application/json' }
+		if (token) headers.Authorization = `Bearer ${token}`
+
+		const response = await fetch(url, {
+			method,
+			headers,
+			body: typeof body === 'string' ? body : JSON.stringify(body),
+		})
+
+		return { status: response.status, body: await response.json() }
+	}
+
+	async function admin(url, method, body) {
+		return request(url, method, body, adminToken)
+	}
+
+	// create a proposal at the latest block, which ends after the poll duration.
+	async function propose(url, proposalId, choices = 2) {
+		const snapshotBlock = await ethers.provider.getBlockNumber()
+		// the lock answers the voting power of the blocks before the latest one only.
+		await mine()
+
+		return admin(`${url}/proposals`, 'POST', {
+			proposalId,
+			snapshotBlock,
+			endTime: (await time.latest()) + pollDuration,
+			choices,
+		})
+	}
+
+	async function vote(url, service, signer, proposalId, choice) {
+		const signature = await signVote(signer, service.domain, {
+			proposalId,
+			choice,
+		})
+
+		return request(`${url}/proposals/${proposalId}/votes`, 'POST', {
+			voter: signer.address,
+			choice,
+			signature,
+		})
+	}
+
+	let running
+	afterEach(async () => {
+		if (running) await running.close()
+		running = undefined
+	})
+
+	for (const [mode, fixture] of [
+		['constant', deployVotesFixture],
+		['linear decay', deployLinearDecayVotesFixture],
+	]) {
+		it(`Should tally the votes with the voting power at the snapshot block in the ${mode} mode`, async () => {
+			const contracts = await loadFixture(fixture)
+			const { lock, verifier, alice, bob, charlie, amount } = contracts
+			const { service, url } = await startService(contracts)
+			running = service
+
+			const snapshotBlock = await ethers.provider.getBlockNumber()
+			const alicePower = await lock.getVotingPower(alice.address)
+			const bobPower = await lock.getVotingPower(bob.address)
+
+			// the locks after the snapshot block do not count.
+			await lock.connect(bob).increaseLockAmount(2, amount.div(2), false)
+			await lock.connect(charlie).lockTokens(amount, periodTwo)
+
+			const endTime = (await time.latest()) + pollDuration
+			const created = await admin(`${url}/proposals`, 'POST', {
+				proposalId: '42',
+				snapshotBlock,
+				endTime,
+				choices: 3,
+			})
+			expect(created.status).to.be.equal(201)
+			expect(created.body.snapshotBlock).to.be.equal(snapshotBlock)
+			expect(created.body.endTime).to.be.equal(endTime)
+
+			const aliceVote = await vote(url, service, alice, 42, 0)
+			expect(aliceVote.status).to.be.equal(201)
+			expect(aliceVote.body).to.be.deep.equal({
+				voter: alice.address,
+				weight: alicePower.toString(),
+				choice: 0,
+			})
+			expect((await vote(url, service, bob, 42, 2)).status).to.be.equal(
+				201
+			)
+			expect(await vote(url, service, charlie, 42, 1)).to.be.deep.equal({
+				status: 403,
+				body: { error: 'No voting power at the snapshot block' },
+			})
+
+			const { body } = await request(`${url}/proposals/42`, 'GET')
+			expect(body.tally).to.be.deep.equal([
+				alicePower.toString(),
+				'0',
+				bobPower.toString(),
+			])
+
+			const tree = StandardMerkleTree.of(
+				[
+					[alice.address, alicePower.toString(), '0'],
+					[bob.address, bobPower.toString(), '2'],
+				],
+				['address', 'uint256', 'uint256']
+			)
+			expect(body.merkleRoot).to.be.equal(tree.root)
+
+			// the result is published to the verifier, which checks the votes against the lock.
+			await time.increaseTo(endTime)
+			const published = await admin(`${url}/proposals/42/publish`, 'POST')
+			expect(published.status).to.be.equal(200)
+
+			const result = await verifier.getResult(42)
+			expect(result.snapshotBlock).to.be.equal(snapshotBlock)
+			expect(result.merkleRoot).to.be.equal(tree.root)
+			expect(result.tally).to.be.deep.equal([alicePower, 0, bobPower])
+
+			for (const { voter, weight, choice, proof } of published.body
+				.votes) {
+				expect(
+					await verifier.verifyVote(42, voter, weight, choice, proof)
+				).to.be.equal(true)
+			}
+		})
+	}
+
+	it('Should reject the votes which are not included or not weighted by the lock', async () => {
+		const contracts = await loadFixture(deployVotesFixture)
+		const { lock, verifier, alice, bob } = contracts
+		const { service, url } = await startService(contracts)
+		running = service
+
+		await propose(url, 7)
+		await vote(url, service, alice, 7, 1)
+		await vote(url, service, bob, 7, 0)
+		await time.increase(pollDuration)
+		const { body } = await admin(`${url}/proposals/7/publish`, 'POST')
+		const { voter, weight, proof } = body.votes.find(
+			(vote) => vote.voter === alice.address
+		)
+
+		expect(
+			await verifier.verifyVote(7, voter, weight, 1, proof)
+		).to.be.equal(true)
+		// another choice or weight is not in the tree.
+		expect(
+			await verifier.verifyVote(7, voter, weight, 0, proof)
+		).to.be.equal(false)
+		expect(
+			await verifier.verifyVote(
+				7,
+				voter,
+				await lock.getVotingPower(bob.address),
+				1,
+				proof
+			)
+		).to.be.equal(false)
+		// a tree with a weight the lock does not confirm is rejected, even with a valid proof.
+		const forged = StandardMerkleTree.of(
+			[[alice.address, '1', '1']],
+			['address', 'uint256', 'uint256']
+		)
+		await verifier.publishResult(
+			8,
+			body.snapshotBlock,
+			body.snapshotTime,
+			forged.root,
+			[0, 1]
+		)
+		expect(
+			await verifier.verifyVote(
+				8,
+				alice.address,
+				1,
+				1,
+				forged.getProof(0)
+			)
+		).to.be.equal(false)
+	})
+
+	it('Should reject the invalid votes', async () => {
+		const contracts = await loadFixture(deployVotesFixture)
+		const { alice, bob } = contracts
+		const { service, url } = await startService(contracts)
+		running = service
+
+		await propose(url, 1)
+		await propose(url, 2)
+
+		// a vote signed by another account or for another proposal.
+		const signature = await signVote(bob, service.domain, {
+			proposalId: 1,
+			choice: 0,
+		})
+		expect(
+			await request(`${url}/proposals/1/votes`, 'POST', {
+				voter: alice.address,
+				choice: 0,
+				signature,
+			})
+		).to.be.deep.equal({
+			status: 401,
+			body: { error: 'Invalid signature' },
+		})
+		expect(
+			await request(`${url}/proposals/2/votes`, 'POST', {
+				voter: bob.address,
+				choice: 0,
+				signature,
+			})
+		).to.be.deep.equal({
+			status: 401,
+			body: { error: 'Invalid signature' },
+		})
+
+		expect(await vote(url, service, alice, 1, 2)).to.be.deep.equal({
+			status: 400,
+			body: { error: 'Invalid choice' },
+		})
+		expect((await vote(url, service, alice, 1, 1)).status).to.be.equal(201)
+		expect(await vote(url, service, alice, 1, 0)).to.be.deep.equal({
+			status: 409,
+			body: { error: 'The voter has voted already' },
+		})
+		expect(await vote(url, service, alice, 3, 0)).to.be.deep.equal({
+			status: 404,
+			body: { error: 'Unknown proposal' },
+		})
+		expect(
+			await request(`${url}/proposals/1/votes`, 'POST', '{')
+		).to.be.deep.equal({
+			status: 400,
+			body: { error: 'Invalid JSON body' },
+		})
+	})
+
+	it('Should reject the request bodies which are too large', async () => {
+		const contracts = await loadFixture(deployVotesFixture)
+		const { alice } = contracts
+		const { service, url } = await startService(contracts)
+		running = service
+
+		await propose(url, 1)
+
+		const tooLarge = {
+			status: 413,
+			body: { error: 'The request body is too large' },
+		}
+		expect(
+			await request(`${url}/proposals/1/votes`, 'POST', {
+				voter: alice.address,
+				choice: 0,
+				signature: `0x${'00'.repeat(16 * 1024)}`,
+			})
+		).to.be.deep.equal(tooLarge)
+		expect(
+			await admin(`${url}/proposals`, 'POST', {
+				proposalId: 2,
+				padding: 'x'.repeat(16 * 1024),
+			})
+		).to.be.deep.equal(tooLarge)
+
+		// a body streamed without a length is cut off at the limit as well.
+		const streamed = await new Promise((resolve, reject) => {
+			const req = http.request(`${url}/proposals/1/votes`, {
+				method: 'POST',
+				headers: { 'Transfer-Encoding': 'chunked' },
+			})
+			req.on('response', (res) => {
+				let data = ''
+				res.on('data', (chunk) => (data += chunk))
+				res.on('end', () =>
+					resolve({ status: res.statusCode, body: JSON.parse(data) })
+				)
+			})
+			req.on('error', reject)
+			req.write('x'.repeat(8 * 1024))
+			req.end('x'.repeat(16 * 1024))
+		})
+		expect(streamed).to.be.deep.equal(tooLarge)
+
+		// the service keeps serving after the large requests.
+		expect((await vote(url, service, alice, 1, 0)).status).to.be.equal(201)
+	})
+
+	it('Should close the poll when its result is published', async () => {
+		const contracts = await loadFixture(deployVotesFixture)
+		const { alice, bob } = contracts
+		const { service, url } = await startService(contracts)
+		running = service
+
+		await propose(url, 1)
+		await propose(url, 2)
+		await vote(url, service, alice, 1, 1)
+		await time.increase(pollDuration)
+
+		expect(
+			await admin(`${url}/proposals/2/publish`, 'POST')
+		).to.be.deep.equal({
+			status: 400,
+			body: { error: 'The proposal has no votes' },
+		})
+		const { body } = await admin(`${url}/proposals/1/publish`, 'POST')
+		expect(body.publishedIn).to.match(/^0x[0-9a-f]{64}$/)
+
+		expect(await vote(url, service, bob, 1, 0)).to.be.deep.equal({
+			status: 409,
+			body: { error: 'The result is published already' },
+		})
+		expect(
+			await admin(`${url}/proposals/1/publish`, 'POST')
+		).to.be.deep.equal({
+			status: 409,
+			body: { error: 'The result is published already' },
+		})
+	})
+
+	it('Should only let the admin create proposals and publish their results', async () => {
+		const contracts = await loadFixture(deployVotesFixture)
+		const { alice } = contracts
+		const { service, url } = await startService(contracts)
+		running = service
+
+		const snapshotBlock = await ethers.provider.getBlockNumber()
+		await mine()
+		const proposal = {
+			proposalId: 1,
+			snapshotBlock,
+			endTime: (await time.latest()) + pollDuration,
+			choices: 2,
+		}
+		const unauthorized = { status: 401, body: { error: 'Unauthorized' } }
+
+		expect(
+			await request(`${url}/proposals`, 'POST', proposal)
+		).to.be.deep.equal(unauthorized)
+		expect(
+			await request(`${url}/proposals`, 'POST', proposal, 'other-token')
+		).to.be.deep.equal(unauthorized)
+		expect(
+			(await admin(`${url}/proposals`, 'POST', proposal)).status
+		).to.be.equal(201)
+
+		// anyone can vote and read the proposal.
+		expect((await vote(url, service, alice, 1, 1)).status).to.be.equal(201)
+		expect((await request(`${url}/proposals/1`, 'GET')).status).to.be.equal(
+			200
+		)
+
+		await time.increase(pollDuration)
+		expect(
+			await request(`${url}/proposals/1/publish`, 'POST')
+		).to.be.deep.equal(unauthorized)
+		expect(
+			await request(
+				`${url}/proposals/1/publish`,
+				'POST',
+				{},
+				adminToken + 'x'
+			)
+		).to.be.deep.equal(unauthorized)
+		expect(
+			(await admin(`${url}/proposals/1/publish`, 'POST')).status
+		).to.be.equal(200)
+
+		expect(() =>
+			createVoteService({ ...contracts, chainId: 31337 })
+		).to.throw('The vote service needs an admin token')
+	})
+
+	it('Should only accept votes until the end time', async () => {
+		const contracts = await loadFixture(deployVotesFixture)
+		const { alice, bob } = contracts
+		const { service, url } = await startService(contracts)
+		running = service
+
+		const snapshotBlock = await ethers.provider.getBlockNumber()
+		const invalid = (error) => ({ status: 400, body: { error } })
+		expect(
+			await admin(`${url}/proposals`, 'POST', {
+				proposalId: 1,
+				snapshotBlock,
+				endTime: (await time.latest()) + pollDuration,
+				choices: 2,
+			})
+		).to.be.deep.equal(invalid('The snapshot block is not final yet'))
+
+		await mine()
+		expect(
+			await admin(`${url}/proposals`, 'POST', {
+				proposalId: 1,
+				snapshotBlock,
+				endTime: await time.latest(),
+				choices: 2,
+			})
+		).to.be.deep.equal(invalid('The end time must be in the future'))
+		expect(
+			await admin(`${url}/proposals`, 'POST', {
+				proposalId: 1,
+				snapshotBlock,
+				choices: 2,
+			})
+		).to.be.deep.equal(invalid('Invalid end time'))
+
+		const { body } = await propose(url, 1)
+		await vote(url, service, alice, 1, 1)
+		expect(
+			await admin(`${url}/proposals/1/publish`, 'POST')
+		).to.be.deep.equal({
+			status: 409,
+			body: { error: 'The poll has not ended yet' },
+		})
+
+		await time.increaseTo(body.endTime)
+		expect(await vote(url, service, bob, 1, 0)).to.be.deep.equal({
+			status: 409,
+			body: { error: 'The poll has ended' },
+		})
+		expect(
+			(await admin(`${url}/proposals/1/publish`, 'POST')).status
+		).to.be.equal(200)
+	})
+
+	it('Should cap the choices of a proposal', async () => {
+		const contracts = await loadFixture(deployVotesFixture)
+		const { service, url } = await startService(contracts)
+		running = service
+
+		expect(await propose(url, 1, MAX_CHOICES + 1)).to.be.deep.equal({
+			status: 400,
+			body: { error: `A proposal has at most ${MAX_CHOICES} choices` },
+		})
+		expect(await propose(url, 1, 1e9)).to.be.deep.equal({
+			status: 400,
+			body: { error: `A proposal has at most ${MAX_CHOICES} choices` },
+		})
+		expect((await propose(url, 1, MAX_CHOICES)).status).to.be.equal(201)
+
+		expect(() => buildTally(MAX_CHOICES + 1, [])).to.throw(RangeError)
+	})
+})